@@ -0,0 +1,69 @@
+-- KMM LOCAL (PostgreSQL) — só para desenvolvimento. NUNCA rode no KMM de verdade.
+-- Reproduz apenas as colunas que src/kmm.js consulta, com os nomes em MAIÚSCULAS entre aspas como no KMM.
+-- Aplicado por `npm run kmm:local` (ou pelo docker-compose na 1ª subida do Postgres).
+
+CREATE SCHEMA IF NOT EXISTS veiculo;
+CREATE SCHEMA IF NOT EXISTS folha;
+
+-- Placas da frota: MODALIDADE = 'FROTA' e sem DATA_CANCELAMENTO contam como ativas
+CREATE TABLE IF NOT EXISTS veiculo.veiculo_modalidade (
+  "ID" SERIAL PRIMARY KEY,
+  "PLACA" VARCHAR(10) NOT NULL,
+  "MODALIDADE" VARCHAR(30) NOT NULL,
+  "DATA_CANCELAMENTO" DATE NULL
+);
+
+-- Funcionários (motoristas saem daqui por CARGO, ativos = sem DATA_DEMISSAO)
+CREATE TABLE IF NOT EXISTS folha.funcionario_dados (
+  "COD_PESSOA" INTEGER PRIMARY KEY,
+  "MATRICULA" VARCHAR(20) NOT NULL,
+  "NOME" VARCHAR(120) NOT NULL,
+  "CARGO" VARCHAR(60) NOT NULL,
+  "DATA_ADMISSAO" DATE NULL,
+  "DATA_DEMISSAO" DATE NULL
+);
+
+-- Quem dirigiu cada placa; vale o vínculo com DATA_INICIO mais recente
+CREATE TABLE IF NOT EXISTS veiculo.veiculo_motorista (
+  "ID" SERIAL PRIMARY KEY,
+  "PLACA" VARCHAR(10) NOT NULL,
+  "COD_PESSOA" INTEGER NOT NULL,
+  "DATA_INICIO" DATE NULL,
+  "MODALIDADE" VARCHAR(30) NULL,
+  "DATA_CANCELAMENTO" DATE NULL
+);
+
+-- Dados de exemplo (idempotente: só entra se a tabela estiver vazia)
+INSERT INTO folha.funcionario_dados ("COD_PESSOA", "MATRICULA", "NOME", "CARGO", "DATA_ADMISSAO", "DATA_DEMISSAO")
+SELECT * FROM (VALUES
+  (1001, '10101', 'JOAO DA SILVA',        'MOTORISTA CARRETEIRO',     DATE '2019-03-11', NULL::DATE),
+  (1002, '10202', 'MARIA APARECIDA SOUZA', 'MOTORISTA DE BITREM',      DATE '2020-07-01', NULL::DATE),
+  (1003, '10303', 'CARLOS PEREIRA',        'MOTORISTA CARRETEIRO III', DATE '2018-01-15', NULL::DATE),
+  (1004, '10404', 'ANA LUCIA FERREIRA',    'MOTORISTA TRUCK',          DATE '2021-05-03', NULL::DATE),
+  (1005, '10505', 'PEDRO HENRIQUE LIMA',   'MOTORISTA',                DATE '2017-09-20', DATE '2025-12-31'),
+  (1006, '10606', 'JULIANA COSTA',         'ANALISTA DE FROTA',        DATE '2022-02-14', NULL::DATE)
+) AS v
+WHERE NOT EXISTS (SELECT 1 FROM folha.funcionario_dados);
+
+-- ABC1D23 / BRA2E19 / RST4U56 Mercosul; GHI7890 formato antigo; XYZ9K87 cancelada
+INSERT INTO veiculo.veiculo_modalidade ("PLACA", "MODALIDADE", "DATA_CANCELAMENTO")
+SELECT * FROM (VALUES
+  ('ABC1D23',  'FROTA',    NULL::DATE),
+  ('BRA-2E19', 'FROTA',    NULL::DATE),
+  ('RST4U56',  'Frota',    NULL::DATE),
+  ('GHI7890',  'FROTA',    NULL::DATE),
+  ('XYZ9K87',  'FROTA',    DATE '2025-06-30'),
+  ('AGR0A01',  'AGREGADO', NULL::DATE)
+) AS v
+WHERE NOT EXISTS (SELECT 1 FROM veiculo.veiculo_modalidade);
+
+-- ABC1D23 trocou de motorista (vale o mais recente); RST4U56 está com motorista demitido (sem motorista)
+INSERT INTO veiculo.veiculo_motorista ("PLACA", "COD_PESSOA", "DATA_INICIO", "MODALIDADE", "DATA_CANCELAMENTO")
+SELECT * FROM (VALUES
+  ('ABC1D23',  1003, DATE '2024-01-10', 'FROTA', NULL::DATE),
+  ('ABC1D23',  1001, DATE '2025-08-01', 'FROTA', NULL::DATE),
+  ('BRA-2E19', 1002, DATE '2025-02-17', 'FROTA', NULL::DATE),
+  ('GHI7890',  1004, DATE '2025-04-22', 'FROTA', NULL::DATE),
+  ('RST4U56',  1005, DATE '2023-11-05', 'FROTA', NULL::DATE)
+) AS v
+WHERE NOT EXISTS (SELECT 1 FROM veiculo.veiculo_motorista);
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mysql = require('mysql2/promise');
+const { Client } = require('pg');
+const dotenv = require('dotenv');
+
+/* ======================================================
+   MIGRATIONS (MySQL) + KMM LOCAL (PostgreSQL)
+   npm run migrar                 aplica o que falta de db/migrations (em ordem)
+   npm run migrar -- --status     lista aplicadas / pendentes
+   npm run migrar -- --baseline 012
+                                  marca 000..012 como aplicadas SEM rodar
+                                  (banco que já tinha as tabelas / migrations rodadas à mão)
+   npm run seed                   migrations + dados de exemplo (db/seeds)
+   npm run kmm:local              cria o KMM de mentira (db/kmm) no Postgres do .env
+
+   Controle em schema_migracoes (versão, arquivo, sha256, quando).
+   DDL do MySQL não tem rollback: se uma migration falhar no meio,
+   corrija o banco à mão e rode de novo (ela não fica marcada).
+====================================================== */
+
+const envLocalPath = path.join(__dirname, '..', '.env.local');
+if (fs.existsSync(envLocalPath)) {
+  dotenv.config({ path: envLocalPath });
+} else {
+  dotenv.config();
+}
+
+const PASTA_MIGRATIONS = path.join(__dirname, 'migrations');
+const PASTA_SEEDS = path.join(__dirname, 'seeds');
+const PASTA_KMM = path.join(__dirname, 'kmm');
+
+const ARQUIVO_RE = /^(\d{3})_[a-z0-9_]+\.sql$/;
+
+// o fixture não apaga nada, mas cria schemas/tabelas: só em Postgres local
+const HOSTS_LOCAIS = ['localhost', '127.0.0.1', '::1'];
+
+function lerArquivos(pasta) {
+  if (!fs.existsSync(pasta)) return [];
+  return fs.readdirSync(pasta)
+    .filter(a => ARQUIVO_RE.test(a))
+    .sort()
+    .map(arquivo => {
+      const sql = fs.readFileSync(path.join(pasta, arquivo), 'utf8');
+      return {
+        versao: arquivo.match(ARQUIVO_RE)[1],
+        arquivo,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    });
+}
+
+function lerArgs(argv) {
+  const args = { status: false, seed: false, kmm: false, forcar: false, baseline: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--status') args.status = true;
+    else if (a === '--seed') args.seed = true;
+    else if (a === '--kmm') args.kmm = true;
+    else if (a === '--forcar') args.forcar = true;
+    else if (a === '--baseline') args.baseline = argv[++i];
+    else throw new Error(`Opção desconhecida: ${a}`);
+  }
+  if (args.baseline !== null && !/^\d{3}$/.test(String(args.baseline))) {
+    throw new Error('--baseline espera a versão com 3 dígitos (ex.: --baseline 012).');
+  }
+  return args;
+}
+
+async function conectarMySQL() {
+  return mysql.createConnection({
+    host: process.env.MYSQL_HOST,
+    user: process.env.MYSQL_USER,
+    password: process.env.MYSQL_PASSWORD,
+    database: process.env.MYSQL_DATABASE,
+    port: Number(process.env.MYSQL_PORT || 3306),
+    timezone: process.env.MYSQL_TIMEZONE || '-03:00',
+    // um arquivo .sql = vários comandos
+    multipleStatements: true
+  });
+}
+
+async function garantirControle(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migracoes (
+      versao CHAR(3) NOT NULL PRIMARY KEY,
+      arquivo VARCHAR(120) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      aplicado_em DATETIME NOT NULL,
+      baseline TINYINT(1) NOT NULL DEFAULT 0
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  const [rows] = await conn.query('SELECT versao, arquivo, checksum, baseline FROM schema_migracoes');
+  return new Map(rows.map(r => [r.versao, r]));
+}
+
+async function registrar(conn, m, { baseline = false } = {}) {
+  await conn.query(
+    'INSERT INTO schema_migracoes (versao, arquivo, checksum, aplicado_em, baseline) VALUES (?, ?, ?, NOW(), ?)',
+    [m.versao, m.arquivo, m.checksum, baseline ? 1 : 0]
+  );
+}
+
+async function migrar(args) {
+  const migrations = lerArquivos(PASTA_MIGRATIONS);
+  const conn = await conectarMySQL();
+
+  try {
+    const aplicadas = await garantirControle(conn);
+
+    for (const m of migrations) {
+      const feita = aplicadas.get(m.versao);
+      if (feita && feita.checksum !== m.checksum && !feita.baseline) {
+        console.warn(`⚠ ${m.arquivo} mudou depois de aplicada. Não é reaplicada: crie uma migration nova.`);
+      }
+    }
+
+    if (args.status) {
+      for (const m of migrations) {
+        const feita = aplicadas.get(m.versao);
+        console.log(`${feita ? (feita.baseline ? '≈ baseline ' : '✅ aplicada ') : '⏳ pendente '} ${m.arquivo}`);
+      }
+      return;
+    }
+
+    if (args.baseline) {
+      for (const m of migrations.filter(x => x.versao <= args.baseline && !aplicadas.has(x.versao))) {
+        await registrar(conn, m, { baseline: true });
+        console.log(`≈ ${m.arquivo} marcada como aplicada (baseline)`);
+      }
+      return;
+    }
+
+    const pendentes = migrations.filter(m => !aplicadas.has(m.versao));
+    if (!pendentes.length) console.log('✅ Banco em dia: nenhuma migration pendente.');
+
+    for (const m of pendentes) {
+      console.log(`▶ ${m.arquivo}`);
+      try {
+        await conn.query(m.sql);
+      } catch (err) {
+        throw new Error(`${m.arquivo} falhou: ${err.sqlMessage || err.message}`);
+      }
+      await registrar(conn, m);
+      console.log(`✅ ${m.arquivo}`);
+    }
+
+    if (args.seed) {
+      for (const s of lerArquivos(PASTA_SEEDS)) {
+        console.log(`🌱 ${s.arquivo}`);
+        await conn.query(s.sql);
+      }
+    }
+  } finally {
+    await conn.end();
+  }
+}
+
+async function kmmLocal(args) {
+  const host = process.env.KMM_HOST || 'localhost';
+  if (!HOSTS_LOCAIS.includes(host) && !args.forcar) {
+    throw new Error(`KMM_HOST=${host} não é local. O fixture é só para desenvolvimento (use --forcar se tiver certeza).`);
+  }
+
+  const client = new Client({
+    host,
+    port: Number(process.env.KMM_PORT || 5430),
+    database: process.env.KMM_DATABASE,
+    user: process.env.KMM_USER,
+    password: process.env.KMM_PASSWORD,
+    connectionTimeoutMillis: Number(process.env.KMM_TIMEOUT_MS || 5000)
+  });
+
+  await client.connect();
+  try {
+    for (const f of lerArquivos(PASTA_KMM)) {
+      console.log(`▶ KMM local: ${f.arquivo}`);
+      await client.query(f.sql);
+    }
+    console.log('✅ KMM local pronto.');
+  } finally {
+    await client.end();
+  }
+}
+
+async function main() {
+  const args = lerArgs(process.argv.slice(2));
+  if (args.kmm) return kmmLocal(args);
+  return migrar(args);
+}
+
+main().catch(err => {
+  console.error('❌', err.message);
+  process.exitCode = 1;
+});
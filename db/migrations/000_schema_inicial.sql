@@ -0,0 +1,61 @@
+-- Tabelas dos formulários como estavam antes das migrations 001+ (até aqui só existiam no banco de produção).
+-- Banco que já tem essas tabelas: marque como aplicada com `npm run migrar -- --baseline 000`
+-- (ou até a última migration rodada à mão, ver README).
+
+-- Elogio externo (elogio.html). data_hora e data_registro ficam com o DEFAULT do banco.
+CREATE TABLE IF NOT EXISTS elogios_motoristas (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  nome VARCHAR(120) NOT NULL,
+  nome_motorista VARCHAR(120) NULL,
+  carreta VARCHAR(10) NOT NULL,
+  telefone VARCHAR(20) NOT NULL,
+  elogio TEXT NOT NULL,
+  tipo VARCHAR(20) NOT NULL DEFAULT 'Externo',
+  pontos INT NOT NULL DEFAULT 1,
+  latitude DECIMAL(10, 7) NULL,
+  longitude DECIMAL(10, 7) NULL,
+  maps_link VARCHAR(255) NULL,
+  user_agent VARCHAR(500) NULL,
+  cidade VARCHAR(120) NULL,
+  estado VARCHAR(60) NULL,
+  token_avaliador VARCHAR(64) NULL,
+  data_hora DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  data_registro DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_em_carreta (carreta, token_avaliador, data_hora)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Elogio interno (elogio-interno.html): motorista pela MATRICULA do KMM. data_hora vem do servidor.
+CREATE TABLE IF NOT EXISTS elogios_internos (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  matricula VARCHAR(20) NOT NULL,
+  elogio TEXT NOT NULL,
+  motorista VARCHAR(120) NULL,
+  telefone VARCHAR(11) NOT NULL,
+  latitude DECIMAL(10, 7) NULL,
+  longitude DECIMAL(10, 7) NULL,
+  maps_link VARCHAR(255) NULL,
+  cidade VARCHAR(120) NULL,
+  estado VARCHAR(60) NULL,
+  data_hora DATETIME NOT NULL,
+  token_avaliador VARCHAR(64) NULL,
+  tipo VARCHAR(20) NOT NULL DEFAULT 'Interno',
+  pontos INT NOT NULL DEFAULT 2,
+  INDEX idx_ei_matricula (matricula, token_avaliador, data_hora)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Ocorrência (ocorrencia.html)
+CREATE TABLE IF NOT EXISTS ocorrencias_motoristas (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  nome VARCHAR(120) NOT NULL,
+  carreta VARCHAR(10) NOT NULL,
+  telefone VARCHAR(20) NOT NULL,
+  tipo_ocorrencia VARCHAR(120) NOT NULL,
+  descricao TEXT NOT NULL,
+  latitude DECIMAL(10, 7) NULL,
+  longitude DECIMAL(10, 7) NULL,
+  maps_link VARCHAR(255) NULL,
+  user_agent VARCHAR(500) NULL,
+  cidade VARCHAR(120) NULL,
+  estado VARCHAR(60) NULL,
+  data_hora DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
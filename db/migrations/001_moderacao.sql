@@ -0,0 +1,42 @@
+-- Moderação dos registros enviados pelos formulários.
+-- status: pendente -> aprovado | rejeitado | mais_info
+-- Só elogio 'aprovado' entra na contagem de pontos.
+
+ALTER TABLE elogios_motoristas
+  ADD COLUMN status ENUM('pendente','aprovado','rejeitado','mais_info') NOT NULL DEFAULT 'pendente',
+  ADD COLUMN moderado_por VARCHAR(120) NULL,
+  ADD COLUMN moderado_em DATETIME NULL,
+  ADD COLUMN motivo_moderacao VARCHAR(500) NULL,
+  ADD INDEX idx_em_status (status, data_hora);
+
+ALTER TABLE elogios_internos
+  ADD COLUMN status ENUM('pendente','aprovado','rejeitado','mais_info') NOT NULL DEFAULT 'pendente',
+  ADD COLUMN moderado_por VARCHAR(120) NULL,
+  ADD COLUMN moderado_em DATETIME NULL,
+  ADD COLUMN motivo_moderacao VARCHAR(500) NULL,
+  ADD INDEX idx_ei_status (status, data_hora);
+
+ALTER TABLE ocorrencias_motoristas
+  ADD COLUMN status ENUM('pendente','aprovado','rejeitado','mais_info') NOT NULL DEFAULT 'pendente',
+  ADD COLUMN moderado_por VARCHAR(120) NULL,
+  ADD COLUMN moderado_em DATETIME NULL,
+  ADD COLUMN motivo_moderacao VARCHAR(500) NULL,
+  ADD INDEX idx_om_status (status, data_hora);
+
+-- O que já estava gravado antes da moderação continua valendo.
+UPDATE elogios_motoristas SET status = 'aprovado', moderado_por = 'migracao', moderado_em = NOW();
+UPDATE elogios_internos SET status = 'aprovado', moderado_por = 'migracao', moderado_em = NOW();
+UPDATE ocorrencias_motoristas SET status = 'aprovado', moderado_por = 'migracao', moderado_em = NOW();
+
+-- Histórico de cada transição (quem, quando, de/para, motivo)
+CREATE TABLE IF NOT EXISTS moderacao_historico (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  recurso VARCHAR(30) NOT NULL,
+  registro_id BIGINT UNSIGNED NOT NULL,
+  status_anterior VARCHAR(20) NOT NULL,
+  status_novo VARCHAR(20) NOT NULL,
+  moderado_por VARCHAR(120) NOT NULL,
+  motivo VARCHAR(500) NULL,
+  data_hora DATETIME NOT NULL,
+  INDEX idx_mh_registro (recurso, registro_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,47 @@
+-- Catálogo de tipos de ocorrência + acompanhamento do caso pela equipe de segurança.
+
+CREATE TABLE IF NOT EXISTS ocorrencia_tipos (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  codigo VARCHAR(40) NOT NULL,
+  nome VARCHAR(120) NOT NULL,
+  severidade ENUM('baixa','media','alta','critica') NOT NULL DEFAULT 'media',
+  ativo TINYINT(1) NOT NULL DEFAULT 1,
+  ordem INT NOT NULL DEFAULT 0,
+  UNIQUE KEY uk_ot_codigo (codigo)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+INSERT IGNORE INTO ocorrencia_tipos (codigo, nome, severidade, ordem) VALUES
+  ('excesso_velocidade',   'Excesso de velocidade',            'alta',    10),
+  ('ultrapassagem',        'Ultrapassagem perigosa',           'alta',    20),
+  ('celular_volante',      'Uso de celular ao volante',        'alta',    30),
+  ('direcao_agressiva',    'Direção agressiva',                'media',   40),
+  ('acidente',             'Acidente / colisão',               'critica', 50),
+  ('carga_solta',          'Carga mal acondicionada',          'critica', 60),
+  ('veiculo_condicoes',    'Veículo em más condições',         'media',   70),
+  ('estacionamento',       'Estacionamento irregular',         'baixa',   80),
+  ('conduta',              'Conduta inadequada / falta de cortesia', 'baixa', 90),
+  ('outros',               'Outros',                           'baixa',  999);
+
+-- tipo_ocorrencia continua com o nome (texto) para não quebrar o BI;
+-- tipo_id/severidade passam a ser a referência.
+ALTER TABLE ocorrencias_motoristas
+  ADD COLUMN tipo_id INT UNSIGNED NULL,
+  ADD COLUMN severidade ENUM('baixa','media','alta','critica') NULL,
+  ADD COLUMN protocolo VARCHAR(20) NULL,
+  ADD COLUMN caso_status ENUM('aberto','em_investigacao','fechado') NOT NULL DEFAULT 'aberto',
+  ADD COLUMN caso_atualizado_em DATETIME NULL,
+  ADD UNIQUE KEY uk_om_protocolo (protocolo),
+  ADD INDEX idx_om_caso (caso_status, severidade),
+  ADD INDEX idx_om_carreta (carreta, data_hora);
+
+-- Linha do tempo interna do caso (notas e mudanças de estado)
+CREATE TABLE IF NOT EXISTS ocorrencia_notas (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  ocorrencia_id BIGINT UNSIGNED NOT NULL,
+  autor VARCHAR(120) NOT NULL,
+  texto TEXT NULL,
+  status_anterior VARCHAR(20) NULL,
+  status_novo VARCHAR(20) NULL,
+  data_hora DATETIME NOT NULL,
+  INDEX idx_on_ocorrencia (ocorrencia_id, data_hora)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
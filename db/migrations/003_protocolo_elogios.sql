@@ -0,0 +1,4 @@
+-- Protocolo público também para o elogio externo (consulta em protocolo.html).
+ALTER TABLE elogios_motoristas
+  ADD COLUMN protocolo VARCHAR(20) NULL,
+  ADD UNIQUE KEY uk_em_protocolo (protocolo);
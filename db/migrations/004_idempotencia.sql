@@ -0,0 +1,12 @@
+-- Envios repetidos pela fila offline (PWA) chegam com o mesmo Idempotency-Key.
+-- A primeira resposta fica gravada e é devolvida de novo nas repetições.
+CREATE TABLE IF NOT EXISTS envios_idempotentes (
+  chave VARCHAR(100) NOT NULL PRIMARY KEY,
+  rota VARCHAR(60) NOT NULL,
+  estado ENUM('processando','concluido') NOT NULL DEFAULT 'processando',
+  status_http SMALLINT UNSIGNED NULL,
+  resposta TEXT NULL,
+  criado_em DATETIME NOT NULL,
+  concluido_em DATETIME NULL,
+  INDEX idx_ei_criado (criado_em)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,15 @@
+-- Cache do geocoding reverso por coordenada arredondada (GEO_CACHE_PRECISAO casas).
+CREATE TABLE IF NOT EXISTS geocoding_cache (
+  lat_r DECIMAL(9,5) NOT NULL,
+  lon_r DECIMAL(9,5) NOT NULL,
+  cidade VARCHAR(120) NULL,
+  estado VARCHAR(60) NULL,
+  provedor VARCHAR(20) NOT NULL,
+  criado_em DATETIME NOT NULL,
+  PRIMARY KEY (lat_r, lon_r)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- backfill procura por cidade IS NULL com coordenada
+ALTER TABLE elogios_motoristas ADD INDEX idx_em_cidade_null (cidade);
+ALTER TABLE elogios_internos ADD INDEX idx_ei_cidade_null (cidade);
+ALTER TABLE ocorrencias_motoristas ADD INDEX idx_om_cidade_null (cidade);
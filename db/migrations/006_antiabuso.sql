@@ -0,0 +1,23 @@
+-- Score de suspeita (0-100) e sinais que o compõem, gravados em cada envio.
+-- ip_hash: HMAC do IP (o IP puro não é gravado).
+ALTER TABLE elogios_motoristas
+  ADD COLUMN score_suspeita TINYINT UNSIGNED NOT NULL DEFAULT 0,
+  ADD COLUMN sinais_suspeita VARCHAR(255) NULL,
+  ADD COLUMN ip_hash CHAR(32) NULL,
+  ADD INDEX idx_em_telefone (telefone, data_hora),
+  ADD INDEX idx_em_score (score_suspeita);
+
+ALTER TABLE elogios_internos
+  ADD COLUMN score_suspeita TINYINT UNSIGNED NOT NULL DEFAULT 0,
+  ADD COLUMN sinais_suspeita VARCHAR(255) NULL,
+  ADD COLUMN ip_hash CHAR(32) NULL,
+  ADD INDEX idx_ei_telefone (telefone, data_hora),
+  ADD INDEX idx_ei_score (score_suspeita);
+
+ALTER TABLE ocorrencias_motoristas
+  ADD COLUMN token_avaliador VARCHAR(64) NULL,
+  ADD COLUMN score_suspeita TINYINT UNSIGNED NOT NULL DEFAULT 0,
+  ADD COLUMN sinais_suspeita VARCHAR(255) NULL,
+  ADD COLUMN ip_hash CHAR(32) NULL,
+  ADD INDEX idx_om_telefone (telefone, data_hora),
+  ADD INDEX idx_om_score (score_suspeita);
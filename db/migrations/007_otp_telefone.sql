@@ -0,0 +1,22 @@
+-- Códigos de verificação de telefone (OTP). Só o HMAC do código é gravado.
+CREATE TABLE IF NOT EXISTS telefone_verificacoes (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  telefone VARCHAR(11) NOT NULL,
+  codigo_hash VARCHAR(64) NOT NULL,
+  canal ENUM('sms', 'whatsapp') NOT NULL DEFAULT 'sms',
+  tentativas TINYINT UNSIGNED NOT NULL DEFAULT 0,
+  expira_em DATETIME NOT NULL,
+  verificado_em DATETIME NULL,
+  criado_em DATETIME NOT NULL,
+  INDEX idx_tv_telefone (telefone, expira_em)
+);
+
+-- Envio feito com telefone verificado por OTP (confiança maior na moderação e nos pontos)
+ALTER TABLE elogios_motoristas
+  ADD COLUMN telefone_verificado TINYINT(1) NOT NULL DEFAULT 0;
+
+ALTER TABLE elogios_internos
+  ADD COLUMN telefone_verificado TINYINT(1) NOT NULL DEFAULT 0;
+
+ALTER TABLE ocorrencias_motoristas
+  ADD COLUMN telefone_verificado TINYINT(1) NOT NULL DEFAULT 0;
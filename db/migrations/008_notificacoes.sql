@@ -0,0 +1,27 @@
+-- Contato do motorista (e do gestor) para notificações, por MATRICULA do KMM
+CREATE TABLE IF NOT EXISTS motorista_contatos (
+  matricula VARCHAR(20) NOT NULL PRIMARY KEY,
+  whatsapp VARCHAR(13) NULL,
+  email VARCHAR(160) NULL,
+  gestor_nome VARCHAR(120) NULL,
+  gestor_email VARCHAR(160) NULL,
+  gestor_whatsapp VARCHAR(13) NULL,
+  notificar TINYINT(1) NOT NULL DEFAULT 1,
+  atualizado_por VARCHAR(80) NULL,
+  atualizado_em DATETIME NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Log de cada notificação enviada (ou que falhou / foi ignorada)
+CREATE TABLE IF NOT EXISTS notificacoes_enviadas (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  evento_id CHAR(36) NULL,
+  evento VARCHAR(60) NULL,
+  modelo VARCHAR(40) NOT NULL,
+  canal VARCHAR(20) NOT NULL,
+  destino VARCHAR(255) NOT NULL,
+  status ENUM('enviado', 'erro', 'ignorado') NOT NULL,
+  erro VARCHAR(255) NULL,
+  data_hora DATETIME NOT NULL,
+  INDEX idx_ne_modelo (modelo, data_hora),
+  INDEX idx_ne_status (status, data_hora)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,30 @@
+-- Assinaturas de webhook (sistemas internos que recebem os eventos)
+CREATE TABLE IF NOT EXISTS webhook_assinaturas (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  nome VARCHAR(80) NOT NULL,
+  url VARCHAR(500) NOT NULL,
+  eventos VARCHAR(500) NOT NULL,
+  segredo CHAR(64) NOT NULL,
+  ativo TINYINT(1) NOT NULL DEFAULT 1,
+  criado_por VARCHAR(80) NULL,
+  criado_em DATETIME NOT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Log de entregas + fila de retentativas (payload guardado para reenvio)
+CREATE TABLE IF NOT EXISTS webhook_entregas (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  assinatura_id INT UNSIGNED NOT NULL,
+  evento_id CHAR(36) NOT NULL,
+  evento VARCHAR(60) NOT NULL,
+  payload MEDIUMTEXT NOT NULL,
+  status ENUM('pendente', 'entregue', 'falhou', 'cancelada') NOT NULL DEFAULT 'pendente',
+  tentativas TINYINT UNSIGNED NOT NULL DEFAULT 0,
+  ultimo_http SMALLINT NULL,
+  ultimo_erro VARCHAR(255) NULL,
+  proxima_tentativa_em DATETIME NULL,
+  criado_em DATETIME NOT NULL,
+  entregue_em DATETIME NULL,
+  INDEX idx_we_fila (status, proxima_tentativa_em),
+  INDEX idx_we_assinatura (assinatura_id, criado_em),
+  CONSTRAINT fk_we_assinatura FOREIGN KEY (assinatura_id) REFERENCES webhook_assinaturas (id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,13 @@
+-- Conferência da carreta/matrícula no KMM.
+-- 'pendente' = aceito com o KMM fora do ar; revalidado quando ele volta (src/kmm.js).
+ALTER TABLE elogios_motoristas
+  ADD COLUMN validacao_kmm ENUM('validada', 'pendente', 'invalida') NOT NULL DEFAULT 'validada',
+  ADD INDEX idx_em_validacao_kmm (validacao_kmm);
+
+ALTER TABLE elogios_internos
+  ADD COLUMN validacao_kmm ENUM('validada', 'pendente', 'invalida') NOT NULL DEFAULT 'validada',
+  ADD INDEX idx_ei_validacao_kmm (validacao_kmm);
+
+ALTER TABLE ocorrencias_motoristas
+  ADD COLUMN validacao_kmm ENUM('validada', 'pendente', 'invalida') NOT NULL DEFAULT 'validada',
+  ADD INDEX idx_om_validacao_kmm (validacao_kmm);
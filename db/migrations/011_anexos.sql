@@ -0,0 +1,20 @@
+-- Fotos/vídeos enviados com elogios e ocorrências (arquivo no armazenamento, sem EXIF).
+-- exif_* só preenchido quando quem enviou aceitou guardar local/horário da foto.
+CREATE TABLE IF NOT EXISTS anexos (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  recurso ENUM('elogios', 'ocorrencias') NOT NULL,
+  registro_id INT UNSIGNED NOT NULL,
+  tipo ENUM('imagem', 'video') NOT NULL,
+  mime VARCHAR(40) NOT NULL,
+  tamanho INT UNSIGNED NOT NULL,
+  sha256 CHAR(64) NOT NULL,
+  chave VARCHAR(255) NOT NULL,
+  chave_miniatura VARCHAR(255) NULL,
+  nome_original VARCHAR(200) NULL,
+  armazenamento VARCHAR(20) NOT NULL DEFAULT 'local',
+  exif_latitude DECIMAL(10, 7) NULL,
+  exif_longitude DECIMAL(10, 7) NULL,
+  exif_data_hora DATETIME NULL,
+  criado_em DATETIME NOT NULL,
+  INDEX idx_an_registro (recurso, registro_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
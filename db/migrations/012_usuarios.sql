@@ -0,0 +1,24 @@
+-- Contas da equipe (login em /auth). Papéis: autor, moderador, seguranca, admin.
+-- senha_hash só para provedor 'local'; ldap/oidc autenticam fora e usam a conta para o papel.
+-- sessao_versao sobe ao desativar / trocar papel ou senha: tokens antigos deixam de valer.
+CREATE TABLE IF NOT EXISTS usuarios (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  login VARCHAR(80) NOT NULL,
+  nome VARCHAR(120) NOT NULL,
+  email VARCHAR(160) NULL,
+  papel ENUM('autor', 'moderador', 'seguranca', 'admin') NOT NULL DEFAULT 'autor',
+  provedor ENUM('local', 'ldap', 'oidc') NOT NULL DEFAULT 'local',
+  senha_hash VARCHAR(200) NULL,
+  ativo TINYINT(1) NOT NULL DEFAULT 1,
+  sessao_versao INT UNSIGNED NOT NULL DEFAULT 1,
+  ultimo_login DATETIME NULL,
+  criado_em DATETIME NOT NULL,
+  atualizado_em DATETIME NULL,
+  UNIQUE KEY uq_usuarios_login (login)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Elogio interno ligado a quem estava logado (antes o "autor" era digitado e descartado)
+ALTER TABLE elogios_internos
+  ADD COLUMN autor_id INT UNSIGNED NULL,
+  ADD COLUMN autor VARCHAR(80) NULL,
+  ADD INDEX idx_ei_autor (autor_id, matricula, data_hora);
@@ -0,0 +1,36 @@
+-- Campanhas de pontuação (src/campanhas.js). Sem campanha vigente valem as regras padrão do código.
+CREATE TABLE IF NOT EXISTS campanhas (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  nome VARCHAR(120) NOT NULL,
+  inicio DATE NOT NULL,
+  fim DATE NULL,
+  ativa TINYINT(1) NOT NULL DEFAULT 1,
+  regra_versao INT UNSIGNED NOT NULL DEFAULT 1,
+  criado_por VARCHAR(80) NULL,
+  criado_em DATETIME NOT NULL,
+  INDEX idx_campanhas_vigencia (ativa, inicio, fim)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Uma linha por versão das regras (JSON). Alterar regras cria versão nova; as antigas ficam.
+CREATE TABLE IF NOT EXISTS campanha_regras (
+  campanha_id INT UNSIGNED NOT NULL,
+  versao INT UNSIGNED NOT NULL,
+  regras TEXT NOT NULL,
+  criado_por VARCHAR(80) NULL,
+  criado_em DATETIME NOT NULL,
+  PRIMARY KEY (campanha_id, versao)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Quem pontuou cada elogio (NULL = regras padrão) e como a conta foi feita
+ALTER TABLE elogios_motoristas
+  ADD COLUMN campanha_id INT UNSIGNED NULL,
+  ADD COLUMN regra_versao INT UNSIGNED NULL,
+  ADD COLUMN pontos_detalhe VARCHAR(255) NULL,
+  ADD INDEX idx_em_campanha (campanha_id, data_hora),
+  ADD INDEX idx_em_avaliador (token_avaliador, data_hora);
+
+ALTER TABLE elogios_internos
+  ADD COLUMN campanha_id INT UNSIGNED NULL,
+  ADD COLUMN regra_versao INT UNSIGNED NULL,
+  ADD COLUMN pontos_detalhe VARCHAR(255) NULL,
+  ADD INDEX idx_ei_campanha (campanha_id, data_hora);
@@ -0,0 +1,20 @@
+-- QR code dos adesivos das carretas (src/qrcodes.js): uma linha por leitura do código
+CREATE TABLE IF NOT EXISTS qr_leituras (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  carreta VARCHAR(10) NOT NULL,
+  destino ENUM('elogio', 'ocorrencia') NOT NULL,
+  ip_hash CHAR(32) NULL,
+  user_agent VARCHAR(500) NULL,
+  data_hora DATETIME NOT NULL,
+  INDEX idx_qr_carreta (carreta, data_hora),
+  INDEX idx_qr_data (data_hora)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Envio que veio de um adesivo (NULL = placa digitada)
+ALTER TABLE elogios_motoristas
+  ADD COLUMN qr_leitura_id INT UNSIGNED NULL,
+  ADD INDEX idx_em_qr (qr_leitura_id);
+
+ALTER TABLE ocorrencias_motoristas
+  ADD COLUMN qr_leitura_id INT UNSIGNED NULL,
+  ADD INDEX idx_oc_qr (qr_leitura_id);
@@ -0,0 +1,38 @@
+-- LGPD (src/lgpd.js): aceite do aviso de privacidade, anonimização por prazo e log de auditoria.
+
+-- Versão do aviso aceito no envio e quando; anonimizado_em = telefone/GPS/user agent já removidos
+ALTER TABLE elogios_motoristas
+  MODIFY telefone VARCHAR(20) NULL,
+  ADD COLUMN consentimento_versao VARCHAR(20) NULL,
+  ADD COLUMN consentimento_em DATETIME NULL,
+  ADD COLUMN anonimizado_em DATETIME NULL,
+  ADD INDEX idx_em_retencao (anonimizado_em, data_hora);
+
+ALTER TABLE ocorrencias_motoristas
+  MODIFY telefone VARCHAR(20) NULL,
+  ADD COLUMN consentimento_versao VARCHAR(20) NULL,
+  ADD COLUMN consentimento_em DATETIME NULL,
+  ADD COLUMN anonimizado_em DATETIME NULL,
+  ADD INDEX idx_om_retencao (anonimizado_em, data_hora);
+
+ALTER TABLE elogios_internos
+  MODIFY telefone VARCHAR(11) NULL,
+  ADD COLUMN anonimizado_em DATETIME NULL,
+  ADD INDEX idx_ei_retencao (anonimizado_em, data_hora);
+
+-- Toda localização/exportação/exclusão por titular e toda rodada de retenção.
+-- O telefone/token não é gravado: só o HMAC (para achar as ações de um titular) e a máscara.
+CREATE TABLE IF NOT EXISTS lgpd_auditoria (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  acao ENUM('localizar', 'exportar', 'apagar', 'retencao') NOT NULL,
+  criterio ENUM('telefone', 'token') NULL,
+  titular_hash CHAR(64) NULL,
+  titular_mascara VARCHAR(40) NULL,
+  detalhe TEXT NULL,
+  usuario_id INT UNSIGNED NULL,
+  usuario VARCHAR(80) NOT NULL,
+  ip_hash CHAR(32) NULL,
+  criado_em DATETIME NOT NULL,
+  INDEX idx_la_titular (titular_hash, criado_em),
+  INDEX idx_la_acao (acao, criado_em)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
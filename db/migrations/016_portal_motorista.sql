@@ -0,0 +1,12 @@
+-- Portal do motorista (src/portal.js): código de acesso de uso único por matrícula
+CREATE TABLE IF NOT EXISTS motorista_acessos (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  matricula VARCHAR(20) NOT NULL,
+  codigo_hash VARCHAR(64) NOT NULL,
+  tentativas TINYINT UNSIGNED NOT NULL DEFAULT 0,
+  expira_em DATETIME NOT NULL,
+  usado_em DATETIME NULL,
+  criado_em DATETIME NOT NULL,
+  INDEX idx_ma_matricula (matricula, expira_em),
+  INDEX idx_ma_criado (criado_em)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,6 @@
+-- Backfill de cidade/estado (src/geocoding.js): registra a última tentativa que falhou.
+-- Coordenada que nunca resolve (mar, fora do Brasil, 4xx do provedor) só volta
+-- depois de GEO_BACKFILL_RETENTAR_HORAS e não trava os registros mais antigos.
+ALTER TABLE elogios_motoristas ADD COLUMN geocoding_falhou_em DATETIME NULL;
+ALTER TABLE elogios_internos ADD COLUMN geocoding_falhou_em DATETIME NULL;
+ALTER TABLE ocorrencias_motoristas ADD COLUMN geocoding_falhou_em DATETIME NULL;
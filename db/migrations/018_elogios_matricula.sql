@@ -0,0 +1,6 @@
+-- Matrícula do motorista da carreta no momento do elogio (src/app.js grava no envio;
+-- envio com o KMM fora recebe na revalidação). Pontos, ranking, portal e exportação
+-- somam por ela: carreta que troca de motorista não leva os elogios antigos junto.
+-- Elogios anteriores a esta migration ficam sem matrícula ("não identificados" no ranking).
+ALTER TABLE elogios_motoristas ADD COLUMN matricula VARCHAR(20) NULL AFTER nome_motorista;
+ALTER TABLE elogios_motoristas ADD INDEX idx_em_matricula (matricula, data_hora);
@@ -0,0 +1,4 @@
+-- Aviso de elogio aprovado ao motorista (src/notificacoes.js): marca a primeira aprovação.
+-- Aprovado -> reprovado -> aprovado de novo não avisa duas vezes.
+ALTER TABLE elogios_motoristas ADD COLUMN notificado_em DATETIME NULL;
+ALTER TABLE elogios_internos ADD COLUMN notificado_em DATETIME NULL;
@@ -0,0 +1,6 @@
+-- Travas dos limites de campanha (src/campanhas.js): uma linha por avaliador e por motorista.
+-- O envio prende as suas com SELECT ... FOR UPDATE e faz carência, limites e INSERT na mesma
+-- transação: dois envios em paralelo não passam juntos pela mesma contagem.
+CREATE TABLE IF NOT EXISTS campanha_travas (
+  chave VARCHAR(120) NOT NULL PRIMARY KEY
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,27 @@
+-- Dados de exemplo para desenvolvimento (npm run seed). Casa com a frota de db/kmm/001_fixture_kmm.sql.
+-- Protocolos EL-/OC-DEMO... para ficar claro que não são envios reais. Rodar de novo não duplica.
+
+INSERT IGNORE INTO elogios_motoristas
+  (nome, nome_motorista, matricula, carreta, telefone, elogio, tipo, pontos, cidade, estado, protocolo, status, moderado_por, moderado_em, data_hora)
+VALUES
+  ('Roberto Alves', 'JOAO DA SILVA', '10101', 'ABC1D23', '11987654321', 'Motorista muito educado, deu passagem na serra.', 'Externo', 1, 'Campinas', 'São Paulo', 'EL-DEMO22222A', 'aprovado', 'seed', NOW(), NOW() - INTERVAL 3 DAY),
+  ('Fernanda Rocha', 'MARIA APARECIDA SOUZA', '10202', 'BRA2E19', '31991234567', 'Parou para ajudar num pneu furado.', 'Externo', 1, 'Belo Horizonte', 'Minas Gerais', 'EL-DEMO22222B', 'aprovado', 'seed', NOW(), NOW() - INTERVAL 10 DAY),
+  ('Luiz Mendes', 'ANA LUCIA FERREIRA', '10404', 'GHI7890', '41999887766', 'Direção tranquila no trânsito pesado.', 'Externo', 1, 'Curitiba', 'Paraná', 'EL-DEMO22222C', 'pendente', NULL, NULL, NOW() - INTERVAL 1 DAY);
+
+INSERT INTO elogios_internos
+  (matricula, elogio, motorista, telefone, cidade, estado, data_hora, tipo, pontos, status, moderado_por, moderado_em, autor)
+SELECT * FROM (
+  SELECT '10101' AS matricula, 'Checklist sempre completo e entregas no prazo.' AS elogio, 'JOAO DA SILVA' AS motorista, '11912345678' AS telefone,
+         'Campinas' AS cidade, 'São Paulo' AS estado, NOW() - INTERVAL 5 DAY AS data_hora, 'Interno' AS tipo, 2 AS pontos,
+         'aprovado' AS status, 'seed' AS moderado_por, NOW() AS moderado_em, 'seed' AS autor
+  UNION ALL
+  SELECT '10303', 'Ajudou no treinamento dos novos motoristas.', 'CARLOS PEREIRA', '11912345678',
+         'Jundiaí', 'São Paulo', NOW() - INTERVAL 2 DAY, 'Interno', 2, 'aprovado', 'seed', NOW(), 'seed'
+) AS v
+WHERE NOT EXISTS (SELECT 1 FROM elogios_internos WHERE autor = 'seed');
+
+INSERT IGNORE INTO ocorrencias_motoristas
+  (nome, carreta, telefone, tipo_ocorrencia, tipo_id, severidade, descricao, cidade, estado, protocolo, status, data_hora)
+SELECT 'Paulo Nunes', 'ABC1D23', '19988776655', t.nome, t.id, t.severidade,
+       'Ultrapassagem em faixa contínua na SP-348.', 'Jundiaí', 'São Paulo', 'OC-DEMO22222A', 'pendente', NOW() - INTERVAL 1 DAY
+FROM ocorrencia_tipos t WHERE t.codigo = 'ultrapassagem';
@@ -1,29 +1,38 @@
 (function () {
   const TOKEN_KEY = 'avaliador_token';
 
-  function uuidV4Fallback() {
-    const bytes = new Uint8Array(16);
-
-    if (window.crypto?.getRandomValues) {
-      crypto.getRandomValues(bytes);
-    } else {
-      for (let i = 0; i < 16; i++) bytes[i] = Math.floor(Math.random() * 256);
-    }
-
-    bytes[6] = (bytes[6] & 0x0f) | 0x40;
-    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  // Token emitido e assinado pelo servidor: v1.<id>.<emitido_em>.<assinatura>
+  function tokenAssinado(token) {
+    return /^v1\.[0-9a-f-]{36}\.\d+\.[A-Za-z0-9_-]+$/.test(String(token || ''));
+  }
 
-    const hex = [...bytes].map(b => b.toString(16).padStart(2, '0'));
-    return `${hex.slice(0,4).join('')}-${hex.slice(4,6).join('')}-${hex.slice(6,8).join('')}-${hex.slice(8,10).join('')}-${hex.slice(10,16).join('')}`;
+  async function buscarTokenServidor() {
+    const resp = await fetch('/avaliador/token', { method: 'POST' });
+    const data = await resp.json();
+    if (!resp.ok || !data.token) throw new Error(data.mensagem || 'Falha ao obter token do avaliador');
+    return data.token;
   }
 
-  function getOrCreateToken() {
+  // Retorna o token salvo ou pede um novo ao servidor.
+  // Sem conexão retorna null (a fila de envios busca depois).
+  async function getOrCreateToken() {
     let token = localStorage.getItem(TOKEN_KEY);
-    if (!token) {
-      token = (window.crypto?.randomUUID?.() || uuidV4Fallback());
+    if (tokenAssinado(token)) return token;
+
+    try {
+      token = await buscarTokenServidor();
       localStorage.setItem(TOKEN_KEY, token);
+      return token;
+    } catch (err) {
+      console.warn('⚠ Token do avaliador indisponível:', err.message);
+      return null;
     }
-    return token;
+  }
+
+  // servidor recusou o token (ex.: troca de segredo): descarta e pede outro
+  async function renovarToken() {
+    localStorage.removeItem(TOKEN_KEY);
+    return getOrCreateToken();
   }
 
   function normalizaCarreta(valor) {
@@ -36,11 +45,9 @@
   // expõe para usar no HTML e para testar no console
   window.Avaliador = {
     getToken: getOrCreateToken,
+    renovarToken,
     normalizaCarreta
   };
 
-  document.addEventListener('DOMContentLoaded', () => {
-    const t = getOrCreateToken();
-    console.log('✅ avaliador_token criado/ok:', t);
-  });
+  document.addEventListener('DOMContentLoaded', () => { getOrCreateToken(); });
 })();
@@ -0,0 +1,37 @@
+/* ============================
+   PLACA VINDA DO ADESIVO (QR code)
+   /q/... redireciona para elogio.html / ocorrencia.html com ?carreta=PLACA&qr=<leitura>.
+   A placa entra travada no #carreta (sem autocomplete) e o envio leva `qr_leitura`
+   para o servidor contar leitura -> envio daquela carreta.
+============================ */
+(function () {
+  const t = (texto, valores) => (window.I18n ? I18n.t(texto, valores) : texto);
+  const params = new URLSearchParams(window.location.search);
+  const carreta = String(params.get('carreta') || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const leitura = /^\d+$/.test(params.get('qr') || '') ? params.get('qr') : null;
+
+  function travar() {
+    const $carreta = document.getElementById('carreta');
+    if (!$carreta || !carreta) return;
+
+    $carreta.value = carreta;
+    $carreta.readOnly = true;
+    $carreta.setAttribute('aria-readonly', 'true');
+    $carreta.removeAttribute('list');
+    $carreta.classList.add('carreta-travada');
+
+    const dica = document.createElement('p');
+    dica.id = 'carreta-qr-dica';
+    dica.className = 'carreta-qr-dica';
+    dica.textContent = t('Placa lida do adesivo da carreta.');
+    $carreta.insertAdjacentElement('afterend', dica);
+    $carreta.setAttribute('aria-describedby', [$carreta.getAttribute('aria-describedby'), dica.id].filter(Boolean).join(' '));
+  }
+
+  document.addEventListener('DOMContentLoaded', travar);
+
+  window.CarretaQr = {
+    // id da leitura (só quando a página veio do adesivo)
+    leitura: () => (carreta ? leitura : null)
+  };
+})();
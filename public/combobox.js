@@ -0,0 +1,140 @@
+/* ============================
+   AUTOCOMPLETE ACESSÍVEL (combobox ARIA)
+   Substitui o <datalist>, que leitor de tela e teclado de celular tratam mal.
+   Combobox.ligar(input, {
+     buscar: async texto => [{ valor, rotulo }],  // rotulo é opcional
+     minimo: 2,                                   // caracteres antes de buscar
+     aoEscolher: opcao => {}                      // opcional
+   })
+   Teclado: ↓/↑ percorrem, Enter escolhe, Esc fecha. O total de sugestões
+   é anunciado numa região aria-live.
+============================ */
+(function () {
+  const t = (texto, valores) => (window.I18n ? I18n.t(texto, valores) : texto);
+
+  function ligar(input, { buscar, minimo = 2, espera = 200, aoEscolher } = {}) {
+    const lista = document.createElement('ul');
+    lista.id = `${input.id}-opcoes`;
+    lista.className = 'combobox-opcoes';
+    lista.setAttribute('role', 'listbox');
+    lista.setAttribute('aria-label', t('Sugestões'));
+    lista.hidden = true;
+
+    const anuncio = document.createElement('p');
+    anuncio.className = 'sr-only';
+    anuncio.setAttribute('aria-live', 'polite');
+
+    const caixa = document.createElement('div');
+    caixa.className = 'combobox';
+    input.insertAdjacentElement('beforebegin', caixa);
+    caixa.append(input, lista, anuncio);
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('aria-controls', lista.id);
+    input.setAttribute('autocomplete', 'off');
+
+    let opcoes = [];
+    let ativa = -1;
+    let timer = null;
+    let consulta = 0;
+
+    function fechar() {
+      lista.hidden = true;
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+      ativa = -1;
+    }
+
+    function marcar(i) {
+      ativa = i;
+      lista.querySelectorAll('[role="option"]').forEach((li, j) => li.setAttribute('aria-selected', String(j === i)));
+      if (i < 0) return input.removeAttribute('aria-activedescendant');
+      const li = document.getElementById(`${lista.id}-${i}`);
+      input.setAttribute('aria-activedescendant', li.id);
+      li.scrollIntoView({ block: 'nearest' });
+    }
+
+    function escolher(i) {
+      const opcao = opcoes[i];
+      if (!opcao) return;
+      input.value = opcao.valor;
+      fechar();
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+      aoEscolher?.(opcao);
+    }
+
+    function mostrar(novas) {
+      opcoes = novas;
+      lista.replaceChildren(...opcoes.map((o, i) => {
+        const li = document.createElement('li');
+        li.id = `${lista.id}-${i}`;
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-selected', 'false');
+        li.textContent = o.rotulo || o.valor;
+        // mousedown: escolhe antes do blur do campo fechar a lista
+        li.addEventListener('mousedown', e => {
+          e.preventDefault();
+          escolher(i);
+        });
+        return li;
+      }));
+
+      anuncio.textContent = opcoes.length ? t('{n} sugestão(ões). Use as setas para escolher.', { n: opcoes.length }) : '';
+      if (!opcoes.length) return fechar();
+      lista.hidden = false;
+      input.setAttribute('aria-expanded', 'true');
+      marcar(-1);
+    }
+
+    input.addEventListener('input', e => {
+      // a escolha dispara `input` também: não reabre a lista
+      if (!e.isTrusted) return;
+      clearTimeout(timer);
+      const texto = input.value.trim();
+      if (texto.length < minimo) {
+        mostrar([]);
+        return;
+      }
+
+      timer = setTimeout(async () => {
+        const minha = ++consulta;
+        try {
+          const novas = await buscar(texto);
+          if (minha === consulta) mostrar(Array.isArray(novas) ? novas : []);
+        } catch (err) {
+          // sem sugestão o campo continua aceitando o que for digitado
+          console.warn('⚠ Autocomplete falhou:', err.message);
+        }
+      }, espera);
+    });
+
+    input.addEventListener('keydown', e => {
+      const aberta = !lista.hidden;
+      if (e.key === 'ArrowDown' && opcoes.length) {
+        e.preventDefault();
+        if (!aberta) {
+          lista.hidden = false;
+          input.setAttribute('aria-expanded', 'true');
+        }
+        marcar(ativa + 1 >= opcoes.length ? 0 : ativa + 1);
+      } else if (e.key === 'ArrowUp' && aberta) {
+        e.preventDefault();
+        marcar(ativa <= 0 ? opcoes.length - 1 : ativa - 1);
+      } else if (e.key === 'Enter' && aberta && ativa >= 0) {
+        e.preventDefault();
+        escolher(ativa);
+      } else if (e.key === 'Escape' && aberta) {
+        e.preventDefault();
+        fechar();
+      }
+    });
+
+    input.addEventListener('blur', fechar);
+
+    return { fechar };
+  }
+
+  window.Combobox = { ligar };
+})();
@@ -0,0 +1,210 @@
+/* ============================
+   DASHBOARD (API /admin e /analise, sem build)
+   Login pela sessão da equipe (/sessao-equipe.js); os filtros viram a
+   querystring de todas as chamadas, iguais aos de /pontos.
+   401 encerra a sessão; 403 avisa que o papel não tem acesso.
+============================ */
+(function () {
+  const $ = id => document.getElementById(id);
+  const form = $('filtros');
+  const $status = $('painelStatus');
+  const numero = n => Number(n || 0).toLocaleString('pt-BR');
+
+  class ErroApi extends Error {
+    constructor(status, mensagem) {
+      super(mensagem);
+      this.status = status;
+    }
+  }
+
+  async function api(caminho, query) {
+    const resp = await fetch(`${caminho}?${query}`, {
+      headers: { Authorization: `Bearer ${SessaoEquipe.token()}` }
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new ErroApi(resp.status, data.mensagem || `Erro ${resp.status}`);
+    return data;
+  }
+
+  // só os campos do período escolhido vão na querystring
+  function querystring() {
+    const dados = new FormData(form);
+    const periodo = dados.get('periodo');
+    const q = new URLSearchParams();
+    if (periodo !== 'personalizado') q.set('periodo', periodo);
+    form.querySelectorAll('[data-periodo] input').forEach(input => {
+      const label = input.closest('[data-periodo]');
+      if (label.dataset.periodo.split(' ').includes(periodo) && input.value) q.set(input.name, input.value);
+    });
+    for (const nome of ['uf', 'tipo']) if (dados.get(nome)) q.set(nome, dados.get(nome).trim());
+    return q.toString();
+  }
+
+  function mostrarCamposDoPeriodo() {
+    const periodo = form.elements.periodo.value;
+    form.querySelectorAll('[data-periodo]').forEach(label => {
+      label.hidden = !label.dataset.periodo.split(' ').includes(periodo);
+    });
+  }
+
+  // colunas: [[titulo, linha => valor, 'num'?]]
+  function tabela(el, colunas, linhas, vazio = 'Nada no período.') {
+    const thead = document.createElement('thead');
+    const tr = document.createElement('tr');
+    for (const [titulo] of colunas) {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = titulo;
+      tr.appendChild(th);
+    }
+    thead.appendChild(tr);
+
+    const tbody = document.createElement('tbody');
+    for (const linha of linhas) {
+      const tr = document.createElement('tr');
+      for (const [, valor, tipo] of colunas) {
+        const td = document.createElement('td');
+        const v = valor(linha);
+        td.textContent = tipo === 'num' ? numero(v) : (v ?? '—');
+        if (tipo === 'num') td.className = 'num';
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+    }
+    if (!linhas.length) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = colunas.length;
+      td.textContent = vazio;
+      tr.appendChild(td);
+      tbody.appendChild(tr);
+    }
+    el.replaceChildren(thead, tbody);
+  }
+
+  function resumo({ elogios, ocorrencias, pendentes_moderacao: p }) {
+    const itens = [
+      ['Elogios', elogios.total],
+      ['Externos / internos', `${numero(elogios.externos)} / ${numero(elogios.internos)}`],
+      ['Pontos', elogios.pontos],
+      ['Ocorrências', ocorrencias.total],
+      ['Graves (alta/crítica)', ocorrencias.graves],
+      ['Casos abertos', ocorrencias.casos_abertos],
+      ['Pendentes de moderação', p.elogios + p.elogios_internos + p.ocorrencias]
+    ];
+    $('resumo').replaceChildren(...itens.flatMap(([rotulo, valor]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = rotulo;
+      const dd = document.createElement('dd');
+      dd.textContent = typeof valor === 'number' ? numero(valor) : valor;
+      return [dt, dd];
+    }));
+  }
+
+  // barras em CSS: largura proporcional ao dia com mais elogios
+  function porDia(dias) {
+    const max = Math.max(1, ...dias.map(d => d.total));
+    $('porDia').replaceChildren(...dias.map(d => {
+      const linha = document.createElement('div');
+      linha.className = 'painel-barra';
+      const rotulo = document.createElement('span');
+      rotulo.textContent = d.dia.slice(5).split('-').reverse().join('/');
+      const barra = document.createElement('span');
+      barra.className = 'painel-barra-valor';
+      barra.style.width = `${(d.total / max) * 100}%`;
+      const total = document.createElement('span');
+      total.textContent = numero(d.total);
+      linha.append(rotulo, barra, total);
+      return linha;
+    }));
+    if (!dias.length) $('porDia').textContent = 'Nada no período.';
+  }
+
+  async function carregar() {
+    const q = querystring();
+    $status.textContent = 'Carregando…';
+    try {
+      const [r, dias, top, ufs, carretas, tipos] = await Promise.all([
+        api('/admin/resumo', q),
+        api('/admin/elogios/por-dia', q),
+        api('/admin/motoristas/top', q),
+        api('/admin/elogios/por-uf', q),
+        api('/admin/elogios/por-carreta', q),
+        api('/admin/ocorrencias/por-tipo', q)
+      ]);
+
+      resumo(r.resumo);
+      porDia(dias.dias);
+      tabela($('topMotoristas'), [
+        ['Matrícula', m => m.matricula],
+        ['Motorista', m => m.motorista],
+        ['Elogios', m => m.elogios, 'num'],
+        ['Pontos', m => m.pontos, 'num']
+      ], top.motoristas);
+      tabela($('porUF'), [
+        ['UF', u => u.uf || 'Não informada'],
+        ['Externos', u => u.externos, 'num'],
+        ['Internos', u => u.internos, 'num'],
+        ['Pontos', u => u.pontos, 'num']
+      ], ufs.ufs);
+      tabela($('porCarreta'), [
+        ['Carreta', c => c.carreta],
+        ['Motorista informado', c => c.motorista],
+        ['Elogios', c => c.total, 'num'],
+        ['Último', c => c.ultimo]
+      ], carretas.carretas);
+      tabela($('porTipo'), [
+        ['Tipo', t => t.tipo],
+        ['Severidade', t => t.severidade],
+        ['Total', t => t.total, 'num']
+      ], tipos.tipos);
+
+      $('painel').hidden = false;
+      $status.textContent = '';
+    } catch (err) {
+      if (err.status === 401) SessaoEquipe.expirou();
+      $status.textContent = err.status === 403 ? 'Seu papel não tem acesso ao dashboard.' : err.message;
+      return;
+    }
+
+    // hotspots (/analise) não usam o filtro Externo/Interno; falha aqui não apaga o resto
+    try {
+      const h = await api('/analise/hotspots', q);
+      tabela($('hotspots'), [
+        ['Local', x => [x.cidade, x.estado].filter(Boolean).join(' / ') || `${x.centro.lat}, ${x.centro.lng}`],
+        ['Tipo principal', x => x.tipo_principal],
+        ['Ocorrências', x => x.total, 'num'],
+        ['Carretas', x => x.carretas, 'num'],
+        ['De', x => x.inicio],
+        ['Até', x => x.fim]
+      ], h.hotspots, 'Nenhum hotspot no período.');
+    } catch (err) {
+      tabela($('hotspots'), [['Hotspots', () => null]], [], err.message);
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const agora = new Date();
+    form.elements.ano.value = agora.getFullYear();
+    form.elements.mes.value = agora.getMonth() + 1;
+    form.elements.trimestre.value = Math.floor(agora.getMonth() / 3) + 1;
+    mostrarCamposDoPeriodo();
+    if (!SessaoEquipe.token()) $status.textContent = 'Entre com sua conta da equipe para ver o dashboard.';
+
+    form.elements.periodo.addEventListener('change', mostrarCamposDoPeriodo);
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      carregar();
+    });
+  });
+
+  document.addEventListener('sessao:entrou', () => {
+    form.hidden = false;
+    carregar();
+  });
+  document.addEventListener('sessao:saiu', () => {
+    form.hidden = true;
+    $('painel').hidden = true;
+    $status.textContent = 'Entre com sua conta da equipe para ver o dashboard.';
+  });
+})();
@@ -0,0 +1,117 @@
+/* ============================
+   ERROS POR CAMPO (400 codigo 'validacao')
+   O servidor manda `campos: [{ campo, codigo, mensagem }]`; aqui cada campo
+   do formulário ganha aria-invalid + a mensagem logo abaixo, e o 1º recebe foco.
+   O campo é achado pelo name (ex.: textarea#mensagem name="elogio") ou pelo id.
+   No topo do formulário fica o resumo (role="alert") com link para cada campo;
+   o mesmo quadro serve de aviso() para os erros gerais, no lugar do alert().
+============================ */
+(function () {
+  const t = (texto, valores) => (window.I18n ? I18n.t(texto, valores) : texto);
+
+  function quadro(form) {
+    let box = form.querySelector('.form-aviso');
+    if (!box) {
+      box = document.createElement('div');
+      box.className = 'form-aviso';
+      box.setAttribute('role', 'alert');
+      box.tabIndex = -1;
+      box.hidden = true;
+      form.prepend(box);
+    }
+    return box;
+  }
+
+  // tira o id do erro do aria-describedby sem perder a dica do campo
+  function desligar(el) {
+    const id = el.getAttribute('aria-errormessage');
+    el.removeAttribute('aria-invalid');
+    el.removeAttribute('aria-errormessage');
+    const resto = (el.getAttribute('aria-describedby') || '').split(' ').filter(x => x && x !== id);
+    if (resto.length) el.setAttribute('aria-describedby', resto.join(' '));
+    else el.removeAttribute('aria-describedby');
+  }
+
+  function limpar(form) {
+    if (!form) return;
+    form.querySelectorAll('.erro-campo').forEach(el => el.remove());
+    form.querySelectorAll('[aria-invalid="true"]').forEach(desligar);
+    const box = form.querySelector('.form-aviso');
+    if (box) {
+      box.hidden = true;
+      box.replaceChildren();
+    }
+  }
+
+  function elementoDo(form, campo) {
+    return form.querySelector(`[name="${campo}"]`) || document.getElementById(campo);
+  }
+
+  // Erro geral do envio (ou sucesso que não sai da página), lido pelo leitor de tela
+  function aviso(form, mensagem, { tipo = 'erro' } = {}) {
+    if (!form) return;
+    const box = quadro(form);
+    const p = document.createElement('p');
+    p.textContent = mensagem;
+    box.replaceChildren(p);
+    box.dataset.tipo = tipo;
+    box.hidden = false;
+    box.focus();
+  }
+
+  // Retorna true se marcou algum campo visível (aí o aviso genérico é dispensável)
+  function marcar(form, campos) {
+    if (!form) return false;
+    limpar(form);
+    if (!Array.isArray(campos) || !campos.length) return false;
+
+    const itens = [];
+    let primeiro = null;
+    for (const c of campos) {
+      const el = elementoDo(form, c.campo);
+      if (!el || el.type === 'hidden') continue;
+
+      const msg = document.createElement('p');
+      msg.id = `erro-${c.campo}`;
+      msg.className = 'erro-campo';
+      msg.textContent = c.mensagem;
+      el.insertAdjacentElement('afterend', msg);
+
+      el.setAttribute('aria-invalid', 'true');
+      el.setAttribute('aria-errormessage', msg.id);
+      el.setAttribute('aria-describedby', [el.getAttribute('aria-describedby'), msg.id].filter(Boolean).join(' '));
+      el.addEventListener('input', () => {
+        desligar(el);
+        msg.remove();
+      }, { once: true });
+
+      const li = document.createElement('li');
+      const a = document.createElement('a');
+      a.href = `#${el.id}`;
+      a.textContent = c.mensagem;
+      a.addEventListener('click', e => {
+        e.preventDefault();
+        el.focus();
+      });
+      li.appendChild(a);
+      itens.push(li);
+
+      primeiro = primeiro || el;
+    }
+    if (!primeiro) return false;
+
+    const box = quadro(form);
+    const titulo = document.createElement('p');
+    titulo.textContent = t('Confira {n} campo(s) destacado(s):', { n: itens.length });
+    const ul = document.createElement('ul');
+    ul.append(...itens);
+    box.replaceChildren(titulo, ul);
+    box.dataset.tipo = 'erro';
+    box.hidden = false;
+
+    primeiro.focus();
+    return true;
+  }
+
+  window.ErrosCampos = { marcar, limpar, aviso };
+})();
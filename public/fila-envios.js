@@ -0,0 +1,226 @@
+/* ============================
+   FILA DE ENVIOS OFFLINE (IndexedDB)
+   Usado pelas páginas (pwa.js) e pelo service worker (sw.js).
+   Cada envio tem um id que vai no header Idempotency-Key:
+   repetir o mesmo envio nunca grava duas vezes no servidor.
+============================ */
+(function (global) {
+  const DB_NAME = 'elogios-offline';
+  const STORE = 'envios';
+  const CANAL = 'fila-envios';
+  const EXPIRA_FINALIZADOS_MS = 7 * 24 * 60 * 60 * 1000;
+
+  let dbPromise = null;
+  let processando = null;
+
+  function abrirDB() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return dbPromise;
+  }
+
+  async function tx(modo, fn) {
+    const db = await abrirDB();
+    return new Promise((resolve, reject) => {
+      const t = db.transaction(STORE, modo);
+      const store = t.objectStore(STORE);
+      const req = fn(store);
+      t.oncomplete = () => resolve(req ? req.result : undefined);
+      t.onerror = () => reject(t.error);
+    });
+  }
+
+  function avisarMudanca() {
+    if (typeof BroadcastChannel === 'undefined') return;
+    const bc = new BroadcastChannel(CANAL);
+    bc.postMessage({ tipo: 'mudou' });
+    bc.close();
+  }
+
+  function novoId() {
+    if (global.crypto?.randomUUID) return global.crypto.randomUUID();
+    const bytes = new Uint8Array(16);
+    global.crypto.getRandomValues(bytes);
+    return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function salvar(item) {
+    item.atualizado_em = Date.now();
+    await tx('readwrite', store => store.put(item));
+    avisarMudanca();
+    return item;
+  }
+
+  // { url, body, token, exigeToken, arquivos } -> item 'pendente' (GPS e avaliador_token já vão juntos)
+  // arquivos (File/Blob) também ficam no IndexedDB até o envio dar certo
+  async function adicionar({ url, body, token, exigeToken = false, arquivos = [] }) {
+    return salvar({
+      id: novoId(),
+      url,
+      body,
+      arquivos: Array.from(arquivos),
+      token: token || null,
+      exigeToken,
+      estado: 'pendente',
+      tentativas: 0,
+      resultado: null,
+      criado_em: Date.now()
+    });
+  }
+
+  async function listar() {
+    const itens = (await tx('readonly', store => store.getAll())) || [];
+    return itens.sort((a, b) => a.criado_em - b.criado_em);
+  }
+
+  async function remover(id) {
+    await tx('readwrite', store => store.delete(id));
+    avisarMudanca();
+  }
+
+  async function buscarToken() {
+    const resp = await fetch('/avaliador/token', { method: 'POST' });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok || !data.token) throw new Error(data.mensagem || 'Falha ao obter token');
+    return data.token;
+  }
+
+  function bitsZeroIniciais(bytes) {
+    let bits = 0;
+    for (const b of bytes) {
+      if (b === 0) { bits += 8; continue; }
+      bits += Math.clz32(b) - 24;
+      break;
+    }
+    return bits;
+  }
+
+  // Desafio do servidor (428): acha nonce com sha256(salt:nonce) começando com N bits zero
+  async function resolverDesafio(desafio) {
+    const enc = new TextEncoder();
+    for (let nonce = 0; ; nonce++) {
+      const hash = new Uint8Array(await global.crypto.subtle.digest('SHA-256', enc.encode(`${desafio.salt}:${nonce}`)));
+      if (bitsZeroIniciais(hash) >= desafio.bits) return String(nonce);
+    }
+  }
+
+  function montarFormData(item) {
+    const fd = new FormData();
+    for (const [campo, valor] of Object.entries(item.body || {})) {
+      if (valor !== null && valor !== undefined) fd.append(campo, valor);
+    }
+    for (const arquivo of item.arquivos) fd.append('anexos', arquivo, arquivo.name);
+    return fd;
+  }
+
+  // Tenta um envio. Sem rede, 5xx, limite, "ainda processando" ou aviso de privacidade novo => continua pendente.
+  // Token recusado e desafio são resolvidos aqui mesmo (uma vez por tentativa).
+  async function enviar(item, extras = {}) {
+    if (!item.token && item.exigeToken) {
+      try {
+        item.token = await buscarToken();
+      } catch (err) {
+        await salvar(item);
+        return { estado: 'pendente', rede: false, item };
+      }
+    }
+
+    // com anexos vai multipart (o navegador monta o Content-Type com o boundary)
+    const comArquivos = item.arquivos?.length > 0;
+    const headers = { 'Idempotency-Key': item.id };
+    if (!comArquivos) headers['Content-Type'] = 'application/json';
+    if (item.token) headers['x-avaliador-token'] = item.token;
+    if (extras.desafio) {
+      headers['x-desafio-id'] = extras.desafio.id;
+      headers['x-desafio-nonce'] = extras.desafio.nonce;
+    }
+
+    if (!extras.repeticao) item.tentativas += 1;
+
+    let response;
+    let result = {};
+    try {
+      response = await fetch(item.url, { method: 'POST', headers, body: comArquivos ? montarFormData(item) : JSON.stringify(item.body) });
+      result = await response.json().catch(() => ({}));
+    } catch (err) {
+      await salvar(item);
+      return { estado: 'pendente', rede: false, item };
+    }
+
+    if (!extras.repeticao && result.status === 'token_invalido') {
+      item.token = null;
+      item.exigeToken = true;
+      return enviar(item, { repeticao: true });
+    }
+
+    if (!extras.repeticao && response.status === 428 && result.desafio) {
+      const nonce = await resolverDesafio(result.desafio);
+      return enviar(item, { repeticao: true, desafio: { id: result.desafio.id, nonce } });
+    }
+
+    // aviso de privacidade mudou desde o aceite: continua pendente, mas só volta a enviar
+    // depois que a pessoa aceitar a versão atual (aceitarAviso)
+    if (response.status === 409 && result.codigo === 'aviso_desatualizado') {
+      item.aguardaAviso = result.versao_atual;
+      item.resultado = { mensagem: result.mensagem || null };
+      await salvar(item);
+      return { estado: 'pendente', rede: true, aviso: true, item, response, result };
+    }
+
+    const tentarDeNovo = response.status >= 500 || result.status === 'processando' || response.status === 429;
+    if (tentarDeNovo) {
+      item.resultado = { mensagem: result.mensagem || null };
+      await salvar(item);
+      return { estado: 'pendente', rede: true, item, response, result };
+    }
+
+    item.estado = response.ok ? 'enviado' : 'recusado';
+    item.resultado = { mensagem: result.mensagem || null, protocolo: result.protocolo || null };
+    await salvar(item);
+    return { estado: item.estado, rede: true, item, response, result };
+  }
+
+  // Reenvia tudo que está pendente (uma execução por vez neste contexto)
+  function processar() {
+    if (processando) return processando;
+
+    processando = (async () => {
+      const agora = Date.now();
+      for (const item of await listar()) {
+        if (item.estado === 'pendente') {
+          if (item.aguardaAviso) continue; // espera o aceite do aviso atual (não expira)
+          const r = await enviar(item);
+          if (!r.rede) break; // sem conexão: para por aqui
+        } else if (agora - item.atualizado_em > EXPIRA_FINALIZADOS_MS) {
+          await remover(item.id);
+        }
+      }
+    })().finally(() => { processando = null; });
+
+    return processando;
+  }
+
+  // Aceite da versão atual do aviso para um envio parado em aguardaAviso; volta para a fila
+  async function aceitarAviso(id) {
+    const item = (await listar()).find(i => i.id === id);
+    if (!item?.aguardaAviso) return null;
+    item.body = { ...item.body, consentimento: '1', consentimento_versao: item.aguardaAviso };
+    delete item.aguardaAviso;
+    item.resultado = null;
+    return salvar(item);
+  }
+
+  function onMudanca(cb) {
+    if (typeof BroadcastChannel === 'undefined') return;
+    new BroadcastChannel(CANAL).onmessage = () => cb();
+  }
+
+  global.FilaEnvios = { adicionar, listar, remover, enviar, processar, aceitarAviso, onMudanca };
+})(self);
@@ -0,0 +1,115 @@
+/* ============================
+   IDIOMAS DAS PÁGINAS (pt-BR, es, en)
+   O texto em português fica no HTML e é a chave de /idiomas/<idioma>.json.
+   - data-i18n: troca o texto do elemento
+   - data-i18n-attr="placeholder,title,aria-label": troca esses atributos
+   - I18n.t('Frase com {n}', { n: 2 }) para o texto montado no JS
+   A escolha (?lang= > escolha salva > idioma do navegador) vai também no
+   cookie `idioma`, assim as mensagens do servidor (e os envios da fila
+   offline) voltam no mesmo idioma da página.
+   Carregar no <head>, antes dos outros scripts da página.
+============================ */
+(function () {
+  const IDIOMAS = ['pt-BR', 'es', 'en'];
+  const NOMES = { 'pt-BR': 'Português', es: 'Español', en: 'English' };
+  const STORAGE_KEY = 'idioma';
+  const ATRIBUTOS = ['placeholder', 'title', 'aria-label', 'alt'];
+
+  function normalizar(valor) {
+    const v = String(valor || '').trim().toLowerCase();
+    if (!v) return null;
+    if (v.startsWith('pt')) return 'pt-BR';
+    const base = v.split(/[-_]/)[0];
+    return IDIOMAS.includes(base) ? base : null;
+  }
+
+  function escolher() {
+    const daUrl = normalizar(new URLSearchParams(location.search).get('lang'));
+    if (daUrl) {
+      localStorage.setItem(STORAGE_KEY, daUrl);
+      return daUrl;
+    }
+    return normalizar(localStorage.getItem(STORAGE_KEY)) ||
+      (navigator.languages || [navigator.language]).map(normalizar).find(Boolean) ||
+      'pt-BR';
+  }
+
+  const idioma = escolher();
+  document.cookie = `idioma=${idioma}; path=/; max-age=${60 * 60 * 24 * 365}; SameSite=Lax`;
+  document.documentElement.lang = idioma;
+
+  let catalogo = {};
+
+  function t(texto, valores) {
+    const traduzido = Object.prototype.hasOwnProperty.call(catalogo, texto) ? catalogo[texto] : texto;
+    if (!valores) return traduzido;
+    return traduzido.replace(/\{(\w+)\}/g, (m, nome) => (nome in valores ? valores[nome] : m));
+  }
+
+  // guarda o original em data-i18n / data-i18n-<atributo>: dá para rodar de novo no mesmo trecho
+  function traduzir(raiz = document) {
+    if (idioma === 'pt-BR') return;
+
+    raiz.querySelectorAll('[data-i18n]').forEach(el => {
+      if (!el.dataset.i18n) el.dataset.i18n = el.textContent.trim().replace(/\s+/g, ' ');
+      el.textContent = t(el.dataset.i18n);
+    });
+
+    raiz.querySelectorAll('[data-i18n-attr]').forEach(el => {
+      for (const attr of el.dataset.i18nAttr.split(',').map(a => a.trim()).filter(a => ATRIBUTOS.includes(a))) {
+        const chave = `i18n${attr.replace(/(^|-)(\w)/g, (m, h, l) => l.toUpperCase())}`;
+        if (!el.dataset[chave]) el.dataset[chave] = el.getAttribute(attr) || '';
+        el.setAttribute(attr, t(el.dataset[chave]));
+      }
+    });
+  }
+
+  function trocar(novo) {
+    localStorage.setItem(STORAGE_KEY, novo);
+    document.cookie = `idioma=${novo}; path=/; max-age=${60 * 60 * 24 * 365}; SameSite=Lax`;
+
+    // tira o ?lang= para a escolha nova valer
+    const url = new URL(location.href);
+    url.searchParams.delete('lang');
+    location.replace(url.toString());
+  }
+
+  // <div data-i18n-seletor></div> vira o seletor de idioma
+  function montarSeletores() {
+    document.querySelectorAll('[data-i18n-seletor]').forEach(box => {
+      const select = document.createElement('select');
+      select.className = 'seletor-idioma';
+      select.setAttribute('aria-label', 'Idioma / Language');
+      for (const i of IDIOMAS) {
+        const op = document.createElement('option');
+        op.value = i;
+        op.lang = i;
+        op.textContent = NOMES[i];
+        op.selected = i === idioma;
+        select.appendChild(op);
+      }
+      select.addEventListener('change', () => trocar(select.value));
+      box.replaceChildren(select);
+    });
+  }
+
+  const carregado = idioma === 'pt-BR'
+    ? Promise.resolve()
+    : fetch(`/idiomas/${idioma}.json`)
+      .then(r => (r.ok ? r.json() : {}))
+      .then(c => { catalogo = c || {}; })
+      .catch(err => console.warn('⚠ Catálogo de idioma indisponível:', err.message));
+
+  const domPronto = new Promise(resolve => {
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', resolve, { once: true });
+    else resolve();
+  });
+
+  // resolvido com a página já traduzida: scripts que montam texto esperam por ele
+  const pronto = Promise.all([carregado, domPronto]).then(() => {
+    montarSeletores();
+    traduzir();
+  });
+
+  window.I18n = { idioma, t, traduzir, pronto };
+})();
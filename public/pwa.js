@@ -0,0 +1,138 @@
+/* ============================
+   PWA + FILA DE ENVIOS (páginas públicas)
+   Depende de /fila-envios.js carregado antes.
+============================ */
+(function () {
+  const RETENTATIVA_MS = 60 * 1000;
+  const t = (texto, valores) => (window.I18n ? I18n.t(texto, valores) : texto);
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(err => {
+      console.warn('⚠ Service worker não registrado:', err.message);
+    });
+  }
+
+  function agendarSync() {
+    navigator.serviceWorker?.ready
+      .then(reg => reg.sync?.register('fila-envios'))
+      .catch(() => {});
+  }
+
+  // ---------- Painel de envios guardados no aparelho ----------
+  function textoItem(item) {
+    const tipo = t(item.url === '/ocorrencia' ? 'Ocorrência' : 'Elogio');
+    const quando = new Date(item.criado_em).toLocaleString(window.I18n?.idioma || 'pt-BR');
+
+    if (item.estado === 'enviado') {
+      const prot = item.resultado?.protocolo ? ` ${t('Protocolo')}: ${item.resultado.protocolo}` : '';
+      return `✅ ${t('{tipo} de {quando} enviado.', { tipo, quando })}${prot}`;
+    }
+    if (item.estado === 'recusado') {
+      return `⚠️ ${t('{tipo} de {quando} não foi aceito: {motivo}', { tipo, quando, motivo: item.resultado?.mensagem || t('verifique os dados.') })}`;
+    }
+    if (item.aguardaAviso) {
+      return `⚠️ ${t('{tipo} de {quando} guardado: o aviso de privacidade mudou. Leia e aceite a versão atual para enviar.', { tipo, quando })}`;
+    }
+    return `⏳ ${t('{tipo} de {quando} aguardando conexão ({n} tentativa(s)).', { tipo, quando, n: item.tentativas })}`;
+  }
+
+  async function renderPainel() {
+    let itens = [];
+    try {
+      itens = await FilaEnvios.listar();
+    } catch (_) {
+      return;
+    }
+
+    let painel = document.getElementById('filaEnvios');
+    if (!itens.length) {
+      painel?.remove();
+      return;
+    }
+
+    if (!painel) {
+      painel = document.createElement('section');
+      painel.id = 'filaEnvios';
+      painel.className = 'fila-envios';
+      painel.setAttribute('aria-live', 'polite');
+      document.body.appendChild(painel);
+    }
+
+    painel.innerHTML = '';
+    const titulo = document.createElement('strong');
+    titulo.textContent = t('Envios deste aparelho');
+    painel.appendChild(titulo);
+
+    for (const item of itens) {
+      const linha = document.createElement('div');
+      linha.className = `fila-item fila-${item.estado}`;
+
+      const txt = document.createElement('span');
+      txt.textContent = textoItem(item);
+      linha.appendChild(txt);
+
+      // aviso novo: link para ler e botão de aceite; o envio volta para a fila e sai na hora
+      if (item.aguardaAviso) {
+        const ler = document.createElement('a');
+        ler.href = 'privacidade.html';
+        ler.target = '_blank';
+        ler.rel = 'noopener';
+        ler.textContent = t('aviso de privacidade');
+        linha.appendChild(ler);
+
+        const aceitar = document.createElement('button');
+        aceitar.type = 'button';
+        aceitar.textContent = t('Li e aceito');
+        aceitar.addEventListener('click', async () => {
+          await FilaEnvios.aceitarAviso(item.id);
+          processar();
+        });
+        linha.appendChild(aceitar);
+      }
+
+      if (item.estado !== 'pendente') {
+        const ok = document.createElement('button');
+        ok.type = 'button';
+        ok.textContent = 'OK';
+        ok.addEventListener('click', () => FilaEnvios.remover(item.id));
+        linha.appendChild(ok);
+      }
+
+      painel.appendChild(linha);
+    }
+  }
+
+  function processar() {
+    return FilaEnvios.processar().catch(err => console.warn('⚠ Fila de envios:', err.message));
+  }
+
+  // Envio a partir do formulário: guarda na fila e tenta na hora.
+  // Retorna { estado: 'enviado' | 'recusado' | 'pendente', aviso?, result, response }
+  async function enviarFormulario(url, body, { token, exigeToken = false, arquivos = [] } = {}) {
+    const item = await FilaEnvios.adicionar({ url, body, token, exigeToken, arquivos });
+    const r = await FilaEnvios.enviar(item);
+
+    // com resposta definitiva o usuário já vê o resultado na tela;
+    // aviso de privacidade novo fica no painel esperando o aceite
+    if (r.estado !== 'pendente') {
+      await FilaEnvios.remover(item.id);
+    } else if (!r.aviso) {
+      agendarSync();
+    }
+
+    return r;
+  }
+
+  window.PWA = { enviarFormulario };
+
+  document.addEventListener('DOMContentLoaded', () => {
+    FilaEnvios.onMudanca(renderPainel);
+    renderPainel();
+    processar();
+  });
+
+  window.addEventListener('online', processar);
+  setInterval(() => {
+    if (navigator.onLine) processar();
+  }, RETENTATIVA_MS);
+})();
@@ -0,0 +1,133 @@
+/* ============================
+   SESSÃO DA EQUIPE (páginas internas)
+   Monta no #sessaoEquipe o login (senha ou conta da empresa) ou
+   "Enviando como <nome> · Sair". O token fica no localStorage e vai
+   em Authorization: Bearer nas chamadas internas.
+   Eventos: document 'sessao:entrou' / 'sessao:saiu'.
+============================ */
+(function () {
+  const STORAGE_KEY = 'sessao_equipe';
+  const t = (texto, valores) => (window.I18n ? I18n.t(texto, valores) : texto);
+
+  function salvo() {
+    try {
+      const s = JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+      return s && new Date(s.expira_em) > new Date() ? s : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function guardar(sessao) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sessao));
+    document.dispatchEvent(new CustomEvent('sessao:entrou', { detail: sessao.usuario }));
+    render();
+  }
+
+  function sair() {
+    localStorage.removeItem(STORAGE_KEY);
+    document.dispatchEvent(new CustomEvent('sessao:saiu'));
+    render();
+  }
+
+  async function postJSON(url, body) {
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(data.mensagem || t('Não foi possível entrar.'));
+    return data;
+  }
+
+  // volta do login OIDC: /pagina#sessao=<token>
+  async function lerRetornoOidc() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    if (!params.has('sessao') && !params.has('sessao_erro')) return;
+    history.replaceState(null, '', location.pathname + location.search);
+
+    if (params.has('sessao_erro')) {
+      alert(t('Não foi possível entrar com a conta da empresa.'));
+      return;
+    }
+    const token = params.get('sessao');
+    const resp = await fetch('/auth/sessao', { headers: { Authorization: `Bearer ${token}` } });
+    const data = await resp.json().catch(() => ({}));
+    if (resp.ok) {
+      // token: ses.<id>.<versão>.<expira epoch s>.<assinatura>
+      // só guarda: o DOMContentLoaded abaixo desenha e avisa 'sessao:entrou'
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        token, usuario: data.usuario, expira_em: new Date(Number(token.split('.')[3]) * 1000).toISOString()
+      }));
+    }
+  }
+
+  function render() {
+    const box = document.getElementById('sessaoEquipe');
+    if (!box) return;
+    const s = salvo();
+    box.innerHTML = '';
+
+    if (s) {
+      const txt = document.createElement('span');
+      txt.textContent = t('Enviando como {nome}', { nome: s.usuario.nome });
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = t('Sair');
+      btn.addEventListener('click', sair);
+      box.append(txt, btn);
+      box.classList.add('sessao-ok');
+      return;
+    }
+
+    box.classList.remove('sessao-ok');
+    box.innerHTML = `
+      <form class="sessao-login">
+        <label for="sessao-login" data-i18n>Login</label>
+        <input type="text" id="sessao-login" autocomplete="username" required>
+        <label for="sessao-senha" data-i18n>Senha</label>
+        <input type="password" id="sessao-senha" autocomplete="current-password" required>
+        <button type="submit" data-i18n>Entrar</button>
+        <a href="/auth/oidc" id="sessao-oidc" hidden data-i18n>Entrar com a conta da empresa</a>
+        <p class="sessao-status" role="status" aria-live="polite"></p>
+      </form>
+    `;
+
+    window.I18n?.traduzir(box);
+
+    const form = box.querySelector('form');
+    const $status = box.querySelector('.sessao-status');
+    form.addEventListener('submit', async e => {
+      e.preventDefault();
+      $status.textContent = t('Entrando…');
+      try {
+        guardar(await postJSON('/auth/login', {
+          login: box.querySelector('#sessao-login').value,
+          senha: box.querySelector('#sessao-senha').value
+        }));
+      } catch (err) {
+        $status.textContent = err.message;
+      }
+    });
+
+    fetch('/auth/provedores')
+      .then(r => r.json())
+      .then(p => { box.querySelector('#sessao-oidc').hidden = !p.oidc; })
+      .catch(() => {});
+  }
+
+  document.addEventListener('DOMContentLoaded', async () => {
+    await lerRetornoOidc().catch(() => {});
+    render();
+    const s = salvo();
+    if (s) document.dispatchEvent(new CustomEvent('sessao:entrou', { detail: s.usuario }));
+  });
+
+  window.SessaoEquipe = {
+    token: () => salvo()?.token || null,
+    usuario: () => salvo()?.usuario || null,
+    // 401 do servidor: sessão encerrada lá (desativado, senha trocada, expirou)
+    expirou: sair
+  };
+})();
@@ -0,0 +1,57 @@
+/* ============================
+   SUGESTÃO DE PLACA ("Você quis dizer...?")
+   Quando o servidor recusa a placa (404) ele manda as parecidas da frota
+   em `sugestoes`; aqui elas viram botões logo abaixo do campo #carreta.
+============================ */
+(function () {
+  const t = (texto, valores) => (window.I18n ? I18n.t(texto, valores) : texto);
+  const MOTIVOS = {
+    formato: 'placa antiga/Mercosul',
+    caractere: 'letra/número parecido',
+    digitacao: 'erro de digitação'
+  };
+
+  function limpar() {
+    document.getElementById('sugestaoPlaca')?.remove();
+  }
+
+  // Retorna true se havia sugestão para mostrar
+  function mostrar(sugestoes) {
+    limpar();
+    const $carreta = document.getElementById('carreta');
+    if (!$carreta || !Array.isArray(sugestoes) || !sugestoes.length) return false;
+
+    const box = document.createElement('div');
+    box.id = 'sugestaoPlaca';
+    box.className = 'sugestao-placa';
+    box.setAttribute('role', 'group');
+    box.setAttribute('aria-label', t('Placas parecidas'));
+
+    const titulo = document.createElement('p');
+    titulo.textContent = t('Placa não encontrada. Você quis dizer:');
+    box.appendChild(titulo);
+
+    for (const s of sugestoes) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = s.carreta;
+      btn.title = MOTIVOS[s.motivo] ? t(MOTIVOS[s.motivo]) : '';
+      btn.addEventListener('click', () => {
+        $carreta.value = s.carreta;
+        limpar();
+        $carreta.focus();
+      });
+      box.appendChild(btn);
+    }
+
+    $carreta.insertAdjacentElement('afterend', box);
+    box.querySelector('button').focus();
+    return true;
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('carreta')?.addEventListener('input', limpar);
+  });
+
+  window.SugestaoPlaca = { mostrar };
+})();
@@ -0,0 +1,80 @@
+/* ============================
+   SERVICE WORKER (PWA)
+   - páginas e estáticos: rede primeiro, cache se estiver offline
+   - POST nunca passa pelo cache: quem cuida é a fila (fila-envios.js)
+============================ */
+importScripts('/fila-envios.js');
+
+const CACHE = 'elogios-v9';
+
+const APP_SHELL = [
+  '/elogionaestrada.html',
+  '/elogio.html',
+  '/ocorrencia.html',
+  '/obrigado.html',
+  '/protocolo.html',
+  '/privacidade.html',
+  '/motorista.html',
+  '/style.css',
+  '/i18n.js',
+  '/idiomas/es.json',
+  '/idiomas/en.json',
+  '/combobox.js',
+  '/avaliador-token.js',
+  '/verificacao-telefone.js',
+  '/sugestao-placa.js',
+  '/erros-campos.js',
+  '/carreta-qr.js',
+  '/fila-envios.js',
+  '/pwa.js',
+  '/manifest.webmanifest',
+  '/assets/img/icone.svg'
+];
+
+// GETs de API que vale a pena ter offline (select de tipos, por exemplo)
+const API_CACHEAVEL = ['/ocorrencia-tipos'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const req = event.request;
+  const url = new URL(req.url);
+
+  if (req.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  const estatico = APP_SHELL.includes(url.pathname) || /\.(css|js|png|svg|gif|webmanifest)$/.test(url.pathname);
+  if (!estatico && !API_CACHEAVEL.includes(url.pathname)) return;
+
+  event.respondWith(
+    fetch(req)
+      .then(resp => {
+        if (resp.ok) {
+          const copia = resp.clone();
+          caches.open(CACHE).then(cache => cache.put(req, copia));
+        }
+        return resp;
+      })
+      .catch(() => caches.match(req, { ignoreSearch: url.pathname.endsWith('.html') }))
+  );
+});
+
+// Background Sync: o navegador acorda o SW quando a conexão volta
+self.addEventListener('sync', event => {
+  if (event.tag === 'fila-envios') {
+    event.waitUntil(FilaEnvios.processar());
+  }
+});
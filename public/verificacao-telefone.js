@@ -0,0 +1,111 @@
+/* ============================
+   VERIFICAÇÃO DE TELEFONE (opcional)
+   Monta, logo abaixo do campo #telefone, o fluxo:
+   pedir código (SMS/WhatsApp) -> digitar código -> comprovante.
+   O comprovante vai no envio como telefone_comprovante.
+============================ */
+(function () {
+  const STORAGE_KEY = 'telefone_comprovante';
+  const t = (texto, valores) => (window.I18n ? I18n.t(texto, valores) : texto);
+
+  const soDigitos = v => String(v || '').replace(/\D/g, '');
+
+  function salvo() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // comprovante: tel.<telefone>.<expira epoch s>.<assinatura>
+  function comprovantePara(telefone) {
+    const s = salvo();
+    if (!s || s.telefone !== soDigitos(telefone)) return null;
+    const expira = Number(String(s.comprovante).split('.')[2]) * 1000;
+    return expira > Date.now() ? s.comprovante : null;
+  }
+
+  async function postJSON(url, body) {
+    const resp = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(data.mensagem || t('Falha na verificação.'));
+    return data;
+  }
+
+  function montar() {
+    const $tel = document.getElementById('telefone');
+    if (!$tel) return;
+
+    const box = document.createElement('div');
+    box.className = 'verificacao-telefone';
+    box.innerHTML = `
+      <div class="vt-linha">
+        <select id="vt-canal" aria-label="Receber código por" data-i18n-attr="aria-label">
+          <option value="sms">SMS</option>
+          <option value="whatsapp">WhatsApp</option>
+        </select>
+        <button type="button" id="vt-solicitar" data-i18n>Verificar telefone (opcional)</button>
+      </div>
+      <div class="vt-linha" id="vt-etapa-codigo" hidden>
+        <input type="text" id="vt-codigo" inputmode="numeric" maxlength="6" placeholder="Código de 6 dígitos" aria-label="Código recebido" data-i18n-attr="placeholder,aria-label">
+        <button type="button" id="vt-confirmar" data-i18n>Confirmar</button>
+      </div>
+      <p class="vt-status" id="vt-status" role="status" aria-live="polite"></p>
+    `;
+    $tel.insertAdjacentElement('afterend', box);
+    window.I18n?.traduzir(box);
+
+    const $status = box.querySelector('#vt-status');
+    const $etapa = box.querySelector('#vt-etapa-codigo');
+    const $codigo = box.querySelector('#vt-codigo');
+
+    function atualizar() {
+      const ok = !!comprovantePara($tel.value);
+      box.classList.toggle('vt-ok', ok);
+      $status.textContent = ok ? `✅ ${t('Telefone verificado.')}` : '';
+    }
+
+    box.querySelector('#vt-solicitar').addEventListener('click', async () => {
+      const telefone = soDigitos($tel.value);
+      if (!/^\d{10,11}$/.test(telefone)) {
+        $status.textContent = t('Informe o telefone com DDD antes de verificar.');
+        return;
+      }
+      try {
+        await postJSON('/otp/solicitar', { telefone, canal: box.querySelector('#vt-canal').value });
+        $etapa.hidden = false;
+        $codigo.focus();
+        $status.textContent = t('Código enviado. Digite-o abaixo.');
+      } catch (err) {
+        $status.textContent = err.message;
+      }
+    });
+
+    box.querySelector('#vt-confirmar').addEventListener('click', async () => {
+      const telefone = soDigitos($tel.value);
+      try {
+        const data = await postJSON('/otp/verificar', { telefone, codigo: soDigitos($codigo.value) });
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ telefone, comprovante: data.comprovante }));
+        $etapa.hidden = true;
+        $codigo.value = '';
+        atualizar();
+      } catch (err) {
+        $status.textContent = err.message;
+      }
+    });
+
+    $tel.addEventListener('input', atualizar);
+    atualizar();
+  }
+
+  document.addEventListener('DOMContentLoaded', montar);
+
+  window.VerificacaoTelefone = {
+    comprovante: () => comprovantePara(document.getElementById('telefone')?.value)
+  };
+})();
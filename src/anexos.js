@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const express = require('express');
+const multer = require('multer');
+const sharp = require('sharp');
+const exifr = require('exifr');
+const moment = require('moment-timezone');
+const { TZ, getDataAtual } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+const { criarLimiteTaxa, ipCliente } = require('./antiabuso');
+
+/* ======================================================
+   ANEXOS (foto / vídeo) em /elogio e /ocorrencia
+   - multipart/form-data: campos do formulário + arquivos em "anexos"
+     (JSON continua aceito como antes, sem anexos)
+   - tipo conferido pelo conteúdo, não só pelo Content-Type do navegador
+   - foto: regravada SEM EXIF (corrige a rotação antes) + miniatura JPEG
+     GPS e data/hora da foto só ficam (no banco) com anexos_consentimento=1
+   - vídeo: só com ffmpeg configurado (ANEXOS_FFMPEG): remove metadados e gera miniatura
+   - arquivos no armazenamento (src/armazenamento.js); só equipe autenticada vê
+====================================================== */
+
+const env = (nome, padrao) => Number(process.env[nome] ?? padrao);
+
+const CONFIG = {
+  maxArquivos: env('ANEXOS_MAX_ARQUIVOS', 3),
+  maxBytesImagem: env('ANEXOS_MAX_MB_IMAGEM', 10) * 1024 * 1024,
+  maxBytesVideo: env('ANEXOS_MAX_MB_VIDEO', 50) * 1024 * 1024,
+  enviosIpHora: env('ANEXOS_ENVIOS_IP_HORA', 20),
+  imagemMaxPx: env('ANEXOS_IMAGEM_MAX_PX', 2560),
+  miniaturaPx: 320,
+  ffmpeg: process.env.ANEXOS_FFMPEG || null
+};
+
+// mimetype aceito -> tipo e extensão gravada
+const TIPOS = {
+  'image/jpeg': { tipo: 'imagem', formato: 'jpeg', ext: 'jpg' },
+  'image/png': { tipo: 'imagem', formato: 'png', ext: 'png' },
+  'image/webp': { tipo: 'imagem', formato: 'webp', ext: 'webp' },
+  'video/mp4': { tipo: 'video', ext: 'mp4' },
+  'video/quicktime': { tipo: 'video', ext: 'mov' },
+  'video/webm': { tipo: 'video', ext: 'webm' }
+};
+
+const RECURSOS = ['elogios', 'ocorrencias'];
+
+const execFileP = promisify(execFile);
+
+/* ---------- Recebimento (multipart) ---------- */
+
+// Corpo multipart fica em memória: teto por IP ANTES de ler o corpo
+// (o limite do protegerEnvio só roda depois do upload).
+const limiteUploadIp = criarLimiteTaxa({ janelaMs: 60 * 60 * 1000, max: CONFIG.enviosIpHora });
+
+// multer antes do idempotencia/protegerEnvio: eles leem req.body já com os campos do formulário
+function receberAnexos() {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      // sem ffmpeg vídeo é recusado: não há por que aceitar mais que uma foto
+      fileSize: CONFIG.ffmpeg ? Math.max(CONFIG.maxBytesImagem, CONFIG.maxBytesVideo) : CONFIG.maxBytesImagem,
+      files: CONFIG.maxArquivos,
+      fields: 40
+    },
+    fileFilter(req, file, cb) {
+      const info = TIPOS[file.mimetype];
+      if (info && (info.tipo !== 'video' || CONFIG.ffmpeg)) return cb(null, true);
+      const err = info
+        ? new Error('Vídeo não é aceito no momento. Envie uma foto.')
+        : new Error(`Tipo de arquivo não aceito: ${file.originalname}. Envie foto (JPG, PNG, WebP) ou vídeo (MP4, MOV, WebM).`);
+      err.http = 415;
+      cb(err);
+    }
+  }).array('anexos', CONFIG.maxArquivos);
+
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) return next();
+
+    const lim = limiteUploadIp.registrar(ipCliente(req));
+    if (!lim.permitido) {
+      res.set('Retry-After', String(lim.tentarEmSeg));
+      // corpo não lido: fecha a conexão em vez de esperar o resto do upload
+      res.set('Connection', 'close');
+      return res.status(429).json({ status: 'erro', mensagem: 'Muitos envios a partir desta conexão. Tente novamente mais tarde.' });
+    }
+
+    upload(req, res, err => {
+      if (!err) return next();
+      if (err.http) return res.status(err.http).json({ status: 'erro', mensagem: err.message });
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ status: 'erro', mensagem: 'Arquivo grande demais.' });
+      }
+      if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({ status: 'erro', mensagem: `Envie no máximo ${CONFIG.maxArquivos} arquivos no campo "anexos".` });
+      }
+      console.error('❌ Erro ao receber anexos:', err.message);
+      return res.status(400).json({ status: 'erro', mensagem: 'Não foi possível ler o formulário enviado.' });
+    });
+  };
+}
+
+/* ---------- Conferência do conteúdo ---------- */
+
+// MP4/MOV: caixa "ftyp" no byte 4. WebM: cabeçalho EBML.
+function pareceVideo(buffer, mimetype) {
+  if (mimetype === 'video/webm') return buffer.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3]));
+  return buffer.subarray(4, 8).toString('latin1') === 'ftyp';
+}
+
+async function metadadosFoto(buffer) {
+  const [gps, datas] = await Promise.all([
+    exifr.gps(buffer).catch(() => null),
+    exifr.parse(buffer, ['DateTimeOriginal', 'CreateDate']).catch(() => null)
+  ]);
+  const data = datas?.DateTimeOriginal || datas?.CreateDate;
+
+  return {
+    latitude: Number.isFinite(gps?.latitude) ? gps.latitude : null,
+    longitude: Number.isFinite(gps?.longitude) ? gps.longitude : null,
+    // EXIF não tem fuso: exifr monta a data no horário local, então formata sem converter
+    data_hora: data instanceof Date && !isNaN(data) ? moment(data).format('YYYY-MM-DD HH:mm:ss') : null
+  };
+}
+
+async function processarImagem(arquivo, info, consentimento) {
+  let meta;
+  try {
+    meta = await sharp(arquivo.buffer).metadata();
+  } catch (e) {
+    return { http: 415, erro: `Imagem inválida: ${arquivo.originalname}.` };
+  }
+  if (meta.format !== info.formato) {
+    return { http: 415, erro: `O conteúdo de ${arquivo.originalname} não confere com o tipo informado.` };
+  }
+  if (arquivo.size > CONFIG.maxBytesImagem) {
+    return { http: 413, erro: `Foto acima de ${CONFIG.maxBytesImagem / 1024 / 1024} MB: ${arquivo.originalname}.` };
+  }
+
+  const exif = consentimento ? await metadadosFoto(arquivo.buffer) : null;
+
+  // rotate() aplica a orientação do EXIF; sem withMetadata() o sharp não copia EXIF/XMP/ICC
+  const arquivoLimpo = await sharp(arquivo.buffer)
+    .rotate()
+    .resize(CONFIG.imagemMaxPx, CONFIG.imagemMaxPx, { fit: 'inside', withoutEnlargement: true })
+    .toFormat(info.formato)
+    .toBuffer();
+
+  const miniatura = await sharp(arquivoLimpo)
+    .resize(CONFIG.miniaturaPx, CONFIG.miniaturaPx, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+
+  return { arquivo: arquivoLimpo, miniatura, exif };
+}
+
+async function processarVideo(arquivo, info) {
+  if (!CONFIG.ffmpeg) {
+    return { http: 415, erro: 'Vídeo não é aceito no momento. Envie uma foto.' };
+  }
+  if (!pareceVideo(arquivo.buffer, arquivo.mimetype)) {
+    return { http: 415, erro: `O conteúdo de ${arquivo.originalname} não confere com o tipo informado.` };
+  }
+  if (arquivo.size > CONFIG.maxBytesVideo) {
+    return { http: 413, erro: `Vídeo acima de ${CONFIG.maxBytesVideo / 1024 / 1024} MB: ${arquivo.originalname}.` };
+  }
+
+  const pasta = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'anexo-'));
+  try {
+    const entrada = path.join(pasta, `entrada.${info.ext}`);
+    const saida = path.join(pasta, `saida.${info.ext}`);
+    const mini = path.join(pasta, 'mini.jpg');
+    await fs.promises.writeFile(entrada, arquivo.buffer);
+
+    // copia as trilhas sem recomprimir, descartando metadados (GPS, aparelho, data)
+    await execFileP(CONFIG.ffmpeg, ['-v', 'error', '-i', entrada, '-map', '0', '-map_metadata', '-1', '-c', 'copy', saida], { timeout: 60000 });
+    await execFileP(CONFIG.ffmpeg, [
+      '-v', 'error', '-i', saida, '-frames:v', '1',
+      '-vf', `scale=${CONFIG.miniaturaPx}:${CONFIG.miniaturaPx}:force_original_aspect_ratio=decrease`, mini
+    ], { timeout: 60000 });
+
+    return {
+      arquivo: await fs.promises.readFile(saida),
+      miniatura: await fs.promises.readFile(mini).catch(() => null),
+      exif: null
+    };
+  } catch (e) {
+    console.warn('⚠ ffmpeg falhou no anexo:', e.message);
+    return { http: 415, erro: `Não foi possível processar o vídeo ${arquivo.originalname}.` };
+  } finally {
+    await fs.promises.rm(pasta, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Confere e limpa os arquivos do envio ANTES de gravar o registro:
+ * anexo inválido recusa o envio inteiro.
+ * @returns {{ anexos: object[] } | { http: number, erro: string }}
+ */
+async function prepararAnexos(arquivos, { consentimento = false } = {}) {
+  const anexos = [];
+
+  for (const arquivo of arquivos || []) {
+    const info = TIPOS[arquivo.mimetype];
+    const r = info.tipo === 'imagem'
+      ? await processarImagem(arquivo, info, consentimento)
+      : await processarVideo(arquivo, info);
+    if (r.erro) return r;
+
+    anexos.push({
+      tipo: info.tipo,
+      mime: arquivo.mimetype,
+      ext: info.ext,
+      nome_original: String(arquivo.originalname || '').slice(0, 200),
+      ...r
+    });
+  }
+
+  return { anexos };
+}
+
+// Grava arquivos + linhas em `anexos` já ligados ao registro criado
+async function salvarAnexos({ pool, armazenamento }, recurso, registroId, anexos) {
+  const ids = [];
+  const pasta = `${recurso}/${moment().tz(TZ).format('YYYY/MM')}`;
+
+  for (const a of anexos) {
+    const base = `${pasta}/${crypto.randomUUID()}`;
+    const chave = `${base}.${a.ext}`;
+    const chaveMiniatura = a.miniatura ? `${base}_mini.jpg` : null;
+
+    await armazenamento.salvar(chave, a.arquivo);
+    if (chaveMiniatura) await armazenamento.salvar(chaveMiniatura, a.miniatura);
+
+    const [r] = await pool.query(
+      `INSERT INTO anexos
+        (recurso, registro_id, tipo, mime, tamanho, sha256, chave, chave_miniatura, nome_original,
+         armazenamento, exif_latitude, exif_longitude, exif_data_hora, criado_em)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        recurso, registroId, a.tipo, a.mime, a.arquivo.length,
+        crypto.createHash('sha256').update(a.arquivo).digest('hex'),
+        chave, chaveMiniatura, a.nome_original, armazenamento.nome,
+        a.exif?.latitude ?? null, a.exif?.longitude ?? null, a.exif?.data_hora ?? null,
+        getDataAtual()
+      ]
+    );
+    ids.push(r.insertId);
+  }
+
+  return ids;
+}
+
+/* ---------- Rotas da equipe (autenticado) ---------- */
+
+function criarRotasAnexos({ pool, armazenamento }) {
+  const router = express.Router();
+  router.use(exigeAuth, exigePapel('moderador', 'seguranca'));
+
+  // Uso: /anexos/ocorrencias/123 -> lista dos anexos do registro
+  router.get('/:recurso/:id', async (req, res) => {
+    const { recurso } = req.params;
+    const id = parseInt(req.params.id, 10);
+    if (!RECURSOS.includes(recurso) || !id) {
+      return res.status(404).json({ status: 'erro', mensagem: 'Registro inválido.' });
+    }
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT id, tipo, mime, tamanho, nome_original, exif_latitude, exif_longitude, exif_data_hora,
+                chave_miniatura IS NOT NULL AS tem_miniatura, criado_em
+         FROM anexos WHERE recurso = ? AND registro_id = ? ORDER BY id`,
+        [recurso, id]
+      );
+      const anexos = rows.map(({ tem_miniatura, ...a }) => ({
+        ...a,
+        url: `/anexos/arquivo/${a.id}`,
+        miniatura_url: tem_miniatura ? `/anexos/arquivo/${a.id}?miniatura=1` : null
+      }));
+      return res.json({ status: 'sucesso', anexos });
+    } catch (err) {
+      console.error('❌ Erro ao listar anexos:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao listar anexos.' });
+    }
+  });
+
+  // Uso: /anexos/arquivo/45 (arquivo limpo) | /anexos/arquivo/45?miniatura=1
+  router.get('/arquivo/:id', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const miniatura = req.query.miniatura === '1';
+
+    try {
+      const [rows] = await pool.query('SELECT mime, chave, chave_miniatura FROM anexos WHERE id = ? LIMIT 1', [id || 0]);
+      const a = rows[0];
+      const chave = miniatura ? a?.chave_miniatura : a?.chave;
+      if (!chave) return res.status(404).json({ status: 'erro', mensagem: 'Anexo não encontrado.' });
+
+      const stream = await armazenamento.abrir(chave);
+      res.set('Content-Type', miniatura ? 'image/jpeg' : a.mime);
+      res.set('Cache-Control', 'private, no-store');
+      res.set('X-Content-Type-Options', 'nosniff');
+      stream.on('error', err => {
+        console.error('❌ Erro ao ler anexo:', err.message);
+        res.destroy(err);
+      });
+      stream.pipe(res);
+    } catch (err) {
+      console.error('❌ Erro ao abrir anexo:', err.message);
+      if (!res.headersSent) res.status(404).json({ status: 'erro', mensagem: 'Arquivo do anexo não encontrado.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  TIPOS,
+  receberAnexos,
+  prepararAnexos,
+  salvarAnexos,
+  criarRotasAnexos
+};
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { TZ, onlyDigits, normalizaCarreta, segredoDoAmbiente, tokenIgual } = require('./utils');
+
+/* ======================================================
+   ANTI-ABUSO DOS ENVIOS PÚBLICOS
+   1) limite por IP e por telefone (janela deslizante, em memória)
+   2) token do avaliador assinado pelo servidor (HMAC), não mais UUID do cliente
+   3) score de suspeita gravado com o registro (0-100)
+   4) desafio (prova de trabalho) quando o score passa do limite
+   Estado em memória: vale para 1 instância (PM2 instances: 1).
+====================================================== */
+
+const env = (nome, padrao) => Number(process.env[nome] ?? padrao);
+
+const CONFIG = {
+  envioIpHora: env('ANTIABUSO_ENVIOS_IP_HORA', 20),
+  envioTelefoneDia: env('ANTIABUSO_ENVIOS_TELEFONE_DIA', 10),
+  tokensIpHora: env('ANTIABUSO_TOKENS_IP_HORA', 10),
+  desafioScore: env('ANTIABUSO_DESAFIO_SCORE', 50),
+  desafioBits: env('ANTIABUSO_DESAFIO_BITS', 16),
+  desafioValidadeMin: 10
+};
+
+const SEGREDO = segredoDoAmbiente(process.env.AVALIADOR_SECRET, 'AVALIADOR_SECRET não definido: tokens de avaliador perdem validade a cada reinício.');
+
+/* ---------- Limite de taxa ---------- */
+
+function criarLimiteTaxa({ janelaMs, max }) {
+  const eventos = new Map();
+
+  function recentes(chave, agora) {
+    const lista = (eventos.get(chave) || []).filter(t => agora - t < janelaMs);
+    if (lista.length) eventos.set(chave, lista);
+    else eventos.delete(chave);
+    return lista;
+  }
+
+  // limpa chaves paradas para o Map não crescer
+  setInterval(() => {
+    const agora = Date.now();
+    for (const chave of eventos.keys()) recentes(chave, agora);
+  }, janelaMs).unref();
+
+  return {
+    registrar(chave) {
+      const agora = Date.now();
+      const lista = recentes(chave, agora);
+      if (lista.length >= max) {
+        return { permitido: false, usados: lista.length, tentarEmSeg: Math.ceil((lista[0] + janelaMs - agora) / 1000) };
+      }
+      lista.push(agora);
+      eventos.set(chave, lista);
+      return { permitido: true, usados: lista.length };
+    },
+    contar(chave) {
+      return recentes(chave, Date.now()).length;
+    }
+  };
+}
+
+const HORA = 60 * 60 * 1000;
+const limiteEnvioIp = criarLimiteTaxa({ janelaMs: HORA, max: CONFIG.envioIpHora });
+const limiteEnvioTelefone = criarLimiteTaxa({ janelaMs: 24 * HORA, max: CONFIG.envioTelefoneDia });
+const limiteTokensIp = criarLimiteTaxa({ janelaMs: HORA, max: CONFIG.tokensIpHora });
+
+/* ---------- IP ---------- */
+
+// Atrás do Cloudflare o IP real vem no CF-Connecting-IP (ANTIABUSO_CLOUDFLARE=true).
+function ipCliente(req) {
+  if (process.env.ANTIABUSO_CLOUDFLARE === 'true' && req.get('cf-connecting-ip')) {
+    return req.get('cf-connecting-ip');
+  }
+  return req.ip || req.socket?.remoteAddress || '';
+}
+
+// IP não é gravado puro: só o hash, para agrupar envios na moderação
+function hashIp(ip) {
+  return crypto.createHmac('sha256', SEGREDO).update(`ip:${ip}`).digest('hex').slice(0, 32);
+}
+
+/* ---------- Token do avaliador ---------- */
+// formato: v1.<id uuid>.<emitido_em epoch s>.<hmac base64url>
+
+function assinar(payload) {
+  return crypto.createHmac('sha256', SEGREDO).update(payload).digest('base64url');
+}
+
+function emitirToken() {
+  const payload = `v1.${crypto.randomUUID()}.${Math.floor(Date.now() / 1000)}`;
+  return `${payload}.${assinar(payload)}`;
+}
+
+// { id, emitidoEm } ou null
+function validarToken(token) {
+  const partes = String(token || '').trim().split('.');
+  if (partes.length !== 4 || partes[0] !== 'v1') return null;
+
+  const payload = partes.slice(0, 3).join('.');
+  if (!tokenIgual(partes[3], assinar(payload))) return null;
+
+  const emitidoEm = Number(partes[2]) * 1000;
+  if (!/^[0-9a-f-]{36}$/.test(partes[1]) || !Number.isFinite(emitidoEm)) return null;
+
+  return { id: partes[1], emitidoEm };
+}
+
+/* ---------- Desafio (prova de trabalho) ---------- */
+// O cliente acha um nonce tal que sha256(salt + ':' + nonce) começa com N bits zero.
+
+const desafios = new Map();
+
+function emitirDesafio() {
+  const agora = Date.now();
+  for (const [id, d] of desafios) if (d.expiraEm < agora) desafios.delete(id);
+
+  const id = crypto.randomUUID();
+  const salt = crypto.randomBytes(16).toString('hex');
+  desafios.set(id, { salt, bits: CONFIG.desafioBits, expiraEm: agora + CONFIG.desafioValidadeMin * 60 * 1000 });
+  return { id, tipo: 'pow-sha256', salt, bits: CONFIG.desafioBits };
+}
+
+function bitsZeroIniciais(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) { bits += 8; continue; }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+// uso único: resolvido ou não, o desafio sai do Map
+function verificarDesafio(id, nonce) {
+  const d = desafios.get(String(id || ''));
+  if (!d) return false;
+  desafios.delete(String(id));
+  if (d.expiraEm < Date.now() || !/^\d{1,12}$/.test(String(nonce || ''))) return false;
+
+  const hash = crypto.createHash('sha256').update(`${d.salt}:${nonce}`).digest();
+  return bitsZeroIniciais(hash) >= d.bits;
+}
+
+/* ---------- Score de suspeita ---------- */
+
+// rota -> onde procurar histórico do mesmo telefone/alvo/texto
+const ROTAS = {
+  '/elogio': { tabela: 'elogios_motoristas', alvoCol: 'carreta', alvo: b => normalizaCarreta(b.carreta), textoCol: 'elogio', texto: b => b.elogio },
+  '/elogio-interno': { tabela: 'elogios_internos', alvoCol: 'matricula', alvo: b => onlyDigits(b.matricula), textoCol: 'elogio', texto: b => b.elogio },
+  '/ocorrencia': { tabela: 'ocorrencias_motoristas', alvoCol: 'carreta', alvo: b => normalizaCarreta(b.carreta), textoCol: 'descricao', texto: b => b.descricao }
+};
+
+async function calcularScore(pool, rota, { body, token, ip, telefoneVerificado = false }) {
+  const cfg = ROTAS[rota];
+  const sinais = [];
+  const add = (sinal, pontos) => sinais.push({ sinal, pontos });
+
+  const telefone = onlyDigits(body.telefone);
+  const texto = String(cfg.texto(body) || '').trim();
+
+  if (!/^\d{10,11}$/.test(telefone)) add('telefone_invalido', 20);
+  if (!body.latitude || !body.longitude) add('sem_gps', 10);
+  if (rota !== '/elogio-interno' && !body.user_agent) add('sem_user_agent', 10);
+  if (texto.length < 15) add('texto_curto', 10);
+  if (token && Date.now() - token.emitidoEm < 2 * 60 * 1000) add('token_novo', 15);
+  if (limiteEnvioIp.contar(`${rota}|${ip}`) > CONFIG.envioIpHora / 2) add('muitos_envios_ip', 25);
+  if (telefoneVerificado) add('telefone_verificado', -30);
+
+  try {
+    const limite = moment().tz(TZ).subtract(30, 'days').format('YYYY-MM-DD HH:mm:ss');
+    const alvo = cfg.alvo(body);
+
+    const [[hist]] = await pool.query(
+      `SELECT
+         SUM(${cfg.alvoCol} = ?) AS mesmo_alvo,
+         COUNT(DISTINCT token_avaliador) AS tokens,
+         SUM(${cfg.alvoCol} = ? AND ${cfg.textoCol} = ?) AS mesmo_texto
+       FROM ${cfg.tabela}
+       WHERE telefone = ? AND data_hora >= ?`,
+      [alvo, alvo, texto, body.telefone, limite]
+    );
+
+    if (Number(hist?.mesmo_alvo) >= 2) add('telefone_repete_alvo', 30);
+    if (Number(hist?.tokens) >= 3) add('telefone_varios_tokens', 25);
+    if (Number(hist?.mesmo_texto) >= 1) add('texto_repetido', 30);
+  } catch (e) {
+    console.warn('⚠ Score de suspeita sem histórico:', e.message);
+  }
+
+  const score = Math.max(0, Math.min(100, sinais.reduce((s, x) => s + x.pontos, 0)));
+  return { score, sinais: sinais.map(s => s.sinal) };
+}
+
+/* ---------- Middlewares ---------- */
+
+// POST /avaliador/token: emissão limitada por IP (limpar o localStorage não gera tokens infinitos)
+function rotaEmitirToken(req, res) {
+  const lim = limiteTokensIp.registrar(ipCliente(req));
+  if (!lim.permitido) {
+    res.set('Retry-After', String(lim.tentarEmSeg));
+    return res.status(429).json({ status: 'erro', mensagem: 'Muitas solicitações. Tente novamente mais tarde.' });
+  }
+  return res.json({ status: 'sucesso', token: emitirToken() });
+}
+
+// Aplica limites, valida token e calcula score. Resultado em req.antiabuso.
+// tokenObrigatorio: elogios exigem token (bloqueio de 7 dias usa o id dele).
+// validarTelefone(comprovante, telefone): comprovante do OTP (src/otp.js), opcional.
+function protegerEnvio(pool, { tokenObrigatorio = true, desafio = true, validarTelefone = null } = {}) {
+  return async (req, res, next) => {
+    const rota = req.path;
+    const body = req.body || {};
+    const ip = ipCliente(req);
+
+    const limIp = limiteEnvioIp.registrar(`${rota}|${ip}`);
+    if (!limIp.permitido) {
+      res.set('Retry-After', String(limIp.tentarEmSeg));
+      return res.status(429).json({ status: 'erro', mensagem: 'Muitos envios a partir desta conexão. Tente novamente mais tarde.' });
+    }
+
+    const telefone = onlyDigits(body.telefone);
+    if (telefone) {
+      const limTel = limiteEnvioTelefone.registrar(`${rota}|${telefone}`);
+      if (!limTel.permitido) {
+        res.set('Retry-After', String(limTel.tentarEmSeg));
+        return res.status(429).json({ status: 'erro', mensagem: 'Limite diário de envios para este telefone atingido.' });
+      }
+    }
+
+    const bruto = String(req.get('x-avaliador-token') || '').trim();
+    if (!bruto && tokenObrigatorio) {
+      return res.status(400).json({ status: 'erro', codigo: 'token_ausente', mensagem: 'Token do avaliador não informado.' });
+    }
+
+    const token = bruto ? validarToken(bruto) : null;
+    if (bruto && !token) {
+      return res.status(401).json({ status: 'token_invalido', codigo: 'token_invalido', mensagem: 'Token do avaliador inválido. Recarregue a página.' });
+    }
+
+    const telefoneVerificado = !!(validarTelefone && body.telefone_comprovante &&
+      validarTelefone(body.telefone_comprovante, body.telefone));
+
+    const { score, sinais } = await calcularScore(pool, rota, { body, token, ip, telefoneVerificado });
+
+    if (desafio && score >= CONFIG.desafioScore) {
+      const resolvido = verificarDesafio(req.get('x-desafio-id'), req.get('x-desafio-nonce'));
+      if (!resolvido) {
+        return res.status(428).json({
+          status: 'desafio',
+          mensagem: 'Confirme que você não é um robô.',
+          desafio: emitirDesafio()
+        });
+      }
+      sinais.push('desafio_resolvido');
+    }
+
+    req.antiabuso = {
+      tokenId: token?.id || null,
+      score,
+      sinais: sinais.join(','),
+      ipHash: hashIp(ip),
+      telefoneVerificado
+    };
+    next();
+  };
+}
+
+module.exports = {
+  CONFIG,
+  criarLimiteTaxa,
+  ipCliente,
+  hashIp,
+  emitirToken,
+  validarToken,
+  emitirDesafio,
+  verificarDesafio,
+  calcularScore,
+  rotaEmitirToken,
+  protegerEnvio
+};
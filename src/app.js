@@ -0,0 +1,657 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const fs = require('fs');
+const { createProxyMiddleware } = require('http-proxy-middleware');
+
+const { getDataAtual, onlyDigits, normalizaCarreta } = require('./utils');
+const { criarRotasPontos } = require('./pontos');
+const { criarRotasModeracao } = require('./moderacao');
+const { buscarTipoAtivo, criarRotasTiposPublicos, criarRotasCasos } = require('./ocorrencias');
+const { inserirComProtocolo, criarRotasProtocolo } = require('./protocolo');
+const { idempotencia } = require('./idempotencia');
+const { criarRotasGeocoding } = require('./geocoding');
+const { rotaEmitirToken, protegerEnvio } = require('./antiabuso');
+const { validarComprovante, criarRotasOtp } = require('./otp');
+const { criarTransporte } = require('./transportes');
+const { criarRotasDashboard } = require('./dashboard');
+const { criarRotasGeoanalise } = require('./geoanalise');
+const { criarRotasExportacao } = require('./exportacao');
+const { criarRotasNotificacoes } = require('./notificacoes');
+const { criarRotasWebhooks } = require('./webhooks');
+const { criarRotasKMM } = require('./kmm');
+const { receberAnexos, prepararAnexos, salvarAnexos, criarRotasAnexos } = require('./anexos');
+const { configurarAuth, exigeAuth } = require('./auth');
+const { criarProvedores, criarRotasIdentidade } = require('./identidade');
+const { criarCampanhas, registrarEnvio, pontuar, criarRotasCampanhas } = require('./campanhas');
+const { correlacao, padronizarErros, erroInterno, tratarErros } = require('./erros');
+const { texto, telefone, placa, matricula, codigo, numero, url, flag, aceite, COORDENADAS, validarCorpo } = require('./validacao');
+const { conferirLeitura, criarRotasLeituraQr, criarRotasQr } = require('./qrcodes');
+const { CONFIG: LGPD, criarRotasLgpd } = require('./lgpd');
+const { criarRotasPortal } = require('./portal');
+const { idioma } = require('./i18n');
+
+/* ======================================================
+   ESQUEMAS DOS ENVIOS (src/validacao.js)
+   Limites = tamanho das colunas (db/migrations); campo fora do esquema é descartado.
+====================================================== */
+const ANEXOS_E_OTP = {
+  telefone_comprovante: texto('Comprovante do telefone', { max: 300 }),
+  anexos_consentimento: flag()
+};
+
+// ?qr= da página aberta pelo adesivo (src/qrcodes.js)
+const QR_LEITURA = { qr_leitura: numero('Leitura do QR code', { min: 1, inteiro: true }) };
+
+// aviso de privacidade dos formulários públicos (src/lgpd.js)
+const CONSENTIMENTO = {
+  consentimento: aceite('É preciso concordar com o aviso de privacidade para enviar.'),
+  consentimento_versao: texto('Versão do aviso', { max: 20 })
+};
+
+const ESQUEMA_ELOGIO = {
+  nome: texto('Nome', { obrigatorio: true, min: 2, max: 120 }),
+  nome_motorista: texto('Nome do motorista', { max: 120 }),
+  carreta: placa('Placa da carreta'),
+  telefone: telefone(),
+  elogio: texto('Elogio', { obrigatorio: true, max: 2000, multilinha: true }),
+  ...COORDENADAS,
+  maps_link: url('Link do mapa'),
+  user_agent: texto('User agent', { max: 500, truncar: true }),
+  ...ANEXOS_E_OTP,
+  ...QR_LEITURA,
+  ...CONSENTIMENTO
+};
+
+const ESQUEMA_OCORRENCIA = {
+  nome: texto('Nome', { obrigatorio: true, min: 2, max: 120 }),
+  carreta: placa('Placa da carreta'),
+  telefone: telefone(),
+  tipo_ocorrencia: codigo('Tipo de ocorrência'),
+  descricao: texto('Descrição', { obrigatorio: true, max: 2000, multilinha: true }),
+  ...COORDENADAS,
+  maps_link: url('Link do mapa'),
+  user_agent: texto('User agent', { max: 500, truncar: true }),
+  ...ANEXOS_E_OTP,
+  ...QR_LEITURA,
+  ...CONSENTIMENTO
+};
+
+const ESQUEMA_ELOGIO_INTERNO = {
+  matricula: matricula(),
+  elogio: texto('Elogio', { obrigatorio: true, max: 2000, multilinha: true }),
+  telefone: telefone(),
+  ...COORDENADAS,
+  maps_link: url('Link do mapa'),
+  telefone_comprovante: ANEXOS_E_OTP.telefone_comprovante
+};
+
+const COORDENADAS_JUNTAS = { juntos: [['latitude', 'longitude']] };
+
+// transporte inválido (ou `console` em produção) desliga o OTP e o código do portal em vez de
+// derrubar a subida: as rotas respondem 503 (como o canal desligado em src/notificacoes.js)
+function transporteOtpDoAmbiente() {
+  try {
+    return criarTransporte(process.env.OTP_TRANSPORTE);
+  } catch (err) {
+    console.error('❌ OTP e código do portal desligados:', err.message);
+    return null;
+  }
+}
+
+/* ======================================================
+   APP (rotas) — montado sem abrir porta nem conexões
+   server.js cria os pools, o KMM, os agendamentos e chama criarApp;
+   os testes (test/) chamam com fakes no lugar dos bancos.
+
+   deps: { pool, kmm, geocoder, eventos, armazenamento, notificacoes, webhooks }
+   opcionais: campanhas, provedores (login LDAP/OIDC), transporteOtp
+====================================================== */
+
+function criarApp({
+  pool,
+  kmm,
+  geocoder,
+  eventos,
+  armazenamento,
+  notificacoes,
+  webhooks,
+  campanhas = criarCampanhas({ pool }),
+  provedores = criarProvedores(),
+  transporteOtp = transporteOtpDoAmbiente()
+}) {
+  // sessões da equipe conferem o usuário neste pool (src/auth.js)
+  configurarAuth({ pool });
+
+  const app = express();
+
+  // id de correlação + { codigo, correlacao_id } em toda resposta de erro (src/erros.js);
+  // `mensagem` no idioma de quem pediu (src/i18n.js)
+  app.use(correlacao());
+  app.use(idioma());
+  app.use(padronizarErros());
+
+  const corsOptions = {
+    origin: true,
+    methods: ['GET', 'POST', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-avaliador-token', 'Idempotency-Key', 'x-desafio-id', 'x-desafio-nonce', 'X-Correlation-Id'],
+    exposedHeaders: ['X-Correlation-Id'],
+  };
+
+  app.use(cors(corsOptions));
+  app.options(/.*/, cors(corsOptions));
+
+  // IP real atrás de proxy reverso (ex.: TRUST_PROXY=1)
+  if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+  }
+
+  app.use(express.json({ limit: '1mb' }));
+  app.use(express.urlencoded({ extended: true }));
+
+  app.use((req, res, next) => {
+    res.setHeader('X-App-Build', 'elogios-2026-01-08-build1');
+    next();
+  });
+
+  // 🔥 PROXY CORRETO
+  app.use(
+    '/api',
+    createProxyMiddleware({
+      target: 'http://127.0.0.1:3000',
+      changeOrigin: true,
+      secure: false,
+      proxyTimeout: 15000,
+      timeout: 15000,
+    })
+  );
+
+
+  // ===== KMM: consultas passam pelo repositório (snapshot + modo degradado) - ver src/kmm.js =====
+  // Motorista atual da carreta: { matricula, motorista } ou null
+  function getMotoristaKMMPorCarreta(carretaNorm) {
+    return kmm.getMotoristaPorCarreta(carretaNorm);
+  }
+
+  // 404 de placa com as parecidas da frota (o formulário oferece para escolher)
+  function respostaPlacaNaoEncontrada(mensagem, sugestoes) {
+    const dica = sugestoes.length ? ` Você quis dizer ${sugestoes.map(s => s.carreta).join(', ')}?` : '';
+    return { status: 'erro', codigo: 'placa_nao_encontrada', mensagem: mensagem + dica, sugestoes };
+  }
+
+  // cidade/estado: geocoder do server.js (nos testes, um stub)
+  function getCidadeEstado(lat, lon) {
+    return geocoder.getCidadeEstado(lat, lon);
+  }
+
+  // Versão do aviso: grava a do servidor; envio aceito com aviso antigo precisa aceitar o atual de novo.
+  // Antes do idempotencia(): o 409 não fica guardado na chave e o reenvio com o aceite novo é processado.
+  function exigeAvisoAtual(req, res, next) {
+    const versao = req.body?.consentimento_versao;
+    if (!versao || versao === LGPD.politicaVersao) return next();
+    return res.status(409).json({
+      status: 'erro',
+      codigo: 'aviso_desatualizado',
+      mensagem: 'O aviso de privacidade mudou. Leia e aceite a versão atual para enviar.',
+      versao_atual: LGPD.politicaVersao
+    });
+  }
+
+  // ===== ANEXOS (foto/vídeo) - ver src/anexos.js e src/armazenamento.js =====
+  // GPS/horário da foto só com o aceite do formulário
+  function consentiuMetadados(body) {
+    return ['1', 'true', 'on'].includes(String(body?.anexos_consentimento || '').toLowerCase());
+  }
+
+  // registro já gravado: falha nos anexos não derruba o envio (fica no log)
+  async function gravarAnexos(recurso, registroId, anexos) {
+    if (!anexos.length) return 0;
+    try {
+      return (await salvarAnexos({ pool, armazenamento }, recurso, registroId, anexos)).length;
+    } catch (e) {
+      console.error(`❌ Anexos de ${recurso}/${registroId} não foram salvos:`, e.message);
+      return 0;
+    }
+  }
+
+  /* ============================
+     ARQUIVOS ESTÁTICOS + PÁGINAS
+  ============================ */
+  // Dashboard (public/dashboard): antes do static geral, que serviria o index.html direto.
+  // index.html apontando para arquivo que não está no disco (build copiado pela metade)
+  // responde 404 em vez de uma página em branco.
+  const dashboardDir = path.join(__dirname, '..', 'public', 'dashboard');
+  const dashboardIndex = path.join(dashboardDir, 'index.html');
+  function dashboardPublicado() {
+    if (!fs.existsSync(dashboardIndex)) return false;
+    const html = fs.readFileSync(dashboardIndex, 'utf8');
+    return [...html.matchAll(/(?:src|href)="\/dashboard\/([^"?#]+)"/g)]
+      .every(m => fs.existsSync(path.join(dashboardDir, path.normalize(m[1]))));
+  }
+  app.get(/^\/dashboard(\/.*)?$/, (req, res, next) => {
+    if (path.extname(req.path) && !req.path.endsWith('/index.html')) return next();
+    if (!dashboardPublicado()) {
+      return res.status(404).send('Dashboard não publicado: falta public/dashboard/index.html ou um dos arquivos que ele carrega.');
+    }
+    res.sendFile(dashboardIndex);
+  });
+
+  app.use(express.static(path.join(__dirname, '..', 'public')));
+
+
+  ///////////////////////////////////
+
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'elogionaestrada.html'));
+  });
+
+  app.get('/elogio-interno', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'elogio-interno.html'));
+  });
+
+
+  /* ======================================================
+     ✅ ELOGIO PÚBLICO 
+  ====================================================== */
+  app.post('/elogio', receberAnexos(), validarCorpo(ESQUEMA_ELOGIO, COORDENADAS_JUNTAS), exigeAvisoAtual, idempotencia(pool), protegerEnvio(pool, { validarTelefone: validarComprovante }), async (req, res) => {
+    // id do token assinado (validado em protegerEnvio)
+    const token = req.antiabuso.tokenId;
+
+    let {
+      nome, nome_motorista, carreta, telefone, elogio,
+      latitude, longitude, maps_link, user_agent
+    } = req.body; // já validado/limpo por ESQUEMA_ELOGIO
+
+    try {
+      // 1) Valida carreta no KMM (null = KMM fora: aceita e revalida depois)
+      const placa = await kmm.resolverCarreta(carreta);
+      if (placa.ativa === false) {
+        return res.status(404).json(respostaPlacaNaoEncontrada('Carreta não encontrada ou inativa.', placa.sugestoes));
+      }
+      carreta = placa.carreta;
+      const validacaoKmm = placa.ativa ? 'validada' : 'pendente';
+      const qrLeitura = await conferirLeitura(pool, req.body.qr_leitura, normalizaCarreta(carreta));
+
+      // motorista da carreta agora: a matrícula fica no elogio (a carreta pode trocar de motorista depois)
+      const vinculo = await getMotoristaKMMPorCarreta(normalizaCarreta(carreta));
+      const matriculaMotorista = onlyDigits(vinculo?.matricula) || null;
+      if (!nome_motorista) nome_motorista = vinculo?.motorista || null;
+
+      // 2) Fotos/vídeos: anexo inválido recusa antes de gravar
+      const preparo = await prepararAnexos(req.files, { consentimento: consentiuMetadados(req.body) });
+      if (preparo.erro) return res.status(preparo.http).json({ status: 'erro', mensagem: preparo.erro });
+
+      // 3) Cidade/Estado
+      let { cidade, estado } = (latitude && longitude) ? await getCidadeEstado(latitude, longitude) : { cidade: null, estado: null };
+
+      // 4) INSERT (colunas: db/migrations/000_schema_inicial.sql + migrations seguintes)
+      // Deixamos data_hora e data_registro para o banco preencher (DEFAULT)
+      const sql = `
+        INSERT INTO elogios_motoristas 
+        (nome, nome_motorista, matricula, carreta, telefone, elogio, tipo, pontos, latitude, longitude, maps_link, user_agent, cidade, estado, token_avaliador, protocolo, score_suspeita, sinais_suspeita, ip_hash, telefone_verificado, validacao_kmm, campanha_id, regra_versao, pontos_detalhe, qr_leitura_id, consentimento_versao, consentimento_em) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      // 5) Regras da campanha vigente (carência, limites) checadas na mesma transação do INSERT (src/campanhas.js)
+      const campanha = await campanhas.vigente();
+      const envio = await registrarEnvio(pool, campanha, {
+        fonte: 'externo',
+        avaliador: { coluna: 'token_avaliador', valor: token },
+        alvo: normalizaCarreta(carreta),
+        matricula: matriculaMotorista
+      }, async (conn, { pontosNoPeriodo }) => {
+        const pontuacao = pontuar(campanha, 'externo', {
+          telefoneVerificado: req.antiabuso.telefoneVerificado,
+          fotos: preparo.anexos.filter(a => a.tipo === 'imagem').length,
+          pontosNoPeriodo
+        });
+
+        const { protocolo, result } = await inserirComProtocolo(conn, 'EL', sql, protocolo => [
+          nome, nome_motorista, matriculaMotorista, normalizaCarreta(carreta), telefone, elogio,
+          pontuacao.tipo, pontuacao.pontos,
+          latitude || null, longitude || null, maps_link || null, user_agent || null,
+          cidade, estado, token, protocolo,
+          req.antiabuso.score, req.antiabuso.sinais, req.antiabuso.ipHash, req.antiabuso.telefoneVerificado ? 1 : 0,
+          validacaoKmm, pontuacao.campanha_id, pontuacao.regra_versao, JSON.stringify(pontuacao.detalhe), qrLeitura,
+          LGPD.politicaVersao, getDataAtual()
+        ]);
+        return { pontuacao, protocolo, result };
+      });
+      if (envio.erro) return res.status(envio.http).json({ status: envio.status, codigo: envio.codigo, mensagem: envio.erro });
+      const { pontuacao, protocolo, result } = envio;
+
+      eventos.publicar('elogio.created', {
+        id: result.insertId, protocolo, carreta: normalizaCarreta(carreta), matricula: matriculaMotorista, nome_motorista, elogio,
+        cidade, estado, telefone_verificado: req.antiabuso.telefoneVerificado, score_suspeita: req.antiabuso.score,
+        validacao_kmm: validacaoKmm, anexos: preparo.anexos.length,
+        pontos: pontuacao.pontos, campanha_id: pontuacao.campanha_id, qr: !!qrLeitura
+      });
+
+      const anexos = await gravarAnexos('elogios', result.insertId, preparo.anexos);
+
+      return res.json({ status: 'sucesso', mensagem: `Elogio salvo com sucesso! Protocolo: ${protocolo}`, protocolo, validacao: validacaoKmm, anexos, pontos: pontuacao.pontos });
+    } catch (err) {
+      return erroInterno(req, res, err, 'Erro no elogio');
+    }
+  });
+
+  /* ======================================================
+     ✅ OCORRÊNCIA (CORRIGIDO)
+  ====================================================== */
+  app.post('/ocorrencia', receberAnexos(), validarCorpo(ESQUEMA_OCORRENCIA, COORDENADAS_JUNTAS), exigeAvisoAtual, idempotencia(pool), protegerEnvio(pool, { tokenObrigatorio: false, validarTelefone: validarComprovante }), async (req, res) => {
+    // já validado/limpo por ESQUEMA_OCORRENCIA
+    let { nome, carreta, telefone, tipo_ocorrencia, descricao, latitude, longitude, maps_link, user_agent } = req.body;
+
+    try {
+      // tipo vem do <select> (código do catálogo ocorrencia_tipos)
+      const tipo = await buscarTipoAtivo(pool, tipo_ocorrencia);
+      if (!tipo) {
+        return res.status(400).json({
+          status: 'erro',
+          codigo: 'validacao',
+          mensagem: 'Tipo de ocorrência inválido.',
+          campos: [{ campo: 'tipo_ocorrencia', codigo: 'formato', mensagem: 'Tipo de ocorrência inválido.' }]
+        });
+      }
+
+      // null = KMM fora: aceita e revalida depois
+      const placa = await kmm.resolverCarreta(carreta);
+      if (placa.ativa === false) {
+        return res.status(404).json(respostaPlacaNaoEncontrada('Placa não encontrada no KMM.', placa.sugestoes));
+      }
+      carreta = placa.carreta;
+      const validacaoKmm = placa.ativa ? 'validada' : 'pendente';
+      const qrLeitura = await conferirLeitura(pool, req.body.qr_leitura, normalizaCarreta(carreta));
+
+      // fotos/vídeos: anexo inválido recusa antes de gravar
+      const preparo = await prepararAnexos(req.files, { consentimento: consentiuMetadados(req.body) });
+      if (preparo.erro) return res.status(preparo.http).json({ status: 'erro', mensagem: preparo.erro });
+
+      let { cidade, estado } = (latitude && longitude) ? await getCidadeEstado(latitude, longitude) : { cidade: null, estado: null };
+
+      // INSERT (colunas: db/migrations/000_schema_inicial.sql + migrations seguintes)
+      const sql = `
+        INSERT INTO ocorrencias_motoristas 
+        (nome, carreta, telefone, tipo_ocorrencia, tipo_id, severidade, descricao, latitude, longitude, maps_link, user_agent, cidade, estado, protocolo, token_avaliador, score_suspeita, sinais_suspeita, ip_hash, telefone_verificado, validacao_kmm, qr_leitura_id, consentimento_versao, consentimento_em) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const { protocolo, result } = await inserirComProtocolo(pool, 'OC', sql, protocolo => [
+        nome, normalizaCarreta(carreta), telefone, tipo.nome, tipo.id, tipo.severidade, descricao,
+        latitude || null, longitude || null, maps_link || null, user_agent || null, 
+        cidade, estado, protocolo,
+        req.antiabuso.tokenId, req.antiabuso.score, req.antiabuso.sinais, req.antiabuso.ipHash,
+        req.antiabuso.telefoneVerificado ? 1 : 0, validacaoKmm, qrLeitura,
+        LGPD.politicaVersao, getDataAtual()
+      ]);
+
+      eventos.publicar('ocorrencia.created', {
+        id: result.insertId, protocolo, carreta: normalizaCarreta(carreta), tipo: tipo.nome, tipo_codigo: tipo.codigo,
+        severidade: tipo.severidade, descricao, cidade, estado, latitude: latitude || null, longitude: longitude || null,
+        maps_link: maps_link || null, telefone_verificado: req.antiabuso.telefoneVerificado, score_suspeita: req.antiabuso.score,
+        validacao_kmm: validacaoKmm, anexos: preparo.anexos.length, qr: !!qrLeitura
+      });
+
+      const anexos = await gravarAnexos('ocorrencias', result.insertId, preparo.anexos);
+
+      return res.json({ status: 'sucesso', mensagem: `Ocorrência salva! Protocolo: ${protocolo}`, protocolo, validacao: validacaoKmm, anexos });
+    } catch (err) {
+      return erroInterno(req, res, err, 'Erro na ocorrência');
+    }
+  });
+
+  /* ======================================================
+     ✅ TOKEN DO AVALIADOR (assinado pelo servidor)
+  ====================================================== */
+  app.post('/avaliador/token', rotaEmitirToken);
+
+  /* ======================================================
+     ✅ VERIFICAÇÃO DE TELEFONE (OTP, opcional)
+     OTP_TRANSPORTE=console|arquivo|http (sem transporte válido: 503)
+  ====================================================== */
+  app.use('/otp', criarRotasOtp({ pool, transporte: transporteOtp }));
+
+  /* ======================================================
+     ✅ TIPOS DE OCORRÊNCIA (select do formulário)
+  ====================================================== */
+  app.use('/ocorrencia-tipos', criarRotasTiposPublicos({ pool }));
+
+  /* ======================================================
+     ✅ CONSULTA DE PROTOCOLO (público - protocolo.html)
+  ====================================================== */
+  app.use('/protocolo', criarRotasProtocolo({ pool }));
+
+  /* ======================================================
+     ✅ MOTORISTAS ATIVOS (KMM) - AUTOCOMPLETE
+  ====================================================== */
+  app.get('/motoristas-ativos', exigeAuth, async (req, res) => {
+    try {
+      // snapshot em memória (src/kmm.js); só vai ao KMM se ainda não carregou
+      return res.json(await kmm.listarMotoristas());
+    } catch (error) {
+      console.error('❌ Erro ao buscar motoristas ativos do KMM:', error.message);
+      return res.status(503).json({ status: 'erro', mensagem: 'Lista de motoristas indisponível no momento.' });
+    }
+  });
+
+
+
+  /* ======================================================
+     ✅ CARRETAS ATIVAS (KMM) - AUTOCOMPLETE
+     Regra: modalidade = 'frota' AND data_cancelamento IS NULL
+     Uso: /carretas-ativas?q=ABC&limit=20
+  ====================================================== */
+
+  app.get('/carretas-ativas', async (req, res) => {
+    try {
+      const limitRaw = parseInt(req.query.limit, 10);
+      const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 50) : 20;
+
+      const carretas = await kmm.buscarCarretas(req.query.q, limit);
+      return res.json(carretas.map(carreta => ({ carreta })));
+    } catch (error) {
+      console.error('❌ Erro ao buscar carretas ativas (KMM):', error.message);
+      return res.status(503).json({ status: 'erro', mensagem: 'Lista de carretas indisponível no momento.' });
+    }
+  });
+
+
+  /* ======================================================
+     ✅ ELOGIO INTERNO (CORRIGIDO)
+     Agora envia 'tipo' e 'pontos' para o banco
+     Só equipe logada (qualquer papel); o autor é o usuário da sessão
+  ====================================================== */
+  app.post('/elogio-interno', exigeAuth, validarCorpo(ESQUEMA_ELOGIO_INTERNO, COORDENADAS_JUNTAS), idempotencia(pool), protegerEnvio(pool, { desafio: false, validarTelefone: validarComprovante }), async (req, res) => {
+    try {
+      // id do token assinado (validado em protegerEnvio)
+      const token = req.antiabuso.tokenId;
+
+      // já validado/limpo por ESQUEMA_ELOGIO_INTERNO (matrícula e telefone só dígitos)
+      const { matricula, elogio, telefone, latitude, longitude, maps_link } = req.body;
+      const autor = req.usuario;
+
+      // busca nome do motorista no KMM (fallback); KMM fora => revalida depois
+      const funcionario = await kmm.getFuncionarioPorMatricula(matricula);
+      const motorista = funcionario?.nome || 'Desconhecido';
+      const validacaoKmm = funcionario === undefined ? 'pendente' : 'validada';
+
+      // cidade/estado via geocoding (se tiver lat/lon)
+      let cidade = null, estado = null;
+      if (latitude && longitude) {
+        const local = await getCidadeEstado(latitude, longitude);
+        cidade = local.cidade;
+        estado = local.estado;
+      }
+
+      // === SQL ATUALIZADO COM AS NOVAS COLUNAS ===
+      const sql = `
+        INSERT INTO elogios_internos
+        (matricula, elogio, motorista, telefone, latitude, longitude, maps_link, cidade, estado, data_hora, token_avaliador, tipo, pontos, score_suspeita, sinais_suspeita, ip_hash, telefone_verificado, validacao_kmm, autor_id, autor, campanha_id, regra_versao, pontos_detalhe)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      // regras da campanha vigente (carência, limites) e INSERT na mesma transação;
+      // autor logado ou, no token de serviço, o token do avaliador
+      const campanha = await campanhas.vigente();
+      const envio = await registrarEnvio(pool, campanha, {
+        fonte: 'interno',
+        avaliador: autor.id ? { coluna: 'autor_id', valor: autor.id } : { coluna: 'token_avaliador', valor: token },
+        alvo: matricula,
+        matricula
+      }, async (conn, { pontosNoPeriodo }) => {
+        const pontuacao = pontuar(campanha, 'interno', {
+          telefoneVerificado: req.antiabuso.telefoneVerificado,
+          pontosNoPeriodo
+        });
+
+        const params = [
+          matricula,
+          elogio,
+          motorista,
+          telefone,
+          latitude || null,
+          longitude || null,
+          maps_link || null,
+          cidade,
+          estado,
+          getDataAtual(),
+          token,
+          pontuacao.tipo,
+          pontuacao.pontos,
+          req.antiabuso.score,
+          req.antiabuso.sinais,
+          req.antiabuso.ipHash,
+          req.antiabuso.telefoneVerificado ? 1 : 0,
+          validacaoKmm,
+          autor.id,
+          autor.login,
+          pontuacao.campanha_id,
+          pontuacao.regra_versao,
+          JSON.stringify(pontuacao.detalhe)
+        ];
+
+        const [result] = await conn.query(sql, params);
+        return { pontuacao, result };
+      });
+      if (envio.erro) return res.status(envio.http).json({ status: envio.status, codigo: envio.codigo, mensagem: envio.erro });
+      const { pontuacao, result } = envio;
+
+      eventos.publicar('elogio_interno.created', {
+        id: result?.insertId || null, matricula, motorista, elogio,
+        cidade, estado, telefone_verificado: req.antiabuso.telefoneVerificado, score_suspeita: req.antiabuso.score,
+        validacao_kmm: validacaoKmm, autor: autor.login,
+        pontos: pontuacao.pontos, campanha_id: pontuacao.campanha_id
+      });
+
+      return res.json({
+        status: 'sucesso',
+        mensagem: 'Elogio interno salvo com sucesso!',
+        id: result?.insertId || null,
+        pontos: pontuacao.pontos
+      });
+    } catch (err) {
+      return erroInterno(req, res, err, '/elogio-interno');
+    }
+  });
+
+  /* ======================================================
+     ✅ PONTOS / RANKING (elogios externos + internos - autenticado)
+  ====================================================== */
+  app.use('/pontos', criarRotasPontos({ pool }));
+
+  /* ======================================================
+     ✅ MODERAÇÃO (autenticado - ADMIN_TOKENS)
+  ====================================================== */
+  app.use('/moderacao', criarRotasModeracao({ pool, eventos }));
+
+  /* ======================================================
+     ✅ CASOS DE OCORRÊNCIA (equipe de segurança - autenticado)
+  ====================================================== */
+  app.use('/casos', criarRotasCasos({ pool }));
+
+  /* ======================================================
+     ✅ GEOCODING (status + backfill - autenticado)
+  ====================================================== */
+  app.use('/geocoding', criarRotasGeocoding({ geocoder }));
+
+  /* ======================================================
+     ✅ DASHBOARD ADMIN (API do SPA em /dashboard)
+     Fora de /api: /api é proxy para outro serviço.
+  ====================================================== */
+  app.use('/admin', criarRotasDashboard({ pool, getMotoristaKMMPorCarreta }));
+
+  /* ======================================================
+     ✅ ANÁLISE GEOGRÁFICA (hotspots, reincidência, GeoJSON)
+  ====================================================== */
+  app.use('/analise', criarRotasGeoanalise({ pool, getMotoristaKMMPorCarreta }));
+
+  /* ======================================================
+     ✅ EXPORTAÇÃO CSV / XLSX (autenticado, em stream)
+  ====================================================== */
+  app.use('/exportar', criarRotasExportacao({ pool }));
+
+  /* ======================================================
+     ✅ NOTIFICAÇÕES (contatos, log de envios, resumo dos gestores)
+  ====================================================== */
+  app.use('/notificacoes', criarRotasNotificacoes({ pool, notificacoes }));
+
+  /* ======================================================
+     ✅ WEBHOOKS DE SAÍDA (assinaturas, log de entregas, reenvio)
+  ====================================================== */
+  app.use('/webhooks', criarRotasWebhooks({ pool, webhooks }));
+
+  /* ======================================================
+     ✅ LOGIN DA EQUIPE (contas locais, LDAP/OIDC opcionais, usuários)
+  ====================================================== */
+  app.use('/auth', criarRotasIdentidade({ pool, provedores }));
+
+  /* ======================================================
+     ✅ ANEXOS (só equipe autenticada vê fotos/vídeos)
+  ====================================================== */
+  app.use('/anexos', criarRotasAnexos({ pool, armazenamento }));
+
+  /* ======================================================
+     ✅ CAMPANHAS (pontos, carência, limites e bônus - admin)
+  ====================================================== */
+  app.use('/campanhas', criarRotasCampanhas({ pool, campanhas }));
+
+  /* ======================================================
+     ✅ QR CODE DOS ADESIVOS
+     /q/...: link impresso (público) -> formulário com a placa travada
+     /qr: PNG/SVG, folha de adesivos em PDF e leituras por carreta (admin)
+  ====================================================== */
+  app.use('/q', criarRotasLeituraQr({ pool }));
+  app.use('/qr', criarRotasQr({ pool, kmm }));
+
+  /* ======================================================
+     ✅ LGPD (aviso público + titular/retenção/auditoria - admin)
+  ====================================================== */
+  app.use('/lgpd', criarRotasLgpd({ pool, armazenamento }));
+
+  /* ======================================================
+     ✅ PORTAL DO MOTORISTA (motorista.html)
+     código no WhatsApp (mesmo transporte do OTP) ou link assinado da equipe
+  ====================================================== */
+  app.use('/motorista', criarRotasPortal({ pool, kmm, campanhas, transporte: transporteOtp, getMotoristaKMMPorCarreta }));
+
+  /* ======================================================
+     ✅ KMM (status do snapshot, recarga + revalidação - autenticado)
+     /saude é público (monitoramento): ok | degradado
+  ====================================================== */
+  app.use('/kmm', criarRotasKMM({ pool, kmm, eventos }));
+
+  app.get('/saude', (req, res) => {
+    const k = kmm.status();
+    return res.json({
+      status: k.disponivel ? 'ok' : 'degradado',
+      kmm: { disponivel: k.disponivel, ultimo_sucesso: k.ultimo_sucesso, snapshot: k.snapshot?.atualizado_em || null }
+    });
+  });
+
+  // por último: JSON malformado e exceções que escaparam das rotas (sem detalhe interno na resposta)
+  app.use(tratarErros);
+
+  return app;
+}
+
+module.exports = { criarApp };
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+/* ======================================================
+   ARMAZENAMENTO DE ARQUIVOS (anexos)
+   Todo adaptador expõe:
+   { nome, async salvar(chave, buffer), async abrir(chave) -> stream, async remover(chave) }
+   chave = caminho relativo com '/' (ex.: ocorrencias/2026/03/<uuid>.jpg)
+   - local: disco do servidor (ANEXOS_PASTA)
+   Outro destino (S3, compartilhamento de rede) é só um adaptador novo aqui.
+====================================================== */
+
+const CHAVE_RE = /^[a-z0-9-]+(\/[A-Za-z0-9_.-]+)+$/;
+
+function armazenamentoLocal({ pasta }) {
+  // chave vem do banco, mas nunca deixa sair da pasta
+  function caminho(chave) {
+    if (!CHAVE_RE.test(chave) || chave.split('/').includes('..')) {
+      throw new Error(`Chave de arquivo inválida: ${chave}`);
+    }
+    return path.join(pasta, ...chave.split('/'));
+  }
+
+  return {
+    nome: 'local',
+    async salvar(chave, buffer) {
+      const destino = caminho(chave);
+      await fs.promises.mkdir(path.dirname(destino), { recursive: true });
+      // grava com outro nome e renomeia: arquivo pela metade nunca fica com a chave final
+      const temp = `${destino}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temp, buffer, { flag: 'wx' });
+      await fs.promises.rename(temp, destino);
+    },
+    async abrir(chave) {
+      const origem = caminho(chave);
+      await fs.promises.access(origem, fs.constants.R_OK);
+      return fs.createReadStream(origem);
+    },
+    async remover(chave) {
+      await fs.promises.rm(caminho(chave), { force: true });
+    }
+  };
+}
+
+function criarArmazenamento(nome, env = process.env) {
+  switch (String(nome || 'local').toLowerCase()) {
+    case 'local':
+      return armazenamentoLocal({ pasta: path.resolve(__dirname, '..', env.ANEXOS_PASTA || 'uploads') });
+    default:
+      throw new Error(`Armazenamento desconhecido: ${nome}`);
+  }
+}
+
+module.exports = {
+  armazenamentoLocal,
+  criarArmazenamento
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { segredoDoAmbiente, tokenIgual } = require('./utils');
+
+/* ============================
+   AUTENTICAÇÃO (equipe interna)
+   Login da equipe (POST /auth/login, src/identidade.js) devolve um token de sessão:
+     ses.<usuario_id>.<sessao_versao>.<expira epoch s>.<hmac>
+   A cada requisição o usuário é conferido no banco (ativo + versão da sessão),
+   então desativar, trocar papel ou senha derruba as sessões abertas.
+
+   Papéis: autor (envia elogio interno), moderador, seguranca, admin.
+   admin passa em qualquer exigePapel().
+
+   ADMIN_TOKENS=maria:token-longo-1,joao:token-longo-2 continua valendo como
+   token de serviço (integrações, scripts) com papel admin.
+============================ */
+
+const PAPEIS = ['autor', 'moderador', 'seguranca', 'admin'];
+
+const SESSAO_HORAS = Number(process.env.AUTH_SESSAO_HORAS || 12);
+const CACHE_USUARIO_MS = 60 * 1000;
+
+const SEGREDO = segredoDoAmbiente(process.env.AUTH_SECRET, 'AUTH_SECRET não definido: sessões da equipe perdem validade a cada reinício.');
+
+// pool do MySQL para conferir o usuário da sessão (server.js chama configurarAuth)
+let poolAuth = null;
+const cacheUsuarios = new Map();
+
+function configurarAuth({ pool }) {
+  poolAuth = pool;
+  cacheUsuarios.clear();
+}
+
+/* ---------- Senhas (scrypt) ---------- */
+
+const scrypt = promisify(crypto.scrypt);
+
+async function hashSenha(senha) {
+  const sal = crypto.randomBytes(16);
+  const hash = await scrypt(String(senha), sal, 64);
+  return `scrypt$${sal.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function confereSenha(senha, guardado) {
+  const [alg, sal, hash] = String(guardado || '').split('$');
+  if (alg !== 'scrypt' || !sal || !hash) return false;
+  const esperado = Buffer.from(hash, 'base64');
+  const calculado = await scrypt(String(senha), Buffer.from(sal, 'base64'), esperado.length);
+  return crypto.timingSafeEqual(calculado, esperado);
+}
+
+/* ---------- Token de sessão ---------- */
+
+function assinatura(dados) {
+  return crypto.createHmac('sha256', SEGREDO).update(dados).digest('base64url');
+}
+
+function emitirSessao(usuario) {
+  const exp = Math.floor(Date.now() / 1000) + SESSAO_HORAS * 3600;
+  const dados = `ses.${usuario.id}.${usuario.sessao_versao}.${exp}`;
+  return { token: `${dados}.${assinatura(dados)}`, expira_em: new Date(exp * 1000).toISOString() };
+}
+
+// { id, versao } ou null (formato, assinatura ou validade)
+function lerSessao(token) {
+  const partes = String(token || '').split('.');
+  if (partes.length !== 5 || partes[0] !== 'ses') return null;
+
+  const [, id, versao, exp, sig] = partes;
+  if (!tokenIgual(sig, assinatura(partes.slice(0, 4).join('.')))) return null;
+  if (Number(exp) * 1000 < Date.now()) return null;
+  return { id: Number(id), versao: Number(versao) };
+}
+
+async function buscarUsuarioSessao(id) {
+  const cache = cacheUsuarios.get(id);
+  if (cache && Date.now() - cache.em < CACHE_USUARIO_MS) return cache.usuario;
+
+  const [rows] = await poolAuth.query(
+    'SELECT id, login, nome, email, papel, ativo, sessao_versao FROM usuarios WHERE id = ? LIMIT 1',
+    [id]
+  );
+  const usuario = rows[0] || null;
+  cacheUsuarios.set(id, { usuario, em: Date.now() });
+  return usuario;
+}
+
+// depois de alterar um usuário: a próxima requisição já lê do banco
+function esquecerUsuario(id) {
+  cacheUsuarios.delete(Number(id));
+}
+
+/* ---------- Tokens de serviço (ADMIN_TOKENS) ---------- */
+
+function carregaTokens() {
+  return String(process.env.ADMIN_TOKENS || '')
+    .split(',')
+    .map(par => par.trim())
+    .filter(Boolean)
+    .map(par => {
+      const idx = par.indexOf(':');
+      return idx > 0
+        ? { nome: par.slice(0, idx).trim(), token: par.slice(idx + 1).trim() }
+        : null;
+    })
+    .filter(t => t && t.nome && t.token);
+}
+
+function lerBearer(req) {
+  const h = String(req.get('authorization') || '');
+  return h.toLowerCase().startsWith('bearer ') ? h.slice(7).trim() : '';
+}
+
+/* ---------- Middlewares ---------- */
+
+async function exigeAuth(req, res, next) {
+  const recebido = lerBearer(req);
+  if (!recebido) {
+    return res.status(401).json({ status: 'erro', mensagem: 'Autenticação necessária.' });
+  }
+
+  if (recebido.startsWith('ses.')) {
+    const sessao = lerSessao(recebido);
+    if (!sessao) {
+      return res.status(401).json({ status: 'erro', mensagem: 'Sessão expirada. Entre novamente.' });
+    }
+
+    let usuario;
+    try {
+      usuario = await buscarUsuarioSessao(sessao.id);
+    } catch (err) {
+      console.error('❌ Erro ao conferir sessão:', err.message);
+      return res.status(503).json({ status: 'erro', mensagem: 'Não foi possível conferir a sessão. Tente novamente.' });
+    }
+
+    if (!usuario || !usuario.ativo || Number(usuario.sessao_versao) !== sessao.versao) {
+      return res.status(401).json({ status: 'erro', mensagem: 'Sessão encerrada. Entre novamente.' });
+    }
+
+    req.usuario = { id: usuario.id, login: usuario.login, nome: usuario.nome, email: usuario.email, papel: usuario.papel };
+    return next();
+  }
+
+  const servico = carregaTokens().find(t => tokenIgual(t.token, recebido));
+  if (!servico) {
+    return res.status(401).json({ status: 'erro', mensagem: 'Token inválido.' });
+  }
+
+  req.usuario = { id: null, login: servico.nome, nome: servico.nome, email: null, papel: 'admin', servico: true };
+  next();
+}
+
+// Uso: router.use(exigeAuth, exigePapel('moderador', 'seguranca'))
+function exigePapel(...papeis) {
+  return (req, res, next) => {
+    const papel = req.usuario?.papel;
+    if (papel === 'admin' || papeis.includes(papel)) return next();
+    return res.status(403).json({ status: 'erro', mensagem: 'Seu perfil não tem acesso a esta área.' });
+  };
+}
+
+module.exports = {
+  PAPEIS,
+  configurarAuth,
+  hashSenha,
+  confereSenha,
+  emitirSessao,
+  assinatura,
+  esquecerUsuario,
+  exigeAuth,
+  exigePapel
+};
@@ -0,0 +1,513 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { TZ, getDataAtual } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+
+/* ======================================================
+   CAMPANHAS (regras de pontuação dos elogios)
+   Vale a campanha ativa com inicio <= hoje <= fim (fim vazio = sem fim);
+   havendo mais de uma, a de início mais recente. Sem campanha vigente
+   valem as REGRAS_PADRAO (o comportamento de antes: 1 / 2 pontos, 7 dias).
+
+   Toda alteração de regras vira uma versão nova em campanha_regras e o
+   elogio grava campanha_id + regra_versao + pontos_detalhe de quem pontuou.
+====================================================== */
+
+// origem do elogio -> tabela, coluna do "alvo" e tipo gravado
+const FONTES = {
+  externo: {
+    tabela: 'elogios_motoristas',
+    alvo: 'carreta',
+    tipo: 'Externo',
+    bloqueio: dias => `Você já elogiou esta carreta nos últimos ${dias} dias.`
+  },
+  interno: {
+    tabela: 'elogios_internos',
+    alvo: 'matricula',
+    tipo: 'Interno',
+    bloqueio: dias => `Você já enviou um elogio para este motorista nos últimos ${dias} dias.`
+  }
+};
+
+const PERIODOS = ['dia', 'semana', 'mes', 'campanha'];
+const NOME_PERIODO = { dia: 'dia', semana: 'semana', mes: 'mês', campanha: 'campanha' };
+
+// condição -> pontos extras (somados à base da origem)
+const BONUS = ['telefone_verificado', 'foto'];
+
+// limites.avaliador: envios por avaliador (token / login) no período -> recusa com 409
+// limites.motorista: pontos por motorista (carreta / matrícula) no período -> o elogio entra, os pontos param no teto
+const REGRAS_PADRAO = {
+  fontes: {
+    externo: { pontos: 1, carencia_dias: 7 },
+    interno: { pontos: 2, carencia_dias: 7 }
+  },
+  limites: {
+    avaliador: { max_envios: null, periodo: 'mes' },
+    motorista: { max_pontos: null, periodo: 'mes' }
+  },
+  bonus: { telefone_verificado: 0, foto: 0 }
+};
+
+const DATA_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function inteiroOuNulo(v) {
+  if (v === null || v === undefined || v === '') return { valor: null };
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? { valor: n } : { erro: true };
+}
+
+// Completa com REGRAS_PADRAO o que não veio. Retorna { regras } ou { erro }.
+function validarRegras(entrada = {}) {
+  if (!entrada || typeof entrada !== 'object' || Array.isArray(entrada)) {
+    return { erro: 'Regras inválidas: envie um objeto.' };
+  }
+  const regras = JSON.parse(JSON.stringify(REGRAS_PADRAO));
+
+  for (const fonte of Object.keys(entrada.fontes || {})) {
+    if (!FONTES[fonte]) return { erro: `Origem desconhecida: ${fonte}. Use: ${Object.keys(FONTES).join(', ')}.` };
+    const e = entrada.fontes[fonte] || {};
+    for (const campo of ['pontos', 'carencia_dias']) {
+      if (e[campo] === undefined) continue;
+      const { valor, erro } = inteiroOuNulo(e[campo]);
+      if (erro || valor === null) return { erro: `fontes.${fonte}.${campo} deve ser um inteiro >= 0.` };
+      regras.fontes[fonte][campo] = valor;
+    }
+  }
+
+  for (const [quem, campo] of [['avaliador', 'max_envios'], ['motorista', 'max_pontos']]) {
+    const e = entrada.limites?.[quem];
+    if (!e) continue;
+    if (e[campo] !== undefined) {
+      const { valor, erro } = inteiroOuNulo(e[campo]);
+      if (erro) return { erro: `limites.${quem}.${campo} deve ser um inteiro >= 0 (ou vazio para sem limite).` };
+      regras.limites[quem][campo] = valor;
+    }
+    if (e.periodo !== undefined) {
+      if (!PERIODOS.includes(e.periodo)) return { erro: `limites.${quem}.periodo inválido. Use: ${PERIODOS.join(', ')}.` };
+      regras.limites[quem].periodo = e.periodo;
+    }
+  }
+
+  for (const cond of Object.keys(entrada.bonus || {})) {
+    if (!BONUS.includes(cond)) return { erro: `Bônus desconhecido: ${cond}. Use: ${BONUS.join(', ')}.` };
+    const { valor, erro } = inteiroOuNulo(entrada.bonus[cond]);
+    if (erro || valor === null) return { erro: `bonus.${cond} deve ser um inteiro >= 0.` };
+    regras.bonus[cond] = valor;
+  }
+
+  return { regras };
+}
+
+function lerRegras(texto) {
+  try {
+    return validarRegras(JSON.parse(texto)).regras || REGRAS_PADRAO;
+  } catch (e) {
+    return REGRAS_PADRAO;
+  }
+}
+
+function formataDia(v) {
+  return v ? moment(v).tz(TZ).format('YYYY-MM-DD') : null;
+}
+
+/* ---------- Campanha vigente (cache curto) ---------- */
+
+function criarCampanhas({ pool, cacheMs = 60 * 1000 }) {
+  let cache = null;
+
+  async function buscarVigente() {
+    const hoje = moment().tz(TZ).format('YYYY-MM-DD');
+    const [rows] = await pool.query(
+      `SELECT c.id, c.nome, c.inicio, c.fim, c.regra_versao, r.regras
+       FROM campanhas c
+       JOIN campanha_regras r ON r.campanha_id = c.id AND r.versao = c.regra_versao
+       WHERE c.ativa = 1 AND c.inicio <= ? AND (c.fim IS NULL OR c.fim >= ?)
+       ORDER BY c.inicio DESC, c.id DESC
+       LIMIT 1`,
+      [hoje, hoje]
+    );
+    const c = rows[0];
+    if (!c) return { campanha_id: null, nome: 'Regras padrão', inicio: null, fim: null, regra_versao: null, regras: REGRAS_PADRAO };
+
+    return {
+      campanha_id: c.id,
+      nome: c.nome,
+      inicio: formataDia(c.inicio),
+      fim: formataDia(c.fim),
+      regra_versao: c.regra_versao,
+      regras: lerRegras(c.regras)
+    };
+  }
+
+  return {
+    async vigente() {
+      // a virada do dia troca a campanha: o dia entra na chave do cache
+      const dia = moment().tz(TZ).format('YYYY-MM-DD');
+      if (cache && cache.dia === dia && Date.now() - cache.em < cacheMs) return cache.campanha;
+      const campanha = await buscarVigente();
+      cache = { campanha, dia, em: Date.now() };
+      return campanha;
+    },
+    invalidar() {
+      cache = null;
+    }
+  };
+}
+
+function inicioPeriodo(periodo, campanha) {
+  const agora = moment().tz(TZ);
+  if (periodo === 'dia') return agora.startOf('day');
+  if (periodo === 'semana') return agora.startOf('isoWeek');
+  if (periodo === 'mes') return agora.startOf('month');
+  // 'campanha' sem campanha vigente (regras padrão) não tem começo: sem limite
+  return campanha.inicio ? moment.tz(campanha.inicio, 'YYYY-MM-DD', TZ) : null;
+}
+
+/* ---------- Carência e limites (antes de gravar) ---------- */
+
+// Pontos do motorista no período somando as duas origens pela matrícula gravada no elogio
+// (como no extrato de src/pontos.js). Sem matrícula (KMM fora ou carreta sem motorista) conta só a carreta.
+async function pontosDoMotorista(db, { matricula, carreta }, desde) {
+  async function somar(tabela, coluna, valor) {
+    const [[r]] = await db.query(
+      `SELECT COALESCE(SUM(pontos), 0) AS total FROM ${tabela}
+       WHERE ${coluna} = ? AND data_hora >= ? AND status <> 'rejeitado'`,
+      [valor, desde]
+    );
+    return Number(r.total) || 0;
+  }
+
+  if (!matricula) return somar(FONTES.externo.tabela, 'carreta', carreta);
+  return await somar(FONTES.interno.tabela, 'matricula', matricula) +
+    await somar(FONTES.externo.tabela, 'matricula', matricula);
+}
+
+// avaliador = { coluna: 'token_avaliador' | 'autor_id', valor }
+// matricula: motorista do alvo (interno: o próprio alvo; externo: o da carreta no envio, null se não há)
+// Retorna { pontosNoPeriodo } ou { http, status, erro } para devolver ao formulário.
+async function verificarEnvio(db, campanha, { fonte, avaliador, alvo, matricula }) {
+  const cfg = FONTES[fonte];
+  const { regras } = campanha;
+  const FMT = 'YYYY-MM-DD HH:mm:ss';
+
+  const dias = regras.fontes[fonte].carencia_dias;
+  if (dias > 0) {
+    const limite = moment().tz(TZ).subtract(dias, 'days').format(FMT);
+    const [existe] = await db.query(
+      `SELECT 1 FROM ${cfg.tabela} WHERE ${cfg.alvo} = ? AND ${avaliador.coluna} = ? AND data_hora >= ? LIMIT 1`,
+      [alvo, avaliador.valor, limite]
+    );
+    if (existe.length > 0) return { http: 409, status: 'bloqueado', codigo: 'carencia', erro: cfg.bloqueio(dias) };
+  }
+
+  const porAvaliador = regras.limites.avaliador;
+  const desdeAvaliador = porAvaliador.max_envios !== null && inicioPeriodo(porAvaliador.periodo, campanha);
+  if (desdeAvaliador) {
+    const [[r]] = await db.query(
+      `SELECT COUNT(*) AS total FROM ${cfg.tabela}
+       WHERE ${avaliador.coluna} = ? AND data_hora >= ? AND status <> 'rejeitado'`,
+      [avaliador.valor, desdeAvaliador.format(FMT)]
+    );
+    if (Number(r.total) >= porAvaliador.max_envios) {
+      return {
+        http: 409,
+        status: 'bloqueado',
+        codigo: 'limite_avaliador',
+        erro: `Você atingiu o limite de ${porAvaliador.max_envios} elogio(s) por ${NOME_PERIODO[porAvaliador.periodo]} desta campanha.`
+      };
+    }
+  }
+
+  let pontosNoPeriodo = null;
+  const porMotorista = regras.limites.motorista;
+  const desdeMotorista = porMotorista.max_pontos !== null && inicioPeriodo(porMotorista.periodo, campanha);
+  if (desdeMotorista) {
+    const carreta = fonte === 'externo' ? alvo : null;
+    pontosNoPeriodo = await pontosDoMotorista(db, { matricula, carreta }, desdeMotorista.format(FMT));
+  }
+
+  return { pontosNoPeriodo };
+}
+
+// Linhas de campanha_travas que o envio precisa prender: avaliador (carência e limite de envios)
+// e motorista (teto de pontos, pela matrícula; sem ela, pela carreta)
+function chavesDeTrava(campanha, { fonte, avaliador, alvo, matricula }) {
+  const { regras } = campanha;
+  const chaves = [];
+  if (regras.fontes[fonte].carencia_dias > 0 || regras.limites.avaliador.max_envios !== null) {
+    chaves.push(`avaliador:${avaliador.coluna}:${avaliador.valor}`);
+  }
+  if (regras.limites.motorista.max_pontos !== null) {
+    chaves.push(matricula ? `motorista:${matricula}` : `carreta:${alvo}`);
+  }
+  return chaves.sort();
+}
+
+/**
+ * Carência, limites e INSERT numa transação só, com as travas do avaliador e do motorista
+ * presas (SELECT ... FOR UPDATE) até o COMMIT: envios em paralelo passam um de cada vez.
+ * gravar(conn, envio) faz o INSERT na conexão da transação; envio = { pontosNoPeriodo }.
+ * @returns o retorno de gravar, ou { http, status, codigo, erro } se o envio foi recusado
+ */
+async function registrarEnvio(pool, campanha, dados, gravar) {
+  const chaves = chavesDeTrava(campanha, dados);
+  // cria as linhas fora da transação: INSERT IGNORE de linha existente pegaria trava compartilhada
+  if (chaves.length) await pool.query('INSERT IGNORE INTO campanha_travas (chave) VALUES ?', [chaves.map(c => [c])]);
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    if (chaves.length) {
+      await conn.query('SELECT chave FROM campanha_travas WHERE chave IN (?) ORDER BY chave FOR UPDATE', [chaves]);
+    }
+
+    const envio = await verificarEnvio(conn, campanha, dados);
+    if (envio.erro) {
+      await conn.rollback();
+      return envio;
+    }
+
+    const resultado = await gravar(conn, envio);
+    await conn.commit();
+    return resultado;
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+/* ---------- Pontuação ---------- */
+
+// sinais = { telefoneVerificado, fotos, pontosNoPeriodo }
+// Retorna { tipo, pontos, campanha_id, regra_versao, detalhe } (detalhe vai em pontos_detalhe).
+function pontuar(campanha, fonte, sinais = {}) {
+  const { regras } = campanha;
+  const detalhe = { base: regras.fontes[fonte].pontos, bonus: {} };
+
+  if (sinais.telefoneVerificado && regras.bonus.telefone_verificado) {
+    detalhe.bonus.telefone_verificado = regras.bonus.telefone_verificado;
+  }
+  if (sinais.fotos > 0 && regras.bonus.foto) {
+    detalhe.bonus.foto = regras.bonus.foto;
+  }
+
+  let pontos = detalhe.base + Object.values(detalhe.bonus).reduce((s, v) => s + v, 0);
+
+  const teto = regras.limites.motorista.max_pontos;
+  if (teto !== null && sinais.pontosNoPeriodo !== null && sinais.pontosNoPeriodo !== undefined) {
+    const restante = Math.max(0, teto - sinais.pontosNoPeriodo);
+    if (pontos > restante) {
+      detalhe.limitado = pontos - restante;
+      pontos = restante;
+    }
+  }
+
+  return {
+    tipo: FONTES[fonte].tipo,
+    pontos,
+    campanha_id: campanha.campanha_id,
+    regra_versao: campanha.regra_versao,
+    detalhe
+  };
+}
+
+/* ---------- Rotas (admin) ---------- */
+
+function validaCampanhaBody(body, { parcial = false } = {}) {
+  const out = {};
+
+  if (body.nome !== undefined || !parcial) {
+    out.nome = String(body.nome || '').trim().slice(0, 120);
+    if (!out.nome) return { erro: 'Informe o nome da campanha.' };
+  }
+  if (body.inicio !== undefined || !parcial) {
+    out.inicio = String(body.inicio || '').trim();
+    if (!DATA_RE.test(out.inicio) || !moment(out.inicio, 'YYYY-MM-DD', true).isValid()) {
+      return { erro: 'Data de início inválida. Use AAAA-MM-DD.' };
+    }
+  }
+  if (body.fim !== undefined) {
+    out.fim = body.fim ? String(body.fim).trim() : null;
+    if (out.fim && (!DATA_RE.test(out.fim) || !moment(out.fim, 'YYYY-MM-DD', true).isValid())) {
+      return { erro: 'Data de fim inválida. Use AAAA-MM-DD (ou vazio para sem fim).' };
+    }
+  }
+  if (out.inicio && out.fim && out.fim < out.inicio) {
+    return { erro: 'A data de fim é anterior ao início.' };
+  }
+  if (body.ativa !== undefined) out.ativa = body.ativa === true || body.ativa === 1 || body.ativa === 'true' ? 1 : 0;
+
+  let regras;
+  if (body.regras !== undefined || !parcial) {
+    const v = validarRegras(body.regras || {});
+    if (v.erro) return { erro: v.erro };
+    regras = v.regras;
+  }
+
+  return { dados: out, regras };
+}
+
+function serializa(row) {
+  return {
+    ...row,
+    ativa: !!row.ativa,
+    inicio: formataDia(row.inicio),
+    fim: formataDia(row.fim),
+    criado_em: row.criado_em ? moment(row.criado_em).tz(TZ).format('YYYY-MM-DD HH:mm:ss') : null
+  };
+}
+
+function criarRotasCampanhas({ pool, campanhas }) {
+  const router = express.Router();
+  router.use(exigeAuth, exigePapel('admin'));
+
+  router.get('/', async (req, res) => {
+    try {
+      const [rows] = await pool.query(
+        `SELECT id, nome, inicio, fim, ativa, regra_versao, criado_por, criado_em
+         FROM campanhas ORDER BY inicio DESC, id DESC`
+      );
+      return res.json({ status: 'sucesso', campanhas: rows.map(serializa) });
+    } catch (err) {
+      console.error('❌ Erro ao listar campanhas:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao listar campanhas.' });
+    }
+  });
+
+  // o que está valendo agora (campanha ou regras padrão)
+  router.get('/vigente', async (req, res) => {
+    try {
+      return res.json({ status: 'sucesso', vigente: await campanhas.vigente() });
+    } catch (err) {
+      console.error('❌ Erro ao buscar campanha vigente:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao buscar campanha vigente.' });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    try {
+      const [rows] = await pool.query(
+        'SELECT id, nome, inicio, fim, ativa, regra_versao, criado_por, criado_em FROM campanhas WHERE id = ? LIMIT 1',
+        [id]
+      );
+      if (!rows[0]) return res.status(404).json({ status: 'erro', mensagem: 'Campanha não encontrada.' });
+
+      const [versoes] = await pool.query(
+        'SELECT versao, regras, criado_por, criado_em FROM campanha_regras WHERE campanha_id = ? ORDER BY versao DESC',
+        [id]
+      );
+      return res.json({
+        status: 'sucesso',
+        campanha: serializa(rows[0]),
+        versoes: versoes.map(v => ({ ...serializa(v), regras: lerRegras(v.regras) }))
+      });
+    } catch (err) {
+      console.error('❌ Erro ao buscar campanha:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao buscar campanha.' });
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    const { dados, regras, erro } = validaCampanhaBody(req.body || {});
+    if (erro) return res.status(400).json({ status: 'erro', mensagem: erro });
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const agora = getDataAtual();
+      const [r] = await conn.query(
+        `INSERT INTO campanhas (nome, inicio, fim, ativa, regra_versao, criado_por, criado_em)
+         VALUES (?, ?, ?, ?, 1, ?, ?)`,
+        [dados.nome, dados.inicio, dados.fim ?? null, dados.ativa ?? 1, req.usuario.login, agora]
+      );
+      await conn.query(
+        'INSERT INTO campanha_regras (campanha_id, versao, regras, criado_por, criado_em) VALUES (?, 1, ?, ?, ?)',
+        [r.insertId, JSON.stringify(regras), req.usuario.login, agora]
+      );
+      await conn.commit();
+      campanhas.invalidar();
+      return res.status(201).json({ status: 'sucesso', id: r.insertId, regra_versao: 1, regras });
+    } catch (err) {
+      await conn.rollback();
+      console.error('❌ Erro ao criar campanha:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao criar campanha.' });
+    } finally {
+      conn.release();
+    }
+  });
+
+  // Atualização parcial. Regras novas = versão nova (os elogios antigos guardam a versão que os pontuou).
+  router.post('/:id', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const { dados, regras, erro } = validaCampanhaBody(req.body || {}, { parcial: true });
+    if (erro) return res.status(400).json({ status: 'erro', mensagem: erro });
+
+    const campos = Object.keys(dados);
+    if (!campos.length && !regras) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Nada para atualizar.' });
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const [rows] = await conn.query(
+        'SELECT id, inicio, fim, regra_versao FROM campanhas WHERE id = ? FOR UPDATE',
+        [id]
+      );
+      const atual = rows[0];
+      if (!atual) {
+        await conn.rollback();
+        return res.status(404).json({ status: 'erro', mensagem: 'Campanha não encontrada.' });
+      }
+
+      const inicio = dados.inicio ?? formataDia(atual.inicio);
+      const fim = dados.fim !== undefined ? dados.fim : formataDia(atual.fim);
+      if (fim && fim < inicio) {
+        await conn.rollback();
+        return res.status(400).json({ status: 'erro', mensagem: 'A data de fim é anterior ao início.' });
+      }
+
+      let versao = atual.regra_versao;
+      if (regras) {
+        versao += 1;
+        await conn.query(
+          'INSERT INTO campanha_regras (campanha_id, versao, regras, criado_por, criado_em) VALUES (?, ?, ?, ?, ?)',
+          [id, versao, JSON.stringify(regras), req.usuario.login, getDataAtual()]
+        );
+        dados.regra_versao = versao;
+      }
+
+      const sets = Object.keys(dados);
+      await conn.query(
+        `UPDATE campanhas SET ${sets.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...sets.map(c => dados[c]), id]
+      );
+      await conn.commit();
+      campanhas.invalidar();
+      return res.json({ status: 'sucesso', mensagem: 'Campanha atualizada.', regra_versao: versao });
+    } catch (err) {
+      await conn.rollback();
+      console.error('❌ Erro ao atualizar campanha:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao atualizar campanha.' });
+    } finally {
+      conn.release();
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  FONTES,
+  REGRAS_PADRAO,
+  validarRegras,
+  criarCampanhas,
+  verificarEnvio,
+  registrarEnvio,
+  pontuar,
+  criarRotasCampanhas
+};
@@ -0,0 +1,308 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { TZ, resolveUF } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+const { parseFiltros, montarLedger, calculaRanking } = require('./pontos');
+
+/* ======================================================
+   API DO DASHBOARD (/dashboard SPA) — autenticado
+   Filtros de período/UF/tipo iguais aos de /pontos (?de&ate, ?periodo...).
+   Elogios: só 'aprovado' (mesma regra dos pontos).
+   Ocorrências: tudo que não foi rejeitado na moderação.
+====================================================== */
+
+const FONTES_MAPA = ['elogios', 'ocorrencias', 'todos'];
+
+// WHERE por tabela. statusCond vem fixo do código (nunca do usuário).
+function montaWhere(filtros, statusCond, extras = []) {
+  const cond = [statusCond, ...extras];
+  const params = [];
+
+  if (filtros.inicio) { cond.push('data_hora >= ?'); params.push(filtros.inicio); }
+  if (filtros.fim) { cond.push('data_hora <= ?'); params.push(filtros.fim); }
+  if (filtros.uf) { cond.push('estado IN (?, ?)'); params.push(filtros.uf.nome, filtros.uf.sigla); }
+
+  return { where: `WHERE ${cond.join(' AND ')}`, params };
+}
+
+const APROVADO = "status = 'aprovado'";
+const NAO_REJEITADO = "status <> 'rejeitado'";
+
+const querExterno = f => !f.tipo || f.tipo === 'Externo';
+const querInterno = f => !f.tipo || f.tipo === 'Interno';
+
+function filtrosResposta(filtros) {
+  return {
+    periodo: filtros.periodo,
+    inicio: filtros.inicio,
+    fim: filtros.fim,
+    uf: filtros.uf?.sigla || null,
+    tipo: filtros.tipo
+  };
+}
+
+function limite(valor, padrao, max) {
+  const n = parseInt(valor, 10);
+  return Number.isFinite(n) ? Math.min(Math.max(n, 1), max) : padrao;
+}
+
+/* ---------- Consultas ---------- */
+
+async function resumo(pool, filtros) {
+  const e = montaWhere(filtros, APROVADO);
+  const o = montaWhere(filtros, NAO_REJEITADO);
+  const p = montaWhere(filtros, "status = 'pendente'");
+
+  const [[ext]] = await pool.query(
+    `SELECT COUNT(*) AS total, COALESCE(SUM(pontos), 0) AS pontos, COUNT(DISTINCT carreta) AS carretas
+     FROM elogios_motoristas ${e.where}`, e.params);
+  const [[int]] = await pool.query(
+    `SELECT COUNT(*) AS total, COALESCE(SUM(pontos), 0) AS pontos, COUNT(DISTINCT matricula) AS matriculas
+     FROM elogios_internos ${e.where}`, e.params);
+  const [[oc]] = await pool.query(
+    `SELECT COUNT(*) AS total,
+            SUM(severidade IN ('alta', 'critica')) AS graves,
+            SUM(caso_status <> 'fechado') AS casos_abertos
+     FROM ocorrencias_motoristas ${o.where}`, o.params);
+
+  const pendentes = {};
+  for (const [chave, tabela] of [['elogios', 'elogios_motoristas'], ['elogios_internos', 'elogios_internos'], ['ocorrencias', 'ocorrencias_motoristas']]) {
+    const [[r]] = await pool.query(`SELECT COUNT(*) AS total FROM ${tabela} ${p.where}`, p.params);
+    pendentes[chave] = Number(r.total) || 0;
+  }
+
+  const externos = querExterno(filtros) ? Number(ext.total) || 0 : 0;
+  const internos = querInterno(filtros) ? Number(int.total) || 0 : 0;
+
+  return {
+    elogios: {
+      total: externos + internos,
+      externos,
+      internos,
+      pontos: (querExterno(filtros) ? Number(ext.pontos) : 0) + (querInterno(filtros) ? Number(int.pontos) : 0),
+      carretas_elogiadas: querExterno(filtros) ? Number(ext.carretas) || 0 : 0,
+      matriculas_elogiadas: querInterno(filtros) ? Number(int.matriculas) || 0 : 0
+    },
+    ocorrencias: {
+      total: Number(oc.total) || 0,
+      graves: Number(oc.graves) || 0,
+      casos_abertos: Number(oc.casos_abertos) || 0
+    },
+    pendentes_moderacao: pendentes
+  };
+}
+
+// [{ dia, externos, internos, total }] com os dias sem elogio zerados
+async function elogiosPorDia(pool, filtros) {
+  const { where, params } = montaWhere(filtros, APROVADO);
+  const porDia = new Map();
+  const item = dia => {
+    if (!porDia.has(dia)) porDia.set(dia, { dia, externos: 0, internos: 0, total: 0 });
+    return porDia.get(dia);
+  };
+
+  for (const [origem, tabela, quer] of [['externos', 'elogios_motoristas', querExterno], ['internos', 'elogios_internos', querInterno]]) {
+    if (!quer(filtros)) continue;
+    const [rows] = await pool.query(
+      `SELECT DATE_FORMAT(data_hora, '%Y-%m-%d') AS dia, COUNT(*) AS total
+       FROM ${tabela} ${where}
+       GROUP BY dia`, params);
+    for (const r of rows) {
+      const i = item(r.dia);
+      i[origem] += Number(r.total) || 0;
+      i.total += Number(r.total) || 0;
+    }
+  }
+
+  // preenche lacunas só quando o período é fechado (evita série de anos em "tudo")
+  if (filtros.inicio && filtros.fim) {
+    const fim = moment.tz(filtros.fim, TZ);
+    for (const d = moment.tz(filtros.inicio, TZ).startOf('day'); d.isSameOrBefore(fim); d.add(1, 'day')) {
+      item(d.format('YYYY-MM-DD'));
+    }
+  }
+
+  return [...porDia.values()].sort((a, b) => a.dia.localeCompare(b.dia));
+}
+
+// estado é gravado ora como nome, ora como sigla: agrupa pela sigla
+async function elogiosPorUF(pool, filtros) {
+  const { where, params } = montaWhere(filtros, APROVADO);
+  const porUF = new Map();
+
+  for (const [origem, tabela, quer] of [['externos', 'elogios_motoristas', querExterno], ['internos', 'elogios_internos', querInterno]]) {
+    if (!quer(filtros)) continue;
+    const [rows] = await pool.query(
+      `SELECT estado, COUNT(*) AS total, COALESCE(SUM(pontos), 0) AS pontos
+       FROM ${tabela} ${where}
+       GROUP BY estado`, params);
+    for (const r of rows) {
+      const uf = resolveUF(r.estado)?.sigla || null;
+      if (!porUF.has(uf)) porUF.set(uf, { uf, externos: 0, internos: 0, total: 0, pontos: 0 });
+      const i = porUF.get(uf);
+      i[origem] += Number(r.total) || 0;
+      i.total += Number(r.total) || 0;
+      i.pontos += Number(r.pontos) || 0;
+    }
+  }
+
+  return [...porUF.values()].sort((a, b) => b.total - a.total);
+}
+
+// Só elogio externo tem carreta
+async function elogiosPorCarreta(pool, filtros, limit) {
+  if (!querExterno(filtros)) return [];
+  const { where, params } = montaWhere(filtros, APROVADO);
+  const [rows] = await pool.query(
+    `SELECT carreta, COUNT(*) AS total, COALESCE(SUM(pontos), 0) AS pontos,
+            MAX(nome_motorista) AS motorista, MAX(data_hora) AS ultimo
+     FROM elogios_motoristas ${where}
+     GROUP BY carreta
+     ORDER BY total DESC, carreta
+     LIMIT ?`, [...params, limit]);
+
+  return rows.map(r => ({
+    carreta: r.carreta,
+    motorista: r.motorista || null,
+    total: Number(r.total) || 0,
+    pontos: Number(r.pontos) || 0,
+    ultimo: r.ultimo ? moment(r.ultimo).tz(TZ).format('YYYY-MM-DD HH:mm:ss') : null
+  }));
+}
+
+async function ocorrenciasPorTipo(pool, filtros) {
+  const { where, params } = montaWhere(filtros, NAO_REJEITADO);
+  const [rows] = await pool.query(
+    `SELECT COALESCE(t.codigo, '') AS codigo, o.tipo_ocorrencia AS tipo, o.severidade, COUNT(*) AS total
+     FROM (SELECT tipo_id, tipo_ocorrencia, severidade FROM ocorrencias_motoristas ${where}) o
+     LEFT JOIN ocorrencia_tipos t ON t.id = o.tipo_id
+     GROUP BY codigo, o.tipo_ocorrencia, o.severidade
+     ORDER BY total DESC`, params);
+
+  return rows.map(r => ({
+    codigo: r.codigo || null,
+    tipo: r.tipo,
+    severidade: r.severidade || null,
+    total: Number(r.total) || 0
+  }));
+}
+
+// Pontos agregados por célula (lat/lng arredondados) para o heatmap
+async function pontosMapa(pool, filtros, { fonte, precisao }) {
+  const tabelas = [];
+  if (fonte !== 'ocorrencias') {
+    if (querExterno(filtros)) tabelas.push(['elogios', 'elogios_motoristas', APROVADO]);
+    if (querInterno(filtros)) tabelas.push(['elogios', 'elogios_internos', APROVADO]);
+  }
+  if (fonte !== 'elogios') tabelas.push(['ocorrencias', 'ocorrencias_motoristas', NAO_REJEITADO]);
+
+  const celulas = new Map();
+  for (const [nome, tabela, statusCond] of tabelas) {
+    const { where, params } = montaWhere(filtros, statusCond, [
+      'latitude IS NOT NULL', 'longitude IS NOT NULL', "latitude <> ''", "longitude <> ''"
+    ]);
+    const [rows] = await pool.query(
+      `SELECT ROUND(CAST(latitude AS DECIMAL(10,6)), ?) AS lat,
+              ROUND(CAST(longitude AS DECIMAL(10,6)), ?) AS lng,
+              COUNT(*) AS peso
+       FROM ${tabela} ${where}
+       GROUP BY lat, lng`, [precisao, precisao, ...params]);
+
+    for (const r of rows) {
+      const lat = Number(r.lat);
+      const lng = Number(r.lng);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng) || (lat === 0 && lng === 0)) continue;
+      if (Math.abs(lat) > 90 || Math.abs(lng) > 180) continue;
+
+      const chave = `${nome}|${lat}|${lng}`;
+      const c = celulas.get(chave) || { lat, lng, peso: 0, fonte: nome };
+      c.peso += Number(r.peso) || 0;
+      celulas.set(chave, c);
+    }
+  }
+
+  return [...celulas.values()];
+}
+
+/* ---------- Rotas ---------- */
+
+function criarRotasDashboard(deps) {
+  const { pool } = deps;
+  const router = express.Router();
+  router.use(exigeAuth, exigePapel('moderador', 'seguranca'));
+
+  // Lê os filtros; em erro já responde 400 e devolve null
+  function filtrosOu400(req, res) {
+    const { filtros, erro } = parseFiltros(req.query);
+    if (erro) {
+      res.status(400).json({ status: 'erro', mensagem: erro });
+      return null;
+    }
+    return filtros;
+  }
+
+  function rota(caminho, mensagemErro, fn) {
+    router.get(caminho, async (req, res) => {
+      const filtros = filtrosOu400(req, res);
+      if (!filtros) return;
+      try {
+        const dados = await fn(req, filtros);
+        return res.json({ status: 'sucesso', filtros: filtrosResposta(filtros), ...dados });
+      } catch (err) {
+        console.error(`❌ ${mensagemErro}:`, err.message);
+        return res.status(500).json({ status: 'erro', mensagem: `${mensagemErro}.` });
+      }
+    });
+  }
+
+  // Sessão: o SPA usa para validar o token salvo
+  router.get('/sessao', (req, res) => res.json({ status: 'sucesso', usuario: req.usuario }));
+
+  // Uso: /admin/resumo?periodo=mensal&ano=2026&mes=3&uf=SP
+  rota('/resumo', 'Erro ao montar resumo', async (req, f) => ({ resumo: await resumo(pool, f) }));
+
+  rota('/elogios/por-dia', 'Erro ao contar elogios por dia', async (req, f) => ({ dias: await elogiosPorDia(pool, f) }));
+
+  rota('/elogios/por-uf', 'Erro ao contar elogios por UF', async (req, f) => ({ ufs: await elogiosPorUF(pool, f) }));
+
+  rota('/elogios/por-carreta', 'Erro ao contar elogios por carreta', async (req, f) => ({
+    carretas: await elogiosPorCarreta(pool, f, limite(req.query.limit, 20, 200))
+  }));
+
+  rota('/ocorrencias/por-tipo', 'Erro ao contar ocorrências por tipo', async (req, f) => ({
+    tipos: await ocorrenciasPorTipo(pool, f)
+  }));
+
+  // Mesmo cálculo do /pontos/ranking
+  rota('/motoristas/top', 'Erro ao montar top motoristas', async (req, f) => {
+    const { ranking, naoIdentificados } = calculaRanking(await montarLedger(deps, f));
+    return { motoristas: ranking.slice(0, limite(req.query.limit, 10, 100)), nao_identificados: naoIdentificados };
+  });
+
+  // Uso: /admin/mapa?fonte=ocorrencias&precisao=3&de=2026-01-01&ate=2026-01-31
+  router.get('/mapa', async (req, res) => {
+    const filtros = filtrosOu400(req, res);
+    if (!filtros) return;
+
+    const fonte = String(req.query.fonte || 'todos').toLowerCase();
+    if (!FONTES_MAPA.includes(fonte)) {
+      return res.status(400).json({ status: 'erro', mensagem: `Fonte inválida. Use: ${FONTES_MAPA.join(', ')}.` });
+    }
+    // 3 casas ≈ 110 m; 2 ≈ 1,1 km
+    const precisao = Math.min(Math.max(parseInt(req.query.precisao, 10) || 3, 1), 5);
+
+    try {
+      const pontos = await pontosMapa(pool, filtros, { fonte, precisao });
+      return res.json({ status: 'sucesso', filtros: { ...filtrosResposta(filtros), fonte, precisao }, pontos });
+    } catch (err) {
+      console.error('❌ Erro ao montar mapa:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao montar mapa.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  criarRotasDashboard
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+/* ======================================================
+   CONTRATO DE ERRO (todas as rotas)
+   { status: 'erro' | 'bloqueado' | ..., codigo, mensagem, campos?, correlacao_id }
+   - status continua como antes (as páginas já tratam 'bloqueado', 'desafio'...)
+   - codigo: fixo, para máquina (a rota pode mandar um mais específico)
+   - correlacao_id: mesmo id do header X-Correlation-Id e do log do servidor.
+     Detalhe interno (SQL, stack) só vai para o log, nunca para a resposta.
+====================================================== */
+
+// código padrão quando a rota não manda um
+const CODIGOS_HTTP = {
+  400: 'requisicao_invalida',
+  401: 'nao_autenticado',
+  403: 'sem_permissao',
+  404: 'nao_encontrado',
+  409: 'conflito',
+  413: 'muito_grande',
+  415: 'tipo_nao_suportado',
+  422: 'nao_processavel',
+  428: 'desafio',
+  429: 'limite_excedido',
+  500: 'erro_interno',
+  502: 'servico_externo',
+  503: 'indisponivel'
+};
+
+const CORRELACAO_RE = /^[A-Za-z0-9-]{8,64}$/;
+
+// Id da requisição: aproveita o do proxy/cliente (X-Correlation-Id) ou gera um.
+function correlacao() {
+  return (req, res, next) => {
+    const recebido = String(req.get('x-correlation-id') || '').trim();
+    req.correlacaoId = CORRELACAO_RE.test(recebido) ? recebido : crypto.randomUUID();
+    res.setHeader('X-Correlation-Id', req.correlacaoId);
+    next();
+  };
+}
+
+// Completa toda resposta de erro em JSON com codigo + correlacao_id.
+function padronizarErros() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+        body = {
+          ...body,
+          codigo: body.codigo || CODIGOS_HTTP[res.statusCode] || (res.statusCode >= 500 ? 'erro_interno' : 'requisicao_invalida'),
+          correlacao_id: req.correlacaoId
+        };
+        // a rota já logou o detalhe; esta linha liga o log ao id que o cliente recebeu
+        if (res.statusCode >= 500) {
+          console.error(`❌ [${req.correlacaoId}] ${req.method} ${req.originalUrl} -> ${res.statusCode}`);
+        }
+      }
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+// 500 sem vazar detalhe: loga o erro completo com o id e responde genérico.
+function erroInterno(req, res, err, contexto) {
+  console.error(`❌ [${req.correlacaoId}] ${contexto}:`, err);
+  return res.status(500).json({
+    status: 'erro',
+    codigo: 'erro_interno',
+    mensagem: 'Não foi possível concluir agora. Tente novamente em instantes.'
+  });
+}
+
+// Último middleware: JSON malformado, corpo grande demais e exceções não tratadas.
+function tratarErros(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ status: 'erro', codigo: 'json_invalido', mensagem: 'Corpo da requisição não é um JSON válido.' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ status: 'erro', mensagem: 'Corpo da requisição grande demais.' });
+  }
+  return erroInterno(req, res, err, 'Erro não tratado');
+}
+
+module.exports = {
+  CODIGOS_HTTP,
+  correlacao,
+  padronizarErros,
+  erroInterno,
+  tratarErros
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { getDataAtual } = require('./utils');
+
+/* ======================================================
+   EVENTOS INTERNOS
+   Rotas publicam o que aconteceu; notificações (e outros) assinam.
+   Quem publica nunca espera nem quebra por causa de quem assina.
+
+   elogio.created            { id, protocolo, carreta, nome_motorista, ... }
+   elogio_interno.created    { id, matricula, motorista, ... }
+   ocorrencia.created        { id, protocolo, carreta, tipo, severidade, ... }
+   <recurso>.moderated       { recurso, id, status_anterior, status, moderado_por, motivo }
+====================================================== */
+
+const EVENTOS_MODERACAO = {
+  elogios: 'elogio.moderated',
+  'elogios-internos': 'elogio_interno.moderated',
+  ocorrencias: 'ocorrencia.moderated'
+};
+
+function criarEventos() {
+  const emissor = new EventEmitter();
+
+  return {
+    // fn(evento) com evento = { id, tipo, data_hora, dados }; pode ser async
+    assinar(tipo, fn) {
+      emissor.on(tipo, evento => {
+        Promise.resolve()
+          .then(() => fn(evento))
+          .catch(err => console.error(`❌ Erro no assinante de ${tipo}:`, err.message));
+      });
+    },
+
+    publicar(tipo, dados) {
+      const evento = { id: crypto.randomUUID(), tipo, data_hora: getDataAtual(), dados };
+      emissor.emit(tipo, evento);
+      emissor.emit('*', evento);
+      return evento;
+    }
+  };
+}
+
+module.exports = {
+  EVENTOS_MODERACAO,
+  criarEventos
+};
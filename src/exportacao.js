@@ -0,0 +1,261 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const ExcelJS = require('exceljs');
+const { TZ, normalizaCarreta, onlyDigits } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+const { parseFiltros, montarLedger, calculaRanking } = require('./pontos');
+const { STATUS } = require('./moderacao');
+
+/* ======================================================
+   EXPORTAÇÃO CSV / XLSX (RH e operação) — autenticado
+   GET /exportar/elogios|ocorrencias|ranking?formato=csv|xlsx
+   Elogios e ocorrências saem com as MESMAS colunas (COLUNAS),
+   lidas do MySQL em stream linha a linha (nada fica inteiro em memória).
+====================================================== */
+
+const FORMATOS = ['csv', 'xlsx'];
+const FMT = 'YYYY-MM-DD HH:mm:ss';
+
+const COLUNAS = [
+  'origem', 'id', 'protocolo', 'data_hora', 'status', 'tipo', 'pontos',
+  'carreta', 'matricula', 'motorista', 'avaliador', 'telefone', 'telefone_verificado',
+  'texto', 'tipo_ocorrencia', 'severidade', 'cidade', 'estado', 'latitude', 'longitude',
+  'score_suspeita'
+];
+
+const COLUNAS_RANKING = ['posicao', 'matricula', 'motorista', 'pontos', 'elogios', 'externos', 'internos'];
+
+// SELECT de cada tabela já com os nomes de COLUNAS (NULL onde a tabela não tem o dado)
+const FONTES = {
+  externo: {
+    tabela: 'elogios_motoristas',
+    select: `'externo' AS origem, id, protocolo, data_hora, status, tipo, pontos,
+             carreta, matricula, nome_motorista AS motorista, nome AS avaliador, telefone, telefone_verificado,
+             elogio AS texto, NULL AS tipo_ocorrencia, NULL AS severidade, cidade, estado, latitude, longitude,
+             score_suspeita`,
+    temMatricula: true
+  },
+  interno: {
+    tabela: 'elogios_internos',
+    select: `'interno' AS origem, id, NULL AS protocolo, data_hora, status, tipo, pontos,
+             NULL AS carreta, matricula, motorista, autor AS avaliador, telefone, telefone_verificado,
+             elogio AS texto, NULL AS tipo_ocorrencia, NULL AS severidade, cidade, estado, latitude, longitude,
+             score_suspeita`,
+    temMatricula: true
+  },
+  ocorrencia: {
+    tabela: 'ocorrencias_motoristas',
+    select: `'ocorrencia' AS origem, id, protocolo, data_hora, status, 'Ocorrência' AS tipo, 0 AS pontos,
+             carreta, NULL AS matricula, NULL AS motorista, nome AS avaliador, telefone, telefone_verificado,
+             descricao AS texto, tipo_ocorrencia, severidade, cidade, estado, latitude, longitude,
+             score_suspeita`
+  }
+};
+
+/* ---------- Filtros ---------- */
+
+// Período/UF vêm do parseFiltros (padrão: tudo). 'tipo' muda de sentido por recurso:
+// elogios -> Externo/Interno; ocorrências -> código do catálogo (ocorrencia_tipos).
+function lerFiltros(recurso, query) {
+  const base = recurso === 'ocorrencias' ? { ...query, tipo: undefined } : query;
+  const { filtros, erro } = parseFiltros(base, { periodoPadrao: recurso === 'ranking' ? 'mensal' : 'tudo' });
+  if (erro) return { erro };
+
+  if (recurso === 'ocorrencias' && query.tipo) {
+    filtros.tipoOcorrencia = String(query.tipo).trim().toLowerCase();
+  }
+  if (query.matricula) {
+    filtros.matricula = onlyDigits(query.matricula);
+    if (!filtros.matricula) return { erro: 'Matrícula inválida.' };
+  }
+  if (query.carreta) {
+    filtros.carreta = normalizaCarreta(query.carreta);
+    if (!filtros.carreta) return { erro: 'Carreta inválida.' };
+  }
+  if (query.status) {
+    filtros.status = String(query.status).toLowerCase();
+    if (!STATUS.includes(filtros.status)) return { erro: `Status inválido. Use: ${STATUS.join(', ')}.` };
+  }
+  return { filtros };
+}
+
+function montaConsulta(fonte, filtros) {
+  const cond = [];
+  const params = [];
+
+  if (filtros.inicio) { cond.push('data_hora >= ?'); params.push(filtros.inicio); }
+  if (filtros.fim) { cond.push('data_hora <= ?'); params.push(filtros.fim); }
+  if (filtros.uf) { cond.push('estado IN (?, ?)'); params.push(filtros.uf.nome, filtros.uf.sigla); }
+  if (filtros.status) { cond.push('status = ?'); params.push(filtros.status); }
+  if (filtros.carreta) { cond.push('carreta = ?'); params.push(filtros.carreta); }
+  if (filtros.matricula && fonte.temMatricula) { cond.push('matricula = ?'); params.push(filtros.matricula); }
+  if (filtros.tipoOcorrencia) {
+    cond.push('tipo_id = (SELECT id FROM ocorrencia_tipos WHERE codigo = ?)');
+    params.push(filtros.tipoOcorrencia);
+  }
+
+  const where = cond.length ? `WHERE ${cond.join(' AND ')}` : '';
+  return { sql: `SELECT ${fonte.select} FROM ${fonte.tabela} ${where} ORDER BY data_hora, id`, params };
+}
+
+// Quais tabelas entram (carreta exclui interno)
+function fontesDo(recurso, filtros) {
+  if (recurso === 'ocorrencias') return [FONTES.ocorrencia];
+
+  const lista = [];
+  if (!filtros.tipo || filtros.tipo === 'Externo') lista.push(FONTES.externo);
+  if ((!filtros.tipo || filtros.tipo === 'Interno') && !filtros.carreta) lista.push(FONTES.interno);
+  return lista;
+}
+
+/* ---------- Saída ---------- */
+
+function formataValor(v) {
+  if (v === null || v === undefined) return '';
+  if (v instanceof Date) return moment(v).tz(TZ).format(FMT);
+  return v;
+}
+
+// Excel executa célula que começa com = + - @ como fórmula: texto público vira texto
+function celulaCsv(v) {
+  let s = String(formataValor(v));
+  if (/^[=+\-@\t\r]/.test(s) && !/^-?\d+([.,]\d+)?$/.test(s)) s = `'${s}`;
+  return /[";\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Espera o res esvaziar (cliente lento) ou a conexão cair
+function esperarDrain(res) {
+  if (res.destroyed) return Promise.reject(new Error('Conexão encerrada pelo cliente'));
+  return new Promise((resolve, reject) => {
+    const ok = () => { res.off('close', fechou); resolve(); };
+    const fechou = () => { res.off('drain', ok); reject(new Error('Conexão encerrada pelo cliente')); };
+    res.once('drain', ok);
+    res.once('close', fechou);
+  });
+}
+
+// Escreve respeitando o backpressure do res
+function escrever(res, texto) {
+  if (res.write(texto)) return Promise.resolve();
+  return esperarDrain(res);
+}
+
+// Planilha começa só na primeira linha (ou no fim): erro antes disso ainda vira JSON 500
+function criarSaida(res, formato, nomeArquivo, colunas) {
+  let iniciado = false;
+  let planilha = null;
+  let aba = null;
+
+  function iniciar() {
+    if (iniciado) return Promise.resolve();
+    iniciado = true;
+
+    if (formato === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${nomeArquivo}.csv"`);
+      // BOM + ';' => Excel pt-BR abre com acentos e colunas certas
+      return escrever(res, '\uFEFF' + colunas.join(';') + '\r\n');
+    }
+
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="${nomeArquivo}.xlsx"`);
+    planilha = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    aba = planilha.addWorksheet(nomeArquivo.split('_')[0]);
+    aba.columns = colunas.map(c => ({ header: c, key: c }));
+    return Promise.resolve();
+  }
+
+  return {
+    async linha(obj) {
+      await iniciar();
+      if (formato === 'csv') {
+        return escrever(res, colunas.map(c => celulaCsv(obj[c])).join(';') + '\r\n');
+      }
+      const valores = {};
+      for (const c of colunas) valores[c] = formataValor(obj[c]);
+      aba.addRow(valores).commit();
+      // o ExcelJS escreve no res pelo zip sem olhar o backpressure: segura a leitura do banco aqui
+      if (res.writableNeedDrain) await esperarDrain(res);
+    },
+    async fim() {
+      await iniciar();
+      if (formato === 'csv') return res.end();
+      aba.commit();
+      await planilha.commit();
+    }
+  };
+}
+
+// Stream do mysql2 (conexão dedicada); for await respeita o ritmo de quem consome
+async function streamConsulta(pool, { sql, params }, onLinha) {
+  const conn = await pool.getConnection();
+  try {
+    const stream = conn.connection.query(sql, params).stream({ highWaterMark: 200 });
+    for await (const row of stream) await onLinha(row);
+  } finally {
+    conn.release();
+  }
+}
+
+// matrícula/motorista do externo: os gravados no envio (migration 018), não o motorista atual da carreta
+async function exportarRegistros({ pool }, recurso, filtros, saida) {
+  for (const fonte of fontesDo(recurso, filtros)) {
+    await streamConsulta(pool, montaConsulta(fonte, filtros), row => saida.linha(row));
+  }
+}
+
+/* ---------- Rotas ---------- */
+
+function criarRotasExportacao(deps) {
+  const router = express.Router();
+  router.use(exigeAuth, exigePapel('moderador'));
+
+  // Uso: /exportar/elogios?formato=xlsx&de=2026-01-01&ate=2026-03-31&uf=SP&tipo=Interno&matricula=123
+  //      /exportar/ocorrencias?formato=csv&tipo=excesso_velocidade&carreta=ABC1D23
+  //      /exportar/ranking?formato=xlsx&periodo=trimestral&ano=2026&trimestre=1
+  router.get('/:recurso', async (req, res) => {
+    const recurso = req.params.recurso;
+    if (!['elogios', 'ocorrencias', 'ranking'].includes(recurso)) {
+      return res.status(404).json({ status: 'erro', mensagem: 'Recurso inválido. Use elogios, ocorrencias ou ranking.' });
+    }
+
+    const formato = String(req.query.formato || 'csv').toLowerCase();
+    if (!FORMATOS.includes(formato)) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Formato inválido. Use csv ou xlsx.' });
+    }
+
+    const { filtros, erro } = lerFiltros(recurso, req.query);
+    if (erro) return res.status(400).json({ status: 'erro', mensagem: erro });
+
+    const nomeArquivo = `${recurso}_${moment().tz(TZ).format('YYYY-MM-DD_HHmm')}`;
+
+    try {
+      if (recurso === 'ranking') {
+        // ranking já é agregado (um item por motorista): cabe em memória
+        const { ranking } = calculaRanking(await montarLedger(deps, filtros));
+        const saida = criarSaida(res, formato, nomeArquivo, COLUNAS_RANKING);
+        for (const item of ranking) {
+          if (!filtros.matricula || item.matricula === filtros.matricula) await saida.linha(item);
+        }
+        return await saida.fim();
+      }
+
+      const saida = criarSaida(res, formato, nomeArquivo, COLUNAS);
+      await exportarRegistros(deps, recurso, filtros, saida);
+      await saida.fim();
+    } catch (err) {
+      console.error(`❌ Erro ao exportar ${recurso}:`, err.message);
+      if (!res.headersSent) {
+        return res.status(500).json({ status: 'erro', mensagem: 'Erro ao gerar exportação.' });
+      }
+      res.destroy(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  COLUNAS,
+  criarRotasExportacao
+};
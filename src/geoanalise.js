@@ -0,0 +1,453 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { TZ } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+const { parseFiltros } = require('./pontos');
+
+/* ======================================================
+   ANÁLISE GEOGRÁFICA DAS OCORRÊNCIAS (equipe de segurança)
+   - hotspots: ocorrências próximas no espaço (raio) e no tempo (janela)
+     viram um grupo; grupo com ANALISE_HOTSPOT_MIN ou mais é hotspot
+     (ex.: várias denúncias de excesso de velocidade no mesmo trecho).
+   - reincidência: mesma carreta denunciada várias vezes dentro da janela.
+   - GeoJSON ([lng, lat]) para abrir direto no QGIS / Leaflet / Mapbox.
+   Ocorrências 'rejeitado' ficam de fora. Nome e telefone de quem
+   denunciou não saem daqui; envio anonimizado pela LGPD não tem GPS e
+   conta só em sem_localizacao.
+====================================================== */
+
+const RAIO_M = Number(process.env.ANALISE_RAIO_M || 500);
+const JANELA_DIAS = Number(process.env.ANALISE_JANELA_DIAS || 30);
+const HOTSPOT_MIN = Number(process.env.ANALISE_HOTSPOT_MIN || 3);
+const REINCIDENCIA_DIAS = Number(process.env.ANALISE_REINCIDENCIA_DIAS || 30);
+const REINCIDENCIA_MIN = Number(process.env.ANALISE_REINCIDENCIA_MIN || 3);
+const PERIODO_DIAS = Number(process.env.ANALISE_PERIODO_DIAS || 90); // sem de/ate/periodo
+const MAX_OCORRENCIAS = Number(process.env.ANALISE_MAX_OCORRENCIAS || 20000);
+
+const FMT = 'YYYY-MM-DD HH:mm:ss';
+const METROS_POR_GRAU = 111320;
+const DIA_MS = 24 * 60 * 60 * 1000;
+const SEVERIDADES = ['baixa', 'media', 'alta', 'critica'];
+
+/* ---------- Cálculo (sem banco: testável isolado) ---------- */
+
+// Distância em metros entre dois pontos (haversine)
+function distanciaM(a, b) {
+  const rad = g => (g * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371008.8 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// DATETIME vem como Date do mysql2 ou string 'YYYY-MM-DD HH:mm:ss' (horário de TZ)
+function lerData(v) {
+  const m = v instanceof Date ? moment(v) : moment.tz(String(v || ''), FMT, TZ);
+  return m.isValid() ? m.valueOf() : null;
+}
+
+const formataMs = ms => moment(ms).tz(TZ).format(FMT);
+
+// Linha do banco -> ponto da análise; lat/lng null quando não há GPS utilizável
+function prepararOcorrencia(r) {
+  const lat = r.latitude == null || r.latitude === '' ? NaN : Number(r.latitude);
+  const lng = r.longitude == null || r.longitude === '' ? NaN : Number(r.longitude);
+  const valido = Number.isFinite(lat) && Number.isFinite(lng) &&
+    !(lat === 0 && lng === 0) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+  return {
+    id: r.id,
+    protocolo: r.protocolo || null,
+    carreta: r.carreta || null,
+    tipo: r.tipo_ocorrencia || null,
+    severidade: r.severidade || null,
+    status: r.status,
+    caso_status: r.caso_status || null,
+    cidade: r.cidade || null,
+    estado: r.estado || null,
+    lat: valido ? lat : null,
+    lng: valido ? lng : null,
+    ms: lerData(r.data_hora)
+  };
+}
+
+/**
+ * Agrupa ocorrências próximas no espaço e no tempo (DBSCAN).
+ * Vizinhas: até raioM metros E até janelaDias dias de distância.
+ * Com `minimo` vizinhas (contando a própria) o ponto puxa as vizinhas para o
+ * grupo, então uma sequência de denúncias ao longo de um trecho de rodovia
+ * vira um grupo só. Ponto sem vizinhas suficientes fica fora.
+ * @returns {Array<Array<object>>} grupos com os pontos recebidos
+ */
+function agruparOcorrencias(pontos, { raioM = RAIO_M, janelaDias = JANELA_DIAS, minimo = 2 } = {}) {
+  const lista = pontos.filter(p => p.lat != null && p.lng != null && p.ms != null);
+  if (!lista.length) return [];
+
+  // grade com célula >= raio: as vizinhas estão sempre nas 9 células em volta
+  const maxLat = Math.max(...lista.map(p => Math.abs(p.lat)));
+  const passoLat = raioM / METROS_POR_GRAU;
+  const passoLng = raioM / (METROS_POR_GRAU * Math.max(Math.cos((maxLat * Math.PI) / 180), 0.01));
+  const celula = p => [Math.floor(p.lat / passoLat), Math.floor(p.lng / passoLng)];
+
+  const grade = new Map();
+  lista.forEach((p, i) => {
+    const chave = celula(p).join('|');
+    if (!grade.has(chave)) grade.set(chave, []);
+    grade.get(chave).push(i);
+  });
+
+  const janelaMs = janelaDias * DIA_MS;
+  function vizinhas(i) {
+    const p = lista[i];
+    const [cy, cx] = celula(p);
+    const achadas = [];
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        for (const j of grade.get(`${cy + dy}|${cx + dx}`) || []) {
+          const q = lista[j];
+          if (Math.abs(q.ms - p.ms) <= janelaMs && distanciaM(p, q) <= raioM) achadas.push(j);
+        }
+      }
+    }
+    return achadas;
+  }
+
+  const grupoDe = new Array(lista.length).fill(null);
+  const visitado = new Array(lista.length).fill(false);
+  const grupos = [];
+
+  for (let i = 0; i < lista.length; i++) {
+    if (visitado[i]) continue;
+    visitado[i] = true;
+    const inicial = vizinhas(i);
+    if (inicial.length < minimo) continue;
+
+    const g = grupos.length;
+    grupos.push([]);
+    grupoDe[i] = g;
+    const fila = [...inicial];
+    while (fila.length) {
+      const j = fila.pop();
+      if (grupoDe[j] == null) grupoDe[j] = g;
+      if (visitado[j]) continue;
+      visitado[j] = true;
+      const mais = vizinhas(j);
+      if (mais.length >= minimo) fila.push(...mais);
+    }
+  }
+
+  lista.forEach((p, i) => { if (grupoDe[i] != null) grupos[grupoDe[i]].push(p); });
+  return grupos;
+}
+
+// Mais frequente da lista (empate: o que apareceu primeiro)
+function maisFrequente(valores) {
+  const cont = new Map();
+  for (const v of valores) if (v) cont.set(v, (cont.get(v) || 0) + 1);
+  let melhor = null;
+  for (const [v, n] of cont) if (!melhor || n > melhor[1]) melhor = [v, n];
+  return melhor ? melhor[0] : null;
+}
+
+function contarTipos(pontos) {
+  const cont = new Map();
+  for (const p of pontos) {
+    const tipo = p.tipo || 'Não informado';
+    cont.set(tipo, (cont.get(tipo) || 0) + 1);
+  }
+  return [...cont].map(([tipo, total]) => ({ tipo, total })).sort((a, b) => b.total - a.total);
+}
+
+const severidadeMax = pontos => pontos.reduce(
+  (max, p) => (SEVERIDADES.indexOf(p.severidade) > SEVERIDADES.indexOf(max) ? p.severidade : max), null);
+
+// Grupo -> o que a API devolve
+function resumirGrupo(pontos, { hotspotMin = HOTSPOT_MIN } = {}) {
+  const centro = {
+    lat: Number((pontos.reduce((s, p) => s + p.lat, 0) / pontos.length).toFixed(6)),
+    lng: Number((pontos.reduce((s, p) => s + p.lng, 0) / pontos.length).toFixed(6))
+  };
+  const tempos = pontos.map(p => p.ms);
+  const tipos = contarTipos(pontos);
+
+  return {
+    centro,
+    raio_m: Math.round(Math.max(...pontos.map(p => distanciaM(centro, p)))),
+    total: pontos.length,
+    hotspot: pontos.length >= hotspotMin,
+    inicio: formataMs(Math.min(...tempos)),
+    fim: formataMs(Math.max(...tempos)),
+    tipo_principal: tipos[0].tipo,
+    tipos,
+    severidade: severidadeMax(pontos),
+    carretas: new Set(pontos.map(p => p.carreta).filter(Boolean)).size,
+    cidade: maisFrequente(pontos.map(p => p.cidade)),
+    estado: maisFrequente(pontos.map(p => p.estado)),
+    ocorrencias: pontos.map(p => p.id)
+  };
+}
+
+/**
+ * Carretas com `minimo` ou mais ocorrências dentro de janelaDias.
+ * Devolve a janela com mais ocorrências de cada carreta (GPS não é exigido).
+ */
+function detectarReincidencia(pontos, { janelaDias = REINCIDENCIA_DIAS, minimo = REINCIDENCIA_MIN } = {}) {
+  const porCarreta = new Map();
+  for (const p of pontos) {
+    if (!p.carreta || p.ms == null) continue;
+    if (!porCarreta.has(p.carreta)) porCarreta.set(p.carreta, []);
+    porCarreta.get(p.carreta).push(p);
+  }
+
+  const janelaMs = janelaDias * DIA_MS;
+  const achadas = [];
+  for (const [carreta, lista] of porCarreta) {
+    if (lista.length < minimo) continue;
+    lista.sort((a, b) => a.ms - b.ms);
+
+    // janela deslizante: [ini, fim] com no máximo janelaDias entre a 1ª e a última
+    let melhor = null;
+    for (let ini = 0, fim = 0; fim < lista.length; fim++) {
+      while (lista[fim].ms - lista[ini].ms > janelaMs) ini++;
+      if (!melhor || fim - ini + 1 > melhor.length) melhor = lista.slice(ini, fim + 1);
+    }
+    if (melhor.length < minimo) continue;
+
+    achadas.push({
+      carreta,
+      total: melhor.length,
+      total_periodo: lista.length,
+      inicio: formataMs(melhor[0].ms),
+      fim: formataMs(melhor[melhor.length - 1].ms),
+      tipos: contarTipos(melhor),
+      severidade: severidadeMax(melhor),
+      ocorrencias: melhor.map(p => p.id),
+      pontos: melhor.filter(p => p.lat != null).map(p => ({ id: p.id, lat: p.lat, lng: p.lng }))
+    });
+  }
+
+  return achadas.sort((a, b) => b.total - a.total || a.carreta.localeCompare(b.carreta));
+}
+
+/* ---------- GeoJSON ---------- */
+
+const colecao = features => ({ type: 'FeatureCollection', features });
+const ponto = (lat, lng) => ({ type: 'Point', coordinates: [lng, lat] });
+
+function geojsonHotspots(hotspots) {
+  return colecao(hotspots.map(({ centro, ocorrencias, tipos, ...props }) => ({
+    type: 'Feature',
+    id: props.id,
+    geometry: ponto(centro.lat, centro.lng),
+    properties: { ...props, tipos: tipos.map(t => `${t.tipo} (${t.total})`).join(', '), ocorrencias: ocorrencias.join(',') }
+  })));
+}
+
+function geojsonOcorrencias(pontos, hotspotDe) {
+  return colecao(pontos.filter(p => p.lat != null).map(p => ({
+    type: 'Feature',
+    id: p.id,
+    geometry: ponto(p.lat, p.lng),
+    properties: {
+      id: p.id,
+      protocolo: p.protocolo,
+      carreta: p.carreta,
+      tipo: p.tipo,
+      severidade: p.severidade,
+      status: p.status,
+      caso_status: p.caso_status,
+      data_hora: formataMs(p.ms),
+      cidade: p.cidade,
+      estado: p.estado,
+      hotspot: hotspotDe.get(p.id) || null
+    }
+  })));
+}
+
+function geojsonReincidencia(carretas) {
+  return colecao(carretas.map(({ pontos, ocorrencias, tipos, ...props }) => ({
+    type: 'Feature',
+    id: props.carreta,
+    // sem GPS em nenhuma: geometry null (válido no GeoJSON), o mapa só ignora
+    geometry: pontos.length ? { type: 'MultiPoint', coordinates: pontos.map(p => [p.lng, p.lat]) } : null,
+    properties: {
+      ...props,
+      motorista: props.motorista?.motorista || null,
+      matricula: props.motorista?.matricula || null,
+      tipos: tipos.map(t => `${t.tipo} (${t.total})`).join(', '),
+      ocorrencias: ocorrencias.join(',')
+    }
+  })));
+}
+
+/* ---------- Consultas ---------- */
+
+// ?raio_m=800: número inteiro dentro da faixa; ausente = padrão
+function lerFaixa(query, nome, padrao, min, max) {
+  if (query[nome] == null || query[nome] === '') return { valor: padrao };
+  const n = Number(query[nome]);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    return { erro: `${nome} inválido: use um número inteiro de ${min} a ${max}.` };
+  }
+  return { valor: n };
+}
+
+// Filtros de período/UF iguais aos do dashboard; sem período, os últimos PERIODO_DIAS dias
+async function lerParametros(pool, query) {
+  const base = {};
+  for (const chave of ['de', 'ate', 'periodo', 'ano', 'mes', 'trimestre', 'uf']) {
+    if (query[chave] != null && query[chave] !== '') base[chave] = query[chave];
+  }
+  if (!base.de && !base.ate && !base.periodo) {
+    base.de = moment().tz(TZ).subtract(PERIODO_DIAS, 'days').format('YYYY-MM-DD');
+  }
+  const { filtros, erro } = parseFiltros(base);
+  if (erro) return { erro };
+
+  const raio = lerFaixa(query, 'raio_m', RAIO_M, 50, 5000);
+  const janela = lerFaixa(query, 'janela_dias', JANELA_DIAS, 1, 365);
+  const minimo = lerFaixa(query, 'minimo', HOTSPOT_MIN, 2, 100);
+  const invalido = [raio, janela, minimo].find(x => x.erro);
+  if (invalido) return { erro: invalido.erro };
+
+  let tipo = null;
+  if (query.tipo_ocorrencia) {
+    // inativo também vale: o histórico continua com o tipo antigo
+    const [rows] = await pool.query(
+      'SELECT id, codigo, nome FROM ocorrencia_tipos WHERE codigo = ? LIMIT 1',
+      [String(query.tipo_ocorrencia).trim().toLowerCase()]
+    );
+    if (!rows.length) return { erro: 'Tipo de ocorrência inválido.' };
+    tipo = rows[0];
+  }
+
+  return { filtros, tipo, raioM: raio.valor, janelaDias: janela.valor, minimo: minimo.valor };
+}
+
+async function buscarOcorrencias(pool, { filtros, tipo }) {
+  const cond = ["status <> 'rejeitado'"];
+  const params = [];
+  if (filtros.inicio) { cond.push('data_hora >= ?'); params.push(filtros.inicio); }
+  if (filtros.fim) { cond.push('data_hora <= ?'); params.push(filtros.fim); }
+  if (filtros.uf) { cond.push('estado IN (?, ?)'); params.push(filtros.uf.nome, filtros.uf.sigla); }
+  if (tipo) { cond.push('tipo_id = ?'); params.push(tipo.id); }
+
+  // +1 só para saber se passou do limite
+  const [rows] = await pool.query(
+    `SELECT id, protocolo, carreta, tipo_ocorrencia, severidade, status, caso_status,
+            latitude, longitude, cidade, estado, data_hora
+     FROM ocorrencias_motoristas WHERE ${cond.join(' AND ')}
+     ORDER BY data_hora LIMIT ?`,
+    [...params, MAX_OCORRENCIAS + 1]
+  );
+
+  const truncado = rows.length > MAX_OCORRENCIAS;
+  if (truncado) console.warn(`⚠ Análise geográfica limitada a ${MAX_OCORRENCIAS} ocorrências: refine o período.`);
+  return { pontos: rows.slice(0, MAX_OCORRENCIAS).map(prepararOcorrencia), truncado };
+}
+
+function montarHotspots(pontos, p, { todos = false } = {}) {
+  return agruparOcorrencias(pontos, { raioM: p.raioM, janelaDias: p.janelaDias })
+    .map(g => resumirGrupo(g, { hotspotMin: p.minimo }))
+    .filter(g => todos || g.hotspot)
+    .sort((a, b) => b.total - a.total || a.inicio.localeCompare(b.inicio))
+    .map((g, i) => ({ id: `h${i + 1}`, ...g }));
+}
+
+/* ---------- Rotas ---------- */
+
+function criarRotasGeoanalise({ pool, getMotoristaKMMPorCarreta }) {
+  const router = express.Router();
+  router.use(exigeAuth, exigePapel('moderador', 'seguranca'));
+
+  // KMM fora do ar não derruba a análise: só fica sem o nome do motorista
+  async function comMotorista(carretas) {
+    for (const c of carretas) {
+      try {
+        c.motorista = await getMotoristaKMMPorCarreta(c.carreta);
+      } catch (err) {
+        console.warn(`⚠ KMM indisponível para ${c.carreta}:`, err.message);
+        c.motorista = null;
+      }
+    }
+    return carretas;
+  }
+
+  // geojson = true: responde só a FeatureCollection (application/geo+json)
+  function rota(caminho, mensagemErro, fn, { geojson = false } = {}) {
+    router.get(caminho, async (req, res) => {
+      try {
+        const p = await lerParametros(pool, req.query);
+        if (p.erro) return res.status(400).json({ status: 'erro', mensagem: p.erro });
+
+        const { pontos, truncado } = await buscarOcorrencias(pool, p);
+        const dados = await fn(req, pontos, p);
+        if (geojson) return res.type('application/geo+json').json(dados);
+
+        return res.json({
+          status: 'sucesso',
+          filtros: {
+            periodo: p.filtros.periodo,
+            inicio: p.filtros.inicio,
+            fim: p.filtros.fim,
+            uf: p.filtros.uf?.sigla || null,
+            tipo_ocorrencia: p.tipo?.codigo || null
+          },
+          total_ocorrencias: pontos.length,
+          sem_localizacao: pontos.filter(x => x.lat == null).length,
+          truncado,
+          ...dados
+        });
+      } catch (err) {
+        console.error(`❌ ${mensagemErro}:`, err.message);
+        return res.status(500).json({ status: 'erro', mensagem: `${mensagemErro}.` });
+      }
+    });
+  }
+
+  // Uso: /analise/hotspots?tipo_ocorrencia=excesso_velocidade&raio_m=800&janela_dias=15&uf=SP (&todos=1)
+  rota('/hotspots', 'Erro ao montar hotspots', async (req, pontos, p) => ({
+    parametros: { raio_m: p.raioM, janela_dias: p.janelaDias, minimo: p.minimo },
+    hotspots: montarHotspots(pontos, p, { todos: req.query.todos === '1' })
+  }));
+
+  rota('/hotspots.geojson', 'Erro ao montar hotspots', async (req, pontos, p) =>
+    geojsonHotspots(montarHotspots(pontos, p, { todos: req.query.todos === '1' })), { geojson: true });
+
+  // Cada ocorrência com GPS, marcada com o hotspot em que caiu (para colorir no mapa)
+  rota('/ocorrencias.geojson', 'Erro ao montar ocorrências do mapa', async (req, pontos, p) => {
+    const hotspotDe = new Map();
+    for (const h of montarHotspots(pontos, p)) for (const id of h.ocorrencias) hotspotDe.set(id, h.id);
+    return geojsonOcorrencias(pontos, hotspotDe);
+  }, { geojson: true });
+
+  // Uso: /analise/reincidencia?janela_dias=30&minimo=3
+  // (aqui janela_dias/minimo valem para a carreta; padrão ANALISE_REINCIDENCIA_*)
+  const paramsReincidencia = (req, p) => ({
+    janelaDias: req.query.janela_dias ? p.janelaDias : REINCIDENCIA_DIAS,
+    minimo: req.query.minimo ? p.minimo : REINCIDENCIA_MIN
+  });
+
+  rota('/reincidencia', 'Erro ao detectar reincidência', async (req, pontos, p) => {
+    const parametros = paramsReincidencia(req, p);
+    const carretas = await comMotorista(detectarReincidencia(pontos, parametros));
+    return {
+      parametros: { janela_dias: parametros.janelaDias, minimo: parametros.minimo },
+      carretas: carretas.map(({ pontos: _pontos, ...c }) => c)
+    };
+  });
+
+  rota('/reincidencia.geojson', 'Erro ao detectar reincidência', async (req, pontos, p) =>
+    geojsonReincidencia(await comMotorista(detectarReincidencia(pontos, paramsReincidencia(req, p)))), { geojson: true });
+
+  return router;
+}
+
+module.exports = {
+  distanciaM,
+  prepararOcorrencia,
+  agruparOcorrencias,
+  resumirGrupo,
+  detectarReincidencia,
+  criarRotasGeoanalise
+};
@@ -0,0 +1,389 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const moment = require('moment-timezone');
+const { TZ, UFS } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+
+/* ======================================================
+   GEOCODING REVERSO (cidade/estado a partir de lat/lon)
+   GEO_PROVEDOR=nominatim | offline | nominatim,offline (tenta na ordem)
+   - nominatim: público ou instância própria (GEO_NOMINATIM_URL)
+   - offline: arquivo local de municípios do IBGE (GEO_OFFLINE_ARQUIVO)
+   Resultado em cache por coordenada arredondada (memória + tabela geocoding_cache).
+   Limite global de chamadas ao Nominatim (política: 1 req/s).
+====================================================== */
+
+// código IBGE da UF -> sigla (arquivo municipios.json usa codigo_uf)
+const UF_IBGE = {
+  11: 'RO', 12: 'AC', 13: 'AM', 14: 'RR', 15: 'PA', 16: 'AP', 17: 'TO',
+  21: 'MA', 22: 'PI', 23: 'CE', 24: 'RN', 25: 'PB', 26: 'PE', 27: 'AL', 28: 'SE', 29: 'BA',
+  31: 'MG', 32: 'ES', 33: 'RJ', 35: 'SP',
+  41: 'PR', 42: 'SC', 43: 'RS',
+  50: 'MS', 51: 'MT', 52: 'GO', 53: 'DF'
+};
+
+const TABELAS_BACKFILL = ['elogios_motoristas', 'elogios_internos', 'ocorrencias_motoristas'];
+
+/* ---------- Provedores ---------- */
+
+function provedorNominatim({ url, userAgent, email, timeoutMs }) {
+  const base = String(url || 'https://nominatim.openstreetmap.org').replace(/\/+$/, '');
+
+  return {
+    nome: 'nominatim',
+    limitado: true,
+    async reverso(lat, lon) {
+      const response = await axios.get(`${base}/reverse`, {
+        params: { format: 'json', lat, lon, zoom: 10, addressdetails: 1, ...(email ? { email } : {}) },
+        headers: { 'User-Agent': userAgent, 'Accept-Language': 'pt-BR' },
+        timeout: timeoutMs
+      });
+
+      const address = response.data?.address;
+      if (!address) throw new Error(response.data?.error || 'Resposta sem address');
+
+      return {
+        cidade: address.city || address.town || address.village || address.municipality || '',
+        estado: address.state || ''
+      };
+    }
+  };
+}
+
+// Aceita:
+//  - JSON array [{ nome, latitude, longitude, uf | estado | codigo_uf }] (centróides)
+//  - GeoJSON FeatureCollection com Polygon/MultiPolygon (limites) ou Point
+function carregaMunicipios(arquivo) {
+  const dados = JSON.parse(fs.readFileSync(arquivo, 'utf8'));
+  const nomeUF = (p) => {
+    const sigla = String(p.uf || p.sigla_uf || p.SIGLA_UF || UF_IBGE[p.codigo_uf] || '').toUpperCase();
+    return UFS[sigla] || p.estado || '';
+  };
+
+  if (Array.isArray(dados)) {
+    return dados
+      .filter(m => Number.isFinite(Number(m.latitude)) && Number.isFinite(Number(m.longitude)))
+      .map(m => ({ cidade: m.nome, estado: nomeUF(m), lat: Number(m.latitude), lon: Number(m.longitude) }));
+  }
+
+  return (dados.features || []).map(f => {
+    const p = f.properties || {};
+    const item = { cidade: p.nome || p.name || p.NM_MUN || '', estado: nomeUF(p) };
+    const g = f.geometry || {};
+
+    if (g.type === 'Point') {
+      return { ...item, lon: g.coordinates[0], lat: g.coordinates[1] };
+    }
+
+    const poligonos = g.type === 'Polygon' ? [g.coordinates] : g.type === 'MultiPolygon' ? g.coordinates : [];
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const [x, y] of poligonos.flat(2)) {
+      if (x < bbox[0]) bbox[0] = x;
+      if (y < bbox[1]) bbox[1] = y;
+      if (x > bbox[2]) bbox[2] = x;
+      if (y > bbox[3]) bbox[3] = y;
+    }
+    return { ...item, poligonos, bbox };
+  }).filter(m => m.poligonos ? m.poligonos.length : Number.isFinite(m.lat));
+}
+
+function dentroDoAnel(lon, lat, anel) {
+  let dentro = false;
+  for (let i = 0, j = anel.length - 1; i < anel.length; j = i++) {
+    const [xi, yi] = anel[i];
+    const [xj, yj] = anel[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) dentro = !dentro;
+  }
+  return dentro;
+}
+
+function dentroDoPoligono(lon, lat, poligono) {
+  const [externo, ...buracos] = poligono;
+  return dentroDoAnel(lon, lat, externo) && !buracos.some(b => dentroDoAnel(lon, lat, b));
+}
+
+function distanciaKm(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const x = (lon2 - lon1) * rad * Math.cos(((lat1 + lat2) / 2) * rad);
+  const y = (lat2 - lat1) * rad;
+  return Math.sqrt(x * x + y * y) * 6371;
+}
+
+function provedorOffline({ arquivo, distanciaMaxKm }) {
+  let municipios = null;
+
+  return {
+    nome: 'offline',
+    limitado: false,
+    async reverso(lat, lon) {
+      if (!municipios) {
+        municipios = carregaMunicipios(arquivo);
+        console.log(`✅ Geocoding offline: ${municipios.length} municípios carregados de ${arquivo}`);
+      }
+
+      // limites (polígonos) primeiro; senão, centróide mais próximo
+      const limite = municipios.find(m =>
+        m.poligonos &&
+        lon >= m.bbox[0] && lat >= m.bbox[1] && lon <= m.bbox[2] && lat <= m.bbox[3] &&
+        m.poligonos.some(p => dentroDoPoligono(lon, lat, p))
+      );
+      if (limite) return { cidade: limite.cidade, estado: limite.estado };
+
+      let melhor = null;
+      let melhorDist = Infinity;
+      for (const m of municipios) {
+        if (m.poligonos) continue;
+        const d = distanciaKm(lat, lon, m.lat, m.lon);
+        if (d < melhorDist) { melhor = m; melhorDist = d; }
+      }
+
+      // fora do Brasil / no mar: respondeu, mas sem cidade
+      if (!melhor || melhorDist > distanciaMaxKm) return { cidade: '', estado: '' };
+      return { cidade: melhor.cidade, estado: melhor.estado };
+    }
+  };
+}
+
+/* ---------- Limite global de requisições ---------- */
+
+// Executa uma chamada por vez, com intervalo mínimo entre elas.
+// Fila cheia => rejeita na hora (o registro fica sem cidade e o backfill resolve depois).
+function criarLimitador({ minIntervaloMs, filaMax }) {
+  let ultima = 0;
+  let corrente = Promise.resolve();
+  let naFila = 0;
+
+  return {
+    get naFila() { return naFila; },
+    executar(fn, { ignorarFilaMax = false } = {}) {
+      if (!ignorarFilaMax && naFila >= filaMax) {
+        return Promise.reject(new Error('Fila de geocoding cheia'));
+      }
+
+      naFila++;
+      const vez = corrente.then(async () => {
+        const espera = ultima + minIntervaloMs - Date.now();
+        if (espera > 0) await new Promise(r => setTimeout(r, espera));
+        ultima = Date.now();
+        return fn();
+      });
+
+      corrente = vez.catch(() => {}).finally(() => { naFila--; });
+      return vez;
+    }
+  };
+}
+
+/* ---------- Geocoder ---------- */
+
+function criarGeocoder({ pool, provedores, precisao = 3, minIntervaloMs = 1000, filaMax = 5, cacheMax = 5000, retentarHoras = 24 }) {
+  const limitador = criarLimitador({ minIntervaloMs, filaMax });
+  const memoria = new Map();
+  const stats = { consultas: 0, cache_memoria: 0, cache_banco: 0, provedor: 0, falhas: 0 };
+
+  const arredonda = (v) => Number(Number(v).toFixed(precisao));
+
+  function guardaMemoria(chave, valor) {
+    if (memoria.size >= cacheMax) memoria.delete(memoria.keys().next().value);
+    memoria.set(chave, valor);
+  }
+
+  async function lerCacheBanco(latR, lonR) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT cidade, estado FROM geocoding_cache WHERE lat_r = ? AND lon_r = ? LIMIT 1',
+        [latR, lonR]
+      );
+      return rows[0] || null;
+    } catch (e) {
+      console.warn('⚠ geocoding_cache indisponível:', e.message);
+      return null;
+    }
+  }
+
+  async function gravarCacheBanco(latR, lonR, r, provedor) {
+    await pool.query(
+      `INSERT INTO geocoding_cache (lat_r, lon_r, cidade, estado, provedor, criado_em)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE cidade = VALUES(cidade), estado = VALUES(estado), provedor = VALUES(provedor)`,
+      [latR, lonR, r.cidade, r.estado, provedor, moment().tz(TZ).format('YYYY-MM-DD HH:mm:ss')]
+    ).catch(e => console.warn('⚠ Falha ao gravar geocoding_cache:', e.message));
+  }
+
+  // { cidade, estado } ou null se nenhum provedor respondeu
+  async function resolver(lat, lon, { ignorarFilaMax = false } = {}) {
+    const latN = Number(lat);
+    const lonN = Number(lon);
+    if (!Number.isFinite(latN) || !Number.isFinite(lonN) || Math.abs(latN) > 90 || Math.abs(lonN) > 180) {
+      return null;
+    }
+
+    stats.consultas++;
+    const latR = arredonda(latN);
+    const lonR = arredonda(lonN);
+    const chave = `${latR},${lonR}`;
+
+    if (memoria.has(chave)) {
+      stats.cache_memoria++;
+      return memoria.get(chave);
+    }
+
+    const doBanco = await lerCacheBanco(latR, lonR);
+    if (doBanco) {
+      stats.cache_banco++;
+      guardaMemoria(chave, doBanco);
+      return doBanco;
+    }
+
+    for (const p of provedores) {
+      try {
+        // consulta pela coordenada arredondada: é ela que fica no cache
+        const chamada = () => p.reverso(latR, lonR);
+        const r = p.limitado ? await limitador.executar(chamada, { ignorarFilaMax }) : await chamada();
+
+        stats.provedor++;
+        guardaMemoria(chave, r);
+        await gravarCacheBanco(latR, lonR, r, p.nome);
+        return r;
+      } catch (error) {
+        console.warn(`⚠ Geocoding (${p.nome}) falhou:`, error.message);
+      }
+    }
+
+    stats.falhas++;
+    return null;
+  }
+
+  // Mesmo contrato de antes: nunca lança, devolve null/null se falhar.
+  async function getCidadeEstado(lat, lon) {
+    const r = await resolver(lat, lon);
+    return r ? { cidade: r.cidade, estado: r.estado } : { cidade: null, estado: null };
+  }
+
+  // Preenche cidade/estado dos registros que ficaram null (falha ou fila cheia no envio).
+  // Falhou de novo: marca geocoding_falhou_em e o registro só volta depois de retentarHoras
+  // (senão os mesmos `limite` mais novos sem solução ocupariam todas as rodadas).
+  async function backfill({ limite = 50 } = {}) {
+    const resumo = {};
+    const agora = moment().tz(TZ);
+    const retentarAntes = agora.clone().subtract(retentarHoras, 'hours').format('YYYY-MM-DD HH:mm:ss');
+
+    for (const tabela of TABELAS_BACKFILL) {
+      // nunca tentados primeiro, depois a falha mais antiga
+      const [rows] = await pool.query(
+        `SELECT id, latitude, longitude FROM ${tabela}
+         WHERE cidade IS NULL AND latitude IS NOT NULL AND longitude IS NOT NULL
+           AND (geocoding_falhou_em IS NULL OR geocoding_falhou_em < ?)
+         ORDER BY geocoding_falhou_em IS NOT NULL, geocoding_falhou_em, id DESC
+         LIMIT ?`,
+        [retentarAntes, limite]
+      );
+
+      let atualizados = 0;
+      let falhas = 0;
+      for (const row of rows) {
+        const r = await resolver(row.latitude, row.longitude, { ignorarFilaMax: true });
+        if (!r) {
+          falhas++;
+          await pool.query(
+            `UPDATE ${tabela} SET geocoding_falhou_em = ? WHERE id = ?`,
+            [agora.format('YYYY-MM-DD HH:mm:ss'), row.id]
+          );
+          continue;
+        }
+
+        const [upd] = await pool.query(
+          `UPDATE ${tabela} SET cidade = ?, estado = ?, geocoding_falhou_em = NULL WHERE id = ? AND cidade IS NULL`,
+          [r.cidade, r.estado, row.id]
+        );
+        atualizados += upd.affectedRows || 0;
+      }
+
+      resumo[tabela] = { pendentes: rows.length, atualizados, falhas };
+    }
+
+    return resumo;
+  }
+
+  function status() {
+    return {
+      provedores: provedores.map(p => p.nome),
+      precisao,
+      min_intervalo_ms: minIntervaloMs,
+      fila: limitador.naFila,
+      fila_max: filaMax,
+      cache_memoria: memoria.size,
+      estatisticas: { ...stats }
+    };
+  }
+
+  return { getCidadeEstado, resolver, backfill, status };
+}
+
+function criarGeocoderDoEnv(pool, env = process.env) {
+  const nomes = String(env.GEO_PROVEDOR || 'nominatim').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+  const provedores = nomes.map(nome => {
+    if (nome === 'nominatim') {
+      return provedorNominatim({
+        url: env.GEO_NOMINATIM_URL,
+        userAgent: env.GEO_USER_AGENT || 'Projeto-Elogios/1.0',
+        email: env.GEO_NOMINATIM_EMAIL,
+        timeoutMs: Number(env.GEO_TIMEOUT_MS || 5000)
+      });
+    }
+    if (nome === 'offline') {
+      return provedorOffline({
+        arquivo: path.resolve(__dirname, '..', env.GEO_OFFLINE_ARQUIVO || 'data/municipios.json'),
+        distanciaMaxKm: Number(env.GEO_OFFLINE_DIST_MAX_KM || 60)
+      });
+    }
+    throw new Error(`GEO_PROVEDOR desconhecido: ${nome}`);
+  });
+
+  return criarGeocoder({
+    pool,
+    provedores,
+    precisao: Number(env.GEO_CACHE_PRECISAO || 3),
+    minIntervaloMs: Number(env.GEO_MIN_INTERVALO_MS ?? 1000),
+    filaMax: Number(env.GEO_FILA_MAX || 5),
+    retentarHoras: Number(env.GEO_BACKFILL_RETENTAR_HORAS || 24)
+  });
+}
+
+// Rotas da equipe (autenticado)
+function criarRotasGeocoding({ geocoder }) {
+  const router = express.Router();
+  router.use(exigeAuth, exigePapel('admin'));
+
+  router.get('/status', (req, res) => {
+    return res.json({ status: 'sucesso', geocoding: geocoder.status() });
+  });
+
+  // Uso: POST /geocoding/backfill?limite=100
+  router.post('/backfill', async (req, res) => {
+    const limiteRaw = parseInt(req.query.limite, 10);
+    const limite = Number.isFinite(limiteRaw) ? Math.min(Math.max(limiteRaw, 1), 1000) : 50;
+
+    try {
+      const resumo = await geocoder.backfill({ limite });
+      return res.json({ status: 'sucesso', resumo });
+    } catch (err) {
+      console.error('❌ Erro no backfill de cidade/estado:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro no backfill de cidade/estado.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  provedorNominatim,
+  provedorOffline,
+  criarLimitador,
+  criarGeocoder,
+  criarGeocoderDoEnv,
+  criarRotasGeocoding
+};
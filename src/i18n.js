@@ -0,0 +1,112 @@
+/* ======================================================
+   IDIOMAS (pt-BR, es, en)
+   O texto em português continua no código e é a chave do catálogo
+   (src/idiomas/<idioma>.json). Frase montada usa {nome} na chave:
+     "{rotulo} é obrigatório." -> "{rotulo}: campo obligatorio."
+   e cada pedaço capturado também é traduzido ("Telefone" -> "Teléfono").
+   Sem tradução, a frase sai em português.
+
+   Escolha do idioma: ?lang=es > cookie idioma (public/i18n.js grava a escolha
+   da página) > Accept-Language > pt-BR.
+====================================================== */
+
+const { lerCookie } = require('./utils');
+
+const IDIOMAS = ['pt-BR', 'es', 'en'];
+const PADRAO = 'pt-BR';
+
+const CATALOGOS = {
+  es: require('./idiomas/es.json'),
+  en: require('./idiomas/en.json')
+};
+
+const escapaRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// chaves com {nome} viram regex; as mais específicas (mais texto fixo) primeiro
+function compilarModelos(catalogo) {
+  return Object.keys(catalogo)
+    .filter(k => /\{\w+\}/.test(k))
+    .map(chave => {
+      const nomes = [...chave.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+      const fixo = chave.replace(/\{\w+\}/g, '');
+      const re = new RegExp(`^${chave.split(/\{\w+\}/).map(escapaRegex).join('(.+?)')}$`, 's');
+      return { chave, nomes, re, peso: fixo.length };
+    })
+    .sort((a, b) => b.peso - a.peso);
+}
+
+const MODELOS = Object.fromEntries(Object.entries(CATALOGOS).map(([idioma, c]) => [idioma, compilarModelos(c)]));
+
+// "es-AR" -> 'es', "en" -> 'en', "pt" -> 'pt-BR'; fora da lista -> null
+function normalizarIdioma(valor) {
+  const v = String(valor || '').trim().toLowerCase();
+  if (!v) return null;
+  if (v.startsWith('pt')) return 'pt-BR';
+  const base = v.split(/[-_]/)[0];
+  return IDIOMAS.includes(base) ? base : null;
+}
+
+// Accept-Language: "es-AR,es;q=0.9,en;q=0.8" -> primeiro suportado pela ordem de q
+function lerAcceptLanguage(cabecalho) {
+  return String(cabecalho || '')
+    .split(',')
+    .map((parte, i) => {
+      const [tag, ...params] = parte.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { idioma: normalizarIdioma(tag === '*' ? '' : tag), q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter(x => x.idioma && x.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)[0]?.idioma || null;
+}
+
+function escolherIdioma(req) {
+  return normalizarIdioma(req.query?.lang) ||
+    normalizarIdioma(lerCookie(req, 'idioma')) ||
+    lerAcceptLanguage(req.get('accept-language')) ||
+    PADRAO;
+}
+
+function traduzir(texto, idioma) {
+  if (typeof texto !== 'string' || !texto || !CATALOGOS[idioma]) return texto;
+  const catalogo = CATALOGOS[idioma];
+  if (Object.prototype.hasOwnProperty.call(catalogo, texto)) return catalogo[texto];
+
+  for (const modelo of MODELOS[idioma]) {
+    const m = texto.match(modelo.re);
+    if (!m) continue;
+    const valores = Object.fromEntries(modelo.nomes.map((nome, i) => [nome, traduzir(m[i + 1], idioma)]));
+    return catalogo[modelo.chave].replace(/\{(\w+)\}/g, (_, nome) => valores[nome] ?? '');
+  }
+  return texto;
+}
+
+// Middleware: req.idioma + troca `mensagem` (e a de cada campo da validação) no res.json.
+// Só o JSON é traduzido: páginas estáticas e arquivos não levam Content-Language.
+function idioma() {
+  return (req, res, next) => {
+    req.idioma = escolherIdioma(req);
+
+    const json = res.json.bind(res);
+    res.json = body => {
+      res.set('Content-Language', req.idioma);
+      res.vary('Accept-Language').vary('Cookie');
+      if (req.idioma === PADRAO || !body || typeof body !== 'object' || Array.isArray(body)) return json(body);
+
+      const traduzido = { ...body };
+      if (typeof body.mensagem === 'string') traduzido.mensagem = traduzir(body.mensagem, req.idioma);
+      if (Array.isArray(body.campos)) {
+        traduzido.campos = body.campos.map(c => ({ ...c, mensagem: traduzir(c.mensagem, req.idioma) }));
+      }
+      return json(traduzido);
+    };
+    next();
+  };
+}
+
+module.exports = {
+  IDIOMAS,
+  PADRAO,
+  escolherIdioma,
+  traduzir,
+  idioma
+};
@@ -0,0 +1,98 @@
+const moment = require('moment-timezone');
+const { TZ, getDataAtual } = require('./utils');
+
+/* ============================
+   IDEMPOTÊNCIA (fila offline do PWA)
+   Header Idempotency-Key = id do envio gerado no aparelho.
+   1ª chamada processa e grava a resposta; repetições recebem a mesma resposta.
+============================ */
+
+const CHAVE_RE = /^[A-Za-z0-9-]{8,100}$/;
+
+// chave presa em 'processando' (processo caiu no meio) volta a valer depois disso
+const PROCESSANDO_EXPIRA_MIN = 2;
+const RETENCAO_DIAS = 30;
+
+function idempotencia(pool) {
+  return async (req, res, next) => {
+    const chave = String(req.get('idempotency-key') || '').trim();
+    if (!chave) return next();
+
+    if (!CHAVE_RE.test(chave)) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Idempotency-Key inválida.' });
+    }
+
+    const rota = req.path;
+
+    try {
+      await pool.query(
+        `INSERT INTO envios_idempotentes (chave, rota, estado, criado_em) VALUES (?, ?, 'processando', ?)`,
+        [chave, rota, getDataAtual()]
+      );
+    } catch (e) {
+      if (e.code !== 'ER_DUP_ENTRY') {
+        // sem a tabela não dá pra deduplicar, mas o envio não pode se perder
+        console.warn('⚠ Idempotência indisponível:', e.message);
+        return next();
+      }
+
+      try {
+        const [rows] = await pool.query(
+          'SELECT rota, estado, status_http, resposta, criado_em FROM envios_idempotentes WHERE chave = ? LIMIT 1',
+          [chave]
+        );
+        const anterior = rows[0];
+
+        if (anterior && anterior.rota !== rota) {
+          return res.status(422).json({ status: 'erro', mensagem: 'Idempotency-Key já usada em outro tipo de envio.' });
+        }
+
+        if (anterior?.estado === 'concluido') {
+          res.set('Idempotent-Replay', 'true');
+          return res.status(anterior.status_http || 200).json(JSON.parse(anterior.resposta || '{}'));
+        }
+
+        const limite = moment().tz(TZ).subtract(PROCESSANDO_EXPIRA_MIN, 'minutes').format('YYYY-MM-DD HH:mm:ss');
+        const [assumiu] = await pool.query(
+          `UPDATE envios_idempotentes SET criado_em = ?
+           WHERE chave = ? AND estado = 'processando' AND criado_em < ?`,
+          [getDataAtual(), chave, limite]
+        );
+        if (!assumiu.affectedRows) {
+          return res.status(409).json({ status: 'processando', codigo: 'processando', mensagem: 'Este envio ainda está sendo processado.' });
+        }
+      } catch (e2) {
+        // não sabemos se o envio anterior terminou: pede nova tentativa
+        console.error('❌ Erro ao consultar idempotência:', e2.message);
+        return res.status(503).json({ status: 'erro', mensagem: 'Tente novamente em instantes.' });
+      }
+    }
+
+    // grava a resposta final; 5xx, limite (429) e desafio (428) liberam a chave para nova tentativa
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const http = res.statusCode;
+      const grava = http >= 500 || http === 429 || http === 428
+        ? pool.query('DELETE FROM envios_idempotentes WHERE chave = ?', [chave])
+        : pool.query(
+          `UPDATE envios_idempotentes
+           SET estado = 'concluido', status_http = ?, resposta = ?, concluido_em = ?
+           WHERE chave = ?`,
+          [http, JSON.stringify(body), getDataAtual(), chave]
+        );
+
+      grava.catch(e => console.error('❌ Erro ao gravar idempotência:', e.message));
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+async function limparChavesAntigas(pool) {
+  const limite = moment().tz(TZ).subtract(RETENCAO_DIAS, 'days').format('YYYY-MM-DD HH:mm:ss');
+  const [r] = await pool.query('DELETE FROM envios_idempotentes WHERE criado_em < ?', [limite]);
+  return r.affectedRows || 0;
+}
+
+module.exports = { idempotencia, limparChavesAntigas };
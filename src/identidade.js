@@ -0,0 +1,431 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const { Client: ClienteLdap } = require('ldapts');
+const { getDataAtual, lerCookie, tokenIgual } = require('./utils');
+const { PAPEIS, hashSenha, confereSenha, emitirSessao, assinatura, esquecerUsuario, exigeAuth, exigePapel } = require('./auth');
+const { criarLimiteTaxa, ipCliente } = require('./antiabuso');
+
+/* ======================================================
+   LOGIN DA EQUIPE (/auth) — contas e provedores de identidade
+   - local: usuarios.senha_hash (scrypt)
+   - ldap (opcional): bind com o login/senha no AD/LDAP da empresa
+   - oidc (opcional): "Entrar com a conta da empresa" (Azure AD, Google, Keycloak...)
+   Quem entra por LDAP/OIDC pela 1ª vez ganha conta com AUTH_PAPEL_PADRAO (autor);
+   o papel é sempre o da tabela usuarios, nunca o do provedor.
+
+   Provedor de senha expõe: { nome, async autenticar(login, senha) -> { login, nome, email } | null }
+====================================================== */
+
+const LOGIN_RE = /^[a-z0-9._@-]{3,80}$/;
+const SENHA_MIN = 10;
+const HORA = 60 * 60 * 1000;
+
+const limiteLoginIp = criarLimiteTaxa({ janelaMs: HORA, max: Number(process.env.AUTH_LOGIN_IP_HORA || 30) });
+const limiteLoginUsuario = criarLimiteTaxa({ janelaMs: HORA, max: Number(process.env.AUTH_LOGIN_USUARIO_HORA || 10) });
+
+const normalizaLogin = v => String(v || '').trim().toLowerCase();
+
+// state do OIDC preso ao navegador: <state>.<assinatura>
+const COOKIE_OIDC = 'oidc_state';
+function stateDoCookie(req) {
+  const [state, assinado] = String(lerCookie(req, COOKIE_OIDC) || '').split('.');
+  return state && assinado && tokenIgual(assinado, assinatura(`oidc.${state}`)) ? state : null;
+}
+
+/* ---------- Provedores ---------- */
+
+function provedorLdap({ url, dnModelo, timeoutMs = 5000 }) {
+  if (!url || !dnModelo) throw new Error('LDAP sem AUTH_LDAP_URL / AUTH_LDAP_DN configurados');
+
+  // RFC 4514: login vai dentro do DN
+  const escapaDn = v => v.replace(/[\\,+"<>;=#]/g, c => `\\${c}`);
+
+  return {
+    nome: 'ldap',
+    async autenticar(login, senha) {
+      if (!senha) return null; // bind sem senha = bind anônimo: nunca aceitar
+      const dn = dnModelo.replace('{login}', escapaDn(login));
+      const cliente = new ClienteLdap({ url, timeout: timeoutMs, connectTimeout: timeoutMs });
+      try {
+        await cliente.bind(dn, senha);
+        const { searchEntries } = await cliente.search(dn, { scope: 'base', attributes: ['cn', 'displayName', 'mail'] });
+        const e = searchEntries[0] || {};
+        return { login, nome: String(e.displayName || e.cn || login), email: e.mail ? String(e.mail) : null };
+      } catch (err) {
+        if (err.code === 49) return null; // invalidCredentials
+        throw err;
+      } finally {
+        await cliente.unbind().catch(() => {});
+      }
+    }
+  };
+}
+
+// Authorization Code + PKCE; identidade pelo userinfo do emissor (sem validar JWT aqui)
+function provedorOidc({ emissor, clientId, clientSecret, redirectUri, claimLogin = 'preferred_username', timeoutMs = 10000 }) {
+  if (!emissor || !clientId || !redirectUri) {
+    throw new Error('OIDC sem AUTH_OIDC_EMISSOR / AUTH_OIDC_CLIENT_ID / AUTH_OIDC_REDIRECT configurados');
+  }
+
+  let descoberta = null;
+  const pendentes = new Map(); // state -> { verificador, expira }
+
+  async function configuracao() {
+    if (!descoberta) {
+      const { data } = await axios.get(`${emissor.replace(/\/$/, '')}/.well-known/openid-configuration`, { timeout: timeoutMs });
+      descoberta = data;
+    }
+    return descoberta;
+  }
+
+  return {
+    nome: 'oidc',
+
+    // { url, state }: a rota guarda o state num cookie do navegador que começou o login
+    async urlLogin() {
+      const cfg = await configuracao();
+      const agora = Date.now();
+      for (const [s, p] of pendentes) if (p.expira < agora) pendentes.delete(s);
+
+      const state = crypto.randomBytes(16).toString('base64url');
+      const verificador = crypto.randomBytes(32).toString('base64url');
+      pendentes.set(state, { verificador, expira: agora + 10 * 60 * 1000 });
+
+      const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: 'openid profile email',
+        state,
+        code_challenge: crypto.createHash('sha256').update(verificador).digest('base64url'),
+        code_challenge_method: 'S256'
+      });
+      return { url: `${cfg.authorization_endpoint}?${params}`, state };
+    },
+
+    // stateNavegador: o do cookie. Sem ele, um link de retorno com o code de outra
+    // pessoa logaria a vítima na conta de quem mandou o link (login CSRF).
+    async concluir({ code, state }, { stateNavegador } = {}) {
+      const pendente = pendentes.get(String(state || ''));
+      pendentes.delete(String(state || ''));
+      if (!pendente || pendente.expira < Date.now() || !code) return null;
+      if (!stateNavegador || !tokenIgual(stateNavegador, state)) return null;
+
+      const cfg = await configuracao();
+      const { data: tokens } = await axios.post(cfg.token_endpoint, new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: String(code),
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        ...(clientSecret ? { client_secret: clientSecret } : {}),
+        code_verifier: pendente.verificador
+      }), { timeout: timeoutMs });
+
+      const { data: info } = await axios.get(cfg.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+        timeout: timeoutMs
+      });
+
+      const login = normalizaLogin(info[claimLogin] || info.email);
+      if (!LOGIN_RE.test(login)) return null;
+      return { login, nome: String(info.name || login), email: info.email || null };
+    }
+  };
+}
+
+function criarProvedores(env = process.env) {
+  return {
+    ldap: env.AUTH_LDAP_URL
+      ? provedorLdap({ url: env.AUTH_LDAP_URL, dnModelo: env.AUTH_LDAP_DN, timeoutMs: Number(env.AUTH_LDAP_TIMEOUT_MS || 5000) })
+      : null,
+    oidc: env.AUTH_OIDC_EMISSOR
+      ? provedorOidc({
+        emissor: env.AUTH_OIDC_EMISSOR,
+        clientId: env.AUTH_OIDC_CLIENT_ID,
+        clientSecret: env.AUTH_OIDC_CLIENT_SECRET,
+        redirectUri: env.AUTH_OIDC_REDIRECT,
+        claimLogin: env.AUTH_OIDC_CLAIM_LOGIN || 'preferred_username'
+      })
+      : null
+  };
+}
+
+/* ---------- Usuários ---------- */
+
+const COLUNAS_USUARIO = 'id, login, nome, email, papel, provedor, ativo, sessao_versao, ultimo_login, criado_em';
+
+async function buscarPorLogin(pool, login) {
+  const [rows] = await pool.query(`SELECT ${COLUNAS_USUARIO}, senha_hash FROM usuarios WHERE login = ? LIMIT 1`, [login]);
+  return rows[0] || null;
+}
+
+// 1º acesso por LDAP/OIDC cria a conta; nos seguintes só atualiza nome/e-mail
+async function garantirUsuarioExterno(pool, provedor, dados) {
+  const existente = await buscarPorLogin(pool, dados.login);
+  if (existente) {
+    if (existente.provedor !== provedor) return null; // conta local com o mesmo login: não mistura
+    await pool.query('UPDATE usuarios SET nome = ?, email = ? WHERE id = ?', [dados.nome, dados.email, existente.id]);
+    return { ...existente, nome: dados.nome, email: dados.email };
+  }
+
+  const papel = PAPEIS.includes(process.env.AUTH_PAPEL_PADRAO) ? process.env.AUTH_PAPEL_PADRAO : 'autor';
+  await pool.query(
+    `INSERT INTO usuarios (login, nome, email, papel, provedor, ativo, sessao_versao, criado_em)
+     VALUES (?, ?, ?, ?, ?, 1, 1, ?)`,
+    [dados.login, dados.nome, dados.email, papel, provedor, getDataAtual()]
+  );
+  console.log(`👤 Usuário ${dados.login} criado no 1º acesso via ${provedor} (${papel})`);
+  return buscarPorLogin(pool, dados.login);
+}
+
+function usuarioPublico(u) {
+  return { id: u.id, login: u.login, nome: u.nome, email: u.email, papel: u.papel };
+}
+
+async function abrirSessao(pool, usuario) {
+  await pool.query('UPDATE usuarios SET ultimo_login = ? WHERE id = ?', [getDataAtual(), usuario.id]);
+  return { ...emitirSessao(usuario), usuario: usuarioPublico(usuario) };
+}
+
+// AUTH_ADMIN_INICIAL=login:senha cria o 1º admin se ainda não houver nenhum
+async function garantirAdminInicial(pool, valor = process.env.AUTH_ADMIN_INICIAL) {
+  if (!valor) return;
+  const idx = valor.indexOf(':');
+  const login = normalizaLogin(valor.slice(0, idx));
+  const senha = valor.slice(idx + 1);
+  if (idx < 1 || !LOGIN_RE.test(login) || senha.length < SENHA_MIN) {
+    console.warn(`⚠ AUTH_ADMIN_INICIAL inválido (use login:senha, senha com ${SENHA_MIN}+ caracteres).`);
+    return;
+  }
+
+  const [[r]] = await pool.query(`SELECT COUNT(*) AS total FROM usuarios WHERE papel = 'admin'`);
+  if (Number(r.total) > 0) return;
+
+  await pool.query(
+    `INSERT INTO usuarios (login, nome, papel, provedor, senha_hash, ativo, sessao_versao, criado_em)
+     VALUES (?, ?, 'admin', 'local', ?, 1, 1, ?)`,
+    [login, login, await hashSenha(senha), getDataAtual()]
+  );
+  console.log(`👤 Admin inicial "${login}" criado. Troque a senha e remova AUTH_ADMIN_INICIAL do .env.`);
+}
+
+/* ---------- Rotas ---------- */
+
+function criarRotasIdentidade({ pool, provedores = {} }) {
+  const router = express.Router();
+
+  const negado = res => res.status(401).json({ status: 'erro', mensagem: 'Login ou senha incorretos.' });
+
+  router.get('/provedores', (req, res) => {
+    res.json({ status: 'sucesso', senha: true, ldap: !!provedores.ldap, oidc: !!provedores.oidc });
+  });
+
+  // { login, senha } -> { token, expira_em, usuario }
+  router.post('/login', async (req, res) => {
+    const login = normalizaLogin(req.body?.login);
+    const senha = String(req.body?.senha || '');
+    if (!login || !senha) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Informe login e senha.' });
+    }
+
+    const porIp = limiteLoginIp.registrar(ipCliente(req));
+    const porLogin = limiteLoginUsuario.registrar(login);
+    if (!porIp.permitido || !porLogin.permitido) {
+      const espera = Math.max(porIp.tentarEmSeg || 0, porLogin.tentarEmSeg || 0);
+      res.set('Retry-After', String(espera));
+      return res.status(429).json({ status: 'erro', mensagem: 'Muitas tentativas de login. Aguarde e tente novamente.' });
+    }
+
+    try {
+      let usuario = await buscarPorLogin(pool, login);
+
+      if (usuario?.provedor === 'local') {
+        if (!(await confereSenha(senha, usuario.senha_hash))) return negado(res);
+      } else if (provedores.ldap && (!usuario || usuario.provedor === 'ldap')) {
+        const dados = await provedores.ldap.autenticar(login, senha);
+        if (!dados) return negado(res);
+        usuario = await garantirUsuarioExterno(pool, 'ldap', dados);
+      } else {
+        await hashSenha(senha); // mesmo tempo de resposta para login inexistente
+        return negado(res);
+      }
+
+      if (!usuario?.ativo) {
+        return res.status(403).json({ status: 'erro', mensagem: 'Usuário desativado. Procure o administrador.' });
+      }
+      return res.json({ status: 'sucesso', ...(await abrirSessao(pool, usuario)) });
+    } catch (err) {
+      console.error('❌ Erro no login:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Não foi possível entrar agora.' });
+    }
+  });
+
+  // OIDC: /auth/oidc -> provedor -> /auth/oidc/retorno -> AUTH_OIDC_DESTINO#sessao=<token>
+  router.get('/oidc', async (req, res) => {
+    if (!provedores.oidc) return res.status(404).json({ status: 'erro', mensagem: 'Login pela conta da empresa não configurado.' });
+    try {
+      const { url, state } = await provedores.oidc.urlLogin();
+      // Lax: o cookie volta no redirecionamento (GET) do provedor para /auth/oidc/retorno
+      res.cookie(COOKIE_OIDC, `${state}.${assinatura(`oidc.${state}`)}`, {
+        httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/auth/oidc', maxAge: 10 * 60 * 1000
+      });
+      return res.redirect(url);
+    } catch (err) {
+      console.error('❌ Erro ao iniciar login OIDC:', err.message);
+      return res.status(502).json({ status: 'erro', mensagem: 'Provedor de login indisponível.' });
+    }
+  });
+
+  router.get('/oidc/retorno', async (req, res) => {
+    if (!provedores.oidc) return res.status(404).json({ status: 'erro', mensagem: 'Login pela conta da empresa não configurado.' });
+    const destino = process.env.AUTH_OIDC_DESTINO || '/elogio-interno';
+    res.clearCookie(COOKIE_OIDC, { path: '/auth/oidc' });
+    try {
+      const dados = await provedores.oidc.concluir(req.query, { stateNavegador: stateDoCookie(req) });
+      const usuario = dados && await garantirUsuarioExterno(pool, 'oidc', dados);
+      if (!usuario?.ativo) return res.redirect(`${destino}#sessao_erro=1`);
+
+      const sessao = await abrirSessao(pool, usuario);
+      return res.redirect(`${destino}#sessao=${encodeURIComponent(sessao.token)}`);
+    } catch (err) {
+      console.error('❌ Erro no retorno do OIDC:', err.message);
+      return res.redirect(`${destino}#sessao_erro=1`);
+    }
+  });
+
+  router.get('/sessao', exigeAuth, (req, res) => res.json({ status: 'sucesso', usuario: req.usuario }));
+
+  // troca a própria senha (conta local); encerra as outras sessões e devolve um token novo
+  router.post('/senha', exigeAuth, async (req, res) => {
+    const { atual, nova } = req.body || {};
+    if (String(nova || '').length < SENHA_MIN) {
+      return res.status(400).json({ status: 'erro', mensagem: `A nova senha precisa de ${SENHA_MIN} caracteres ou mais.` });
+    }
+    if (!req.usuario.id) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Token de serviço não tem senha.' });
+    }
+
+    try {
+      const usuario = await buscarPorLogin(pool, req.usuario.login);
+      if (usuario?.provedor !== 'local') {
+        return res.status(400).json({ status: 'erro', mensagem: 'A senha desta conta é trocada no provedor da empresa.' });
+      }
+      if (!(await confereSenha(String(atual || ''), usuario.senha_hash))) {
+        return res.status(400).json({ status: 'erro', mensagem: 'Senha atual incorreta.' });
+      }
+
+      await pool.query(
+        'UPDATE usuarios SET senha_hash = ?, sessao_versao = sessao_versao + 1, atualizado_em = ? WHERE id = ?',
+        [await hashSenha(nova), getDataAtual(), usuario.id]
+      );
+      esquecerUsuario(usuario.id);
+      return res.json({
+        status: 'sucesso',
+        mensagem: 'Senha alterada.',
+        ...(await abrirSessao(pool, { ...usuario, sessao_versao: usuario.sessao_versao + 1 }))
+      });
+    } catch (err) {
+      console.error('❌ Erro ao trocar senha:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao trocar senha.' });
+    }
+  });
+
+  /* ----- Administração de usuários (admin) ----- */
+
+  const admin = express.Router();
+  admin.use(exigeAuth, exigePapel('admin'));
+
+  admin.get('/', async (req, res) => {
+    try {
+      const [rows] = await pool.query(`SELECT ${COLUNAS_USUARIO} FROM usuarios ORDER BY nome`);
+      return res.json({ status: 'sucesso', usuarios: rows });
+    } catch (err) {
+      console.error('❌ Erro ao listar usuários:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao listar usuários.' });
+    }
+  });
+
+  // { login, nome, email?, papel, senha } -> conta local
+  admin.post('/', async (req, res) => {
+    const login = normalizaLogin(req.body?.login);
+    const nome = String(req.body?.nome || '').trim();
+    const { email, papel, senha } = req.body || {};
+
+    if (!LOGIN_RE.test(login)) return res.status(400).json({ status: 'erro', mensagem: 'Login inválido (3 a 80: letras, números, . _ @ -).' });
+    if (!nome) return res.status(400).json({ status: 'erro', mensagem: 'Informe o nome.' });
+    if (!PAPEIS.includes(papel)) return res.status(400).json({ status: 'erro', mensagem: `Papel inválido. Use: ${PAPEIS.join(', ')}.` });
+    if (String(senha || '').length < SENHA_MIN) {
+      return res.status(400).json({ status: 'erro', mensagem: `Senha precisa de ${SENHA_MIN} caracteres ou mais.` });
+    }
+
+    try {
+      const [r] = await pool.query(
+        `INSERT INTO usuarios (login, nome, email, papel, provedor, senha_hash, ativo, sessao_versao, criado_em)
+         VALUES (?, ?, ?, ?, 'local', ?, 1, 1, ?)`,
+        [login, nome, email || null, papel, await hashSenha(senha), getDataAtual()]
+      );
+      console.log(`👤 Usuário ${login} (${papel}) criado por ${req.usuario.login}`);
+      return res.status(201).json({ status: 'sucesso', id: r.insertId });
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') return res.status(409).json({ status: 'erro', mensagem: 'Login já cadastrado.' });
+      console.error('❌ Erro ao criar usuário:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao criar usuário.' });
+    }
+  });
+
+  // { nome?, email?, papel?, ativo?, senha? } — papel, ativo e senha encerram as sessões do usuário
+  admin.post('/:id', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const b = req.body || {};
+    const campos = [];
+    const params = [];
+    let encerraSessoes = false;
+
+    if (b.nome !== undefined) { campos.push('nome = ?'); params.push(String(b.nome).trim()); }
+    if (b.email !== undefined) { campos.push('email = ?'); params.push(b.email || null); }
+    if (b.papel !== undefined) {
+      if (!PAPEIS.includes(b.papel)) return res.status(400).json({ status: 'erro', mensagem: `Papel inválido. Use: ${PAPEIS.join(', ')}.` });
+      campos.push('papel = ?'); params.push(b.papel); encerraSessoes = true;
+    }
+    // mesma conversão para o UPDATE e para a trava abaixo (0, "", null também desativam)
+    const ativo = b.ativo === undefined ? undefined : Boolean(b.ativo);
+    if (ativo !== undefined) { campos.push('ativo = ?'); params.push(ativo ? 1 : 0); encerraSessoes = true; }
+    if (b.senha !== undefined) {
+      if (String(b.senha).length < SENHA_MIN) {
+        return res.status(400).json({ status: 'erro', mensagem: `Senha precisa de ${SENHA_MIN} caracteres ou mais.` });
+      }
+      campos.push('senha_hash = ?'); params.push(await hashSenha(b.senha)); encerraSessoes = true;
+    }
+    if (!id || !campos.length) return res.status(400).json({ status: 'erro', mensagem: 'Nada para alterar.' });
+    if (id === req.usuario.id && (ativo === false || (b.papel && b.papel !== 'admin'))) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Você não pode tirar o próprio acesso de admin.' });
+    }
+    if (encerraSessoes) campos.push('sessao_versao = sessao_versao + 1');
+
+    try {
+      const [r] = await pool.query(
+        `UPDATE usuarios SET ${campos.join(', ')}, atualizado_em = ? WHERE id = ?`,
+        [...params, getDataAtual(), id]
+      );
+      if (!r.affectedRows) return res.status(404).json({ status: 'erro', mensagem: 'Usuário não encontrado.' });
+      esquecerUsuario(id);
+      console.log(`👤 Usuário #${id} alterado por ${req.usuario.login}`);
+      return res.json({ status: 'sucesso', mensagem: 'Usuário atualizado.' });
+    } catch (err) {
+      console.error('❌ Erro ao alterar usuário:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao alterar usuário.' });
+    }
+  });
+
+  router.use('/usuarios', admin);
+  return router;
+}
+
+module.exports = {
+  provedorLdap,
+  provedorOidc,
+  criarProvedores,
+  garantirAdminInicial,
+  criarRotasIdentidade
+};
@@ -0,0 +1,389 @@
+const express = require('express');
+const { normalizaCarreta, onlyDigits, getDataAtual } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+const { alterarStatus } = require('./moderacao');
+const { EVENTOS_MODERACAO } = require('./eventos');
+const { placaEquivalente, sugerirPlacas } = require('./placas');
+
+/* ======================================================
+   KMM (PostgreSQL) — repositório com snapshot em memória
+   - carretas ativas (frota), motorista atual por carreta e motoristas ativos
+     recarregados a cada KMM_SNAPSHOT_MIN (padrão 10 min)
+   - consulta ao vivo só para o que não está no snapshot
+   - KMM fora e sem snapshot: resposta "não sei" (null) => envio aceito
+     com validacao_kmm = 'pendente' e revalidado quando o KMM voltar
+====================================================== */
+
+const PLACA_NORM_SQL = col => `regexp_replace(upper(${col}::text), '[^A-Z0-9]', '', 'g')`;
+
+const SQL_CARRETAS = `
+  SELECT DISTINCT ${PLACA_NORM_SQL('vm."PLACA"')} AS carreta
+  FROM veiculo.veiculo_modalidade vm
+  WHERE lower(vm."MODALIDADE"::text) = 'frota'
+    AND vm."DATA_CANCELAMENTO" IS NULL
+    AND vm."PLACA" IS NOT NULL
+`;
+
+// motorista mais recente de cada placa
+const SQL_MOTORISTA_POR_CARRETA = `
+  SELECT DISTINCT ON (carreta) carreta, matricula, motorista
+  FROM (
+    SELECT
+      ${PLACA_NORM_SQL('vm."PLACA"')} AS carreta,
+      fd."MATRICULA" AS matricula,
+      fd."NOME" AS motorista,
+      vm."DATA_INICIO" AS inicio
+    FROM veiculo.veiculo_motorista vm
+    JOIN folha.funcionario_dados fd
+      ON fd."COD_PESSOA" = vm."COD_PESSOA"
+    WHERE fd."DATA_DEMISSAO" IS NULL
+      AND vm."PLACA" IS NOT NULL
+  ) x
+  ORDER BY carreta, inicio DESC NULLS LAST
+`;
+
+const SQL_MOTORISTAS_ATIVOS = `
+  SELECT
+    fd."MATRICULA" AS matricula,
+    fd."NOME" AS nome_motorista
+  FROM folha.funcionario_dados fd
+  WHERE fd."DATA_ADMISSAO" IS NOT NULL
+    AND fd."DATA_DEMISSAO" IS NULL
+    AND fd."CARGO" ILIKE ANY (ARRAY[
+        'MOTORISTA',
+        'MOTORISTA CARRETEIRO',
+        'MOTORISTA CARRETEIRO III',
+        'MOTORISTA CHECK LIST',
+        'MOTORISTA DE BITREM',
+        'MOTORISTA DE MANUTENCAO',
+        'MOTORISTA ENTREGADOR',
+        'MOTORISTA INSTRUTOR',
+        'MOTORISTA MANOBRA',
+        'MOTORISTA TOCO',
+        'MOTORISTA TRAINEE',
+        'MOTORISTA TRUCK'
+    ])
+  ORDER BY fd."NOME"
+`;
+
+function criarRepositorioKMM({ poolKMM, intervaloMin = Number(process.env.KMM_SNAPSHOT_MIN || 10) }) {
+  let snapshot = null;
+  let atualizando = null;
+
+  const saude = {
+    disponivel: null,     // última ida ao KMM deu certo?
+    ultimoSucesso: null,
+    ultimaFalha: null,
+    ultimoErro: null
+  };
+
+  // Depois de uma falha, consultas avulsas esperam CIRCUITO_MS antes de tentar de novo
+  // (envio não fica preso no timeout do KMM a cada requisição). O snapshot sempre tenta.
+  const CIRCUITO_MS = 30 * 1000;
+  let falhaEm = 0;
+
+  function registrarSucesso() {
+    saude.disponivel = true;
+    saude.ultimoSucesso = getDataAtual();
+  }
+
+  function registrarFalha(err) {
+    if (saude.disponivel !== false) console.warn('⚠ KMM indisponível:', err.message);
+    saude.disponivel = false;
+    saude.ultimaFalha = getDataAtual();
+    falhaEm = Date.now();
+    saude.ultimoErro = err.message;
+  }
+
+  async function consultar(sql, params, { forcar = false } = {}) {
+    if (!forcar && saude.disponivel === false && Date.now() - falhaEm < CIRCUITO_MS) {
+      throw new Error(`KMM indisponível (${saude.ultimoErro})`);
+    }
+    try {
+      const r = await poolKMM.query(sql, params);
+      registrarSucesso();
+      return r.rows || [];
+    } catch (err) {
+      registrarFalha(err);
+      throw err;
+    }
+  }
+
+  // Recarrega o snapshot inteiro (uma execução por vez). Falha mantém o anterior.
+  function atualizar() {
+    if (atualizando) return atualizando;
+
+    atualizando = (async () => {
+      const inicio = Date.now();
+      const carretas = await consultar(SQL_CARRETAS, [], { forcar: true });
+      const vinculos = await consultar(SQL_MOTORISTA_POR_CARRETA, [], { forcar: true });
+      const motoristas = await consultar(SQL_MOTORISTAS_ATIVOS, [], { forcar: true });
+
+      snapshot = {
+        carretas: new Set(carretas.map(r => r.carreta).filter(Boolean)),
+        motoristaPorCarreta: new Map(vinculos.map(r => [r.carreta, { matricula: r.matricula, motorista: r.motorista }])),
+        motoristas,
+        motoristaPorMatricula: new Map(motoristas.map(r => [onlyDigits(r.matricula), r.nome_motorista])),
+        atualizadoEm: getDataAtual(),
+        duracaoMs: Date.now() - inicio
+      };
+      return snapshot;
+    })().finally(() => { atualizando = null; });
+
+    return atualizando;
+  }
+
+  /* ---------- Consultas usadas pelas rotas ---------- */
+
+  // true / false / null (null = KMM fora e placa fora do snapshot: não dá para saber)
+  async function existeCarretaAtiva(carreta) {
+    const c = normalizaCarreta(carreta);
+    if (snapshot?.carretas.has(c)) return true;
+
+    try {
+      const rows = await consultar(`${SQL_CARRETAS} AND ${PLACA_NORM_SQL('vm."PLACA"')} = $1 LIMIT 1`, [c]);
+      return rows.length > 0;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Para os envios: placa exata ou a equivalente antiga/Mercosul (mesmo veículo).
+  // { ativa: true, carreta } | { ativa: null, carreta } (KMM fora) | { ativa: false, sugestoes }
+  async function resolverCarreta(carreta) {
+    const c = normalizaCarreta(carreta);
+    const ativa = await existeCarretaAtiva(c);
+    if (ativa !== false) return { ativa, carreta: c };
+
+    const equivalente = placaEquivalente(c);
+    if (equivalente) {
+      const ativaEquivalente = await existeCarretaAtiva(equivalente);
+      if (ativaEquivalente) return { ativa: true, carreta: equivalente };
+      // KMM caiu entre as duas consultas: não dá para dizer que não existe
+      if (ativaEquivalente === null) return { ativa: null, carreta: c };
+    }
+
+    return { ativa: false, sugestoes: await sugerirCarretas(c) };
+  }
+
+  // "Você quis dizer...?" contra a frota do snapshot (vazio se não houver snapshot)
+  async function sugerirCarretas(carreta, limite = 5) {
+    const frota = snapshot ? snapshot.carretas : (await atualizar().catch(() => null))?.carretas;
+    return frota ? sugerirPlacas(carreta, frota, { limite }) : [];
+  }
+
+  // { matricula, motorista } ou null. Não lança: KMM fora vira null.
+  async function getMotoristaPorCarreta(carreta) {
+    const c = normalizaCarreta(carreta);
+    if (snapshot?.motoristaPorCarreta.has(c)) return snapshot.motoristaPorCarreta.get(c);
+
+    try {
+      const rows = await consultar(
+        `SELECT matricula, motorista FROM (${SQL_MOTORISTA_POR_CARRETA}) m WHERE carreta = $1 LIMIT 1`,
+        [c]
+      );
+      return rows[0] || null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Nome do funcionário pela matrícula: { nome } / null (não existe) / undefined (KMM fora)
+  async function getFuncionarioPorMatricula(matricula) {
+    const m = onlyDigits(matricula);
+    if (snapshot?.motoristaPorMatricula.has(m)) return { nome: snapshot.motoristaPorMatricula.get(m) };
+
+    try {
+      const rows = await consultar(
+        `SELECT "NOME" AS nome FROM folha.funcionario_dados WHERE "MATRICULA" = $1 LIMIT 1`,
+        [m]
+      );
+      return rows[0] || null;
+    } catch (err) {
+      return undefined;
+    }
+  }
+
+  // Carretas em que a matrícula é o motorista atual (portal do motorista). Snapshot obrigatório: KMM fora sem snapshot lança.
+  async function getCarretasDoMotorista(matricula) {
+    const m = onlyDigits(matricula);
+    const vinculos = (snapshot || await atualizar()).motoristaPorCarreta;
+
+    const lista = [];
+    for (const [carreta, v] of vinculos) if (onlyDigits(v.matricula) === m) lista.push(carreta);
+    return lista.sort();
+  }
+
+  async function listarMotoristas() {
+    if (snapshot) return snapshot.motoristas;
+    return (await atualizar()).motoristas;
+  }
+
+  async function buscarCarretas(q, limit) {
+    const prefixo = normalizaCarreta(q || '');
+    const todas = snapshot ? snapshot.carretas : (await atualizar()).carretas;
+
+    const lista = [];
+    for (const c of todas) if (!prefixo || c.startsWith(prefixo)) lista.push(c);
+    return lista.sort().slice(0, limit);
+  }
+
+  function status() {
+    return {
+      disponivel: saude.disponivel,
+      ultimo_sucesso: saude.ultimoSucesso,
+      ultima_falha: saude.ultimaFalha,
+      ultimo_erro: saude.ultimoErro,
+      snapshot: snapshot
+        ? {
+            atualizado_em: snapshot.atualizadoEm,
+            duracao_ms: snapshot.duracaoMs,
+            carretas: snapshot.carretas.size,
+            vinculos: snapshot.motoristaPorCarreta.size,
+            motoristas: snapshot.motoristas.length
+          }
+        : null,
+      intervalo_min: intervaloMin
+    };
+  }
+
+  function iniciar() {
+    const tentar = () => atualizar().catch(() => {});
+    tentar();
+    if (intervaloMin > 0) setInterval(tentar, intervaloMin * 60 * 1000).unref();
+  }
+
+  return {
+    atualizar,
+    iniciar,
+    existeCarretaAtiva,
+    resolverCarreta,
+    sugerirCarretas,
+    getMotoristaPorCarreta,
+    getFuncionarioPorMatricula,
+    getCarretasDoMotorista,
+    listarMotoristas,
+    buscarCarretas,
+    status
+  };
+}
+
+/* ======================================================
+   REVALIDAÇÃO dos envios aceitos com o KMM fora
+   válido -> 'validada' (e completa o nome do motorista)
+   inválido -> 'invalida' e, se ainda pendente na moderação, rejeitado
+====================================================== */
+
+const REVALIDAR = [
+  { recurso: 'elogios', tabela: 'elogios_motoristas', chave: 'carreta', nomeCol: 'nome_motorista', matriculaCol: 'matricula' },
+  { recurso: 'ocorrencias', tabela: 'ocorrencias_motoristas', chave: 'carreta', nomeCol: null },
+  { recurso: 'elogios-internos', tabela: 'elogios_internos', chave: 'matricula', nomeCol: 'motorista' }
+];
+
+async function revalidarPendentes({ pool, kmm, eventos }, { limite = 200 } = {}) {
+  const resumo = {};
+
+  for (const cfg of REVALIDAR) {
+    const r = { validadas: 0, invalidas: 0, sem_resposta: 0 };
+    resumo[cfg.recurso] = r;
+
+    const [rows] = await pool.query(
+      `SELECT id, ${cfg.chave} AS chave, status${cfg.nomeCol ? `, ${cfg.nomeCol} AS nome` : ''}
+       FROM ${cfg.tabela}
+       WHERE validacao_kmm = 'pendente'
+       ORDER BY id
+       LIMIT ?`,
+      [limite]
+    );
+
+    for (const row of rows) {
+      let valido;
+      let nome = null;
+      let carretaResolvida = null;
+      let matricula = null;
+
+      if (cfg.chave === 'carreta') {
+        // mesma regra do envio: placa antiga/Mercosul do mesmo veículo vale, e fica a placa ativa
+        const placa = await kmm.resolverCarreta(row.chave);
+        valido = placa.ativa;
+        if (valido && placa.carreta !== row.chave) carretaResolvida = placa.carreta;
+        if (valido && cfg.nomeCol) {
+          // o elogio entrou com o KMM fora: fica o motorista da carreta na revalidação (o mais perto do envio)
+          const vinculo = await kmm.getMotoristaPorCarreta(placa.carreta);
+          if (!row.nome) nome = vinculo?.motorista || null;
+          if (cfg.matriculaCol) matricula = onlyDigits(vinculo?.matricula) || null;
+        }
+      } else {
+        const func = await kmm.getFuncionarioPorMatricula(row.chave);
+        valido = func === undefined ? null : !!func;
+        if (func && (!row.nome || row.nome === 'Desconhecido')) nome = func.nome;
+      }
+
+      if (valido === null) {
+        r.sem_resposta += 1;
+        break; // KMM caiu de novo: tenta no próximo ciclo
+      }
+
+      if (valido) {
+        const sets = ["validacao_kmm = 'validada'"];
+        const params = [];
+        if (carretaResolvida) { sets.push('carreta = ?'); params.push(carretaResolvida); }
+        if (nome) { sets.push(`${cfg.nomeCol} = ?`); params.push(nome); }
+        if (matricula) { sets.push(`${cfg.matriculaCol} = ?`); params.push(matricula); }
+        await pool.query(`UPDATE ${cfg.tabela} SET ${sets.join(', ')} WHERE id = ?`, [...params, row.id]);
+        r.validadas += 1;
+        continue;
+      }
+
+      await pool.query(`UPDATE ${cfg.tabela} SET validacao_kmm = 'invalida' WHERE id = ?`, [row.id]);
+      r.invalidas += 1;
+
+      if (row.status === 'pendente') {
+        const motivo = cfg.chave === 'carreta' ? 'Carreta não encontrada ou inativa no KMM.' : 'Matrícula não encontrada no KMM.';
+        const m = await alterarStatus(pool, cfg.recurso, row.id, { status: 'rejeitado', motivo, usuario: 'sistema:kmm' });
+        if (m.registro) eventos?.publicar(EVENTOS_MODERACAO[cfg.recurso], { recurso: cfg.recurso, ...m.registro });
+      }
+    }
+  }
+
+  return resumo;
+}
+
+function criarRotasKMM({ pool, kmm, eventos }) {
+  const router = express.Router();
+  router.use(exigeAuth, exigePapel('admin'));
+
+  router.get('/status', async (req, res) => {
+    try {
+      const pendentes = {};
+      for (const cfg of REVALIDAR) {
+        const [[r]] = await pool.query(`SELECT COUNT(*) AS total FROM ${cfg.tabela} WHERE validacao_kmm = 'pendente'`);
+        pendentes[cfg.recurso] = Number(r.total) || 0;
+      }
+      return res.json({ status: 'sucesso', kmm: kmm.status(), pendentes_validacao: pendentes });
+    } catch (err) {
+      console.error('❌ Erro ao montar status do KMM:', err.message);
+      return res.json({ status: 'sucesso', kmm: kmm.status(), pendentes_validacao: null });
+    }
+  });
+
+  // Força recarga do snapshot + revalidação (ex.: logo depois de o KMM voltar)
+  router.post('/atualizar', async (req, res) => {
+    try {
+      await kmm.atualizar();
+      const revalidacao = await revalidarPendentes({ pool, kmm, eventos });
+      return res.json({ status: 'sucesso', kmm: kmm.status(), revalidacao });
+    } catch (err) {
+      console.error('❌ Erro ao atualizar KMM:', err.message);
+      return res.status(503).json({ status: 'erro', mensagem: 'KMM indisponível.', kmm: kmm.status() });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  criarRepositorioKMM,
+  revalidarPendentes,
+  criarRotasKMM
+};
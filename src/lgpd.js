@@ -0,0 +1,469 @@
+const crypto = require('crypto');
+const express = require('express');
+const moment = require('moment-timezone');
+const { TZ, getDataAtual, onlyDigits, mascararTelefone, segredoDoAmbiente } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+const { ipCliente, hashIp } = require('./antiabuso');
+
+/* ======================================================
+   LGPD
+   - aceite: elogio.html / ocorrencia.html mandam consentimento + versão do aviso;
+     cada envio grava consentimento_versao e consentimento_em
+   - retenção: depois de LGPD_ANONIMIZAR_MESES o envio perde telefone, GPS,
+     link do mapa, user agent e hash do IP (texto, placa e cidade/estado ficam);
+     o log de webhooks (payload com o GPS da ocorrência) mais antigo é apagado
+   - titular (telefone ou token do avaliador): localizar, exportar, apagar — admin
+   - toda ação acima entra em lgpd_auditoria (sem o telefone/token em claro)
+====================================================== */
+
+const env = (nome, padrao) => Number(process.env[nome] ?? padrao);
+
+const CONFIG = {
+  politicaVersao: process.env.LGPD_POLITICA_VERSAO || '2026-10',
+  anonimizarMeses: env('LGPD_ANONIMIZAR_MESES', 12), // 0 = não anonimiza
+  otpDias: env('LGPD_OTP_DIAS', 30), // códigos de verificação de telefone
+  lote: 500
+};
+
+const SEGREDO = segredoDoAmbiente(process.env.LGPD_SECRET || process.env.AUTH_SECRET, 'LGPD_SECRET não definido: a busca na auditoria por titular só vale até o próximo reinício.');
+
+const FMT = 'YYYY-MM-DD HH:mm:ss';
+
+// mesmos nomes de recurso da moderação e dos anexos
+const RECURSOS = {
+  elogios: {
+    tabela: 'elogios_motoristas',
+    anexos: 'elogios',
+    resumo: 'id, protocolo, data_hora, status, carreta, anonimizado_em',
+    pessoais: ['telefone', 'latitude', 'longitude', 'maps_link', 'user_agent', 'ip_hash'],
+    temNome: true
+  },
+  'elogios-internos': {
+    tabela: 'elogios_internos',
+    anexos: null,
+    resumo: 'id, NULL AS protocolo, data_hora, status, matricula, anonimizado_em',
+    pessoais: ['telefone', 'latitude', 'longitude', 'maps_link', 'ip_hash'],
+    temNome: false
+  },
+  ocorrencias: {
+    tabela: 'ocorrencias_motoristas',
+    anexos: 'ocorrencias',
+    resumo: 'id, protocolo, data_hora, status, carreta, anonimizado_em',
+    pessoais: ['telefone', 'latitude', 'longitude', 'maps_link', 'user_agent', 'ip_hash'],
+    temNome: true
+  }
+};
+
+const MODOS = ['anonimizar', 'excluir'];
+
+// webhook_entregas guarda o payload para reenvio; ocorrencia.created leva o GPS do envio
+const EVENTO_COM_GPS = { recurso: 'ocorrencias', evento: 'ocorrencia.created', campos: ['latitude', 'longitude', 'maps_link'] };
+
+function payloadSemGps(payload) {
+  const p = JSON.parse(payload);
+  for (const c of EVENTO_COM_GPS.campos) if (p.dados && c in p.dados) p.dados[c] = null;
+  return JSON.stringify(p);
+}
+
+/* ---------- Titular ---------- */
+
+// { telefone } ou { token } (id do token ou o token inteiro v1.<id>.<ts>.<assinatura>)
+function lerTitular(origem = {}) {
+  if (origem.telefone) {
+    const telefone = onlyDigits(origem.telefone);
+    if (!/^\d{10,11}$/.test(telefone)) return { erro: 'Telefone inválido. Use apenas números com DDD (10 ou 11 dígitos).' };
+    return { criterio: 'telefone', valor: telefone, mascara: mascararTelefone(telefone) };
+  }
+  if (origem.token) {
+    const bruto = String(origem.token).trim();
+    const id = bruto.includes('.') ? bruto.split('.')[1] : bruto;
+    if (!/^[0-9a-f-]{36}$/i.test(id || '')) return { erro: 'Token do avaliador inválido.' };
+    return { criterio: 'token', valor: id.toLowerCase(), mascara: `${id.slice(0, 8)}…` };
+  }
+  return { erro: 'Informe telefone ou token.' };
+}
+
+function hashTitular(titular) {
+  return crypto.createHmac('sha256', SEGREDO).update(`${titular.criterio}:${titular.valor}`).digest('hex');
+}
+
+// telefone gravado antes da validação pode ter máscara: compara só os dígitos
+function whereTitular(titular) {
+  if (titular.criterio === 'telefone') {
+    return { sql: "(telefone = ? OR REGEXP_REPLACE(telefone, '[^0-9]', '') = ?)", params: [titular.valor, titular.valor] };
+  }
+  return { sql: 'token_avaliador = ?', params: [titular.valor] };
+}
+
+/* ---------- Auditoria ---------- */
+
+async function auditar(db, { acao, titular = null, detalhe = null, usuario = null, req = null }) {
+  await db.query(
+    `INSERT INTO lgpd_auditoria (acao, criterio, titular_hash, titular_mascara, detalhe, usuario_id, usuario, ip_hash, criado_em)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      acao,
+      titular?.criterio || null,
+      titular ? hashTitular(titular) : null,
+      titular?.mascara || null,
+      detalhe ? JSON.stringify(detalhe) : null,
+      usuario?.id || null,
+      usuario?.login || 'sistema',
+      req ? hashIp(ipCliente(req)) : null,
+      getDataAtual()
+    ]
+  );
+}
+
+/* ---------- Localizar / exportar ---------- */
+
+// { elogios: [ids...], ... } + registros (resumo ou completos)
+async function localizar(pool, titular, { completo = false } = {}) {
+  const { sql, params } = whereTitular(titular);
+  const registros = {};
+
+  for (const [recurso, cfg] of Object.entries(RECURSOS)) {
+    const [rows] = await pool.query(
+      `SELECT ${completo ? '*' : cfg.resumo} FROM ${cfg.tabela} WHERE ${sql} ORDER BY id`,
+      params
+    );
+    registros[recurso] = rows;
+  }
+  return registros;
+}
+
+async function anexosDe(db, registros) {
+  const lista = [];
+  for (const [recurso, cfg] of Object.entries(RECURSOS)) {
+    const ids = registros[recurso].map(r => r.id);
+    if (!cfg.anexos || !ids.length) continue;
+    const [rows] = await db.query(
+      `SELECT id, recurso, registro_id, tipo, mime, tamanho, nome_original, exif_latitude, exif_longitude, exif_data_hora,
+              chave, chave_miniatura, criado_em
+       FROM anexos WHERE recurso = ? AND registro_id IN (?)`,
+      [cfg.anexos, ids]
+    );
+    lista.push(...rows);
+  }
+  return lista;
+}
+
+function contagem(registros) {
+  return Object.fromEntries(Object.entries(registros).map(([recurso, rows]) => [recurso, rows.length]));
+}
+
+function formataData(v) {
+  return v ? moment(v).tz(TZ).format(FMT) : null;
+}
+
+function serializa(row) {
+  const out = { ...row };
+  for (const c of ['data_hora', 'data_registro', 'moderado_em', 'consentimento_em', 'anonimizado_em', 'criado_em', 'verificado_em', 'exif_data_hora']) {
+    if (c in out) out[c] = formataData(out[c]);
+  }
+  return out;
+}
+
+/* ---------- Apagar ---------- */
+
+// anonimizar: tira os dados de quem enviou e mantém o envio (pontos do motorista, histórico da ocorrência)
+// excluir: remove o envio inteiro (histórico de moderação, notas do caso e anexos juntos)
+// auditoria = { motivo, usuario, req }: a linha de lgpd_auditoria entra na mesma transação
+async function apagar({ pool, armazenamento }, titular, modo, { motivo, usuario, req }) {
+  const registros = await localizar(pool, titular);
+  const anexos = await anexosDe(pool, registros);
+  const agora = getDataAtual();
+  const resumo = { modo, registros: contagem(registros), anexos: anexos.length, entregas_webhook: 0, verificacoes_telefone: 0 };
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    for (const [recurso, cfg] of Object.entries(RECURSOS)) {
+      const ids = registros[recurso].map(r => r.id);
+      if (!ids.length) continue;
+
+      if (modo === 'excluir') {
+        await conn.query('DELETE FROM moderacao_historico WHERE recurso = ? AND registro_id IN (?)', [recurso, ids]);
+        if (recurso === 'ocorrencias') await conn.query('DELETE FROM ocorrencia_notas WHERE ocorrencia_id IN (?)', [ids]);
+        if (cfg.anexos) await conn.query('DELETE FROM anexos WHERE recurso = ? AND registro_id IN (?)', [cfg.anexos, ids]);
+        await conn.query(`DELETE FROM ${cfg.tabela} WHERE id IN (?)`, [ids]);
+      } else {
+        const sets = [...cfg.pessoais.map(c => `${c} = NULL`), 'token_avaliador = NULL', 'anonimizado_em = ?'];
+        if (cfg.temNome) sets.push("nome = 'Anônimo'");
+        await conn.query(`UPDATE ${cfg.tabela} SET ${sets.join(', ')} WHERE id IN (?)`, [agora, ids]);
+        if (cfg.anexos) {
+          await conn.query(
+            `UPDATE anexos SET exif_latitude = NULL, exif_longitude = NULL, exif_data_hora = NULL, nome_original = NULL
+             WHERE recurso = ? AND registro_id IN (?)`,
+            [cfg.anexos, ids]
+          );
+        }
+      }
+    }
+
+    // excluir: some do log de webhooks; anonimizar: o log fica sem o GPS
+    const idsGps = registros[EVENTO_COM_GPS.recurso].map(r => r.id);
+    if (idsGps.length) {
+      const [entregas] = await conn.query(
+        `SELECT id, payload FROM webhook_entregas WHERE evento = ? AND JSON_EXTRACT(payload, '$.dados.id') IN (?)`,
+        [EVENTO_COM_GPS.evento, idsGps]
+      );
+      if (modo === 'excluir') {
+        if (entregas.length) await conn.query('DELETE FROM webhook_entregas WHERE id IN (?)', [entregas.map(e => e.id)]);
+      } else {
+        for (const e of entregas) {
+          await conn.query('UPDATE webhook_entregas SET payload = ? WHERE id = ?', [payloadSemGps(e.payload), e.id]);
+        }
+      }
+      resumo.entregas_webhook = entregas.length;
+    }
+
+    if (titular.criterio === 'telefone') {
+      const [r] = await conn.query('DELETE FROM telefone_verificacoes WHERE telefone = ?', [titular.valor]);
+      resumo.verificacoes_telefone = r.affectedRows;
+    }
+
+    await auditar(conn, { acao: 'apagar', titular, detalhe: { ...resumo, motivo }, usuario, req });
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  // arquivos só depois do commit; falha aqui fica no log (registro já não aponta para eles)
+  if (modo === 'excluir') {
+    for (const a of anexos) {
+      for (const chave of [a.chave, a.chave_miniatura].filter(Boolean)) {
+        await armazenamento.remover(chave).catch(e => console.warn(`⚠ LGPD: arquivo ${chave} não removido:`, e.message));
+      }
+    }
+  }
+
+  return resumo;
+}
+
+/* ---------- Retenção (agendada no server.js) ---------- */
+
+async function aplicarRetencao(pool, { meses = CONFIG.anonimizarMeses, otpDias = CONFIG.otpDias } = {}) {
+  const resumo = { anonimizados: {}, anexos: 0, leituras_qr: 0, entregas_webhook: 0, verificacoes_telefone: 0, acessos_portal: 0 };
+  const agora = getDataAtual();
+
+  if (meses > 0) {
+    const limite = moment().tz(TZ).subtract(meses, 'months').format(FMT);
+
+    for (const [recurso, cfg] of Object.entries(RECURSOS)) {
+      if (cfg.anexos) {
+        const [a] = await pool.query(
+          `UPDATE anexos a JOIN ${cfg.tabela} t ON t.id = a.registro_id
+           SET a.exif_latitude = NULL, a.exif_longitude = NULL
+           WHERE a.recurso = ? AND t.anonimizado_em IS NULL AND t.data_hora < ? AND a.exif_latitude IS NOT NULL`,
+          [cfg.anexos, limite]
+        );
+        resumo.anexos += a.affectedRows;
+      }
+
+      // em lotes para não segurar a tabela
+      let total = 0;
+      for (;;) {
+        const [r] = await pool.query(
+          `UPDATE ${cfg.tabela} SET ${cfg.pessoais.map(c => `${c} = NULL`).join(', ')}, anonimizado_em = ?
+           WHERE anonimizado_em IS NULL AND data_hora < ? LIMIT ${CONFIG.lote}`,
+          [agora, limite]
+        );
+        total += r.affectedRows;
+        if (r.affectedRows < CONFIG.lote) break;
+      }
+      resumo.anonimizados[recurso] = total;
+    }
+
+    const [q] = await pool.query(
+      'UPDATE qr_leituras SET ip_hash = NULL, user_agent = NULL WHERE data_hora < ? AND (ip_hash IS NOT NULL OR user_agent IS NOT NULL)',
+      [limite]
+    );
+    resumo.leituras_qr = q.affectedRows;
+
+    // log de entregas é só histórico: passado o prazo, vai embora com o payload
+    for (;;) {
+      const [w] = await pool.query(`DELETE FROM webhook_entregas WHERE criado_em < ? LIMIT ${CONFIG.lote}`, [limite]);
+      resumo.entregas_webhook += w.affectedRows;
+      if (w.affectedRows < CONFIG.lote) break;
+    }
+  }
+
+  if (otpDias > 0) {
+    const limiteOtp = moment().tz(TZ).subtract(otpDias, 'days').format(FMT);
+    const [v] = await pool.query('DELETE FROM telefone_verificacoes WHERE criado_em < ?', [limiteOtp]);
+    resumo.verificacoes_telefone = v.affectedRows;
+    const [a] = await pool.query('DELETE FROM motorista_acessos WHERE criado_em < ?', [limiteOtp]);
+    resumo.acessos_portal = a.affectedRows;
+  }
+
+  return resumo;
+}
+
+// rodada agendada: audita só quando mexeu em algo
+async function rodarRetencao(pool) {
+  const resumo = await aplicarRetencao(pool);
+  const total = Object.values(resumo.anonimizados).reduce((s, n) => s + n, 0) +
+    resumo.anexos + resumo.leituras_qr + resumo.entregas_webhook + resumo.verificacoes_telefone + resumo.acessos_portal;
+  if (total) await auditar(pool, { acao: 'retencao', detalhe: { ...resumo, meses: CONFIG.anonimizarMeses } });
+  return { resumo, total };
+}
+
+/* ---------- Rotas (admin) ---------- */
+
+function criarRotasLgpd({ pool, armazenamento }) {
+  const router = express.Router();
+
+  // Público: versão do aviso e prazo de retenção (privacidade.html)
+  router.get('/politica', (req, res) => {
+    return res.json({ status: 'sucesso', versao: CONFIG.politicaVersao, anonimizar_meses: CONFIG.anonimizarMeses });
+  });
+
+  const admin = express.Router();
+  admin.use(exigeAuth, exigePapel('admin'));
+
+  // Uso: /lgpd/titular?telefone=11987654321 | ?token=<id ou token inteiro>
+  admin.get('/titular', async (req, res) => {
+    const titular = lerTitular(req.query);
+    if (titular.erro) return res.status(400).json({ status: 'erro', mensagem: titular.erro });
+
+    try {
+      const registros = await localizar(pool, titular);
+      await auditar(pool, { acao: 'localizar', titular, detalhe: contagem(registros), usuario: req.usuario, req });
+      return res.json({
+        status: 'sucesso',
+        titular: { criterio: titular.criterio, mascara: titular.mascara },
+        total: contagem(registros),
+        registros: Object.fromEntries(Object.entries(registros).map(([k, rows]) => [k, rows.map(serializa)]))
+      });
+    } catch (err) {
+      console.error('❌ LGPD: erro ao localizar titular:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao localizar os registros.' });
+    }
+  });
+
+  // Uso: /lgpd/titular/exportar?telefone=... -> JSON para entregar ao titular
+  admin.get('/titular/exportar', async (req, res) => {
+    const titular = lerTitular(req.query);
+    if (titular.erro) return res.status(400).json({ status: 'erro', mensagem: titular.erro });
+
+    try {
+      const registros = await localizar(pool, titular, { completo: true });
+      const anexos = (await anexosDe(pool, registros)).map(({ chave, chave_miniatura, ...a }) => serializa(a));
+      let verificacoes = [];
+      if (titular.criterio === 'telefone') {
+        [verificacoes] = await pool.query(
+          'SELECT canal, criado_em, verificado_em FROM telefone_verificacoes WHERE telefone = ? ORDER BY id',
+          [titular.valor]
+        );
+      }
+
+      await auditar(pool, { acao: 'exportar', titular, detalhe: { ...contagem(registros), anexos: anexos.length }, usuario: req.usuario, req });
+
+      res.set('Content-Disposition', `attachment; filename="titular-${titular.criterio}-${moment().tz(TZ).format('YYYYMMDD-HHmm')}.json"`);
+      return res.json({
+        status: 'sucesso',
+        gerado_em: getDataAtual(),
+        titular: { criterio: titular.criterio, valor: titular.valor },
+        registros: Object.fromEntries(Object.entries(registros).map(([k, rows]) => [k, rows.map(serializa)])),
+        anexos,
+        verificacoes_telefone: verificacoes.map(serializa)
+      });
+    } catch (err) {
+      console.error('❌ LGPD: erro ao exportar titular:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao exportar os registros.' });
+    }
+  });
+
+  // Uso: POST /lgpd/titular/apagar { telefone | token, modo: anonimizar|excluir, motivo }
+  admin.post('/titular/apagar', async (req, res) => {
+    const b = req.body || {};
+    const titular = lerTitular(b);
+    if (titular.erro) return res.status(400).json({ status: 'erro', mensagem: titular.erro });
+
+    const modo = String(b.modo || 'anonimizar').toLowerCase();
+    if (!MODOS.includes(modo)) return res.status(400).json({ status: 'erro', mensagem: `Modo inválido. Use: ${MODOS.join(', ')}.` });
+
+    const motivo = String(b.motivo || '').trim().slice(0, 500);
+    if (!motivo) return res.status(400).json({ status: 'erro', mensagem: 'Informe o motivo (ex.: número da solicitação do titular).' });
+
+    try {
+      const resumo = await apagar({ pool, armazenamento }, titular, modo, { motivo, usuario: req.usuario, req });
+      return res.json({ status: 'sucesso', ...resumo });
+    } catch (err) {
+      console.error('❌ LGPD: erro ao apagar dados do titular:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao apagar os registros. Nada foi alterado.' });
+    }
+  });
+
+  // Uso: POST /lgpd/retencao/executar -> roda a anonimização agora (além do agendamento diário)
+  admin.post('/retencao/executar', async (req, res) => {
+    try {
+      const resumo = await aplicarRetencao(pool);
+      await auditar(pool, { acao: 'retencao', detalhe: { ...resumo, meses: CONFIG.anonimizarMeses }, usuario: req.usuario, req });
+      return res.json({ status: 'sucesso', meses: CONFIG.anonimizarMeses, ...resumo });
+    } catch (err) {
+      console.error('❌ LGPD: erro na retenção:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao aplicar a retenção.' });
+    }
+  });
+
+  // Uso: /lgpd/auditoria?acao=apagar&telefone=...&page=1&limit=50
+  admin.get('/auditoria', async (req, res) => {
+    const where = [];
+    const params = [];
+
+    if (req.query.acao) {
+      where.push('acao = ?');
+      params.push(String(req.query.acao));
+    }
+    if (req.query.telefone || req.query.token) {
+      const titular = lerTitular(req.query);
+      if (titular.erro) return res.status(400).json({ status: 'erro', mensagem: titular.erro });
+      where.push('titular_hash = ?');
+      params.push(hashTitular(titular));
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limitRaw = parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 200) : 50;
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    try {
+      const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM lgpd_auditoria ${whereSql}`, params);
+      const [rows] = await pool.query(
+        `SELECT id, acao, criterio, titular_mascara, detalhe, usuario, criado_em
+         FROM lgpd_auditoria ${whereSql} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit]
+      );
+      return res.json({
+        status: 'sucesso',
+        total: Number(total),
+        page,
+        limit,
+        registros: rows.map(r => ({ ...serializa(r), detalhe: r.detalhe ? JSON.parse(r.detalhe) : null }))
+      });
+    } catch (err) {
+      console.error('❌ LGPD: erro ao listar auditoria:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao listar a auditoria.' });
+    }
+  });
+
+  router.use(admin);
+  return router;
+}
+
+module.exports = {
+  CONFIG,
+  RECURSOS,
+  lerTitular,
+  localizar,
+  apagar,
+  aplicarRetencao,
+  rodarRetencao,
+  criarRotasLgpd
+};
@@ -0,0 +1,265 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { TZ, getDataAtual, normalizaCarreta, onlyDigits } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+const { EVENTOS_MODERACAO } = require('./eventos');
+
+/* ======================================================
+   MODERAÇÃO (elogios, elogios internos e ocorrências)
+   Todo registro nasce 'pendente'. Só elogio 'aprovado' pontua.
+====================================================== */
+
+const STATUS = ['pendente', 'aprovado', 'rejeitado', 'mais_info'];
+
+// Carreta/matrícula conferida no KMM; 'pendente' = aceito com o KMM fora (ver src/kmm.js)
+const VALIDACOES_KMM = ['validada', 'pendente', 'invalida'];
+
+// de -> para permitidos
+const TRANSICOES = {
+  pendente: ['aprovado', 'rejeitado', 'mais_info'],
+  mais_info: ['pendente', 'aprovado', 'rejeitado'],
+  aprovado: ['rejeitado'],
+  rejeitado: ['aprovado']
+};
+
+// status que exigem motivo
+const EXIGE_MOTIVO = ['rejeitado', 'mais_info'];
+
+// recurso da URL -> tabela + colunas listadas
+const RECURSOS = {
+  elogios: {
+    tabela: 'elogios_motoristas',
+    colunas: 'id, protocolo, nome, nome_motorista, carreta, telefone, elogio, tipo, pontos, cidade, estado, maps_link, data_hora'
+  },
+  'elogios-internos': {
+    tabela: 'elogios_internos',
+    colunas: 'id, matricula, motorista, autor, telefone, elogio, tipo, pontos, cidade, estado, maps_link, data_hora'
+  },
+  ocorrencias: {
+    tabela: 'ocorrencias_motoristas',
+    colunas: 'id, protocolo, nome, carreta, telefone, tipo_ocorrencia, severidade, descricao, cidade, estado, maps_link, data_hora'
+  }
+};
+
+const COLUNAS_MODERACAO = 'status, moderado_por, moderado_em, motivo_moderacao, score_suspeita, sinais_suspeita, ip_hash, telefone_verificado, validacao_kmm';
+
+function formataData(v) {
+  return v ? moment(v).tz(TZ).format('YYYY-MM-DD HH:mm:ss') : null;
+}
+
+function serializa(row) {
+  return { ...row, data_hora: formataData(row.data_hora), moderado_em: formataData(row.moderado_em) };
+}
+
+// Aplica a transição dentro de uma transação e grava o histórico.
+// Retorna { registro } ou { erro, http }.
+async function alterarStatus(pool, recurso, id, { status, motivo, usuario }) {
+  const cfg = RECURSOS[recurso];
+  const conn = await pool.getConnection();
+
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT id, status FROM ${cfg.tabela} WHERE id = ? FOR UPDATE`,
+      [id]
+    );
+    const atual = rows[0];
+    if (!atual) {
+      await conn.rollback();
+      return { http: 404, erro: 'Registro não encontrado.' };
+    }
+
+    if (!(TRANSICOES[atual.status] || []).includes(status)) {
+      await conn.rollback();
+      return { http: 409, erro: `Transição não permitida: ${atual.status} → ${status}.` };
+    }
+
+    const agora = getDataAtual();
+    await conn.query(
+      `UPDATE ${cfg.tabela}
+       SET status = ?, moderado_por = ?, moderado_em = ?, motivo_moderacao = ?
+       WHERE id = ?`,
+      [status, usuario, agora, motivo || null, id]
+    );
+
+    await conn.query(
+      `INSERT INTO moderacao_historico
+       (recurso, registro_id, status_anterior, status_novo, moderado_por, motivo, data_hora)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [recurso, id, atual.status, status, usuario, motivo || null, agora]
+    );
+
+    await conn.commit();
+    return { registro: { id, status_anterior: atual.status, status, moderado_por: usuario, moderado_em: agora, motivo: motivo || null } };
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+function criarRotasModeracao({ pool, eventos }) {
+  const router = express.Router();
+  router.use(exigeAuth, exigePapel('moderador'));
+
+  router.param('recurso', (req, res, next, recurso) => {
+    if (!RECURSOS[recurso]) {
+      return res.status(404).json({ status: 'erro', mensagem: 'Recurso inválido. Use elogios, elogios-internos ou ocorrencias.' });
+    }
+    next();
+  });
+
+  // Uso: /moderacao/elogios?status=pendente&carreta=ABC1D23&score_min=50&verificado=1&validacao_kmm=pendente&de=2026-01-01&ate=2026-01-31&page=1&limit=50
+  router.get('/:recurso', async (req, res) => {
+    const cfg = RECURSOS[req.params.recurso];
+    const cond = [];
+    const params = [];
+
+    if (req.query.status) {
+      const status = String(req.query.status).toLowerCase();
+      if (!STATUS.includes(status)) {
+        return res.status(400).json({ status: 'erro', mensagem: `Status inválido. Use: ${STATUS.join(', ')}.` });
+      }
+      cond.push('status = ?');
+      params.push(status);
+    }
+    if (req.query.carreta && req.params.recurso !== 'elogios-internos') {
+      cond.push('carreta = ?');
+      params.push(normalizaCarreta(req.query.carreta));
+    }
+    if (req.query.matricula && req.params.recurso === 'elogios-internos') {
+      cond.push('matricula = ?');
+      params.push(onlyDigits(req.query.matricula));
+    }
+    if (req.query.score_min) {
+      cond.push('score_suspeita >= ?');
+      params.push(Math.max(parseInt(req.query.score_min, 10) || 0, 0));
+    }
+    if (req.query.ip_hash) {
+      cond.push('ip_hash = ?');
+      params.push(String(req.query.ip_hash));
+    }
+    if (req.query.verificado === '1' || req.query.verificado === '0') {
+      cond.push('telefone_verificado = ?');
+      params.push(Number(req.query.verificado));
+    }
+    if (req.query.validacao_kmm) {
+      const validacao = String(req.query.validacao_kmm).toLowerCase();
+      if (!VALIDACOES_KMM.includes(validacao)) {
+        return res.status(400).json({ status: 'erro', mensagem: `Validação KMM inválida. Use: ${VALIDACOES_KMM.join(', ')}.` });
+      }
+      cond.push('validacao_kmm = ?');
+      params.push(validacao);
+    }
+    const dataRe = /^\d{4}-\d{2}-\d{2}$/;
+    if ((req.query.de && !dataRe.test(req.query.de)) || (req.query.ate && !dataRe.test(req.query.ate))) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Datas inválidas. Use o formato AAAA-MM-DD.' });
+    }
+    if (req.query.de) {
+      cond.push('data_hora >= ?');
+      params.push(`${req.query.de} 00:00:00`);
+    }
+    if (req.query.ate) {
+      cond.push('data_hora <= ?');
+      params.push(`${req.query.ate} 23:59:59`);
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limitRaw = parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 200) : 50;
+    const where = cond.length ? `WHERE ${cond.join(' AND ')}` : '';
+
+    try {
+      const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM ${cfg.tabela} ${where}`, params);
+      const [rows] = await pool.query(
+        `SELECT ${cfg.colunas}, ${COLUNAS_MODERACAO}
+         FROM ${cfg.tabela} ${where}
+         ORDER BY data_hora DESC, id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit]
+      );
+
+      return res.json({ status: 'sucesso', total: Number(total), page, limit, registros: rows.map(serializa) });
+    } catch (err) {
+      console.error('❌ Erro ao listar moderação:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao listar registros.' });
+    }
+  });
+
+  router.get('/:recurso/:id', async (req, res) => {
+    const cfg = RECURSOS[req.params.recurso];
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ status: 'erro', mensagem: 'ID inválido.' });
+    }
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT ${cfg.colunas}, ${COLUNAS_MODERACAO} FROM ${cfg.tabela} WHERE id = ? LIMIT 1`,
+        [id]
+      );
+      if (!rows[0]) {
+        return res.status(404).json({ status: 'erro', mensagem: 'Registro não encontrado.' });
+      }
+
+      const [historico] = await pool.query(
+        `SELECT status_anterior, status_novo, moderado_por, motivo, data_hora
+         FROM moderacao_historico
+         WHERE recurso = ? AND registro_id = ?
+         ORDER BY data_hora, id`,
+        [req.params.recurso, id]
+      );
+
+      return res.json({
+        status: 'sucesso',
+        registro: serializa(rows[0]),
+        historico: historico.map(h => ({ ...h, data_hora: formataData(h.data_hora) }))
+      });
+    } catch (err) {
+      console.error('❌ Erro ao buscar registro para moderação:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao buscar registro.' });
+    }
+  });
+
+  // Body: { status: 'aprovado' | 'rejeitado' | 'mais_info' | 'pendente', motivo }
+  router.post('/:recurso/:id/status', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ status: 'erro', mensagem: 'ID inválido.' });
+    }
+
+    const status = String(req.body?.status || '').trim().toLowerCase();
+    const motivo = String(req.body?.motivo || '').trim().slice(0, 500);
+
+    if (!STATUS.includes(status)) {
+      return res.status(400).json({ status: 'erro', mensagem: `Status inválido. Use: ${STATUS.join(', ')}.` });
+    }
+    if (EXIGE_MOTIVO.includes(status) && !motivo) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Informe o motivo.' });
+    }
+
+    try {
+      const r = await alterarStatus(pool, req.params.recurso, id, { status, motivo, usuario: req.usuario.login });
+      if (r.erro) return res.status(r.http).json({ status: 'erro', mensagem: r.erro });
+
+      console.log(`✅ Moderação ${req.params.recurso}#${id}: ${r.registro.status_anterior} → ${status} (${req.usuario.login})`);
+      eventos?.publicar(EVENTOS_MODERACAO[req.params.recurso], { recurso: req.params.recurso, ...r.registro });
+      return res.json({ status: 'sucesso', mensagem: 'Status atualizado.', registro: r.registro });
+    } catch (err) {
+      console.error('❌ Erro ao moderar registro:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao atualizar status.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  STATUS,
+  TRANSICOES,
+  RECURSOS,
+  alterarStatus,
+  criarRotasModeracao
+};
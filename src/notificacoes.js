@@ -0,0 +1,415 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const moment = require('moment-timezone');
+const { TZ, getDataAtual, onlyDigits, normalizaCarreta } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+const { criarTransporte } = require('./transportes');
+
+/* ======================================================
+   NOTIFICAÇÕES
+   - motorista: avisado do elogio (WhatsApp/e-mail do cadastro motorista_contatos)
+     NOTIF_MOTORISTA_QUANDO=aprovado (padrão, depois da moderação) ou criado
+   - gestor: resumo diário dos elogios aprovados da equipe (NOTIF_DIGEST_HORA)
+   - segurança: alerta na hora para ocorrência grave (NOTIF_SEVERIDADES_ALERTA)
+   Cada envio (ou falha) fica em notificacoes_enviadas. Transporte console
+   (padrão fora de produção) fica como 'ignorado'; em produção precisa de
+   NOTIF_TRANSPORTE_* configurado, senão o canal fica desligado.
+====================================================== */
+
+const CANAIS = ['whatsapp', 'email', 'webhook'];
+
+const MODELOS = {
+  elogio_motorista: {
+    assunto: 'Você recebeu um elogio!',
+    texto: 'Olá, {{motorista}}! Você recebeu um elogio {{origem}}{{local}}: "{{texto}}". Parabéns e obrigado pelo seu trabalho!{{portal}}'
+  },
+  digest_gestor: {
+    assunto: 'Elogios da sua equipe — {{data}}',
+    texto: 'Olá, {{gestor}}! Elogios aprovados nas últimas 24 horas:\n\n{{itens}}'
+  },
+  alerta_seguranca: {
+    assunto: 'Ocorrência {{severidade}}: {{tipo}} — {{carreta}}',
+    texto: 'Ocorrência {{protocolo}} ({{severidade}})\nTipo: {{tipo}}\nPlaca: {{carreta}}\nLocal: {{local}}\nMapa: {{maps_link}}\n\n{{descricao}}'
+  }
+};
+
+function configDoEnv(env) {
+  const lista = v => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+
+  return {
+    motoristaQuando: env.NOTIF_MOTORISTA_QUANDO === 'criado' ? 'criado' : 'aprovado',
+    digestHora: env.NOTIF_DIGEST_HORA === '' ? null : Number(env.NOTIF_DIGEST_HORA ?? 8),
+    severidadesAlerta: lista(env.NOTIF_SEVERIDADES_ALERTA || 'alta,critica'),
+    // email:seguranca@empresa.com,whatsapp:11999999999,webhook:https://...
+    destinosSeguranca: lista(env.NOTIF_SEGURANCA_DESTINOS)
+      .map(d => {
+        const i = d.indexOf(':');
+        return { canal: d.slice(0, i).toLowerCase(), para: d.slice(i + 1) };
+      })
+      .filter(d => CANAIS.includes(d.canal) && d.para),
+    modelosDir: env.NOTIF_MODELOS_DIR ? path.resolve(env.NOTIF_MODELOS_DIR) : null,
+    // portal do motorista (src/portal.js): link no aviso de elogio só com o domínio público configurado
+    portalUrl: env.PORTAL_URL_BASE ? `${env.PORTAL_URL_BASE.replace(/\/+$/, '')}/motorista.html` : null,
+    transportes: {
+      whatsapp: env.NOTIF_TRANSPORTE_WHATSAPP || 'console',
+      email: env.NOTIF_TRANSPORTE_EMAIL || 'console',
+      webhook: env.NOTIF_TRANSPORTE_WEBHOOK || 'webhook'
+    }
+  };
+}
+
+// {{variavel}}; ausente vira vazio
+function renderizar(modelo, vars) {
+  const troca = txt => String(txt || '').replace(/\{\{(\w+)\}\}/g, (_, k) => (vars[k] == null ? '' : String(vars[k])));
+  return { assunto: troca(modelo.assunto), texto: troca(modelo.texto) };
+}
+
+function criarNotificacoes({ pool, eventos, getMotoristaKMMPorCarreta, env = process.env }) {
+  const config = configDoEnv(env);
+
+  const transportes = {};
+  for (const canal of CANAIS) {
+    try {
+      transportes[canal] = criarTransporte(config.transportes[canal], env);
+    } catch (err) {
+      console.warn(`⚠ Notificações por ${canal} desligadas:`, err.message);
+    }
+  }
+
+  // NOTIF_MODELOS_DIR/<modelo>.json ({ assunto, texto }) substitui o modelo padrão
+  function modelo(nome) {
+    if (config.modelosDir) {
+      const arquivo = path.join(config.modelosDir, `${nome}.json`);
+      try {
+        if (fs.existsSync(arquivo)) return { ...MODELOS[nome], ...JSON.parse(fs.readFileSync(arquivo, 'utf8')) };
+      } catch (err) {
+        console.warn(`⚠ Modelo ${arquivo} inválido, usando o padrão:`, err.message);
+      }
+    }
+    return MODELOS[nome];
+  }
+
+  async function registrar({ evento, nomeModelo, canal, para, status, erro }) {
+    try {
+      await pool.query(
+        `INSERT INTO notificacoes_enviadas (evento_id, evento, modelo, canal, destino, status, erro, data_hora)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [evento?.id || null, evento?.tipo || null, nomeModelo, canal, para, status, erro ? String(erro).slice(0, 255) : null, getDataAtual()]
+      );
+    } catch (err) {
+      console.warn('⚠ Falha ao registrar notificação:', err.message);
+    }
+  }
+
+  // destinos: [{ canal, para }]. Falha num canal não impede os outros.
+  async function enviar(nomeModelo, destinos, vars, evento = null) {
+    const msg = renderizar(modelo(nomeModelo), vars);
+
+    for (const { canal, para } of destinos) {
+      const transporte = transportes[canal];
+      if (!transporte) {
+        await registrar({ evento, nomeModelo, canal, para, status: 'erro', erro: 'transporte desligado' });
+        continue;
+      }
+      try {
+        await transporte.enviar({ para, canal, assunto: msg.assunto, texto: msg.texto, dados: vars });
+        // console só imprime: ninguém recebeu, não conta como enviado
+        if (transporte.nome === 'console') {
+          await registrar({ evento, nomeModelo, canal, para, status: 'ignorado', erro: 'transporte console (só no log)' });
+          continue;
+        }
+        await registrar({ evento, nomeModelo, canal, para, status: 'enviado' });
+      } catch (err) {
+        console.error(`❌ Falha ao notificar (${nomeModelo}/${canal}):`, err.message);
+        await registrar({ evento, nomeModelo, canal, para, status: 'erro', erro: err.message });
+      }
+    }
+  }
+
+  async function buscarContato(matricula) {
+    const [rows] = await pool.query(
+      'SELECT * FROM motorista_contatos WHERE matricula = ? AND notificar = 1 LIMIT 1',
+      [matricula]
+    );
+    return rows[0] || null;
+  }
+
+  function destinosDoMotorista(c) {
+    const destinos = [];
+    if (c.whatsapp) destinos.push({ canal: 'whatsapp', para: c.whatsapp });
+    if (c.email) destinos.push({ canal: 'email', para: c.email });
+    return destinos;
+  }
+
+  // Elogio externo guarda a matrícula do envio (migration 018); sem ela (anterior à 018), o motorista atual da carreta no KMM
+  async function resolverMotorista(origem, registro) {
+    if (origem === 'interno') {
+      return { matricula: onlyDigits(registro.matricula), motorista: registro.motorista || null };
+    }
+    if (registro.matricula) {
+      return { matricula: onlyDigits(registro.matricula), motorista: registro.nome_motorista || null };
+    }
+    const kmm = await getMotoristaKMMPorCarreta(normalizaCarreta(registro.carreta)).catch(() => null);
+    return {
+      matricula: kmm?.matricula ? onlyDigits(kmm.matricula) : null,
+      motorista: kmm?.motorista || registro.nome_motorista || null
+    };
+  }
+
+  async function notificarMotorista(origem, registro, evento) {
+    const { matricula, motorista } = await resolverMotorista(origem, registro);
+    if (!matricula) {
+      return registrar({ evento, nomeModelo: 'elogio_motorista', canal: '-', para: '-', status: 'ignorado', erro: 'motorista não identificado' });
+    }
+
+    const contato = await buscarContato(matricula);
+    const destinos = contato ? destinosDoMotorista(contato) : [];
+    if (!destinos.length) {
+      return registrar({ evento, nomeModelo: 'elogio_motorista', canal: '-', para: matricula, status: 'ignorado', erro: 'sem contato cadastrado' });
+    }
+
+    const local = [registro.cidade, registro.estado].filter(Boolean).join('/');
+    await enviar('elogio_motorista', destinos, {
+      motorista: String(motorista || '').split(' ')[0] || 'motorista',
+      origem: origem === 'interno' ? 'da equipe' : 'de quem cruzou com você na estrada',
+      local: local ? ` (${local})` : '',
+      texto: String(registro.elogio || '').slice(0, 500),
+      carreta: registro.carreta || '',
+      matricula,
+      portal: config.portalUrl ? ` Veja todos os seus elogios e pontos em ${config.portalUrl}` : ''
+    }, evento);
+  }
+
+  async function alertarSeguranca(dados, evento) {
+    if (!config.destinosSeguranca.length) {
+      console.warn(`⚠ Ocorrência ${dados.protocolo} (${dados.severidade}) sem destino de alerta: configure NOTIF_SEGURANCA_DESTINOS.`);
+      return;
+    }
+    await enviar('alerta_seguranca', config.destinosSeguranca, {
+      protocolo: dados.protocolo,
+      severidade: dados.severidade,
+      tipo: dados.tipo,
+      carreta: dados.carreta,
+      local: [dados.cidade, dados.estado].filter(Boolean).join('/') || 'não informado',
+      maps_link: dados.maps_link || '-',
+      descricao: String(dados.descricao || '').slice(0, 1000)
+    }, evento);
+  }
+
+  // Resumo para cada gestor com os elogios aprovados nas últimas 24 h da equipe
+  async function enviarDigest() {
+    const desde = moment().tz(TZ).subtract(24, 'hours').format('YYYY-MM-DD HH:mm:ss');
+
+    const [externos] = await pool.query(
+      `SELECT carreta, matricula, nome_motorista, elogio FROM elogios_motoristas
+       WHERE status = 'aprovado' AND moderado_em >= ?`, [desde]);
+    const [internos] = await pool.query(
+      `SELECT matricula, motorista, elogio FROM elogios_internos
+       WHERE status = 'aprovado' AND moderado_em >= ?`, [desde]);
+
+    const porMatricula = new Map();
+    const adicionar = (ident, origem, elogio) => {
+      if (!ident.matricula) return;
+      const item = porMatricula.get(ident.matricula) || { ...ident, elogios: [] };
+      item.elogios.push({ origem, elogio });
+      porMatricula.set(ident.matricula, item);
+    };
+    for (const r of externos) adicionar(await resolverMotorista('externo', r), 'externo', r.elogio);
+    for (const r of internos) adicionar(await resolverMotorista('interno', r), 'interno', r.elogio);
+
+    if (!porMatricula.size) return { gestores: 0, elogios: 0 };
+
+    const [contatos] = await pool.query(
+      `SELECT matricula, gestor_nome, gestor_email, gestor_whatsapp FROM motorista_contatos
+       WHERE matricula IN (?) AND (gestor_email IS NOT NULL OR gestor_whatsapp IS NOT NULL)`,
+      [[...porMatricula.keys()]]
+    );
+
+    const porGestor = new Map();
+    for (const c of contatos) {
+      const chave = c.gestor_email || c.gestor_whatsapp;
+      const g = porGestor.get(chave) || { contato: c, motoristas: [] };
+      g.motoristas.push(porMatricula.get(c.matricula));
+      porGestor.set(chave, g);
+    }
+
+    let total = 0;
+    for (const { contato, motoristas } of porGestor.values()) {
+      const itens = motoristas.map(m =>
+        `• ${m.motorista || m.matricula} (${m.matricula}): ${m.elogios.length} elogio(s)\n` +
+        m.elogios.map(e => `   - "${String(e.elogio || '').slice(0, 200)}"`).join('\n')
+      ).join('\n');
+      total += motoristas.reduce((s, m) => s + m.elogios.length, 0);
+
+      const destinos = [];
+      if (contato.gestor_email) destinos.push({ canal: 'email', para: contato.gestor_email });
+      if (contato.gestor_whatsapp) destinos.push({ canal: 'whatsapp', para: contato.gestor_whatsapp });
+
+      await enviar('digest_gestor', destinos, {
+        gestor: String(contato.gestor_nome || '').split(' ')[0] || 'gestor',
+        data: moment().tz(TZ).format('DD/MM/YYYY'),
+        itens
+      });
+    }
+    return { gestores: porGestor.size, elogios: total };
+  }
+
+  // Roda de hora em hora; envia uma vez por dia na hora configurada
+  function agendarDigest() {
+    if (!Number.isInteger(config.digestHora)) return;
+
+    setInterval(async () => {
+      const agora = moment().tz(TZ);
+      if (agora.hour() !== config.digestHora) return;
+      try {
+        const [[ja]] = await pool.query(
+          `SELECT COUNT(*) AS total FROM notificacoes_enviadas WHERE modelo = 'digest_gestor' AND data_hora >= ?`,
+          [agora.clone().startOf('day').format('YYYY-MM-DD HH:mm:ss')]
+        );
+        if (Number(ja.total) > 0) return;
+
+        const r = await enviarDigest();
+        if (r.gestores) console.log(`📨 Resumo diário: ${r.elogios} elogio(s) para ${r.gestores} gestor(es)`);
+      } catch (err) {
+        console.error('❌ Erro no resumo diário dos gestores:', err.message);
+      }
+    }, 60 * 60 * 1000).unref();
+  }
+
+  /* ---------- Assinaturas ---------- */
+
+  if (config.motoristaQuando === 'criado') {
+    eventos.assinar('elogio.created', ev => notificarMotorista('externo', ev.dados, ev));
+    eventos.assinar('elogio_interno.created', ev => notificarMotorista('interno', ev.dados, ev));
+  } else {
+    const aoAprovar = (origem, tabela) => async ev => {
+      if (ev.dados.status !== 'aprovado') return;
+      // só a primeira aprovação avisa (migration 019); o UPDATE condicional vale também para eventos em paralelo
+      const [marca] = await pool.query(
+        `UPDATE ${tabela} SET notificado_em = ? WHERE id = ? AND notificado_em IS NULL`, [getDataAtual(), ev.dados.id]);
+      if (marca.affectedRows !== 1) return;
+      const [rows] = await pool.query(
+        `SELECT * FROM ${tabela} WHERE id = ? LIMIT 1`, [ev.dados.id]);
+      if (rows[0]) await notificarMotorista(origem, rows[0], ev);
+    };
+    eventos.assinar('elogio.moderated', aoAprovar('externo', 'elogios_motoristas'));
+    eventos.assinar('elogio_interno.moderated', aoAprovar('interno', 'elogios_internos'));
+  }
+
+  eventos.assinar('ocorrencia.created', ev => {
+    if (config.severidadesAlerta.includes(ev.dados.severidade)) return alertarSeguranca(ev.dados, ev);
+  });
+
+  agendarDigest();
+
+  return { config, enviar, enviarDigest, notificarMotorista, alertarSeguranca };
+}
+
+/* ---------- Rotas (autenticado) ---------- */
+
+function criarRotasNotificacoes({ pool, notificacoes }) {
+  const router = express.Router();
+  router.use(exigeAuth, exigePapel('admin'));
+
+  router.get('/contatos/:matricula', async (req, res) => {
+    const matricula = onlyDigits(req.params.matricula);
+    if (!matricula) return res.status(400).json({ status: 'erro', mensagem: 'Matrícula inválida.' });
+
+    try {
+      const [rows] = await pool.query('SELECT * FROM motorista_contatos WHERE matricula = ? LIMIT 1', [matricula]);
+      if (!rows[0]) return res.status(404).json({ status: 'erro', mensagem: 'Contato não cadastrado.' });
+      return res.json({ status: 'sucesso', contato: rows[0] });
+    } catch (err) {
+      console.error('❌ Erro ao buscar contato:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao buscar contato.' });
+    }
+  });
+
+  // Cria/atualiza o cadastro de contato do motorista e do gestor
+  router.post('/contatos/:matricula', async (req, res) => {
+    const matricula = onlyDigits(req.params.matricula);
+    if (!matricula) return res.status(400).json({ status: 'erro', mensagem: 'Matrícula inválida.' });
+
+    const b = req.body || {};
+    const tel = v => (v ? onlyDigits(v) : null);
+    const email = v => (v ? String(v).trim().toLowerCase() : null);
+    const c = {
+      whatsapp: tel(b.whatsapp),
+      email: email(b.email),
+      gestor_nome: b.gestor_nome ? String(b.gestor_nome).trim().slice(0, 120) : null,
+      gestor_email: email(b.gestor_email),
+      gestor_whatsapp: tel(b.gestor_whatsapp),
+      notificar: b.notificar === false || b.notificar === 0 || b.notificar === 'false' ? 0 : 1
+    };
+
+    for (const campo of ['whatsapp', 'gestor_whatsapp']) {
+      if (c[campo] && !/^\d{10,13}$/.test(c[campo])) {
+        return res.status(400).json({ status: 'erro', mensagem: `${campo} inválido (DDD + número).` });
+      }
+    }
+    for (const campo of ['email', 'gestor_email']) {
+      if (c[campo] && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(c[campo])) {
+        return res.status(400).json({ status: 'erro', mensagem: `${campo} inválido.` });
+      }
+    }
+
+    try {
+      await pool.query(
+        `INSERT INTO motorista_contatos
+         (matricula, whatsapp, email, gestor_nome, gestor_email, gestor_whatsapp, notificar, atualizado_por, atualizado_em)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           whatsapp = VALUES(whatsapp), email = VALUES(email), gestor_nome = VALUES(gestor_nome),
+           gestor_email = VALUES(gestor_email), gestor_whatsapp = VALUES(gestor_whatsapp),
+           notificar = VALUES(notificar), atualizado_por = VALUES(atualizado_por), atualizado_em = VALUES(atualizado_em)`,
+        [matricula, c.whatsapp, c.email, c.gestor_nome, c.gestor_email, c.gestor_whatsapp, c.notificar, req.usuario.login, getDataAtual()]
+      );
+      return res.json({ status: 'sucesso', mensagem: 'Contato salvo.', contato: { matricula, ...c } });
+    } catch (err) {
+      console.error('❌ Erro ao salvar contato:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao salvar contato.' });
+    }
+  });
+
+  // Uso: /notificacoes/envios?status=erro&limit=50
+  router.get('/envios', async (req, res) => {
+    const cond = [];
+    const params = [];
+    if (req.query.status) { cond.push('status = ?'); params.push(String(req.query.status)); }
+    if (req.query.modelo) { cond.push('modelo = ?'); params.push(String(req.query.modelo)); }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT * FROM notificacoes_enviadas ${cond.length ? `WHERE ${cond.join(' AND ')}` : ''}
+         ORDER BY id DESC LIMIT ?`,
+        [...params, limit]
+      );
+      return res.json({ status: 'sucesso', envios: rows });
+    } catch (err) {
+      console.error('❌ Erro ao listar notificações:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao listar notificações.' });
+    }
+  });
+
+  // Dispara o resumo dos gestores agora (ex.: teste de configuração)
+  router.post('/digest', async (req, res) => {
+    try {
+      const r = await notificacoes.enviarDigest();
+      return res.json({ status: 'sucesso', ...r });
+    } catch (err) {
+      console.error('❌ Erro ao enviar resumo:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao enviar resumo.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  MODELOS,
+  renderizar,
+  criarNotificacoes,
+  criarRotasNotificacoes
+};
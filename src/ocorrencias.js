@@ -0,0 +1,355 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { TZ, getDataAtual, normalizaCarreta } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+const { traduzir } = require('./i18n');
+
+/* ======================================================
+   OCORRÊNCIAS - CATÁLOGO DE TIPOS + ACOMPANHAMENTO DO CASO
+   caso_status: aberto -> em_investigacao -> fechado
+   (independente da moderação: um caso pode ser investigado mesmo pendente)
+====================================================== */
+
+const SEVERIDADES = ['baixa', 'media', 'alta', 'critica'];
+const CASO_STATUS = ['aberto', 'em_investigacao', 'fechado'];
+
+const CASO_TRANSICOES = {
+  aberto: ['em_investigacao', 'fechado'],
+  em_investigacao: ['aberto', 'fechado'],
+  fechado: ['aberto']
+};
+
+const CODIGO_RE = /^[a-z0-9_]{2,40}$/;
+
+function formataData(v) {
+  return v ? moment(v).tz(TZ).format('YYYY-MM-DD HH:mm:ss') : null;
+}
+
+// Tipos ativos para o <select> do formulário
+async function listarTipos(pool, { incluirInativos = false } = {}) {
+  const [rows] = await pool.query(
+    `SELECT id, codigo, nome, severidade, ativo, ordem
+     FROM ocorrencia_tipos
+     ${incluirInativos ? '' : 'WHERE ativo = 1'}
+     ORDER BY ordem, nome`
+  );
+  return rows.map(r => ({ ...r, ativo: !!r.ativo }));
+}
+
+// Validação do POST /ocorrencia: aceita o código (valor do select).
+async function buscarTipoAtivo(pool, codigo) {
+  const c = String(codigo || '').trim().toLowerCase();
+  if (!CODIGO_RE.test(c)) return null;
+
+  const [rows] = await pool.query(
+    'SELECT id, codigo, nome, severidade FROM ocorrencia_tipos WHERE codigo = ? AND ativo = 1 LIMIT 1',
+    [c]
+  );
+  return rows[0] || null;
+}
+
+// Rotas públicas (formulário)
+function criarRotasTiposPublicos({ pool }) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const tipos = await listarTipos(pool);
+      // nome cadastrado em português; tipo novo sem tradução no catálogo sai como está
+      return res.json(tipos.map(({ codigo, nome, severidade }) => ({ codigo, nome: traduzir(nome, req.idioma), severidade })));
+    } catch (err) {
+      console.error('❌ Erro ao listar tipos de ocorrência:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao buscar tipos de ocorrência.' });
+    }
+  });
+
+  return router;
+}
+
+function validaTipoBody(body, { parcial = false } = {}) {
+  const out = {};
+
+  if (body.codigo !== undefined || !parcial) {
+    out.codigo = String(body.codigo || '').trim().toLowerCase();
+    if (!CODIGO_RE.test(out.codigo)) return { erro: 'Código inválido (a-z, 0-9 e _, até 40 caracteres).' };
+  }
+  if (body.nome !== undefined || !parcial) {
+    out.nome = String(body.nome || '').trim().slice(0, 120);
+    if (!out.nome) return { erro: 'Informe o nome do tipo.' };
+  }
+  if (body.severidade !== undefined || !parcial) {
+    out.severidade = String(body.severidade || '').trim().toLowerCase();
+    if (!SEVERIDADES.includes(out.severidade)) return { erro: `Severidade inválida. Use: ${SEVERIDADES.join(', ')}.` };
+  }
+  if (body.ativo !== undefined) out.ativo = body.ativo === true || body.ativo === 1 || body.ativo === 'true' ? 1 : 0;
+  if (body.ordem !== undefined) {
+    out.ordem = parseInt(body.ordem, 10);
+    if (!Number.isInteger(out.ordem)) return { erro: 'Ordem inválida.' };
+  }
+
+  return { dados: out };
+}
+
+// Rotas da equipe de segurança (autenticado)
+function criarRotasCasos({ pool }) {
+  const router = express.Router();
+  router.use(exigeAuth, exigePapel('seguranca'));
+
+  /* ---------- Catálogo ---------- */
+  router.get('/tipos', async (req, res) => {
+    try {
+      return res.json({ status: 'sucesso', tipos: await listarTipos(pool, { incluirInativos: true }) });
+    } catch (err) {
+      console.error('❌ Erro ao listar catálogo:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao listar catálogo.' });
+    }
+  });
+
+  router.post('/tipos', async (req, res) => {
+    const { dados, erro } = validaTipoBody(req.body || {});
+    if (erro) return res.status(400).json({ status: 'erro', mensagem: erro });
+
+    try {
+      const [r] = await pool.query(
+        'INSERT INTO ocorrencia_tipos (codigo, nome, severidade, ativo, ordem) VALUES (?, ?, ?, ?, ?)',
+        [dados.codigo, dados.nome, dados.severidade, dados.ativo ?? 1, dados.ordem ?? 0]
+      );
+      return res.status(201).json({ status: 'sucesso', id: r.insertId });
+    } catch (err) {
+      if (err.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ status: 'erro', mensagem: 'Já existe um tipo com esse código.' });
+      }
+      console.error('❌ Erro ao criar tipo de ocorrência:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao criar tipo.' });
+    }
+  });
+
+  // Atualização parcial (nome, severidade, ativo, ordem). O código não muda.
+  router.post('/tipos/:id', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const { codigo, ...body } = req.body || {};
+    const { dados, erro } = validaTipoBody(body, { parcial: true });
+    if (erro) return res.status(400).json({ status: 'erro', mensagem: erro });
+
+    const campos = Object.keys(dados);
+    if (!campos.length) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Nada para atualizar.' });
+    }
+
+    try {
+      const [r] = await pool.query(
+        `UPDATE ocorrencia_tipos SET ${campos.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...campos.map(c => dados[c]), id]
+      );
+      if (!r.affectedRows) {
+        return res.status(404).json({ status: 'erro', mensagem: 'Tipo não encontrado.' });
+      }
+      return res.json({ status: 'sucesso', mensagem: 'Tipo atualizado.' });
+    } catch (err) {
+      console.error('❌ Erro ao atualizar tipo de ocorrência:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao atualizar tipo.' });
+    }
+  });
+
+  /* ---------- Casos ---------- */
+  // Uso: /casos?caso_status=aberto&severidade=alta&carreta=ABC1D23&tipo=excesso_velocidade&page=1&limit=50
+  router.get('/', async (req, res) => {
+    const cond = [];
+    const params = [];
+
+    if (req.query.caso_status) {
+      if (!CASO_STATUS.includes(req.query.caso_status)) {
+        return res.status(400).json({ status: 'erro', mensagem: `caso_status inválido. Use: ${CASO_STATUS.join(', ')}.` });
+      }
+      cond.push('o.caso_status = ?');
+      params.push(req.query.caso_status);
+    }
+    if (req.query.severidade) {
+      if (!SEVERIDADES.includes(req.query.severidade)) {
+        return res.status(400).json({ status: 'erro', mensagem: `Severidade inválida. Use: ${SEVERIDADES.join(', ')}.` });
+      }
+      cond.push('o.severidade = ?');
+      params.push(req.query.severidade);
+    }
+    if (req.query.carreta) {
+      cond.push('o.carreta = ?');
+      params.push(normalizaCarreta(req.query.carreta));
+    }
+    if (req.query.tipo) {
+      cond.push('t.codigo = ?');
+      params.push(String(req.query.tipo).toLowerCase());
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limitRaw = parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 200) : 50;
+    const where = cond.length ? `WHERE ${cond.join(' AND ')}` : '';
+
+    try {
+      const [[{ total }]] = await pool.query(
+        `SELECT COUNT(*) AS total
+         FROM ocorrencias_motoristas o
+         LEFT JOIN ocorrencia_tipos t ON t.id = o.tipo_id
+         ${where}`,
+        params
+      );
+      const [rows] = await pool.query(
+        `SELECT o.id, o.protocolo, o.carreta, o.tipo_ocorrencia, t.codigo AS tipo_codigo,
+                o.severidade, o.caso_status, o.caso_atualizado_em, o.status,
+                o.cidade, o.estado, o.data_hora
+         FROM ocorrencias_motoristas o
+         LEFT JOIN ocorrencia_tipos t ON t.id = o.tipo_id
+         ${where}
+         ORDER BY FIELD(o.severidade, 'critica', 'alta', 'media', 'baixa'), o.data_hora DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit]
+      );
+
+      return res.json({
+        status: 'sucesso',
+        total: Number(total),
+        page,
+        limit,
+        casos: rows.map(r => ({
+          ...r,
+          data_hora: formataData(r.data_hora),
+          caso_atualizado_em: formataData(r.caso_atualizado_em)
+        }))
+      });
+    } catch (err) {
+      console.error('❌ Erro ao listar casos:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao listar casos.' });
+    }
+  });
+
+  // :ref aceita o id numérico ou o protocolo (OC-XXXXXXXXXX)
+  async function carregaCaso(ref) {
+    const porProtocolo = /^OC-/i.test(ref);
+    const [rows] = await pool.query(
+      `SELECT o.*, t.codigo AS tipo_codigo
+       FROM ocorrencias_motoristas o
+       LEFT JOIN ocorrencia_tipos t ON t.id = o.tipo_id
+       WHERE ${porProtocolo ? 'o.protocolo = ?' : 'o.id = ?'}
+       LIMIT 1`,
+      [porProtocolo ? String(ref).toUpperCase() : parseInt(ref, 10)]
+    );
+    return rows[0] || null;
+  }
+
+  router.get('/:ref', async (req, res) => {
+    try {
+      const caso = await carregaCaso(req.params.ref);
+      if (!caso) return res.status(404).json({ status: 'erro', mensagem: 'Caso não encontrado.' });
+
+      const [notas] = await pool.query(
+        `SELECT id, autor, texto, status_anterior, status_novo, data_hora
+         FROM ocorrencia_notas
+         WHERE ocorrencia_id = ?
+         ORDER BY data_hora, id`,
+        [caso.id]
+      );
+
+      // outras ocorrências da mesma placa, para a equipe ver o histórico
+      const [relacionados] = await pool.query(
+        `SELECT id, protocolo, tipo_ocorrencia, severidade, caso_status, data_hora
+         FROM ocorrencias_motoristas
+         WHERE carreta = ? AND id <> ?
+         ORDER BY data_hora DESC
+         LIMIT 20`,
+        [caso.carreta, caso.id]
+      );
+
+      return res.json({
+        status: 'sucesso',
+        caso: {
+          ...caso,
+          data_hora: formataData(caso.data_hora),
+          caso_atualizado_em: formataData(caso.caso_atualizado_em),
+          moderado_em: formataData(caso.moderado_em)
+        },
+        linha_do_tempo: notas.map(n => ({ ...n, data_hora: formataData(n.data_hora) })),
+        outras_da_placa: relacionados.map(r => ({ ...r, data_hora: formataData(r.data_hora) }))
+      });
+    } catch (err) {
+      console.error('❌ Erro ao buscar caso:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao buscar caso.' });
+    }
+  });
+
+  // Body: { texto }
+  router.post('/:ref/notas', async (req, res) => {
+    const texto = String(req.body?.texto || '').trim();
+    if (!texto) return res.status(400).json({ status: 'erro', mensagem: 'Informe o texto da nota.' });
+    if (texto.length > 5000) return res.status(400).json({ status: 'erro', mensagem: 'Nota muito longa (máx. 5000 caracteres).' });
+
+    try {
+      const caso = await carregaCaso(req.params.ref);
+      if (!caso) return res.status(404).json({ status: 'erro', mensagem: 'Caso não encontrado.' });
+
+      const agora = getDataAtual();
+      const [r] = await pool.query(
+        'INSERT INTO ocorrencia_notas (ocorrencia_id, autor, texto, data_hora) VALUES (?, ?, ?, ?)',
+        [caso.id, req.usuario.login, texto, agora]
+      );
+      await pool.query('UPDATE ocorrencias_motoristas SET caso_atualizado_em = ? WHERE id = ?', [agora, caso.id]);
+
+      return res.status(201).json({ status: 'sucesso', id: r.insertId });
+    } catch (err) {
+      console.error('❌ Erro ao gravar nota:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao gravar nota.' });
+    }
+  });
+
+  // Body: { caso_status: 'em_investigacao' | 'fechado' | 'aberto', texto }
+  router.post('/:ref/status', async (req, res) => {
+    const novo = String(req.body?.caso_status || '').trim();
+    const texto = String(req.body?.texto || '').trim().slice(0, 5000) || null;
+
+    if (!CASO_STATUS.includes(novo)) {
+      return res.status(400).json({ status: 'erro', mensagem: `caso_status inválido. Use: ${CASO_STATUS.join(', ')}.` });
+    }
+    if (novo === 'fechado' && !texto) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Descreva a conclusão ao fechar o caso.' });
+    }
+
+    try {
+      const caso = await carregaCaso(req.params.ref);
+      if (!caso) return res.status(404).json({ status: 'erro', mensagem: 'Caso não encontrado.' });
+
+      if (!(CASO_TRANSICOES[caso.caso_status] || []).includes(novo)) {
+        return res.status(409).json({ status: 'erro', mensagem: `Transição não permitida: ${caso.caso_status} → ${novo}.` });
+      }
+
+      const agora = getDataAtual();
+      const [r] = await pool.query(
+        'UPDATE ocorrencias_motoristas SET caso_status = ?, caso_atualizado_em = ? WHERE id = ? AND caso_status = ?',
+        [novo, agora, caso.id, caso.caso_status]
+      );
+      if (!r.affectedRows) {
+        return res.status(409).json({ status: 'erro', mensagem: 'O caso foi alterado por outra pessoa. Recarregue.' });
+      }
+
+      await pool.query(
+        `INSERT INTO ocorrencia_notas (ocorrencia_id, autor, texto, status_anterior, status_novo, data_hora)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [caso.id, req.usuario.login, texto, caso.caso_status, novo, agora]
+      );
+
+      return res.json({ status: 'sucesso', mensagem: 'Caso atualizado.', caso_status: novo });
+    } catch (err) {
+      console.error('❌ Erro ao atualizar caso:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao atualizar caso.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  SEVERIDADES,
+  CASO_STATUS,
+  listarTipos,
+  buscarTipoAtivo,
+  criarRotasTiposPublicos,
+  criarRotasCasos
+};
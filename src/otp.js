@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const express = require('express');
+const moment = require('moment-timezone');
+const { TZ, getDataAtual, onlyDigits, segredoDoAmbiente, tokenIgual } = require('./utils');
+const { criarLimiteTaxa, ipCliente } = require('./antiabuso');
+const { traduzir } = require('./i18n');
+
+/* ======================================================
+   VERIFICAÇÃO DE TELEFONE (código de uso único)
+   1) POST /otp/solicitar { telefone, canal }  -> código por SMS/WhatsApp
+   2) POST /otp/verificar { telefone, codigo } -> comprovante assinado
+   3) formulário envia telefone_comprovante junto => registro marcado telefone_verificado
+   Opcional: envio sem comprovante continua aceito, só não é marcado.
+====================================================== */
+
+const CANAIS = ['sms', 'whatsapp'];
+const VALIDADE_CODIGO_MIN = 10;
+const MAX_TENTATIVAS = 5;
+const VALIDADE_COMPROVANTE_H = Number(process.env.OTP_COMPROVANTE_HORAS || 24);
+
+const SEGREDO = segredoDoAmbiente(process.env.OTP_SECRET || process.env.AVALIADOR_SECRET, 'OTP_SECRET não definido: comprovantes de telefone perdem validade a cada reinício.');
+
+const HORA = 60 * 60 * 1000;
+const limiteSolicitacaoTelefone = criarLimiteTaxa({ janelaMs: HORA, max: Number(process.env.OTP_SOLICITACOES_TELEFONE_HORA || 3) });
+const limiteSolicitacaoIp = criarLimiteTaxa({ janelaMs: HORA, max: Number(process.env.OTP_SOLICITACOES_IP_HORA || 10) });
+// chute de código: além das MAX_TENTATIVAS por código, teto por IP e por telefone
+const limiteVerificacaoTelefone = criarLimiteTaxa({ janelaMs: HORA, max: Number(process.env.OTP_VERIFICACOES_TELEFONE_HORA || 10) });
+const limiteVerificacaoIp = criarLimiteTaxa({ janelaMs: HORA, max: Number(process.env.OTP_VERIFICACOES_IP_HORA || 30) });
+
+function hmac(texto) {
+  return crypto.createHmac('sha256', SEGREDO).update(texto).digest('base64url');
+}
+
+// comprovante: tel.<telefone>.<expira epoch s>.<assinatura>
+function emitirComprovante(telefone) {
+  const expira = Math.floor(Date.now() / 1000) + VALIDADE_COMPROVANTE_H * 3600;
+  const payload = `tel.${telefone}.${expira}`;
+  return `${payload}.${hmac(payload)}`;
+}
+
+// true se o comprovante é válido e é do telefone informado no envio
+function validarComprovante(comprovante, telefone) {
+  const partes = String(comprovante || '').split('.');
+  if (partes.length !== 4 || partes[0] !== 'tel') return false;
+
+  const payload = partes.slice(0, 3).join('.');
+  if (!tokenIgual(hmac(payload), partes[3])) return false;
+
+  return partes[1] === onlyDigits(telefone) && Number(partes[2]) * 1000 > Date.now();
+}
+
+function criarRotasOtp({ pool, transporte }) {
+  const router = express.Router();
+
+  // sem transporte (OTP_TRANSPORTE inválido ou `console` em produção): nada a enviar nem a verificar
+  router.use((req, res, next) => {
+    if (transporte) return next();
+    return res.status(503).json({ status: 'erro', mensagem: 'Verificação por código indisponível no momento. Tente mais tarde.' });
+  });
+
+  router.post('/solicitar', async (req, res) => {
+    const telefone = onlyDigits(req.body?.telefone);
+    const canal = String(req.body?.canal || 'sms').toLowerCase();
+
+    if (!/^\d{10,11}$/.test(telefone)) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Telefone inválido. Use apenas números com DDD (10 ou 11 dígitos).' });
+    }
+    if (!CANAIS.includes(canal)) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Canal inválido. Use sms ou whatsapp.' });
+    }
+
+    const limIp = limiteSolicitacaoIp.registrar(ipCliente(req));
+    const limTel = limIp.permitido ? limiteSolicitacaoTelefone.registrar(telefone) : limIp;
+    if (!limTel.permitido) {
+      res.set('Retry-After', String(limTel.tentarEmSeg));
+      return res.status(429).json({ status: 'erro', mensagem: 'Muitos códigos solicitados. Aguarde antes de pedir outro.' });
+    }
+
+    const codigo = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const expiraEm = moment().tz(TZ).add(VALIDADE_CODIGO_MIN, 'minutes').format('YYYY-MM-DD HH:mm:ss');
+
+    try {
+      await pool.query(
+        `INSERT INTO telefone_verificacoes (telefone, codigo_hash, canal, expira_em, criado_em)
+         VALUES (?, ?, ?, ?, ?)`,
+        [telefone, hmac(`${telefone}:${codigo}`), canal, expiraEm, getDataAtual()]
+      );
+
+      await transporte.enviar({
+        para: telefone,
+        canal,
+        texto: traduzir(`Rota de Oportunidade: seu código de verificação é ${codigo}. Válido por ${VALIDADE_CODIGO_MIN} minutos.`, req.idioma)
+      });
+
+      return res.json({ status: 'sucesso', mensagem: 'Código enviado.', expira_em: expiraEm });
+    } catch (err) {
+      console.error('❌ Erro ao enviar código de verificação:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Não foi possível enviar o código. Tente novamente.' });
+    }
+  });
+
+  router.post('/verificar', async (req, res) => {
+    const telefone = onlyDigits(req.body?.telefone);
+    const codigo = onlyDigits(req.body?.codigo);
+
+    if (!/^\d{10,11}$/.test(telefone) || !/^\d{6}$/.test(codigo)) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Informe o telefone e o código de 6 dígitos.' });
+    }
+
+    const limIp = limiteVerificacaoIp.registrar(ipCliente(req));
+    const limTel = limIp.permitido ? limiteVerificacaoTelefone.registrar(telefone) : limIp;
+    if (!limTel.permitido) {
+      res.set('Retry-After', String(limTel.tentarEmSeg));
+      return res.status(429).json({ status: 'erro', mensagem: 'Muitas tentativas. Aguarde antes de tentar de novo.' });
+    }
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT id, codigo_hash
+         FROM telefone_verificacoes
+         WHERE telefone = ? AND verificado_em IS NULL AND expira_em > ?
+         ORDER BY id DESC
+         LIMIT 1`,
+        [telefone, getDataAtual()]
+      );
+      const v = rows[0];
+
+      if (!v) {
+        return res.status(404).json({ status: 'erro', mensagem: 'Código expirado ou inexistente. Solicite outro.' });
+      }
+
+      // conta a tentativa antes de comparar, no próprio UPDATE: pedidos em paralelo não passam do limite
+      const [conta] = await pool.query(
+        'UPDATE telefone_verificacoes SET tentativas = tentativas + 1 WHERE id = ? AND tentativas < ?',
+        [v.id, MAX_TENTATIVAS]
+      );
+      if (conta.affectedRows !== 1) {
+        return res.status(429).json({ status: 'erro', mensagem: 'Tentativas esgotadas. Solicite outro código.' });
+      }
+
+      if (!tokenIgual(v.codigo_hash, hmac(`${telefone}:${codigo}`))) {
+        return res.status(400).json({ status: 'erro', mensagem: 'Código incorreto.' });
+      }
+
+      const [uso] = await pool.query(
+        'UPDATE telefone_verificacoes SET verificado_em = ? WHERE id = ? AND verificado_em IS NULL',
+        [getDataAtual(), v.id]
+      );
+      if (uso.affectedRows !== 1) {
+        return res.status(404).json({ status: 'erro', mensagem: 'Código expirado ou inexistente. Solicite outro.' });
+      }
+
+      return res.json({ status: 'sucesso', mensagem: 'Telefone verificado.', comprovante: emitirComprovante(telefone) });
+    } catch (err) {
+      console.error('❌ Erro ao verificar código:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao verificar código.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  emitirComprovante,
+  validarComprovante,
+  criarRotasOtp
+};
@@ -0,0 +1,114 @@
+const { normalizaCarreta } = require('./utils');
+
+/* ======================================================
+   PLACAS — formato, equivalência Mercosul e busca aproximada
+   Antiga:   ABC1234  (LLLNNNN)
+   Mercosul: ABC1C34  (LLLNLNN) — o 5º caractere vira letra: 0=A, 1=B ... 9=J
+   Usado para sugerir "Você quis dizer...?" quando a placa digitada
+   não está na frota ativa.
+====================================================== */
+
+const PLACA_ANTIGA_RE = /^[A-Z]{3}[0-9]{4}$/;
+const PLACA_MERCOSUL_RE = /^[A-Z]{3}[0-9][A-Z][0-9]{2}$/;
+const PLACA_RE = /^([A-Z]{3}[0-9]{4}|[A-Z]{3}[0-9][A-Z0-9][0-9]{2})$/;
+
+const LETRAS_MERCOSUL = 'ABCDEFGHIJ';
+
+// Letras e números que se confundem na leitura (placa suja, foto, letra de mão)
+const PARECE_NUMERO = { O: '0', Q: '0', D: '0', I: '1', L: '1', B: '8', S: '5', Z: '2', G: '6' };
+const PARECE_LETRA = { 0: 'O', 1: 'I', 8: 'B', 5: 'S', 2: 'Z', 6: 'G' };
+
+function parecidos(a, b) {
+  return PARECE_NUMERO[a] === b || PARECE_NUMERO[b] === a;
+}
+
+// Placa antiga <-> Mercosul (mesmo veículo). null se não for placa válida.
+function placaEquivalente(valor) {
+  const p = normalizaCarreta(valor);
+  if (PLACA_ANTIGA_RE.test(p)) return p.slice(0, 4) + LETRAS_MERCOSUL[Number(p[4])] + p.slice(5);
+  if (PLACA_MERCOSUL_RE.test(p)) {
+    const i = LETRAS_MERCOSUL.indexOf(p[4]);
+    return i >= 0 ? p.slice(0, 4) + i + p.slice(5) : null;
+  }
+  return null;
+}
+
+// Corrige pela posição: 3 primeiros são letras, 4º/6º/7º são números (5º aceita os dois)
+function corrigePosicoes(valor) {
+  const p = normalizaCarreta(valor);
+  if (p.length !== 7) return p;
+
+  return p.split('').map((c, i) => {
+    if (i < 3) return PARECE_LETRA[c] || c;
+    if (i === 4) return c;
+    return PARECE_NUMERO[c] || c;
+  }).join('');
+}
+
+// Damerau-Levenshtein (transposição de vizinhos); troca entre parecidos custa 0.5
+function distancia(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const troca = a[i - 1] === b[j - 1] ? 0 : parecidos(a[i - 1], b[j - 1]) ? 0.5 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + troca);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Placas da frota mais próximas da digitada, melhores primeiro.
+ * motivo: 'formato' (antiga/Mercosul do mesmo veículo), 'caractere' (O/0, I/1, B/8...)
+ * ou 'digitacao' (letra trocada, faltando, sobrando ou invertida).
+ * @returns {{ carreta: string, distancia: number, motivo: string }[]}
+ */
+function sugerirPlacas(digitada, frota, { limite = 5, distanciaMax = 2 } = {}) {
+  const p = normalizaCarreta(digitada);
+  if (p.length < 5) return [];
+
+  // variações que apontam direto para uma placa (a primeira que bater define o motivo)
+  const corrigida = corrigePosicoes(p);
+  const exatas = new Map();
+  for (const [placa, motivo] of [
+    [placaEquivalente(p), 'formato'],
+    [corrigida, 'caractere'],
+    [placaEquivalente(corrigida), 'caractere']
+  ]) {
+    if (placa && placa !== p && !exatas.has(placa)) exatas.set(placa, motivo);
+  }
+
+  const achadas = [];
+  for (const c of frota) {
+    if (c === p || Math.abs(c.length - p.length) > distanciaMax) continue;
+
+    if (exatas.has(c)) {
+      achadas.push({ carreta: c, distancia: 0, motivo: exatas.get(c) });
+      continue;
+    }
+
+    const dist = distancia(p, c);
+    if (dist <= distanciaMax) {
+      achadas.push({ carreta: c, distancia: dist, motivo: Number.isInteger(dist) ? 'digitacao' : 'caractere' });
+    }
+  }
+
+  return achadas
+    .sort((a, b) => a.distancia - b.distancia || a.carreta.localeCompare(b.carreta))
+    .slice(0, limite);
+}
+
+module.exports = {
+  PLACA_RE,
+  PLACA_ANTIGA_RE,
+  PLACA_MERCOSUL_RE,
+  placaEquivalente,
+  corrigePosicoes,
+  distancia,
+  sugerirPlacas
+};
@@ -0,0 +1,278 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { TZ, normalizaCarreta, onlyDigits, resolveUF } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+
+/* ======================================================
+   PONTOS DOS MOTORISTAS (Rota de Oportunidade)
+   Junta elogios_motoristas (externo) e elogios_internos (interno)
+   num extrato único por MATRICULA do KMM (a do envio). Só conta status 'aprovado'.
+====================================================== */
+
+const TIPOS = ['Externo', 'Interno'];
+const FMT = 'YYYY-MM-DD HH:mm:ss';
+
+// Lê período, UF e tipo da querystring.
+// Período: ?de=YYYY-MM-DD&ate=YYYY-MM-DD ou ?periodo=mensal&ano=2026&mes=3 / ?periodo=trimestral&ano=2026&trimestre=1
+// Retorna { filtros } ou { erro } (mensagem pronta para o 400).
+function parseFiltros(query = {}, { periodoPadrao = 'mensal' } = {}) {
+  const filtros = { inicio: null, fim: null, periodo: null, uf: null, tipo: null, campanha: null };
+  const agora = moment().tz(TZ);
+
+  if (query.de || query.ate) {
+    const de = query.de ? moment.tz(String(query.de), 'YYYY-MM-DD', true, TZ) : null;
+    const ate = query.ate ? moment.tz(String(query.ate), 'YYYY-MM-DD', true, TZ) : null;
+    if ((de && !de.isValid()) || (ate && !ate.isValid())) {
+      return { erro: 'Datas inválidas. Use o formato AAAA-MM-DD.' };
+    }
+    if (de && ate && de.isAfter(ate)) {
+      return { erro: 'A data inicial é maior que a final.' };
+    }
+    filtros.periodo = 'personalizado';
+    filtros.inicio = de ? de.startOf('day').format(FMT) : null;
+    filtros.fim = ate ? ate.endOf('day').format(FMT) : null;
+  } else {
+    const periodo = String(query.periodo || periodoPadrao || '').toLowerCase();
+    const ano = query.ano ? parseInt(query.ano, 10) : agora.year();
+    if (!Number.isInteger(ano) || ano < 2000 || ano > 2100) {
+      return { erro: 'Ano inválido.' };
+    }
+
+    if (periodo === 'mensal') {
+      const mes = query.mes ? parseInt(query.mes, 10) : agora.month() + 1;
+      if (!Number.isInteger(mes) || mes < 1 || mes > 12) {
+        return { erro: 'Mês inválido (1 a 12).' };
+      }
+      const base = moment.tz({ year: ano, month: mes - 1, day: 1 }, TZ);
+      filtros.inicio = base.clone().startOf('month').format(FMT);
+      filtros.fim = base.clone().endOf('month').format(FMT);
+    } else if (periodo === 'trimestral') {
+      const trimestre = query.trimestre ? parseInt(query.trimestre, 10) : agora.quarter();
+      if (!Number.isInteger(trimestre) || trimestre < 1 || trimestre > 4) {
+        return { erro: 'Trimestre inválido (1 a 4).' };
+      }
+      const base = moment.tz({ year: ano, month: (trimestre - 1) * 3, day: 1 }, TZ);
+      filtros.inicio = base.clone().startOf('quarter').format(FMT);
+      filtros.fim = base.clone().endOf('quarter').format(FMT);
+    } else if (periodo && periodo !== 'tudo') {
+      return { erro: 'Período inválido. Use mensal, trimestral ou de/ate.' };
+    }
+    filtros.periodo = periodo || 'tudo';
+  }
+
+  if (query.uf) {
+    filtros.uf = resolveUF(query.uf);
+    if (!filtros.uf) return { erro: 'UF inválida.' };
+  }
+
+  if (query.tipo) {
+    const t = String(query.tipo).trim().toLowerCase();
+    filtros.tipo = TIPOS.find(x => x.toLowerCase() === t) || null;
+    if (!filtros.tipo) return { erro: 'Tipo inválido. Use Externo ou Interno.' };
+  }
+
+  // ?campanha=<id>: só elogios pontuados por essa campanha (src/campanhas.js)
+  if (query.campanha) {
+    filtros.campanha = parseInt(query.campanha, 10);
+    if (!Number.isInteger(filtros.campanha) || filtros.campanha < 1) return { erro: 'Campanha inválida.' };
+  }
+
+  return { filtros };
+}
+
+// Só elogio aprovado na moderação pontua.
+// filtros.matricula / filtros.carreta (extrato de um motorista, exportação) também vão para o SQL.
+function montaWhere(filtros, { temCarreta = true } = {}) {
+  const cond = ["status = 'aprovado'"];
+  const params = [];
+
+  if (filtros.inicio) { cond.push('data_hora >= ?'); params.push(filtros.inicio); }
+  if (filtros.fim) { cond.push('data_hora <= ?'); params.push(filtros.fim); }
+  if (filtros.uf) { cond.push('estado IN (?, ?)'); params.push(filtros.uf.nome, filtros.uf.sigla); }
+  if (filtros.campanha) { cond.push('campanha_id = ?'); params.push(filtros.campanha); }
+  if (filtros.matricula) { cond.push('matricula = ?'); params.push(filtros.matricula); }
+  if (filtros.carreta && temCarreta) { cond.push('carreta = ?'); params.push(filtros.carreta); }
+
+  return { where: `WHERE ${cond.join(' AND ')}`, params };
+}
+
+function formataData(v) {
+  return v ? moment(v).tz(TZ).format(FMT) : null;
+}
+
+// Extrato de lançamentos (um por elogio) por matrícula.
+// Elogio externo usa a matrícula gravada no envio (motorista da carreta naquele momento, migration 018).
+async function montarLedger({ pool }, filtros) {
+  const lancamentos = [];
+
+  if (!filtros.tipo || filtros.tipo === 'Externo') {
+    const { where, params } = montaWhere(filtros);
+    const [rows] = await pool.query(
+      `SELECT id, carreta, matricula, nome_motorista, tipo, pontos, data_hora, cidade, estado, telefone_verificado, campanha_id, regra_versao
+       FROM elogios_motoristas ${where}`,
+      params
+    );
+
+    for (const r of rows) {
+      lancamentos.push({
+        origem: 'externo',
+        id: r.id,
+        data_hora: formataData(r.data_hora),
+        tipo: r.tipo || 'Externo',
+        pontos: Number(r.pontos) || 0,
+        carreta: normalizaCarreta(r.carreta),
+        matricula: onlyDigits(r.matricula) || null,
+        motorista: r.nome_motorista || null,
+        cidade: r.cidade,
+        estado: r.estado,
+        telefone_verificado: !!r.telefone_verificado,
+        campanha_id: r.campanha_id || null,
+        regra_versao: r.regra_versao || null
+      });
+    }
+  }
+
+  // elogio interno não tem carreta
+  if ((!filtros.tipo || filtros.tipo === 'Interno') && !filtros.carreta) {
+    const { where, params } = montaWhere(filtros, { temCarreta: false });
+    const [rows] = await pool.query(
+      `SELECT id, matricula, motorista, tipo, pontos, data_hora, cidade, estado, telefone_verificado, campanha_id, regra_versao
+       FROM elogios_internos ${where}`,
+      params
+    );
+
+    for (const r of rows) {
+      lancamentos.push({
+        origem: 'interno',
+        id: r.id,
+        data_hora: formataData(r.data_hora),
+        tipo: r.tipo || 'Interno',
+        pontos: Number(r.pontos) || 0,
+        carreta: null,
+        matricula: onlyDigits(r.matricula) || null,
+        motorista: r.motorista || null,
+        cidade: r.cidade,
+        estado: r.estado,
+        telefone_verificado: !!r.telefone_verificado,
+        campanha_id: r.campanha_id || null,
+        regra_versao: r.regra_versao || null
+      });
+    }
+  }
+
+  lancamentos.sort((a, b) => String(b.data_hora).localeCompare(String(a.data_hora)));
+  return lancamentos;
+}
+
+// Agrupa o extrato por matrícula. Empate em pontos divide a posição (1, 1, 3...).
+function calculaRanking(lancamentos) {
+  const porMatricula = new Map();
+  const naoIdentificados = { elogios: 0, pontos: 0 };
+
+  for (const l of lancamentos) {
+    if (!l.matricula) {
+      naoIdentificados.elogios += 1;
+      naoIdentificados.pontos += l.pontos;
+      continue;
+    }
+
+    let item = porMatricula.get(l.matricula);
+    if (!item) {
+      item = { matricula: l.matricula, motorista: l.motorista, pontos: 0, elogios: 0, externos: 0, internos: 0 };
+      porMatricula.set(l.matricula, item);
+    }
+    if (!item.motorista && l.motorista) item.motorista = l.motorista;
+
+    item.pontos += l.pontos;
+    item.elogios += 1;
+    if (l.origem === 'externo') item.externos += 1;
+    else item.internos += 1;
+  }
+
+  const ranking = [...porMatricula.values()].sort((a, b) =>
+    b.pontos - a.pontos ||
+    b.elogios - a.elogios ||
+    String(a.motorista || '').localeCompare(String(b.motorista || ''))
+  );
+
+  ranking.forEach((item, i) => {
+    const anterior = ranking[i - 1];
+    item.posicao = anterior && anterior.pontos === item.pontos ? anterior.posicao : i + 1;
+  });
+
+  return { ranking, naoIdentificados };
+}
+
+function criarRotasPontos(deps) {
+  const router = express.Router();
+  // nome completo, matrícula e extrato do motorista: só a equipe
+  router.use(exigeAuth, exigePapel('moderador', 'seguranca'));
+
+  // Uso: /pontos/ranking?periodo=trimestral&ano=2026&trimestre=1&uf=SP&tipo=Externo&limit=10
+  router.get('/ranking', async (req, res) => {
+    const { filtros, erro } = parseFiltros(req.query);
+    if (erro) return res.status(400).json({ status: 'erro', mensagem: erro });
+
+    const limitRaw = parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 500) : 50;
+
+    try {
+      const lancamentos = await montarLedger(deps, filtros);
+      const { ranking, naoIdentificados } = calculaRanking(lancamentos);
+
+      return res.json({
+        status: 'sucesso',
+        filtros: {
+          periodo: filtros.periodo,
+          inicio: filtros.inicio,
+          fim: filtros.fim,
+          uf: filtros.uf?.sigla || null,
+          tipo: filtros.tipo
+        },
+        total_motoristas: ranking.length,
+        ranking: ranking.slice(0, limit),
+        nao_identificados: naoIdentificados
+      });
+    } catch (err) {
+      console.error('❌ Erro ao calcular ranking:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao calcular ranking.' });
+    }
+  });
+
+  // Extrato de um motorista. Sem filtro de período traz o histórico completo.
+  router.get('/motoristas/:matricula', async (req, res) => {
+    const matricula = onlyDigits(req.params.matricula);
+    if (!matricula) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Matrícula inválida.' });
+    }
+
+    const { filtros, erro } = parseFiltros(req.query, { periodoPadrao: 'tudo' });
+    if (erro) return res.status(400).json({ status: 'erro', mensagem: erro });
+
+    try {
+      const historico = await montarLedger(deps, { ...filtros, matricula });
+      const motorista = historico.find(l => l.motorista)?.motorista || null;
+
+      return res.json({
+        status: 'sucesso',
+        matricula,
+        motorista,
+        total_pontos: historico.reduce((s, l) => s + l.pontos, 0),
+        total_elogios: historico.length,
+        historico
+      });
+    } catch (err) {
+      console.error('❌ Erro ao buscar extrato de pontos:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao buscar pontos do motorista.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  parseFiltros,
+  montarLedger,
+  calculaRanking,
+  criarRotasPontos
+};
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const express = require('express');
+const moment = require('moment-timezone');
+const { TZ, getDataAtual, onlyDigits, mascararNome, mascararTelefone, segredoDoAmbiente, tokenIgual } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+const { criarLimiteTaxa, ipCliente } = require('./antiabuso');
+const { parseFiltros, montarLedger, calculaRanking } = require('./pontos');
+const { traduzir } = require('./i18n');
+
+/* ======================================================
+   PORTAL DO MOTORISTA (motorista.html)
+   Entrada sem cadastro de senha:
+   1) POST /motorista/codigo { matricula } -> código no WhatsApp de motorista_contatos
+      POST /motorista/entrar { matricula, codigo } -> sessão
+   2) link assinado gerado pela equipe (POST /motorista/links, admin):
+      /motorista.html#acesso=<link> -> POST /motorista/entrar { link } -> sessão
+   Sessão: mot.<matricula>.<expira epoch s>.<hmac> (Authorization: Bearer)
+   GET /motorista/eu: elogios aprovados dele (externos pela matrícula gravada no envio,
+   internos pela matrícula), pontos e posição na campanha. Quem elogiou aparece mascarado.
+====================================================== */
+
+const SESSAO_HORAS = Number(process.env.PORTAL_SESSAO_HORAS || 12);
+const LINK_DIAS = Number(process.env.PORTAL_LINK_DIAS || 7);
+const VALIDADE_CODIGO_MIN = 10;
+const MAX_TENTATIVAS = 5;
+const MAX_ELOGIOS = 100;
+const FMT = 'YYYY-MM-DD HH:mm:ss';
+
+const SEGREDO = segredoDoAmbiente(process.env.PORTAL_SECRET || process.env.AUTH_SECRET, 'PORTAL_SECRET não definido: sessões e links do portal do motorista perdem validade a cada reinício.');
+
+const HORA = 60 * 60 * 1000;
+const limiteCodigoMatricula = criarLimiteTaxa({ janelaMs: HORA, max: Number(process.env.PORTAL_CODIGOS_MATRICULA_HORA || 3) });
+const limiteCodigoIp = criarLimiteTaxa({ janelaMs: HORA, max: Number(process.env.PORTAL_CODIGOS_IP_HORA || 10) });
+const limiteEntradaMatricula = criarLimiteTaxa({ janelaMs: HORA, max: Number(process.env.PORTAL_ENTRADAS_MATRICULA_HORA || 10) });
+const limiteEntradaIp = criarLimiteTaxa({ janelaMs: HORA, max: Number(process.env.PORTAL_ENTRADAS_IP_HORA || 30) });
+
+// mesma resposta com ou sem contato cadastrado: não revela quais matrículas existem
+const MSG_CODIGO = 'Se a matrícula tiver WhatsApp cadastrado, o código chega em instantes.';
+
+function hmac(texto) {
+  return crypto.createHmac('sha256', SEGREDO).update(texto).digest('base64url');
+}
+
+/* ---------- Tokens (sessão e link) ---------- */
+
+// <tipo>.<matricula>.<expira epoch s>.<assinatura>
+function emitir(tipo, matricula, segundos) {
+  const exp = Math.floor(Date.now() / 1000) + segundos;
+  const dados = `${tipo}.${matricula}.${exp}`;
+  return { token: `${dados}.${hmac(dados)}`, expira_em: new Date(exp * 1000).toISOString() };
+}
+
+// matrícula ou null (formato, assinatura ou validade)
+function ler(tipo, token) {
+  const partes = String(token || '').trim().split('.');
+  if (partes.length !== 4 || partes[0] !== tipo || !/^\d{1,20}$/.test(partes[1])) return null;
+  if (!tokenIgual(partes[3], hmac(partes.slice(0, 3).join('.')))) return null;
+  return Number(partes[2]) * 1000 > Date.now() ? partes[1] : null;
+}
+
+const emitirSessaoMotorista = matricula => emitir('mot', matricula, SESSAO_HORAS * 3600);
+const emitirLinkMotorista = (matricula, dias = LINK_DIAS) => emitir('lnk', matricula, dias * 86400);
+
+function exigeMotorista(req, res, next) {
+  const m = String(req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const matricula = m ? ler('mot', m[1]) : null;
+  if (!matricula) {
+    return res.status(401).json({ status: 'erro', mensagem: 'Sessão expirada. Entre de novo com sua matrícula.' });
+  }
+  req.motorista = { matricula };
+  return next();
+}
+
+// PORTAL_URL_BASE fixa o domínio do link (atrás de proxy o host da requisição pode ser interno)
+function urlPortal(req) {
+  const base = process.env.PORTAL_URL_BASE || (req ? `${req.protocol}://${req.get('host')}` : '');
+  return `${base.replace(/\/+$/, '')}/motorista.html`;
+}
+
+function formataData(v) {
+  return v ? moment(v).tz(TZ).format(FMT) : null;
+}
+
+/* ---------- Dados do motorista ---------- */
+
+// pontos e posição: na campanha vigente (desde o início dela) ou no mês corrente
+async function pontuacao(deps, matricula) {
+  const vigente = await deps.campanhas.vigente();
+  const { filtros } = vigente.campanha_id
+    ? parseFiltros({ campanha: vigente.campanha_id }, { periodoPadrao: 'tudo' })
+    : parseFiltros({});
+
+  const { ranking } = calculaRanking(await montarLedger(deps, filtros));
+  const meu = ranking.find(r => r.matricula === matricula);
+
+  return {
+    campanha: vigente.campanha_id ? { id: vigente.campanha_id, nome: vigente.nome, inicio: vigente.inicio, fim: vigente.fim } : null,
+    periodo: { inicio: filtros.inicio, fim: filtros.fim },
+    pontos: meu?.pontos || 0,
+    elogios: meu?.elogios || 0,
+    posicao: meu?.posicao || null,
+    total_motoristas: ranking.length
+  };
+}
+
+// externos pela matrícula gravada no envio: elogio de quem dirigia a carreta antes não aparece aqui
+async function elogiosDoMotorista(pool, matricula) {
+  const lista = [];
+
+  const [externos] = await pool.query(
+    `SELECT id, protocolo, nome, telefone, carreta, elogio, pontos, cidade, estado, data_hora
+     FROM elogios_motoristas
+     WHERE status = 'aprovado' AND matricula = ?
+     ORDER BY data_hora DESC
+     LIMIT ${MAX_ELOGIOS}`,
+    [matricula]
+  );
+  for (const r of externos) {
+    lista.push({
+      origem: 'externo',
+      protocolo: r.protocolo || null,
+      data_hora: formataData(r.data_hora),
+      carreta: r.carreta,
+      autor: mascararNome(r.nome) || 'Anônimo',
+      telefone: mascararTelefone(r.telefone),
+      elogio: r.elogio,
+      pontos: Number(r.pontos) || 0,
+      cidade: r.cidade,
+      estado: r.estado
+    });
+  }
+
+  const [internos] = await pool.query(
+    `SELECT id, elogio, pontos, cidade, estado, data_hora
+     FROM elogios_internos
+     WHERE status = 'aprovado' AND matricula = ?
+     ORDER BY data_hora DESC
+     LIMIT ${MAX_ELOGIOS}`,
+    [matricula]
+  );
+  for (const r of internos) {
+    lista.push({
+      origem: 'interno',
+      protocolo: null,
+      data_hora: formataData(r.data_hora),
+      carreta: null,
+      autor: 'Equipe',
+      telefone: null,
+      elogio: r.elogio,
+      pontos: Number(r.pontos) || 0,
+      cidade: r.cidade,
+      estado: r.estado
+    });
+  }
+
+  lista.sort((a, b) => String(b.data_hora).localeCompare(String(a.data_hora)));
+  return lista.slice(0, MAX_ELOGIOS);
+}
+
+/* ---------- Rotas ---------- */
+
+// deps: { pool, kmm, campanhas, transporte, getMotoristaKMMPorCarreta }
+function criarRotasPortal(deps) {
+  const { pool, kmm, transporte } = deps;
+  const router = express.Router();
+
+  router.post('/codigo', async (req, res) => {
+    if (!transporte) {
+      return res.status(503).json({ status: 'erro', mensagem: 'Código de acesso indisponível no momento. Peça um link à equipe.' });
+    }
+
+    const matricula = onlyDigits(req.body?.matricula);
+    if (!/^\d{1,20}$/.test(matricula)) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Informe sua matrícula (apenas números).' });
+    }
+
+    const limIp = limiteCodigoIp.registrar(ipCliente(req));
+    const limMat = limIp.permitido ? limiteCodigoMatricula.registrar(matricula) : limIp;
+    if (!limMat.permitido) {
+      res.set('Retry-After', String(limMat.tentarEmSeg));
+      return res.status(429).json({ status: 'erro', mensagem: 'Muitos códigos solicitados. Aguarde antes de pedir outro.' });
+    }
+
+    try {
+      // matrícula desligada no KMM não recebe código (KMM fora = undefined: confia no cadastro de contato)
+      if (await kmm.getFuncionarioPorMatricula(matricula) === null) {
+        return res.json({ status: 'sucesso', mensagem: MSG_CODIGO });
+      }
+
+      const [contatos] = await pool.query(
+        'SELECT whatsapp FROM motorista_contatos WHERE matricula = ? AND whatsapp IS NOT NULL LIMIT 1',
+        [matricula]
+      );
+      const whatsapp = contatos[0]?.whatsapp;
+      if (!whatsapp) return res.json({ status: 'sucesso', mensagem: MSG_CODIGO });
+
+      const codigo = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      const expiraEm = moment().tz(TZ).add(VALIDADE_CODIGO_MIN, 'minutes').format(FMT);
+
+      await pool.query(
+        `INSERT INTO motorista_acessos (matricula, codigo_hash, expira_em, criado_em)
+         VALUES (?, ?, ?, ?)`,
+        [matricula, hmac(`${matricula}:${codigo}`), expiraEm, getDataAtual()]
+      );
+
+      await transporte.enviar({
+        para: whatsapp,
+        canal: 'whatsapp',
+        texto: traduzir(`Rota de Oportunidade: seu código para ver seus elogios é ${codigo}. Válido por ${VALIDADE_CODIGO_MIN} minutos.`, req.idioma)
+      });
+
+      return res.json({ status: 'sucesso', mensagem: MSG_CODIGO });
+    } catch (err) {
+      console.error('❌ Portal: erro ao enviar código de acesso:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Não foi possível enviar o código. Tente novamente.' });
+    }
+  });
+
+  // { matricula, codigo } ou { link } -> { token, expira_em }
+  router.post('/entrar', async (req, res) => {
+    if (req.body?.link) {
+      const matricula = ler('lnk', req.body.link);
+      if (!matricula) {
+        return res.status(401).json({ status: 'erro', mensagem: 'Link de acesso inválido ou vencido. Peça outro à equipe.' });
+      }
+      return res.json({ status: 'sucesso', ...emitirSessaoMotorista(matricula) });
+    }
+
+    const matricula = onlyDigits(req.body?.matricula);
+    const codigo = onlyDigits(req.body?.codigo);
+    if (!/^\d{1,20}$/.test(matricula) || !/^\d{6}$/.test(codigo)) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Informe a matrícula e o código de 6 dígitos.' });
+    }
+
+    const limIp = limiteEntradaIp.registrar(ipCliente(req));
+    const limMat = limIp.permitido ? limiteEntradaMatricula.registrar(matricula) : limIp;
+    if (!limMat.permitido) {
+      res.set('Retry-After', String(limMat.tentarEmSeg));
+      return res.status(429).json({ status: 'erro', mensagem: 'Muitas tentativas. Aguarde antes de tentar de novo.' });
+    }
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT id, codigo_hash
+         FROM motorista_acessos
+         WHERE matricula = ? AND usado_em IS NULL AND expira_em > ?
+         ORDER BY id DESC
+         LIMIT 1`,
+        [matricula, getDataAtual()]
+      );
+      const acesso = rows[0];
+
+      if (!acesso) {
+        return res.status(404).json({ status: 'erro', mensagem: 'Código expirado ou inexistente. Solicite outro.' });
+      }
+
+      // conta a tentativa antes de comparar, no próprio UPDATE: pedidos em paralelo não passam do limite
+      const [conta] = await pool.query(
+        'UPDATE motorista_acessos SET tentativas = tentativas + 1 WHERE id = ? AND tentativas < ?',
+        [acesso.id, MAX_TENTATIVAS]
+      );
+      if (conta.affectedRows !== 1) {
+        return res.status(429).json({ status: 'erro', mensagem: 'Tentativas esgotadas. Solicite outro código.' });
+      }
+
+      if (!tokenIgual(acesso.codigo_hash, hmac(`${matricula}:${codigo}`))) {
+        return res.status(400).json({ status: 'erro', mensagem: 'Código incorreto.' });
+      }
+
+      const [uso] = await pool.query(
+        'UPDATE motorista_acessos SET usado_em = ? WHERE id = ? AND usado_em IS NULL',
+        [getDataAtual(), acesso.id]
+      );
+      if (uso.affectedRows !== 1) {
+        return res.status(404).json({ status: 'erro', mensagem: 'Código expirado ou inexistente. Solicite outro.' });
+      }
+
+      return res.json({ status: 'sucesso', ...emitirSessaoMotorista(matricula) });
+    } catch (err) {
+      console.error('❌ Portal: erro ao conferir código de acesso:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao conferir o código.' });
+    }
+  });
+
+  router.get('/eu', exigeMotorista, async (req, res) => {
+    const { matricula } = req.motorista;
+
+    let carretas;
+    try {
+      carretas = await kmm.getCarretasDoMotorista(matricula);
+    } catch (err) {
+      console.error('❌ Portal: KMM indisponível para listar carretas:', err.message);
+      return res.status(503).json({ status: 'erro', mensagem: 'Consulta da frota indisponível no momento. Tente mais tarde.' });
+    }
+
+    try {
+      const funcionario = await kmm.getFuncionarioPorMatricula(matricula);
+      const pontos = await pontuacao(deps, matricula);
+      const elogios = await elogiosDoMotorista(pool, matricula);
+
+      return res.json({
+        status: 'sucesso',
+        motorista: { matricula, nome: mascararNome(funcionario?.nome), carretas },
+        campanha: pontos.campanha,
+        pontos: {
+          periodo: pontos.periodo,
+          total: pontos.pontos,
+          elogios: pontos.elogios,
+          posicao: pontos.posicao,
+          total_motoristas: pontos.total_motoristas
+        },
+        elogios
+      });
+    } catch (err) {
+      console.error('❌ Portal: erro ao montar a página do motorista:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao carregar seus elogios.' });
+    }
+  });
+
+  // Equipe: link de acesso para mandar ao motorista (sem WhatsApp cadastrado, por exemplo)
+  router.post('/links', exigeAuth, exigePapel('admin'), (req, res) => {
+    const matricula = onlyDigits(req.body?.matricula);
+    const dias = req.body?.dias === undefined ? LINK_DIAS : Number(req.body.dias);
+    if (!/^\d{1,20}$/.test(matricula)) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Matrícula inválida.' });
+    }
+    if (!Number.isInteger(dias) || dias < 1 || dias > 90) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Validade inválida (1 a 90 dias).' });
+    }
+
+    const { token, expira_em: expiraEm } = emitirLinkMotorista(matricula, dias);
+    return res.json({ status: 'sucesso', matricula, link: `${urlPortal(req)}#acesso=${token}`, expira_em: expiraEm });
+  });
+
+  return router;
+}
+
+module.exports = {
+  emitirSessaoMotorista,
+  emitirLinkMotorista,
+  urlPortal,
+  exigeMotorista,
+  criarRotasPortal
+};
@@ -0,0 +1,126 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { TZ, onlyDigits, gerarProtocolo } = require('./utils');
+const { traduzir } = require('./i18n');
+
+/* ======================================================
+   PROTOCOLO PÚBLICO
+   EL-XXXXXXXXXX (elogio) / OC-XXXXXXXXXX (ocorrência)
+   Consulta exige protocolo + telefone usado no envio.
+====================================================== */
+
+const PROTOCOLO_RE = /^(EL|OC)-[2-9A-Z]{10}$/;
+
+// INSERT com coluna protocolo UNIQUE: em caso (raro) de colisão, gera outro.
+// montaParams(protocolo) devolve os params do INSERT.
+async function inserirComProtocolo(pool, prefixo, sql, montaParams) {
+  for (let tentativa = 1; ; tentativa++) {
+    const protocolo = gerarProtocolo(prefixo);
+    try {
+      const [result] = await pool.query(sql, montaParams(protocolo));
+      return { protocolo, result };
+    } catch (e) {
+      if (e.code !== 'ER_DUP_ENTRY' || tentativa >= 3) throw e;
+    }
+  }
+}
+
+function formataData(v) {
+  return v ? moment(v).tz(TZ).format('DD/MM/YYYY HH:mm') : null;
+}
+
+// Texto público da situação. Motivo de moderação e notas internas não saem daqui.
+function situacaoElogio(r) {
+  switch (r.status) {
+    case 'aprovado': return { etapa: 'moderado', situacao: 'Elogio aprovado. Obrigado!' };
+    case 'rejeitado': return { etapa: 'moderado', situacao: 'Elogio não aprovado na análise.' };
+    case 'mais_info': return { etapa: 'em_analise', situacao: 'Em análise. Podemos entrar em contato pelo telefone informado.' };
+    default: return { etapa: 'recebido', situacao: 'Recebido. Aguardando análise.' };
+  }
+}
+
+function situacaoOcorrencia(r) {
+  if (r.caso_status === 'fechado') return { etapa: 'encerrado', situacao: 'Ocorrência analisada e encerrada.' };
+  if (r.caso_status === 'em_investigacao') return { etapa: 'em_analise', situacao: 'Em investigação pela equipe de segurança.' };
+  if (r.status === 'rejeitado') return { etapa: 'moderado', situacao: 'Registro não aprovado na análise.' };
+  if (r.status === 'mais_info') return { etapa: 'em_analise', situacao: 'Em análise. Podemos entrar em contato pelo telefone informado.' };
+  return { etapa: 'recebido', situacao: 'Recebida. Aguardando análise.' };
+}
+
+async function consultarProtocolo(pool, protocolo, telefone) {
+  if (protocolo.startsWith('EL-')) {
+    const [rows] = await pool.query(
+      `SELECT protocolo, telefone, carreta, status, data_hora, moderado_em
+       FROM elogios_motoristas WHERE protocolo = ? LIMIT 1`,
+      [protocolo]
+    );
+    const r = rows[0];
+    if (!r || onlyDigits(r.telefone) !== telefone) return null;
+
+    return {
+      protocolo: r.protocolo,
+      tipo: 'elogio',
+      carreta: r.carreta,
+      enviado_em: formataData(r.data_hora),
+      atualizado_em: formataData(r.moderado_em || r.data_hora),
+      ...situacaoElogio(r)
+    };
+  }
+
+  const [rows] = await pool.query(
+    `SELECT protocolo, telefone, carreta, tipo_ocorrencia, status, caso_status, data_hora, moderado_em, caso_atualizado_em
+     FROM ocorrencias_motoristas WHERE protocolo = ? LIMIT 1`,
+    [protocolo]
+  );
+  const r = rows[0];
+  if (!r || onlyDigits(r.telefone) !== telefone) return null;
+
+  const atualizacoes = [r.data_hora, r.moderado_em, r.caso_atualizado_em].filter(Boolean).map(d => moment(d));
+  return {
+    protocolo: r.protocolo,
+    tipo: 'ocorrencia',
+    carreta: r.carreta,
+    tipo_ocorrencia: r.tipo_ocorrencia,
+    enviado_em: formataData(r.data_hora),
+    atualizado_em: formataData(moment.max(atualizacoes)),
+    ...situacaoOcorrencia(r)
+  };
+}
+
+function criarRotasProtocolo({ pool }) {
+  const router = express.Router();
+
+  // POST para o telefone não ir parar em log de URL.
+  // Body: { protocolo, telefone }
+  router.post('/consulta', async (req, res) => {
+    const protocolo = String(req.body?.protocolo || '').trim().toUpperCase();
+    const telefone = onlyDigits(req.body?.telefone);
+
+    if (!PROTOCOLO_RE.test(protocolo) || !/^\d{10,11}$/.test(telefone)) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Informe o protocolo e o telefone (DDD + número).' });
+    }
+
+    try {
+      const resultado = await consultarProtocolo(pool, protocolo, telefone);
+
+      // mesma resposta para protocolo inexistente e telefone errado
+      if (!resultado) {
+        return res.status(404).json({ status: 'erro', mensagem: 'Protocolo não encontrado para este telefone.' });
+      }
+
+      return res.json({ status: 'sucesso', ...resultado, situacao: traduzir(resultado.situacao, req.idioma) });
+    } catch (err) {
+      console.error('❌ Erro na consulta de protocolo:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao consultar protocolo.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  PROTOCOLO_RE,
+  inserirComProtocolo,
+  consultarProtocolo,
+  criarRotasProtocolo
+};
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const express = require('express');
+const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
+const { getDataAtual, normalizaCarreta, segredoDoAmbiente, tokenIgual } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+const { ipCliente, hashIp } = require('./antiabuso');
+const { parseFiltros } = require('./pontos');
+
+/* ======================================================
+   QR CODE POR CARRETA (adesivos)
+   - link assinado: /q/<e|o>/<PLACA>/<assinatura> (curto = QR menor e fácil de ler)
+   - leitura: grava em qr_leituras e redireciona para elogio.html / ocorrencia.html
+     com ?carreta=PLACA&qr=<id da leitura> (a página trava a placa)
+   - o envio guarda qr_leitura_id: dá para medir leitura -> envio por carreta
+   - equipe (admin): PNG/SVG de uma placa, folha de adesivos em PDF, relatório de leituras
+====================================================== */
+
+// Assinatura não pode mudar entre reinícios: adesivo impresso vale enquanto o segredo for o mesmo
+const SEGREDO = segredoDoAmbiente(process.env.QR_SECRET || process.env.AVALIADOR_SECRET, 'QR_SECRET não definido: QR codes gerados agora deixam de valer no próximo reinício.');
+
+const DESTINOS = {
+  elogio: { sigla: 'e', pagina: '/elogio.html', legenda: 'Elogie o motorista desta carreta' },
+  ocorrencia: { sigla: 'o', pagina: '/ocorrencia.html', legenda: 'Registre uma ocorrência desta carreta' }
+};
+const POR_SIGLA = Object.fromEntries(Object.entries(DESTINOS).map(([nome, d]) => [d.sigla, nome]));
+
+function assinatura(carreta, destino) {
+  return crypto.createHmac('sha256', SEGREDO)
+    .update(`qr1.${DESTINOS[destino].sigla}.${carreta}`)
+    .digest('base64url')
+    .slice(0, 16);
+}
+
+// QR_URL_BASE fixa o domínio impresso (atrás de proxy o host da requisição pode ser interno)
+function urlBase(req) {
+  return (process.env.QR_URL_BASE || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+function linkQr(base, carreta, destino) {
+  return `${base}/q/${DESTINOS[destino].sigla}/${carreta}/${assinatura(carreta, destino)}`;
+}
+
+// { carreta, destino } ou null
+function conferirLink(sigla, placa, assinado) {
+  const destino = POR_SIGLA[sigla];
+  const carreta = normalizaCarreta(placa);
+  if (!destino || !carreta || carreta !== placa) return null;
+  return tokenIgual(assinado, assinatura(carreta, destino)) ? { carreta, destino } : null;
+}
+
+function lerDestino(valor) {
+  const destino = String(valor || 'elogio').toLowerCase();
+  return DESTINOS[destino] ? destino : null;
+}
+
+/* ---------- Leitura do adesivo (público) ---------- */
+
+function criarRotasLeituraQr({ pool }) {
+  const router = express.Router();
+
+  // Uso: /q/e/ABC1D23/<assinatura> (é o link dentro do QR)
+  router.get('/:sigla/:carreta/:assinatura', async (req, res) => {
+    const link = conferirLink(req.params.sigla, req.params.carreta, req.params.assinatura);
+
+    // adesivo adulterado ou de outro ambiente: segue o fluxo normal, sem placa
+    if (!link) {
+      console.warn('⚠ QR com assinatura inválida:', req.originalUrl);
+      return res.redirect(302, '/elogionaestrada.html');
+    }
+
+    let leituraId = null;
+    try {
+      const [r] = await pool.query(
+        'INSERT INTO qr_leituras (carreta, destino, ip_hash, user_agent, data_hora) VALUES (?, ?, ?, ?, ?)',
+        [link.carreta, link.destino, hashIp(ipCliente(req)), String(req.get('user-agent') || '').slice(0, 500) || null, getDataAtual()]
+      );
+      leituraId = r.insertId;
+    } catch (err) {
+      // leitura não contada não impede o elogio
+      console.error('❌ Erro ao registrar leitura de QR:', err.message);
+    }
+
+    const params = new URLSearchParams({ carreta: link.carreta });
+    if (leituraId) params.set('qr', String(leituraId));
+    res.set('Cache-Control', 'no-store');
+    return res.redirect(302, `${DESTINOS[link.destino].pagina}?${params}`);
+  });
+
+  return router;
+}
+
+// Envio com ?qr=: só vale se a leitura existe e é da mesma carreta (senão grava NULL)
+async function conferirLeitura(pool, leituraId, carreta) {
+  if (!leituraId) return null;
+  const [rows] = await pool.query('SELECT id FROM qr_leituras WHERE id = ? AND carreta = ? LIMIT 1', [leituraId, carreta]);
+  return rows.length ? rows[0].id : null;
+}
+
+/* ---------- Folha de adesivos (PDF A4, 3 x 4) ---------- */
+
+const FOLHA = { colunas: 3, linhas: 4, margem: 28, qr: 130 };
+
+async function gerarFolhaPdf(res, carretas, { base, destino }) {
+  const doc = new PDFDocument({ size: 'A4', margin: FOLHA.margem, info: { Title: `QR codes - ${destino}` } });
+  doc.pipe(res);
+
+  const larg = (doc.page.width - FOLHA.margem * 2) / FOLHA.colunas;
+  const alt = (doc.page.height - FOLHA.margem * 2) / FOLHA.linhas;
+  const porPagina = FOLHA.colunas * FOLHA.linhas;
+
+  for (let i = 0; i < carretas.length; i++) {
+    if (i > 0 && i % porPagina === 0) doc.addPage();
+
+    const pos = i % porPagina;
+    const x = FOLHA.margem + (pos % FOLHA.colunas) * larg;
+    const y = FOLHA.margem + Math.floor(pos / FOLHA.colunas) * alt;
+
+    const png = await QRCode.toBuffer(linkQr(base, carretas[i], destino), { errorCorrectionLevel: 'M', margin: 1, width: 400 });
+
+    // linha de corte
+    doc.save().dash(3, { space: 3 }).strokeColor('#bbbbbb').rect(x + 2, y + 2, larg - 4, alt - 4).stroke().restore();
+
+    doc.image(png, x + (larg - FOLHA.qr) / 2, y + 14, { width: FOLHA.qr });
+    doc.font('Helvetica-Bold').fontSize(15).fillColor('#000000')
+      .text(carretas[i], x, y + FOLHA.qr + 20, { width: larg, align: 'center' });
+    doc.font('Helvetica').fontSize(9).fillColor('#444444')
+      .text(DESTINOS[destino].legenda, x + 8, y + FOLHA.qr + 40, { width: larg - 16, align: 'center' });
+  }
+
+  doc.end();
+}
+
+/* ---------- Rotas da equipe (admin) ---------- */
+
+function criarRotasQr({ pool, kmm }) {
+  const router = express.Router();
+  router.use(exigeAuth, exigePapel('admin'));
+
+  // Uso: /qr/carretas/ABC1D23?formato=png|svg&destino=elogio|ocorrencia
+  router.get('/carretas/:carreta', async (req, res) => {
+    const carreta = normalizaCarreta(req.params.carreta);
+    const destino = lerDestino(req.query.destino);
+    const formato = String(req.query.formato || 'png').toLowerCase();
+
+    if (!/^[A-Z0-9]{5,10}$/.test(carreta)) return res.status(400).json({ status: 'erro', mensagem: 'Placa inválida.' });
+    if (!destino) return res.status(400).json({ status: 'erro', mensagem: 'Destino inválido. Use elogio ou ocorrencia.' });
+    if (!['png', 'svg'].includes(formato)) return res.status(400).json({ status: 'erro', mensagem: 'Formato inválido. Use png ou svg.' });
+
+    try {
+      const link = linkQr(urlBase(req), carreta, destino);
+      res.set('Content-Disposition', `inline; filename="qr-${carreta}-${destino}.${formato}"`);
+      res.set('X-QR-Link', link);
+      if (formato === 'svg') {
+        return res.type('image/svg+xml').send(await QRCode.toString(link, { type: 'svg', errorCorrectionLevel: 'M', margin: 1 }));
+      }
+      return res.type('image/png').send(await QRCode.toBuffer(link, { errorCorrectionLevel: 'M', margin: 1, width: 600 }));
+    } catch (err) {
+      console.error('❌ Erro ao gerar QR code:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao gerar QR code.' });
+    }
+  });
+
+  // Uso: /qr/folha.pdf?destino=elogio&q=ABC (q = prefixo da placa; sem q = frota ativa inteira)
+  router.get('/folha.pdf', async (req, res) => {
+    const destino = lerDestino(req.query.destino);
+    if (!destino) return res.status(400).json({ status: 'erro', mensagem: 'Destino inválido. Use elogio ou ocorrencia.' });
+
+    let carretas;
+    try {
+      carretas = await kmm.buscarCarretas(req.query.q, Infinity);
+    } catch (err) {
+      console.error('❌ Folha de QR: frota indisponível (KMM):', err.message);
+      return res.status(503).json({ status: 'erro', mensagem: 'Lista de carretas indisponível no momento.' });
+    }
+    if (!carretas.length) return res.status(404).json({ status: 'erro', mensagem: 'Nenhuma carreta ativa com esse filtro.' });
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="qrcodes-${destino}.pdf"`);
+    try {
+      await gerarFolhaPdf(res, carretas, { base: urlBase(req), destino });
+    } catch (err) {
+      console.error('❌ Erro ao gerar folha de QR codes:', err.message);
+      res.destroy(err);
+    }
+  });
+
+  // Uso: /qr/leituras?periodo=mensal&ano=2026&mes=3 (ou de/ate) -> leituras e envios por carreta
+  // sem_leitura: carretas ativas cujo adesivo ninguém leu no período (só com o KMM disponível)
+  router.get('/leituras', async (req, res) => {
+    const { filtros, erro } = parseFiltros(req.query);
+    if (erro) return res.status(400).json({ status: 'erro', mensagem: erro });
+
+    const where = [];
+    const params = [];
+    if (filtros.inicio) { where.push('l.data_hora >= ?'); params.push(filtros.inicio); }
+    if (filtros.fim) { where.push('l.data_hora <= ?'); params.push(filtros.fim); }
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT l.carreta,
+                COUNT(DISTINCT l.id) AS leituras,
+                COUNT(DISTINCT CASE WHEN l.destino = 'elogio' THEN l.id END) AS leituras_elogio,
+                COUNT(DISTINCT CASE WHEN l.destino = 'ocorrencia' THEN l.id END) AS leituras_ocorrencia,
+                COUNT(DISTINCT e.id) AS elogios,
+                COUNT(DISTINCT o.id) AS ocorrencias,
+                MAX(l.data_hora) AS ultima_leitura
+         FROM qr_leituras l
+         LEFT JOIN elogios_motoristas e ON e.qr_leitura_id = l.id
+         LEFT JOIN ocorrencias_motoristas o ON o.qr_leitura_id = l.id
+         ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+         GROUP BY l.carreta
+         ORDER BY leituras DESC, l.carreta`,
+        params
+      );
+
+      const carretas = rows.map(r => ({
+        carreta: r.carreta,
+        leituras: Number(r.leituras),
+        leituras_elogio: Number(r.leituras_elogio),
+        leituras_ocorrencia: Number(r.leituras_ocorrencia),
+        elogios: Number(r.elogios),
+        ocorrencias: Number(r.ocorrencias),
+        ultima_leitura: r.ultima_leitura
+      }));
+
+      let semLeitura = null;
+      try {
+        const lidas = new Set(carretas.map(c => c.carreta));
+        semLeitura = (await kmm.buscarCarretas('', Infinity)).filter(c => !lidas.has(c));
+      } catch (err) {
+        console.warn('⚠ Leituras de QR: frota do KMM indisponível:', err.message);
+      }
+
+      return res.json({
+        status: 'sucesso',
+        periodo: { tipo: filtros.periodo, inicio: filtros.inicio, fim: filtros.fim },
+        carretas,
+        sem_leitura: semLeitura
+      });
+    } catch (err) {
+      console.error('❌ Erro no relatório de leituras de QR:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao consultar leituras.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  DESTINOS,
+  assinatura,
+  linkQr,
+  conferirLink,
+  conferirLeitura,
+  criarRotasLeituraQr,
+  criarRotasQr
+};
@@ -1,14 +1,9 @@
-const express = require('express');
-const cors = require('cors');
 const mysql = require('mysql2/promise');
 const { Pool } = require('pg');
 const path = require('path');
 const os = require('os');
-const moment = require('moment-timezone');
 const fs = require('fs');
 const https = require('https');
-const axios = require('axios');
-const { createProxyMiddleware } = require('http-proxy-middleware');
 const dotenv = require('dotenv');
 
 // carrega .env.local se existir, senão .env
@@ -19,37 +14,17 @@ if (fs.existsSync(envLocalPath)) {
   dotenv.config();
 }
 
-const app = express();
-
-const corsOptions = {
-  origin: true,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'x-avaliador-token'],
-};
-
-app.use(cors(corsOptions));
-app.options(/.*/, cors(corsOptions));
-
-app.use(express.json({ limit: '1mb' }));
-app.use(express.urlencoded({ extended: true }));
-
-app.use((req, res, next) => {
-  res.setHeader('X-App-Build', 'elogios-2026-01-08-build1');
-  next();
-});
-
-// 🔥 PROXY CORRETO
-app.use(
-  '/api',
-  createProxyMiddleware({
-    target: 'http://127.0.0.1:3000',
-    changeOrigin: true,
-    secure: false,
-    proxyTimeout: 15000,
-    timeout: 15000,
-  })
-);
-
+// módulos locais depois do .env: alguns leem segredos/limites ao carregar
+const { limparChavesAntigas } = require('./idempotencia');
+const { criarGeocoderDoEnv } = require('./geocoding');
+const { criarEventos } = require('./eventos');
+const { criarNotificacoes } = require('./notificacoes');
+const { criarWebhooks } = require('./webhooks');
+const { criarRepositorioKMM, revalidarPendentes } = require('./kmm');
+const { criarArmazenamento } = require('./armazenamento');
+const { garantirAdminInicial } = require('./identidade');
+const { rodarRetencao } = require('./lgpd');
+const { criarApp } = require('./app');
 
 /* ============================
    HELPERS
@@ -65,57 +40,6 @@ function getLocalIP() {
   return 'localhost';
 }
 
-// Data/Hora São Paulo
-function getDataAtual() {
-  return moment().tz('America/Sao_Paulo').format('YYYY-MM-DD HH:mm:ss');
-}
-
-function onlyDigits(v) {
-  return String(v || '').replace(/\D/g, '');
-}
-
-function normalizaCarreta(valor) {
-  return String(valor || '')
-    .trim()
-    .toUpperCase()
-    .replace(/[^A-Z0-9]/g, '');
-}
-
-// ===== VALIDAÇÃO KMM (carreta existe e está ativa) =====
-async function existeCarretaAtivaNoKMM(carretaNorm) {
-  const sql = `
-    SELECT 1
-    FROM veiculo.veiculo_modalidade vm
-    WHERE lower(vm."MODALIDADE"::text) = 'frota'
-      AND vm."DATA_CANCELAMENTO" IS NULL
-      AND vm."PLACA" IS NOT NULL
-      AND regexp_replace(upper(vm."PLACA"::text), '[^A-Z0-9]', '', 'g') = $1
-    LIMIT 1
-  `;
-
-  const r = await poolKMM.query(sql, [carretaNorm]);
-  return (r.rows || []).length > 0;
-}
-
-async function getMotoristaPorCarreta(carretaNorm) {
-  const sql = `
-    SELECT
-      fd."NOME" AS motorista
-    FROM veiculo.veiculo_motorista vm
-    JOIN folha.funcionario_dados fd
-      ON fd."COD_PESSOA" = vm."COD_PESSOA"
-    WHERE fd."DATA_DEMISSAO" IS NULL
-      AND regexp_replace(upper(vm."PLACA"::text), '[^A-Z0-9]', '', 'g') = $1
-    ORDER BY vm."DATA_INICIO" DESC NULLS LAST
-    LIMIT 1
-  `;
-
-  const r = await poolKMM.query(sql, [carretaNorm]);
-  return r.rows?.[0]?.motorista || null;
-}
-
-
-
 
 /* ============================
    BANCO MySQL (dw-superbi)
@@ -130,6 +54,9 @@ const pool = mysql.createPool({
   timezone: process.env.MYSQL_TIMEZONE || '-03:00'
 });
 
+// AUTH_ADMIN_INICIAL (src/identidade.js)
+garantirAdminInicial(pool).catch(e => console.warn('⚠ Admin inicial não criado:', e.message));
+
 /* ============================
    BANCO PostgreSQL (KMM)
 ============================ */
@@ -139,479 +66,77 @@ const poolKMM = new Pool({
   database: process.env.KMM_DATABASE,
   user: process.env.KMM_USER,
   password: process.env.KMM_PASSWORD,
-  ssl: String(process.env.KMM_SSL || 'false') === 'true'
+  ssl: String(process.env.KMM_SSL || 'false') === 'true',
+  connectionTimeoutMillis: Number(process.env.KMM_TIMEOUT_MS || 5000),
+  query_timeout: Number(process.env.KMM_QUERY_TIMEOUT_MS || 30000)
 });
 
-/* ============================
-   GEO (cidade/estado)
-============================ */
-async function getCidadeEstado(lat, lon) {
-  try {
-    const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}`;
-    const response = await axios.get(url, {
-      headers: { 'User-Agent': 'Projeto-Elogios/1.0' },
-      timeout: 5000
-    });
-
-    const data = response.data;
-    const cidade = data.address.city || data.address.town || data.address.village || '';
-    const estado = data.address.state || '';
-    return { cidade, estado };
-  } catch (error) {
-    console.error('❌ Erro ao buscar cidade/estado:', error.message);
-    return { cidade: null, estado: null };
-  }
-}
+// snapshot de carretas/motoristas recarregado a cada KMM_SNAPSHOT_MIN
+const kmm = criarRepositorioKMM({ poolKMM });
+kmm.iniciar();
 
 /* ============================
-   ARQUIVOS ESTÁTICOS + PÁGINAS
+   GEO (cidade/estado) - ver src/geocoding.js
 ============================ */
-app.use(express.static(path.join(__dirname, '..', 'public')));
-
-
-app.use('/dashboard', express.static(path.join(__dirname, '..', 'public', 'dashboard')));
-
-// se seu React usa rotas (React Router), precisa desse fallback:
-app.get(/^\/dashboard(\/.*)?$/, (req, res) => {
-res.sendFile(path.join(__dirname, 'public', 'dashboard', 'index.html'));
-});
-
-
-///////////////////////////////////
-
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, '..', 'public', 'elogionaestrada.html'));
-});
-
-app.get('/elogio-interno', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'elogio-interno.html'));
-});
-
-
-/* ======================================================
-   ✅ ELOGIO PÚBLICO 
-====================================================== */
-app.post('/elogio', async (req, res) => {
-  const token = String(req.get('x-avaliador-token') || '').trim().toLowerCase();
-
-  if (!token) {
-    return res.status(400).json({ status: 'erro', mensagem: 'Token do avaliador não informado.' });
-  }
-
-  let {
-    nome, nome_motorista, carreta, telefone, elogio,
-    latitude, longitude, maps_link, user_agent
-  } = req.body || {};
-
-  // Validações básicas
- // antes: if (!nome || !nome_motorista || !carreta || !telefone || !elogio) ...
-
-  if (!nome || !carreta || !telefone || !elogio) {
-    return res.status(400).json({ status: 'erro', mensagem: 'Campos obrigatórios não preenchidos.' });
-  }
-
-  // se não veio nome_motorista, tenta obter pela carreta
-  if (!nome_motorista) {
-    nome_motorista = await getMotoristaPorCarreta(normalizaCarreta(carreta));
-  }
-
-  try {
-    // 1) Valida carreta no KMM
-    const okKmm = await existeCarretaAtivaNoKMM(normalizaCarreta(carreta));
-    if (!okKmm) {
-      return res.status(404).json({ status: 'erro', mensagem: 'Carreta não encontrada ou inativa.' });
-    }
-
-    // 2) Bloqueio 7 dias
-    const limite = moment().tz('America/Sao_Paulo').subtract(7, 'days').format('YYYY-MM-DD HH:mm:ss');
-    const [existe] = await pool.query(
-      'SELECT 1 FROM elogios_motoristas WHERE carreta = ? AND token_avaliador = ? AND data_hora >= ? LIMIT 1',
-      [normalizaCarreta(carreta), token, limite]
-    );
-
-    if (existe.length > 0) {
-      return res.status(409).json({ status: 'bloqueado', mensagem: 'Você já elogiou esta carreta nos últimos 7 dias.' });
-    }
-
-    // 3) Cidade/Estado
-    let { cidade, estado } = (latitude && longitude) ? await getCidadeEstado(latitude, longitude) : { cidade: null, estado: null };
-
-    // 4) INSERT (Seguindo a ordem exata da imagem da sua tabela)
-    // Deixamos data_hora e data_registro para o banco preencher (DEFAULT)
-    const sql = `
-      INSERT INTO elogios_motoristas 
-      (nome, nome_motorista, carreta, telefone, elogio, tipo, pontos, latitude, longitude, maps_link, user_agent, cidade, estado, token_avaliador) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    await pool.query(sql, [
-      nome, nome_motorista, normalizaCarreta(carreta), telefone, elogio,
-      'Externo', 1, // tipo e pontos
-      latitude || null, longitude || null, maps_link || null, user_agent || null,
-      cidade, estado, token
-    ]);
-
-    return res.json({ status: 'sucesso', mensagem: 'Elogio salvo com sucesso!' });
-  } catch (err) {
-    console.error('❌ Erro no elogio:', err);
-    return res.status(500).json({ status: 'erro', mensagem: 'Erro interno: ' + (err.sqlMessage || err.message) });
-  }
-});
-
-/* ======================================================
-   ✅ OCORRÊNCIA (CORRIGIDO)
-====================================================== */
-app.post('/ocorrencia', async (req, res) => {
-  let { nome, carreta, telefone, tipo_ocorrencia, descricao, latitude, longitude, maps_link, user_agent } = req.body || {};
-
-  if (!nome || !carreta || !telefone || !tipo_ocorrencia || !descricao) {
-    return res.status(400).json({ status: 'erro', mensagem: 'Campos obrigatórios não preenchidos.' });
-  }
-
-  try {
-    const okKmm = await existeCarretaAtivaNoKMM(normalizaCarreta(carreta));
-    if (!okKmm) {
-      return res.status(404).json({ status: 'erro', mensagem: 'Placa não encontrada no KMM.' });
-    }
-
-    let { cidade, estado } = (latitude && longitude) ? await getCidadeEstado(latitude, longitude) : { cidade: null, estado: null };
-
-    // INSERT ajustado para a imagem "ocorrencias_motoristas"
-    const sql = `
-      INSERT INTO ocorrencias_motoristas 
-      (nome, carreta, telefone, tipo_ocorrencia, descricao, latitude, longitude, maps_link, user_agent, cidade, estado) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    await pool.query(sql, [
-      nome, normalizaCarreta(carreta), telefone, tipo_ocorrencia, descricao,
-      latitude || null, longitude || null, maps_link || null, user_agent || null, 
-      cidade, estado
-    ]);
-
-    return res.json({ status: 'sucesso', mensagem: 'Ocorrência salva!' });
-  } catch (err) {
-    console.error('❌ Erro na ocorrência:', err);
-    return res.status(500).json({ status: 'erro', mensagem: 'Erro ao salvar: ' + (err.sqlMessage || err.message) });
-  }
-});
-
-/* ======================================================
-   ✅ MOTORISTAS ATIVOS (KMM) - AUTOCOMPLETE
-====================================================== */
-app.get('/motoristas-ativos', async (req, res) => {
-  try {
-    const query = `
-      SELECT 
-        fd."MATRICULA" AS matricula, 
-        fd."NOME" AS nome_motorista
-      FROM folha.funcionario_dados fd
-      WHERE fd."DATA_ADMISSAO" IS NOT NULL
-        AND fd."DATA_DEMISSAO" IS NULL
-        AND fd."CARGO" ILIKE ANY (ARRAY[
-            'MOTORISTA',
-            'MOTORISTA CARRETEIRO',
-            'MOTORISTA CARRETEIRO III',
-            'MOTORISTA CHECK LIST',
-            'MOTORISTA DE BITREM',
-            'MOTORISTA DE MANUTENCAO',
-            'MOTORISTA ENTREGADOR',
-            'MOTORISTA INSTRUTOR',
-            'MOTORISTA MANOBRA',
-            'MOTORISTA TOCO',
-            'MOTORISTA TRAINEE',
-            'MOTORISTA TRUCK'
-        ])
-      ORDER BY fd."NOME"
-    `;
-
-    const result = await poolKMM.query(query);
-    return res.json(result.rows);
-  } catch (error) {
-    console.error('❌ Erro ao buscar motoristas ativos do KMM:', error.message);
-    return res.status(500).json({ status: 'erro', mensagem: 'Erro ao buscar motoristas' });
-  }
-});
-
-
-
-/* ======================================================
-   ✅ CARRETAS ATIVAS (KMM) - AUTOCOMPLETE
-   Regra: modalidade = 'frota' AND data_cancelamento IS NULL
-   Uso: /carretas-ativas?q=ABC&limit=20
-====================================================== */
-
-// Se você souber o nome exato da coluna no futuro, coloque aqui e pronto.
-// Ex: const VM_CARRETA_COL_OVERRIDE = 'PLACA_CARRETA';
-const VM_CARRETA_COL_OVERRIDE = null;
-
-const PLACA_RE = /^([A-Z]{3}[0-9]{4}|[A-Z]{3}[0-9][A-Z0-9][0-9]{2})$/;
-
-function parecePlaca(v) {
-  const norm = normalizaCarreta(v);
-  return PLACA_RE.test(norm);
+const geocoder = criarGeocoderDoEnv(pool);
+
+// backfill periódico de cidade/estado que ficaram null
+const GEO_BACKFILL_INTERVALO_MIN = Number(process.env.GEO_BACKFILL_INTERVALO_MIN ?? 30);
+if (GEO_BACKFILL_INTERVALO_MIN > 0) {
+  setInterval(() => {
+    geocoder.backfill()
+      .then(resumo => {
+        const total = Object.values(resumo).reduce((s, r) => s + r.atualizados, 0);
+        if (total) console.log(`🗺️ Backfill cidade/estado: ${total} registros atualizados`);
+      })
+      .catch(e => console.warn('⚠ Backfill cidade/estado falhou:', e.message));
+  }, GEO_BACKFILL_INTERVALO_MIN * 60 * 1000).unref();
 }
 
-let vmBaseColsCache = null;
-let vmCarretaColCache = null;
-
-async function resolveVmBaseCols() {
-  if (vmBaseColsCache) return vmBaseColsCache;
-
-  const fallback = {
-    modalidade: 'modalidade',
-    data_cancelamento: 'data_cancelamento',
-  };
-
-  try {
-    const meta = await poolKMM.query(
-      `
-      SELECT column_name
-      FROM information_schema.columns
-      WHERE table_schema = $1 AND table_name = $2
-      `,
-      ['veiculo', 'veiculo_motorista']
-    );
+// limpeza diária das chaves de idempotência (fila offline)
+setInterval(() => {
+  limparChavesAntigas(pool)
+    .then(n => n && console.log(`🧹 ${n} chaves de idempotência removidas`))
+    .catch(e => console.warn('⚠ Limpeza de idempotência falhou:', e.message));
+}, 24 * 60 * 60 * 1000).unref();
 
-    const cols = meta.rows.map(r => r.column_name);
-    const lower = cols.map(c => c.toLowerCase());
+// LGPD: anonimiza telefone/GPS dos envios mais antigos que LGPD_ANONIMIZAR_MESES (diário)
+setInterval(() => {
+  rodarRetencao(pool)
+    .then(({ total }) => total && console.log(`🔒 Retenção LGPD: ${total} registros anonimizados/removidos`))
+    .catch(e => console.warn('⚠ Retenção LGPD falhou:', e.message));
+}, 24 * 60 * 60 * 1000).unref();
 
-    const pick = (candidates) => {
-      for (const cand of candidates) {
-        const idx = lower.indexOf(cand.toLowerCase());
-        if (idx >= 0) return cols[idx];
-      }
-      return null;
-    };
-
-    const colModalidade = pick(['modalidade', 'Modalidade']);
-    const colCancel = pick(['data_cancelamento', 'DATA_CANCELAMENTO', 'Data_Cancelamento']);
-
-    vmBaseColsCache = {
-      modalidade: colModalidade || fallback.modalidade,
-      data_cancelamento: colCancel || fallback.data_cancelamento
-    };
-
-    console.log('✅ Base cols veiculo.veiculo_motorista:', vmBaseColsCache);
-    return vmBaseColsCache;
-  } catch (e) {
-    console.warn('⚠ resolveVmBaseCols falhou (fallback):', e.message);
-    vmBaseColsCache = fallback;
-    return vmBaseColsCache;
-  }
-}
-
-async function resolveCarretaCol() {
-  if (VM_CARRETA_COL_OVERRIDE) return VM_CARRETA_COL_OVERRIDE;
-  if (vmCarretaColCache) return vmCarretaColCache;
-
-  const { modalidade, data_cancelamento } = await resolveVmBaseCols();
-
-  const meta = await poolKMM.query(
-    `
-    SELECT column_name
-    FROM information_schema.columns
-    WHERE table_schema = $1 AND table_name = $2
-    `,
-    ['veiculo', 'veiculo_motorista']
-  );
-
-  const cols = meta.rows.map(r => r.column_name)
-    // só deixa nomes seguros de identifier
-    .filter(c => /^[A-Za-z0-9_]+$/.test(c));
-
-  // rank por “probabilidade”
-  const scored = cols.map(c => {
-    const n = c.toLowerCase();
-    let score = 0;
-    if (n.includes('carreta')) score += 50;
-    if (n.includes('placa')) score += 30;
-    if (n.includes('veiculo')) score += 10;
-    if (n === modalidade.toLowerCase()) score = -999;
-    if (n === data_cancelamento.toLowerCase()) score = -999;
-    return { col: c, score };
-  }).sort((a, b) => b.score - a.score);
-
-  // testa as top colunas e escolhe a primeira que tem cara de placa
-  for (const { col } of scored.slice(0, 25)) {
-    const normSql = `regexp_replace(upper(vm."${col}"::text), '[^A-Z0-9]', '', 'g')`;
-
-    const testSql = `
-      SELECT ${normSql} AS v
-      FROM veiculo.veiculo_motorista vm
-      WHERE lower(vm."${modalidade}"::text) = 'frota'
-        AND vm."${data_cancelamento}" IS NULL
-        AND vm."${col}" IS NOT NULL
-      LIMIT 50
-    `;
-
-    try {
-      const r = await poolKMM.query(testSql);
-      const values = (r.rows || []).map(x => x.v).filter(Boolean);
-
-      if (values.some(v => parecePlaca(v))) {
-        vmCarretaColCache = col;
-        console.log('✅ Coluna de carreta detectada automaticamente:', col);
-        return col;
-      }
-    } catch (e) {
-      // ignora e tenta a próxima
-    }
-  }
-
-  // se não achou, não chuta (pra não ficar 500 “misterioso”)
-  throw new Error(
-    'Não consegui detectar automaticamente a coluna de placa da carreta em veiculo.veiculo_motorista. ' +
-    'Defina VM_CARRETA_COL_OVERRIDE com o nome correto.'
-  );
+/* ============================
+   EVENTOS + NOTIFICAÇÕES + WEBHOOKS - ver src/eventos.js, src/notificacoes.js e src/webhooks.js
+============================ */
+const eventos = criarEventos();
+const notificacoes = criarNotificacoes({ pool, eventos, getMotoristaKMMPorCarreta: kmm.getMotoristaPorCarreta });
+const webhooks = criarWebhooks({ pool, eventos });
+
+// envios aceitos com o KMM fora: revalida quando ele volta
+const KMM_REVALIDAR_MIN = Number(process.env.KMM_REVALIDAR_MIN ?? 5);
+if (KMM_REVALIDAR_MIN > 0) {
+  setInterval(() => {
+    if (!kmm.status().disponivel) return;
+    revalidarPendentes({ pool, kmm, eventos })
+      .then(resumo => {
+        const total = Object.values(resumo).reduce((s, r) => s + r.validadas + r.invalidas, 0);
+        if (total) console.log(`🚛 Revalidação KMM: ${total} envios revalidados`);
+      })
+      .catch(e => console.warn('⚠ Revalidação KMM falhou:', e.message));
+  }, KMM_REVALIDAR_MIN * 60 * 1000).unref();
 }
 
-app.get('/carretas-ativas', async (req, res) => {
-  try {
-    const q = normalizaCarreta(req.query.q || '');
-    const limitRaw = parseInt(req.query.limit, 10);
-    const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 50) : 20;
-
-    const placaNormSql = `regexp_replace(upper(vm."PLACA"::text), '[^A-Z0-9]', '', 'g')`;
-    const whereBusca = q ? `AND ${placaNormSql} LIKE $1` : '';
-    const params = q ? [`${q}%`, limit] : [limit];
-
-    const sql = `
-      SELECT DISTINCT ${placaNormSql} AS carreta
-      FROM veiculo.veiculo_modalidade vm
-      WHERE lower(vm."MODALIDADE"::text) = 'frota'
-        AND vm."DATA_CANCELAMENTO" IS NULL
-        AND vm."PLACA" IS NOT NULL
-        ${whereBusca}
-      ORDER BY carreta
-      LIMIT $${q ? 2 : 1}
-    `;
-
-    const result = await poolKMM.query(sql, params);
-    return res.json((result.rows || []).map(r => ({ carreta: r.carreta })));
-  } catch (error) {
-    console.error('❌ Erro ao buscar carretas ativas (KMM):', error.message);
-    return res.status(500).json({ status: 'erro', mensagem: error.message });
-  }
-});
-
-
-/* ======================================================
-   ✅ ELOGIO INTERNO (CORRIGIDO)
-   Agora envia 'tipo' e 'pontos' para o banco
-====================================================== */
-app.post('/elogio-interno', async (req, res) => {
-  try {
-    const token = String(req.get('x-avaliador-token') || '').trim().toLowerCase();
-    console.log('HEADER /elogio-interno x-avaliador-token =>', token);
-
-    if (!token) {
-      return res.status(400).json({ status: 'erro', mensagem: 'Token do avaliador não informado.' });
-    }
-
-    let { matricula, elogio, autor, telefone, latitude, longitude, maps_link } = req.body || {};
-
-    console.log('📥 /elogio-interno body (raw):', req.body);
-
-    if (!matricula || !elogio || !autor || !telefone) {
-      return res.status(400).json({ status: 'erro', mensagem: 'Todos os campos são obrigatórios.' });
-    }
-
-    matricula = onlyDigits(matricula);
-    if (!matricula) {
-      return res.status(400).json({ status: 'erro', mensagem: 'Matrícula inválida.' });
-    }
-
-    const tel = onlyDigits(telefone);
-    if (!/^\d{10,11}$/.test(tel)) {
-      return res.status(400).json({
-        status: 'erro',
-        mensagem: 'Telefone inválido. Use apenas números com DDD (10 ou 11 dígitos).'
-      });
-    }
-
-   // BLOQUEIO 7 DIAS (matricula + token)
-      const limite = moment().tz('America/Sao_Paulo').subtract(7, 'days').format('YYYY-MM-DD HH:mm:ss');
-
-      const verificaSql = `
-        SELECT 1
-        FROM elogios_internos
-        WHERE matricula = ?
-          AND token_avaliador = ?
-          AND data_hora >= ?
-        LIMIT 1
-      `;
-
-      const [existe] = await pool.query(verificaSql, [matricula, token, limite]);
-
-      if (existe.length > 0) {
-        return res.status(409).json({
-          status: 'bloqueado',
-          mensagem: 'Você já enviou um elogio para este motorista nos últimos 7 dias.'
-        });
-      }
-
-    // busca nome do motorista no KMM (fallback)
-    let motorista = 'Desconhecido';
-    try {
-      const kmm = await poolKMM.query(
-        `SELECT "NOME" FROM folha.funcionario_dados WHERE "MATRICULA" = $1 LIMIT 1`,
-        [matricula]
-      );
-      motorista = kmm.rows?.[0]?.NOME || motorista;
-    } catch (e) {
-      console.warn('⚠ KMM indisponível na busca de matrícula:', e.message);
-    }
-
-    // cidade/estado via geocoding (se tiver lat/lon)
-    let cidade = null, estado = null;
-    if (latitude && longitude) {
-      const local = await getCidadeEstado(latitude, longitude);
-      cidade = local.cidade;
-      estado = local.estado;
-    }
-
-    // === DEFININDO VALORES PADRÃO QUE FALTAVAM ===
-    const tipo = 'Interno'; // Define fixo como Interno
-    const pontos = 2;       // Define quantos pontos vale (ex: 1)
-
-    // === SQL ATUALIZADO COM AS NOVAS COLUNAS ===
-    const sql = `
-      INSERT INTO elogios_internos
-      (matricula, elogio, motorista, telefone, latitude, longitude, maps_link, cidade, estado, data_hora, token_avaliador, tipo, pontos)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    const params = [
-      matricula,
-      String(elogio || '').trim(),
-      motorista,
-      tel,
-      latitude || null,
-      longitude || null,
-      maps_link || null,
-      cidade,
-      estado,
-      getDataAtual(),
-      token,
-      tipo,   // <--- Adicionado
-      pontos  // <--- Adicionado
-    ];
-
-    const [result] = await pool.query(sql, params);
-
-    console.log('✅ /elogio-interno inserido:', { insertId: result?.insertId, params });
+/* ============================
+   ANEXOS (foto/vídeo) - ver src/anexos.js e src/armazenamento.js
+============================ */
+const armazenamento = criarArmazenamento(process.env.ANEXOS_ARMAZENAMENTO);
 
-    return res.json({
-      status: 'sucesso',
-      mensagem: 'Elogio interno salvo com sucesso!',
-      id: result?.insertId || null
-    });
-  } catch (err) {
-    console.error('❌ /elogio-interno erro:', err.sqlMessage || err.message, { body: req.body });
-    return res.status(500).json({ status: 'erro', mensagem: 'Erro ao salvar elogio interno.' });
-  }
-});
+/* ============================
+   APP (rotas) - ver src/app.js
+============================ */
+const app = criarApp({ pool, kmm, geocoder, eventos, armazenamento, notificacoes, webhooks });
 
 /* ============================
    HTTP/HTTPS (LOCAL/PROD)
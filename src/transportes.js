@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { getDataAtual } = require('./utils');
+
+/* ======================================================
+   TRANSPORTES DE MENSAGEM (SMS / WhatsApp / e-mail / webhook)
+   Todo transporte expõe: { nome, async enviar({ para, canal, assunto, texto, dados }) }
+   - console: só imprime (desenvolvimento). Recusado com NODE_ENV=production:
+     código de acesso e telefone iriam parar no log.
+   - arquivo: grava uma linha JSON por mensagem (desenvolvimento / testes)
+   - http: POST num gateway (SMS/WhatsApp) da empresa
+   - email: SMTP (nodemailer)
+   - webhook: POST JSON na URL do destino (para = URL; ex.: canal do Teams)
+====================================================== */
+
+function transporteConsole() {
+  return {
+    nome: 'console',
+    async enviar({ para, canal, assunto, texto }) {
+      // uma linha por mensagem (texto com várias linhas embaralha o log)
+      console.log(`📨 [${canal}] para ${para}: ${assunto ? `${assunto} — ` : ''}${String(texto).replace(/\s*\n\s*/g, ' | ')}`);
+      return { id: null };
+    }
+  };
+}
+
+function transporteArquivo({ arquivo }) {
+  return {
+    nome: 'arquivo',
+    async enviar(msg) {
+      await fs.promises.mkdir(path.dirname(arquivo), { recursive: true });
+      await fs.promises.appendFile(arquivo, JSON.stringify({ data_hora: getDataAtual(), ...msg }) + '\n');
+      return { id: null };
+    }
+  };
+}
+
+// Gateway genérico: recebe { para, canal, texto } e devolve { id } (opcional)
+function transporteHttp({ url, token, timeoutMs = 10000 }) {
+  if (!url) throw new Error('Transporte http sem URL configurada');
+
+  return {
+    nome: 'http',
+    async enviar({ para, canal, texto }) {
+      const response = await axios.post(url, { para, canal, texto }, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        timeout: timeoutMs
+      });
+      return { id: response.data?.id || null };
+    }
+  };
+}
+
+function transporteEmail({ host, port, secure, user, pass, de }) {
+  if (!host) throw new Error('Transporte email sem SMTP_HOST configurado');
+
+  const smtp = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    nome: 'email',
+    async enviar({ para, assunto, texto }) {
+      const info = await smtp.sendMail({ from: de, to: para, subject: assunto || 'Rota de Oportunidade', text: texto });
+      return { id: info.messageId || null };
+    }
+  };
+}
+
+function transporteWebhook({ token, timeoutMs = 10000 }) {
+  return {
+    nome: 'webhook',
+    async enviar({ para, canal, assunto, texto, dados }) {
+      if (!/^https?:\/\//.test(String(para))) throw new Error('Destino de webhook precisa ser uma URL');
+      await axios.post(para, { canal, assunto, texto, dados: dados || null }, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        timeout: timeoutMs
+      });
+      return { id: null };
+    }
+  };
+}
+
+function criarTransporte(nome, env = process.env) {
+  switch (String(nome || 'console').toLowerCase()) {
+    case 'console':
+      if (env.NODE_ENV === 'production') {
+        throw new Error(`Transporte ${nome ? 'console' : 'não configurado'}: em produção use http, email, webhook ou arquivo`);
+      }
+      return transporteConsole();
+    case 'arquivo':
+      return transporteArquivo({
+        arquivo: path.resolve(__dirname, '..', env.TRANSPORTE_ARQUIVO || 'logs/mensagens.log')
+      });
+    case 'http':
+      return transporteHttp({
+        url: env.TRANSPORTE_HTTP_URL,
+        token: env.TRANSPORTE_HTTP_TOKEN,
+        timeoutMs: Number(env.TRANSPORTE_HTTP_TIMEOUT_MS || 10000)
+      });
+    case 'email':
+      return transporteEmail({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT || 587),
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        de: env.SMTP_DE || env.SMTP_USER
+      });
+    case 'webhook':
+      return transporteWebhook({
+        token: env.TRANSPORTE_WEBHOOK_TOKEN,
+        timeoutMs: Number(env.TRANSPORTE_HTTP_TIMEOUT_MS || 10000)
+      });
+    default:
+      throw new Error(`Transporte desconhecido: ${nome}`);
+  }
+}
+
+module.exports = {
+  transporteConsole,
+  transporteArquivo,
+  transporteHttp,
+  transporteEmail,
+  transporteWebhook,
+  criarTransporte
+};
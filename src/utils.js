@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+
+const TZ = 'America/Sao_Paulo';
+
+// Data/Hora São Paulo
+function getDataAtual() {
+  return moment().tz(TZ).format('YYYY-MM-DD HH:mm:ss');
+}
+
+function onlyDigits(v) {
+  return String(v || '').replace(/\D/g, '');
+}
+
+function normalizaCarreta(valor) {
+  return String(valor || '')
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+// O Nominatim grava o nome do estado por extenso ("São Paulo"),
+// então os filtros por UF precisam aceitar as duas formas.
+const UFS = {
+  AC: 'Acre', AL: 'Alagoas', AP: 'Amapá', AM: 'Amazonas', BA: 'Bahia',
+  CE: 'Ceará', DF: 'Distrito Federal', ES: 'Espírito Santo', GO: 'Goiás',
+  MA: 'Maranhão', MT: 'Mato Grosso', MS: 'Mato Grosso do Sul', MG: 'Minas Gerais',
+  PA: 'Pará', PB: 'Paraíba', PR: 'Paraná', PE: 'Pernambuco', PI: 'Piauí',
+  RJ: 'Rio de Janeiro', RN: 'Rio Grande do Norte', RS: 'Rio Grande do Sul',
+  RO: 'Rondônia', RR: 'Roraima', SC: 'Santa Catarina', SP: 'São Paulo',
+  SE: 'Sergipe', TO: 'Tocantins'
+};
+
+function semAcento(v) {
+  return String(v || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Aceita sigla ou nome por extenso. Retorna { sigla, nome } ou null.
+function resolveUF(valor) {
+  const v = String(valor || '').trim();
+  if (!v) return null;
+
+  const sigla = v.toUpperCase();
+  if (UFS[sigla]) return { sigla, nome: UFS[sigla] };
+
+  const alvo = semAcento(v);
+  for (const [s, nome] of Object.entries(UFS)) {
+    if (semAcento(nome) === alvo) return { sigla: s, nome };
+  }
+  return null;
+}
+
+// Protocolo entregue a quem registrou: prefixo + 10 caracteres aleatórios
+// (base32 sem 0/O/1/I/L para não confundir na hora de digitar).
+const PROTOCOLO_ALFABETO = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+function gerarProtocolo(prefixo) {
+  const bytes = crypto.randomBytes(10);
+  let codigo = '';
+  for (const b of bytes) codigo += PROTOCOLO_ALFABETO[b % PROTOCOLO_ALFABETO.length];
+  return `${prefixo}-${codigo}`;
+}
+
+// Telas fora da equipe (portal do motorista, LGPD): "11*****4321"
+function mascararTelefone(v) {
+  const d = onlyDigits(v);
+  return d.length >= 8 ? `${d.slice(0, 2)}*****${d.slice(-4)}` : null;
+}
+
+// "JOAO DA SILVA" -> "Joao S." (primeiro nome + inicial do último)
+function mascararNome(v) {
+  const partes = String(v || '').trim().split(/\s+/).filter(Boolean);
+  if (!partes.length) return null;
+  const cap = p => p.charAt(0).toUpperCase() + p.slice(1).toLowerCase();
+  const ultimo = partes.length > 1 ? ` ${partes[partes.length - 1].charAt(0).toUpperCase()}.` : '';
+  return cap(partes[0]) + ultimo;
+}
+
+// Segredo de assinatura do .env; sem ele, um aleatório que só vale até o próximo reinício
+function segredoDoAmbiente(valor, aviso) {
+  if (valor) return valor;
+  console.warn(`⚠ ${aviso}`);
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Comparação em tempo constante (tokens, assinaturas, hashes de código)
+function tokenIgual(a, b) {
+  const ba = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+// Cookie da requisição (sem cookie-parser); null se não veio
+function lerCookie(req, nome) {
+  const par = String(req.headers.cookie || '').split(';').map(s => s.trim()).find(s => s.startsWith(`${nome}=`));
+  if (!par) return null;
+  try {
+    return decodeURIComponent(par.slice(nome.length + 1));
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  TZ,
+  UFS,
+  getDataAtual,
+  onlyDigits,
+  normalizaCarreta,
+  resolveUF,
+  gerarProtocolo,
+  mascararTelefone,
+  mascararNome,
+  lerCookie,
+  segredoDoAmbiente,
+  tokenIgual
+};
@@ -0,0 +1,200 @@
+const { onlyDigits, normalizaCarreta } = require('./utils');
+
+/* ======================================================
+   VALIDAÇÃO DECLARATIVA DO CORPO (rotas de envio)
+   Cada rota declara { campo: tipo(...) }; validarCorpo(esquema) limpa,
+   valida e troca req.body só pelos campos declarados (o resto é descartado).
+
+   Erro (400):
+   { status:'erro', codigo:'validacao', mensagem, campos:[{ campo, codigo, mensagem }] }
+   codigos de campo: obrigatorio | formato | muito_curto | muito_longo | fora_do_intervalo | incompleto
+====================================================== */
+
+// controles invisíveis (menos \n e \t) e marcas de direção/zero-width
+const CONTROLES_RE = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g;
+
+// Texto livre: NFC, sem controles; uma linha só (ou no máx. 1 linha em branco seguida, se multilinha)
+function sanitizarTexto(valor, { multilinha = false } = {}) {
+  let s = String(valor ?? '').normalize('NFC').replace(/\r\n?/g, '\n').replace(CONTROLES_RE, '');
+  if (multilinha) {
+    s = s.replace(/\t/g, ' ').replace(/[ ]+\n/g, '\n').replace(/\n{3,}/g, '\n\n');
+  } else {
+    s = s.replace(/\s+/g, ' ');
+  }
+  return s.trim();
+}
+
+function vazio(valor) {
+  return valor === undefined || valor === null || String(valor).trim() === '';
+}
+
+function falha(codigo, mensagem) {
+  return { erro: { codigo, mensagem } };
+}
+
+/* ============================
+   TIPOS DE CAMPO
+   cada um: (valor bruto) -> { valor } | { erro: { codigo, mensagem } }
+   rotulo entra nas mensagens ("Nome é obrigatório.")
+============================ */
+
+function campo(rotulo, obrigatorio, validar) {
+  return bruto => {
+    if (vazio(bruto)) {
+      return obrigatorio ? falha('obrigatorio', `${rotulo} é obrigatório.`) : { valor: null };
+    }
+    return validar(bruto);
+  };
+}
+
+function texto(rotulo, { obrigatorio = false, min = 0, max = 255, multilinha = false, truncar = false } = {}) {
+  return campo(rotulo, obrigatorio, bruto => {
+    let valor = sanitizarTexto(bruto, { multilinha });
+    if (!valor) return obrigatorio ? falha('obrigatorio', `${rotulo} é obrigatório.`) : { valor: null };
+    if (valor.length > max) {
+      // truncar: campos técnicos (ex.: user agent) não recusam o envio
+      if (!truncar) return falha('muito_longo', `${rotulo} aceita no máximo ${max} caracteres.`);
+      valor = valor.slice(0, max);
+    }
+    if (valor.length < min) return falha('muito_curto', `${rotulo} precisa de pelo menos ${min} caracteres.`);
+    return { valor };
+  });
+}
+
+// DDD + número, só dígitos (o formulário aceita máscara)
+function telefone(rotulo = 'Telefone', { obrigatorio = true } = {}) {
+  return campo(rotulo, obrigatorio, bruto => {
+    const valor = onlyDigits(bruto);
+    if (!/^\d{10,11}$/.test(valor)) {
+      return falha('formato', `${rotulo} inválido. Use apenas números com DDD (10 ou 11 dígitos).`);
+    }
+    return { valor };
+  });
+}
+
+// Placa: só o formato grosso aqui; se é da frota quem diz é o KMM (com sugestões)
+function placa(rotulo = 'Placa', { obrigatorio = true } = {}) {
+  return campo(rotulo, obrigatorio, bruto => {
+    const valor = normalizaCarreta(bruto);
+    if (!/^[A-Z0-9]{5,10}$/.test(valor)) return falha('formato', `${rotulo} inválida.`);
+    return { valor };
+  });
+}
+
+function matricula(rotulo = 'Matrícula', { obrigatorio = true } = {}) {
+  return campo(rotulo, obrigatorio, bruto => {
+    const valor = onlyDigits(bruto);
+    if (!valor || valor.length > 20) return falha('formato', `${rotulo} inválida.`);
+    return { valor };
+  });
+}
+
+// código de catálogo (ex.: tipo de ocorrência): minúsculas, dígitos e _
+function codigo(rotulo, { obrigatorio = true, max = 60 } = {}) {
+  return campo(rotulo, obrigatorio, bruto => {
+    const valor = String(bruto).trim().toLowerCase();
+    if (valor.length > max || !/^[a-z0-9_]+$/.test(valor)) return falha('formato', `${rotulo} inválido.`);
+    return { valor };
+  });
+}
+
+// aceita vírgula decimal ("-22,9"); devolve número
+function numero(rotulo, { obrigatorio = false, min = -Infinity, max = Infinity, inteiro = false } = {}) {
+  return campo(rotulo, obrigatorio, bruto => {
+    const valor = Number(String(bruto).trim().replace(',', '.'));
+    if (!Number.isFinite(valor) || (inteiro && !Number.isInteger(valor))) return falha('formato', `${rotulo} inválida.`);
+    if (valor < min || valor > max) return falha('fora_do_intervalo', `${rotulo} fora do intervalo (${min} a ${max}).`);
+    return { valor };
+  });
+}
+
+function url(rotulo, { obrigatorio = false, max = 255 } = {}) {
+  return campo(rotulo, obrigatorio, bruto => {
+    const valor = sanitizarTexto(bruto);
+    if (valor.length > max) return falha('muito_longo', `${rotulo} aceita no máximo ${max} caracteres.`);
+    let u;
+    try { u = new URL(valor); } catch { u = null; }
+    if (!u || !['http:', 'https:'].includes(u.protocol)) return falha('formato', `${rotulo} inválido.`);
+    return { valor };
+  });
+}
+
+// checkbox / flag: '1', 'true', 'on' (multipart manda string)
+function flag() {
+  return bruto => ({ valor: ['1', 'true', 'on'].includes(String(bruto ?? '').trim().toLowerCase()) });
+}
+
+// caixa que precisa estar marcada (ex.: aceite do aviso de privacidade)
+function aceite(mensagem) {
+  return bruto => (flag()(bruto).valor ? { valor: true } : falha('obrigatorio', mensagem));
+}
+
+// latitude/longitude: as duas ou nenhuma
+const COORDENADAS = {
+  latitude: numero('Latitude', { min: -90, max: 90 }),
+  longitude: numero('Longitude', { min: -180, max: 180 })
+};
+
+/* ============================
+   VALIDAÇÃO
+============================ */
+
+// esquema: { campo: tipo }; opcoes.juntos: [['latitude','longitude']] (vêm juntos ou nenhum)
+function validar(esquema, corpo, { juntos = [] } = {}) {
+  const dados = {};
+  const campos = [];
+
+  for (const [nome, tipo] of Object.entries(esquema)) {
+    const r = tipo(corpo?.[nome]);
+    if (r.erro) campos.push({ campo: nome, ...r.erro });
+    else dados[nome] = r.valor;
+  }
+
+  for (const grupo of juntos) {
+    const presentes = grupo.filter(n => dados[n] !== null && dados[n] !== undefined);
+    if (presentes.length && presentes.length < grupo.length && !campos.some(c => grupo.includes(c.campo))) {
+      const faltando = grupo.filter(n => !presentes.includes(n));
+      for (const n of faltando) {
+        campos.push({ campo: n, codigo: 'incompleto', mensagem: `Envie ${grupo.join(' e ')} juntos.` });
+      }
+    }
+  }
+
+  return campos.length ? { campos } : { dados };
+}
+
+function respostaValidacao(campos) {
+  return {
+    status: 'erro',
+    codigo: 'validacao',
+    mensagem: campos.length === 1 ? campos[0].mensagem : `${campos[0].mensagem} (+${campos.length - 1} campo(s) com problema)`,
+    campos
+  };
+}
+
+// Middleware: depois do receberAnexos/exigeAuth e antes do anti-abuso (que lê o corpo já limpo)
+function validarCorpo(esquema, opcoes) {
+  return (req, res, next) => {
+    const r = validar(esquema, req.body, opcoes);
+    if (r.campos) return res.status(400).json(respostaValidacao(r.campos));
+    req.body = r.dados;
+    next();
+  };
+}
+
+module.exports = {
+  sanitizarTexto,
+  texto,
+  telefone,
+  placa,
+  matricula,
+  codigo,
+  numero,
+  url,
+  flag,
+  aceite,
+  COORDENADAS,
+  validar,
+  respostaValidacao,
+  validarCorpo
+};
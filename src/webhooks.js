@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const moment = require('moment-timezone');
+const { TZ, getDataAtual } = require('./utils');
+const { exigeAuth, exigePapel } = require('./auth');
+
+/* ======================================================
+   WEBHOOKS DE SAÍDA (BI, RH e outros sistemas internos)
+   Assinatura = URL + lista de eventos (ou '*') + segredo HMAC.
+   Cada evento vira uma linha em webhook_entregas (log + fila de retentativa).
+
+   Headers enviados:
+     X-Webhook-Id         id do evento (use para descartar repetidos)
+     X-Webhook-Evento     ex.: elogio.created
+     X-Webhook-Assinatura t=<epoch s>,v1=<hex HMAC-SHA256 de "<t>.<corpo>">
+====================================================== */
+
+const EVENTOS_WEBHOOK = [
+  'elogio.created',
+  'elogio_interno.created',
+  'ocorrencia.created',
+  'elogio.moderated',
+  'elogio_interno.moderated',
+  'ocorrencia.moderated'
+];
+
+// espera antes da tentativa N+1 (minutos); acabou a lista => 'falhou'
+const BACKOFF_MIN = [1, 5, 15, 60, 360, 1440];
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const LOTE = 20;
+
+const FMT = 'YYYY-MM-DD HH:mm:ss';
+const daquiA = minutos => moment().tz(TZ).add(minutos, 'minutes').format(FMT);
+
+function assinar(segredo, corpo, t = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto.createHmac('sha256', segredo).update(`${t}.${corpo}`).digest('hex');
+  return `t=${t},v1=${v1}`;
+}
+
+function parseEventos(valor) {
+  const lista = (Array.isArray(valor) ? valor : String(valor || '').split(','))
+    .map(e => String(e).trim())
+    .filter(Boolean);
+  if (!lista.length) return { erro: 'Informe ao menos um evento.' };
+
+  const invalidos = lista.filter(e => e !== '*' && !EVENTOS_WEBHOOK.includes(e));
+  if (invalidos.length) {
+    return { erro: `Evento(s) inválido(s): ${invalidos.join(', ')}. Use: *, ${EVENTOS_WEBHOOK.join(', ')}.` };
+  }
+  return { eventos: [...new Set(lista)] };
+}
+
+function urlValida(url) {
+  try {
+    const u = new URL(String(url));
+    return u.protocol === 'https:' || u.protocol === 'http:';
+  } catch (e) {
+    return false;
+  }
+}
+
+function criarWebhooks({ pool, eventos }) {
+  let processando = false;
+
+  // Uma tentativa. Atualiza a entrega com o resultado / próxima tentativa.
+  async function entregar(entrega) {
+    const [subs] = await pool.query(
+      'SELECT id, url, segredo, ativo FROM webhook_assinaturas WHERE id = ? LIMIT 1',
+      [entrega.assinatura_id]
+    );
+    const sub = subs[0];
+    if (!sub || !sub.ativo) {
+      await pool.query(
+        `UPDATE webhook_entregas SET status = 'cancelada', ultimo_erro = ? WHERE id = ?`,
+        ['assinatura inativa ou removida', entrega.id]
+      );
+      return;
+    }
+
+    const corpo = typeof entrega.payload === 'string' ? entrega.payload : JSON.stringify(entrega.payload);
+    const tentativas = entrega.tentativas + 1;
+    let http = null;
+    let erro = null;
+
+    try {
+      const resp = await axios.post(sub.url, corpo, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'rota-oportunidade-webhooks/1',
+          'X-Webhook-Id': entrega.evento_id,
+          'X-Webhook-Evento': entrega.evento,
+          'X-Webhook-Assinatura': assinar(sub.segredo, corpo)
+        },
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      http = resp.status;
+      if (http < 200 || http >= 300) erro = `HTTP ${http}`;
+    } catch (err) {
+      erro = err.code || err.message;
+    }
+
+    if (!erro) {
+      await pool.query(
+        `UPDATE webhook_entregas
+         SET status = 'entregue', tentativas = ?, ultimo_http = ?, ultimo_erro = NULL, entregue_em = ?, proxima_tentativa_em = NULL
+         WHERE id = ?`,
+        [tentativas, http, getDataAtual(), entrega.id]
+      );
+      return;
+    }
+
+    const espera = BACKOFF_MIN[tentativas - 1];
+    await pool.query(
+      `UPDATE webhook_entregas
+       SET status = ?, tentativas = ?, ultimo_http = ?, ultimo_erro = ?, proxima_tentativa_em = ?
+       WHERE id = ?`,
+      [espera ? 'pendente' : 'falhou', tentativas, http, String(erro).slice(0, 255), espera ? daquiA(espera) : null, entrega.id]
+    );
+    if (!espera) console.warn(`⚠ Webhook #${entrega.id} (${entrega.evento}) desistiu após ${tentativas} tentativas: ${erro}`);
+  }
+
+  // Evento publicado -> uma entrega por assinatura interessada, tentada na hora
+  async function enfileirar(evento) {
+    const [subs] = await pool.query('SELECT id, eventos FROM webhook_assinaturas WHERE ativo = 1');
+    const interessadas = subs.filter(s => {
+      const lista = String(s.eventos || '').split(',');
+      return lista.includes('*') || lista.includes(evento.tipo);
+    });
+
+    const payload = JSON.stringify({ id: evento.id, evento: evento.tipo, data_hora: evento.data_hora, dados: evento.dados });
+
+    for (const sub of interessadas) {
+      // proxima_tentativa_em no futuro: o worker não pega a mesma entrega enquanto tentamos aqui
+      const [r] = await pool.query(
+        `INSERT INTO webhook_entregas
+         (assinatura_id, evento_id, evento, payload, status, tentativas, proxima_tentativa_em, criado_em)
+         VALUES (?, ?, ?, ?, 'pendente', 0, ?, ?)`,
+        [sub.id, evento.id, evento.tipo, payload, daquiA(BACKOFF_MIN[0]), getDataAtual()]
+      );
+      await entregar({ id: r.insertId, assinatura_id: sub.id, evento_id: evento.id, evento: evento.tipo, payload, tentativas: 0 });
+    }
+  }
+
+  // Retentativas vencidas (uma execução por vez)
+  async function processarPendentes() {
+    if (processando) return 0;
+    processando = true;
+    try {
+      const [rows] = await pool.query(
+        `SELECT id, assinatura_id, evento_id, evento, payload, tentativas
+         FROM webhook_entregas
+         WHERE status = 'pendente' AND proxima_tentativa_em <= ?
+         ORDER BY proxima_tentativa_em
+         LIMIT ?`,
+        [getDataAtual(), LOTE]
+      );
+      for (const entrega of rows) await entregar(entrega);
+      return rows.length;
+    } finally {
+      processando = false;
+    }
+  }
+
+  for (const tipo of EVENTOS_WEBHOOK) eventos.assinar(tipo, enfileirar);
+
+  setInterval(() => {
+    processarPendentes().catch(err => console.warn('⚠ Retentativa de webhooks falhou:', err.message));
+  }, 30 * 1000).unref();
+
+  return { entregar, enfileirar, processarPendentes };
+}
+
+/* ---------- Rotas (autenticado) ---------- */
+
+function semSegredo(sub) {
+  const { segredo, ...resto } = sub;
+  return { ...resto, eventos: String(sub.eventos || '').split(',').filter(Boolean) };
+}
+
+function criarRotasWebhooks({ pool, webhooks }) {
+  const router = express.Router();
+  router.use(exigeAuth, exigePapel('admin'));
+
+  router.get('/assinaturas', async (req, res) => {
+    try {
+      const [rows] = await pool.query('SELECT * FROM webhook_assinaturas ORDER BY id');
+      return res.json({ status: 'sucesso', eventos_disponiveis: EVENTOS_WEBHOOK, assinaturas: rows.map(semSegredo) });
+    } catch (err) {
+      console.error('❌ Erro ao listar webhooks:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao listar webhooks.' });
+    }
+  });
+
+  // O segredo só aparece na criação (e na troca de segredo)
+  router.post('/assinaturas', async (req, res) => {
+    const nome = String(req.body?.nome || '').trim().slice(0, 80);
+    const url = String(req.body?.url || '').trim();
+    const { eventos, erro } = parseEventos(req.body?.eventos);
+
+    if (!nome) return res.status(400).json({ status: 'erro', mensagem: 'Informe o nome.' });
+    if (!urlValida(url)) return res.status(400).json({ status: 'erro', mensagem: 'URL inválida (http/https).' });
+    if (erro) return res.status(400).json({ status: 'erro', mensagem: erro });
+
+    const segredo = crypto.randomBytes(32).toString('hex');
+    try {
+      const [r] = await pool.query(
+        `INSERT INTO webhook_assinaturas (nome, url, eventos, segredo, ativo, criado_por, criado_em)
+         VALUES (?, ?, ?, ?, 1, ?, ?)`,
+        [nome, url, eventos.join(','), segredo, req.usuario.login, getDataAtual()]
+      );
+      return res.status(201).json({ status: 'sucesso', assinatura: { id: r.insertId, nome, url, eventos, ativo: 1, segredo } });
+    } catch (err) {
+      console.error('❌ Erro ao criar webhook:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao criar webhook.' });
+    }
+  });
+
+  // Atualiza nome, url, eventos e/ou ativo
+  router.post('/assinaturas/:id', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const b = req.body || {};
+    const sets = [];
+    const params = [];
+
+    if (b.nome !== undefined) {
+      const nome = String(b.nome).trim().slice(0, 80);
+      if (!nome) return res.status(400).json({ status: 'erro', mensagem: 'Informe o nome.' });
+      sets.push('nome = ?'); params.push(nome);
+    }
+    if (b.url !== undefined) {
+      if (!urlValida(b.url)) return res.status(400).json({ status: 'erro', mensagem: 'URL inválida (http/https).' });
+      sets.push('url = ?'); params.push(String(b.url).trim());
+    }
+    if (b.eventos !== undefined) {
+      const { eventos, erro } = parseEventos(b.eventos);
+      if (erro) return res.status(400).json({ status: 'erro', mensagem: erro });
+      sets.push('eventos = ?'); params.push(eventos.join(','));
+    }
+    if (b.ativo !== undefined) {
+      sets.push('ativo = ?'); params.push(b.ativo === true || b.ativo === 1 || b.ativo === 'true' ? 1 : 0);
+    }
+    if (!sets.length) return res.status(400).json({ status: 'erro', mensagem: 'Nada para atualizar.' });
+
+    try {
+      const [r] = await pool.query(`UPDATE webhook_assinaturas SET ${sets.join(', ')} WHERE id = ?`, [...params, id]);
+      if (!r.affectedRows) return res.status(404).json({ status: 'erro', mensagem: 'Webhook não encontrado.' });
+      return res.json({ status: 'sucesso', mensagem: 'Webhook atualizado.' });
+    } catch (err) {
+      console.error('❌ Erro ao atualizar webhook:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao atualizar webhook.' });
+    }
+  });
+
+  router.post('/assinaturas/:id/segredo', async (req, res) => {
+    const segredo = crypto.randomBytes(32).toString('hex');
+    try {
+      const [r] = await pool.query('UPDATE webhook_assinaturas SET segredo = ? WHERE id = ?', [segredo, parseInt(req.params.id, 10)]);
+      if (!r.affectedRows) return res.status(404).json({ status: 'erro', mensagem: 'Webhook não encontrado.' });
+      return res.json({ status: 'sucesso', segredo });
+    } catch (err) {
+      console.error('❌ Erro ao trocar segredo do webhook:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao trocar segredo.' });
+    }
+  });
+
+  // Log de entregas. Uso: /webhooks/entregas?assinatura_id=1&status=falhou&evento=elogio.created&limit=50
+  router.get('/entregas', async (req, res) => {
+    const cond = [];
+    const params = [];
+    if (req.query.assinatura_id) { cond.push('assinatura_id = ?'); params.push(parseInt(req.query.assinatura_id, 10) || 0); }
+    if (req.query.status) { cond.push('status = ?'); params.push(String(req.query.status)); }
+    if (req.query.evento) { cond.push('evento = ?'); params.push(String(req.query.evento)); }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT id, assinatura_id, evento_id, evento, status, tentativas, ultimo_http, ultimo_erro,
+                proxima_tentativa_em, criado_em, entregue_em
+         FROM webhook_entregas ${cond.length ? `WHERE ${cond.join(' AND ')}` : ''}
+         ORDER BY id DESC LIMIT ?`,
+        [...params, limit]
+      );
+      return res.json({ status: 'sucesso', entregas: rows });
+    } catch (err) {
+      console.error('❌ Erro ao listar entregas de webhook:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao listar entregas.' });
+    }
+  });
+
+  // Reenvio de uma entrega (mesmo evento/payload; conta tentativas do zero)
+  router.post('/entregas/:id/reenviar', async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    try {
+      const [rows] = await pool.query(
+        'SELECT id, assinatura_id, evento_id, evento, payload FROM webhook_entregas WHERE id = ? LIMIT 1',
+        [id]
+      );
+      if (!rows[0]) return res.status(404).json({ status: 'erro', mensagem: 'Entrega não encontrada.' });
+
+      await pool.query(
+        `UPDATE webhook_entregas SET status = 'pendente', tentativas = 0, proxima_tentativa_em = ? WHERE id = ?`,
+        [daquiA(BACKOFF_MIN[0]), id]
+      );
+      await webhooks.entregar({ ...rows[0], tentativas: 0 });
+
+      const [[atual]] = await pool.query(
+        'SELECT id, status, tentativas, ultimo_http, ultimo_erro, entregue_em FROM webhook_entregas WHERE id = ?',
+        [id]
+      );
+      return res.json({ status: 'sucesso', entrega: atual });
+    } catch (err) {
+      console.error('❌ Erro ao reenviar webhook:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao reenviar entrega.' });
+    }
+  });
+
+  // Reenvio em lote: { assinatura_id, de, ate, status?, evento? } -> volta para a fila
+  router.post('/entregas/reenviar', async (req, res) => {
+    const b = req.body || {};
+    const assinaturaId = parseInt(b.assinatura_id, 10);
+    const de = moment.tz(String(b.de || ''), 'YYYY-MM-DD', true, TZ);
+    const ate = moment.tz(String(b.ate || ''), 'YYYY-MM-DD', true, TZ);
+
+    if (!Number.isInteger(assinaturaId)) return res.status(400).json({ status: 'erro', mensagem: 'Informe assinatura_id.' });
+    if (!de.isValid() || !ate.isValid() || de.isAfter(ate)) {
+      return res.status(400).json({ status: 'erro', mensagem: 'Informe de/ate válidos (AAAA-MM-DD).' });
+    }
+
+    const cond = ['assinatura_id = ?', 'criado_em >= ?', 'criado_em <= ?'];
+    const params = [assinaturaId, de.startOf('day').format(FMT), ate.endOf('day').format(FMT)];
+    if (b.status) { cond.push('status = ?'); params.push(String(b.status)); }
+    if (b.evento) { cond.push('evento = ?'); params.push(String(b.evento)); }
+
+    try {
+      const [r] = await pool.query(
+        `UPDATE webhook_entregas SET status = 'pendente', tentativas = 0, proxima_tentativa_em = ?
+         WHERE ${cond.join(' AND ')}`,
+        [getDataAtual(), ...params]
+      );
+      return res.json({ status: 'sucesso', mensagem: 'Entregas recolocadas na fila.', total: r.affectedRows });
+    } catch (err) {
+      console.error('❌ Erro no reenvio em lote de webhooks:', err.message);
+      return res.status(500).json({ status: 'erro', mensagem: 'Erro ao reenviar entregas.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  EVENTOS_WEBHOOK,
+  assinar,
+  criarWebhooks,
+  criarRotasWebhooks
+};
@@ -0,0 +1,89 @@
+const os = require('os');
+const path = require('path');
+
+// antes de carregar src/: segredos fixos e limites folgados (vários envios do mesmo IP)
+process.env.AVALIADOR_SECRET = 'segredo-avaliador-teste';
+process.env.AUTH_SECRET = 'segredo-auth-teste';
+process.env.OTP_SECRET = 'segredo-otp-teste';
+process.env.ADMIN_TOKENS = 'integracao:token-servico-teste';
+process.env.ANTIABUSO_TOKENS_IP_HORA = '1000';
+process.env.ANTIABUSO_ENVIOS_IP_HORA = '1000';
+
+const { criarApp } = require('../../src/app');
+const { criarRepositorioKMM } = require('../../src/kmm');
+const { criarEventos } = require('../../src/eventos');
+const { armazenamentoLocal } = require('../../src/armazenamento');
+const { emitirSessao } = require('../../src/auth');
+const { criarPoolFalso, criarPoolKMMFalso } = require('./bancos-falsos');
+
+// Frota do KMM falso (mesma ideia de db/kmm/001_fixture_kmm.sql)
+const FROTA = {
+  carretas: ['ABC1D23', 'BRA2E19', 'GHI7890'],
+  vinculos: [
+    { carreta: 'ABC1D23', matricula: '10101', motorista: 'JOAO DA SILVA' },
+    { carreta: 'BRA2E19', matricula: '10202', motorista: 'MARIA APARECIDA SOUZA' }
+  ],
+  funcionarios: [
+    { matricula: '10101', nome: 'JOAO DA SILVA' },
+    { matricula: '10202', nome: 'MARIA APARECIDA SOUZA' }
+  ]
+};
+
+const AUTOR = { id: 7, login: 'ana.autora', nome: 'Ana Autora', email: null, papel: 'autor', ativo: 1, sessao_versao: 1 };
+
+// Sobe o app numa porta livre com bancos em memória e geocoding fixo.
+// Códigos de OTP / portal do motorista ficam em `mensagens` (nada sai da máquina);
+// `otp: false` deixa o criarApp montar o transporte do ambiente (OTP_TRANSPORTE).
+async function subirApp({ provedores = {}, usuarios = [], otp = true } = {}) {
+  const pool = criarPoolFalso({ usuarios: [AUTOR, ...usuarios] });
+  const poolKMM = criarPoolKMMFalso(FROTA);
+  const eventos = criarEventos();
+  const publicados = [];
+  eventos.assinar('*', e => publicados.push(e));
+  const mensagens = [];
+
+  const app = criarApp({
+    pool,
+    kmm: criarRepositorioKMM({ poolKMM }),
+    geocoder: { getCidadeEstado: async () => ({ cidade: 'Campinas', estado: 'São Paulo' }) },
+    eventos,
+    armazenamento: armazenamentoLocal({ pasta: path.join(os.tmpdir(), 'elogios-teste-anexos') }),
+    provedores,
+    ...(otp && { transporteOtp: { nome: 'teste', enviar: async msg => { mensagens.push(msg); return { id: null }; } } })
+  });
+
+  const servidor = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${servidor.address().port}`;
+
+  async function requisicao(metodo, caminho, { body, headers = {} } = {}) {
+    const resp = await fetch(url + caminho, {
+      method: metodo,
+      headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: resp.status, headers: resp.headers, body: await resp.json().catch(() => null) };
+  }
+
+  return {
+    url,
+    pool,
+    poolKMM,
+    publicados,
+    mensagens,
+    get: (caminho, opcoes) => requisicao('GET', caminho, opcoes),
+    post: (caminho, body, headers) => requisicao('POST', caminho, { body, headers }),
+    async tokenAvaliador() {
+      return (await requisicao('POST', '/avaliador/token')).body.token;
+    },
+    sessaoAutor: () => emitirSessao(AUTOR).token,
+    fechar: () => new Promise(resolve => servidor.close(resolve))
+  };
+}
+
+module.exports = {
+  FROTA,
+  AUTOR,
+  subirApp
+};
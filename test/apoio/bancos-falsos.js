@@ -0,0 +1,235 @@
+const { getDataAtual } = require('../../src/utils');
+
+/* ======================================================
+   BANCOS EM MEMÓRIA PARA OS TESTES
+   Só entendem os SQLs que as rotas testadas mandam; SQL desconhecido
+   lança erro (assim uma consulta nova aparece no teste, não passa calada).
+====================================================== */
+
+// MySQL: pool.query(sql, params) -> [rows] / [{ insertId }]
+function criarPoolFalso({ usuarios = [] } = {}) {
+  const tabelas = {
+    elogios_motoristas: [],
+    elogios_internos: [],
+    ocorrencias_motoristas: [],
+    qr_leituras: [],
+    motorista_contatos: [],
+    motorista_acessos: [],
+    telefone_verificacoes: [],
+    anexos: [],
+    moderacao_historico: [],
+    ocorrencia_notas: [],
+    webhook_entregas: [],
+    lgpd_auditoria: [],
+    notificacoes_enviadas: [],
+    campanha_travas: [],
+    ocorrencia_tipos: [
+      { id: 1, codigo: 'excesso_velocidade', nome: 'Excesso de velocidade', severidade: 'alta' },
+      { id: 2, codigo: 'acidente', nome: 'Acidente / colisão', severidade: 'critica' }
+    ]
+  };
+  const consultas = [];
+  let proximoId = 1;
+
+  async function query(sql, params = []) {
+    const texto = sql.replace(/\s+/g, ' ').trim();
+    consultas.push({ sql: texto, params });
+    let m;
+
+    if ((m = texto.match(/^INSERT INTO (\w+) \(([^)]+)\)/))) {
+      const colunas = m[2].split(',').map(c => c.trim());
+      const row = { id: proximoId++, status: 'pendente', data_hora: getDataAtual() };
+      colunas.forEach((c, i) => { row[c] = params[i]; });
+      tabelas[m[1]].push(row);
+      return [{ insertId: row.id, affectedRows: 1 }];
+    }
+
+    // score de suspeita (src/antiabuso.js): sem histórico
+    if (texto.includes('COUNT(DISTINCT token_avaliador)')) {
+      return [[{ mesmo_alvo: 0, tokens: 0, mesmo_texto: 0 }]];
+    }
+
+    // travas de limite de campanha (src/campanhas.js): a transação do fake não trava nada
+    if (texto === 'INSERT IGNORE INTO campanha_travas (chave) VALUES ?') {
+      const novas = params[0].map(([chave]) => chave).filter(chave => !tabelas.campanha_travas.some(t => t.chave === chave));
+      novas.forEach(chave => tabelas.campanha_travas.push({ chave }));
+      return [{ affectedRows: novas.length }];
+    }
+    if (texto === 'SELECT chave FROM campanha_travas WHERE chave IN (?) ORDER BY chave FOR UPDATE') {
+      return [tabelas.campanha_travas.filter(t => params[0].includes(t.chave))];
+    }
+
+    // sem campanha cadastrada: valem as regras padrão (src/campanhas.js)
+    if (texto.includes('FROM campanhas c')) return [[]];
+
+    // carência da campanha: mesmo avaliador + mesmo alvo desde a data
+    if ((m = texto.match(/^SELECT 1 FROM (\w+) WHERE (\w+) = \? AND (\w+) = \? AND data_hora >= \? LIMIT 1$/))) {
+      const [alvo, avaliador, desde] = params;
+      const achou = tabelas[m[1]].some(r => r[m[2]] === alvo && r[m[3]] === avaliador && r.data_hora >= desde);
+      return [achou ? [{ 1: 1 }] : []];
+    }
+
+    if (texto.includes('FROM ocorrencia_tipos WHERE codigo = ?')) {
+      return [tabelas.ocorrencia_tipos.filter(t => t.codigo === params[0])];
+    }
+
+    // envio aberto pelo adesivo (src/qrcodes.js)
+    if (texto.includes('FROM qr_leituras WHERE id = ? AND carreta = ?')) {
+      return [tabelas.qr_leituras.filter(l => l.id === params[0] && l.carreta === params[1])];
+    }
+
+    if (texto.includes('FROM usuarios WHERE id = ?')) {
+      return [usuarios.filter(u => u.id === params[0])];
+    }
+    if (texto.includes('FROM usuarios WHERE login = ?')) {
+      return [usuarios.filter(u => u.login === params[0])];
+    }
+    // login externo (src/identidade.js): nome/e-mail do provedor e último acesso
+    if (texto.startsWith('UPDATE usuarios SET')) return [{ affectedRows: 1 }];
+
+    // códigos de uso único (src/otp.js, src/portal.js): conta tentativa / marca uso, com condição opcional
+    if ((m = texto.match(/^UPDATE (telefone_verificacoes|motorista_acessos) SET (tentativas = tentativas \+ 1|(\w+) = \?) WHERE id = \?(?: AND (.+))?$/))) {
+      const resto = [...params];
+      const valor = m[3] ? resto.shift() : null;
+      const id = resto.shift();
+      const condicao = m[4] ? filtroWhere(m[4], resto) : () => true;
+      // coluna com DEFAULT 0 no banco
+      const alvo = tabelas[m[1]].find(r => r.id === id && condicao({ tentativas: 0, ...r }));
+      if (!alvo) return [{ affectedRows: 0 }];
+      if (m[3]) alvo[m[3]] = valor;
+      else alvo.tentativas = (alvo.tentativas || 0) + 1;
+      return [{ affectedRows: 1 }];
+    }
+
+    // teto de pontos por motorista (src/campanhas.js)
+    if ((m = texto.match(/^SELECT COALESCE\(SUM\(pontos\), 0\) AS total FROM (elogios_motoristas|elogios_internos) WHERE (.+)$/))) {
+      const rows = tabelas[m[1]].filter(filtroWhere(m[2], [...params]));
+      return [[{ total: rows.reduce((s, r) => s + (Number(r.pontos) || 0), 0) }]];
+    }
+
+    // retenção (src/lgpd.js): GPS das fotos de envios ainda não anonimizados
+    if ((m = texto.match(/^UPDATE anexos a JOIN (\w+) t ON t\.id = a\.registro_id SET a\.exif_latitude = NULL, a\.exif_longitude = NULL WHERE a\.recurso = \? AND t\.anonimizado_em IS NULL AND t\.data_hora < \? AND a\.exif_latitude IS NOT NULL$/))) {
+      const [recurso, limite] = params;
+      const alvos = tabelas.anexos.filter(a => {
+        const t = tabelas[m[1]].find(r => r.id === a.registro_id);
+        return a.recurso === recurso && a.exif_latitude != null && t && t.anonimizado_em == null && t.data_hora < limite;
+      });
+      alvos.forEach(a => { a.exif_latitude = null; a.exif_longitude = null; });
+      return [{ affectedRows: alvos.length }];
+    }
+
+    // UPDATE / DELETE com WHERE de AND (LGPD: anonimizar, excluir, retenção)
+    if ((m = texto.match(/^UPDATE (elogios_motoristas|elogios_internos|ocorrencias_motoristas|anexos|qr_leituras|webhook_entregas) SET (.+?) WHERE (.+?)( LIMIT \d+)?$/))) {
+      const resto = [...params];
+      const sets = m[2].split(', ').map(atrib => {
+        const [, coluna, valor] = atrib.match(/^(\w+) = (NULL|\?|'[^']*')$/);
+        if (valor === '?') return [coluna, resto.shift()];
+        return [coluna, valor === 'NULL' ? null : valor.slice(1, -1)];
+      });
+      const alvos = tabelas[m[1]].filter(filtroWhere(m[3], resto));
+      alvos.forEach(r => sets.forEach(([coluna, valor]) => { r[coluna] = valor; }));
+      return [{ affectedRows: alvos.length }];
+    }
+    if ((m = texto.match(/^DELETE FROM (\w+) WHERE (.+?)( LIMIT \d+)?$/)) && tabelas[m[1]]) {
+      const filtro = filtroWhere(m[2], [...params]);
+      const antes = tabelas[m[1]].length;
+      tabelas[m[1]] = tabelas[m[1]].filter(r => !filtro(r));
+      return [{ affectedRows: antes - tabelas[m[1]].length }];
+    }
+
+    // SELECT simples com WHERE de AND (pontos, portal, análise): filtra a tabela em memória
+    if ((m = texto.match(/^SELECT .+? FROM (elogios_motoristas|elogios_internos|ocorrencias_motoristas|motorista_contatos|motorista_acessos|telefone_verificacoes|anexos|webhook_entregas) WHERE (.+?)( ORDER BY (\w+)( DESC)?)?( LIMIT (\d+|\?))?$/))) {
+      const filtro = filtroWhere(m[2], [...params]);
+      const rows = tabelas[m[1]].filter(filtro);
+      if (m[4]) {
+        const sentido = m[5] ? -1 : 1;
+        rows.sort((a, b) => sentido * String(a[m[4]]).localeCompare(String(b[m[4]]), undefined, { numeric: true }));
+      }
+      if (!m[6]) return [rows];
+      return [rows.slice(0, m[7] === '?' ? params[params.length - 1] : Number(m[7]))];
+    }
+
+    throw new Error(`SQL não simulado no teste: ${texto}`);
+  }
+
+  // transação de mentira (src/lgpd.js apagar): mesma memória, sem rollback
+  async function getConnection() {
+    return { query, beginTransaction: async () => {}, commit: async () => {}, rollback: async () => {}, release() {} };
+  }
+
+  return { query, getConnection, tabelas, consultas };
+}
+
+// "status = 'aprovado' AND carreta IN (?) AND data_hora >= ?" -> row => boolean (consome os params em ordem)
+function filtroWhere(where, params) {
+  const testes = where.split(' AND ').map(cond => condicao(cond, params));
+  return r => testes.every(t => t(r));
+}
+
+function condicao(cond, params) {
+  let m;
+  // (a = ? OR b = ?)
+  if ((m = cond.match(/^\((.+)\)$/))) {
+    const testes = m[1].split(' OR ').map(c => condicao(c, params));
+    return r => testes.some(t => t(r));
+  }
+  if ((m = cond.match(/^(\w+) = '([^']*)'$/))) return r => r[m[1]] === m[2];
+  if ((m = cond.match(/^(\w+) = (\d+)$/))) return r => Number(r[m[1]]) === Number(m[2]);
+  if ((m = cond.match(/^(\w+) IS (NOT )?NULL$/))) return r => (r[m[1]] == null) === !m[2];
+  if ((m = cond.match(/^(\w+) <> '([^']*)'$/))) return r => r[m[1]] !== m[2];
+  if ((m = cond.match(/^REGEXP_REPLACE\((\w+), '\[\^0-9\]', ''\) = \?$/))) {
+    const v = params.shift();
+    return r => String(r[m[1]] ?? '').replace(/\D/g, '') === v;
+  }
+  if ((m = cond.match(/^JSON_EXTRACT\((\w+), '\$\.(\w+)\.(\w+)'\) IN \(\?\)$/))) {
+    const lista = params.shift();
+    return r => lista.includes(JSON.parse(r[m[1]])[m[2]]?.[m[3]]);
+  }
+  if ((m = cond.match(/^(\w+) IN \(\?\)$/))) {
+    const lista = params.shift();
+    return r => lista.includes(r[m[1]]);
+  }
+  if ((m = cond.match(/^(\w+) IN \(\?(?:, \?)+\)$/))) {
+    const lista = params.splice(0, cond.split('?').length - 1);
+    return r => lista.includes(r[m[1]]);
+  }
+  if ((m = cond.match(/^(\w+) (=|>=|<=|>|<) \?$/))) {
+    const v = params.shift();
+    const ops = { '=': (a, b) => a === b, '>=': (a, b) => a >= b, '<=': (a, b) => a <= b, '>': (a, b) => a > b, '<': (a, b) => a < b };
+    return r => ops[m[2]](r[m[1]], v);
+  }
+  throw new Error(`Condição não simulada no teste: ${cond}`);
+}
+
+// KMM (PostgreSQL): poolKMM.query(sql, params) -> { rows }. fora = true simula o KMM caído.
+function criarPoolKMMFalso({ carretas = [], vinculos = [], funcionarios = [] } = {}) {
+  const kmm = { fora: false, consultas: 0 };
+
+  kmm.query = async (sql, params = []) => {
+    kmm.consultas++;
+    if (kmm.fora) throw new Error('connect ECONNREFUSED (KMM falso)');
+
+    if (sql.includes('ILIKE ANY')) {
+      return { rows: funcionarios.map(f => ({ matricula: f.matricula, nome_motorista: f.nome })) };
+    }
+    if (sql.includes('DISTINCT ON (carreta)')) {
+      const lista = params.length ? vinculos.filter(v => v.carreta === params[0]) : vinculos;
+      return { rows: lista };
+    }
+    if (sql.includes('veiculo.veiculo_modalidade')) {
+      const lista = params.length ? carretas.filter(c => c === params[0]) : carretas;
+      return { rows: lista.map(carreta => ({ carreta })) };
+    }
+    if (sql.includes('FROM folha.funcionario_dados WHERE "MATRICULA" = $1')) {
+      return { rows: funcionarios.filter(f => f.matricula === params[0]).map(f => ({ nome: f.nome })) };
+    }
+    throw new Error(`SQL do KMM não simulado no teste: ${sql}`);
+  };
+
+  return kmm;
+}
+
+module.exports = {
+  criarPoolFalso,
+  criarPoolKMMFalso
+};
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { verificarEnvio, registrarEnvio } = require('../src/campanhas');
+const { criarPoolFalso } = require('./apoio/bancos-falsos');
+const { getDataAtual } = require('../src/utils');
+
+// teto de 5 pontos por motorista no mês, sem carência nem limite por avaliador
+const campanha = {
+  campanha_id: null,
+  regra_versao: null,
+  regras: {
+    fontes: { externo: { pontos: 1, carencia_dias: 0 }, interno: { pontos: 2, carencia_dias: 0 } },
+    limites: { avaliador: { max_envios: null, periodo: 'mes' }, motorista: { max_pontos: 5, periodo: 'mes' } },
+    bonus: {}
+  }
+};
+
+function cenario() {
+  const pool = criarPoolFalso();
+  const agora = getDataAtual();
+  pool.tabelas.elogios_motoristas.push(
+    { id: 1, carreta: 'ABC1D23', matricula: '10101', pontos: 1, status: 'aprovado', data_hora: agora },
+    { id: 2, carreta: 'BRA2E19', matricula: '10202', pontos: 1, status: 'aprovado', data_hora: agora },
+    { id: 3, carreta: 'ABC1D23', matricula: '10101', pontos: 1, status: 'rejeitado', data_hora: agora },
+    // mesma carreta com o motorista anterior: não conta para o atual
+    { id: 6, carreta: 'ABC1D23', matricula: '10303', pontos: 1, status: 'aprovado', data_hora: agora }
+  );
+  pool.tabelas.elogios_internos.push({ id: 4, matricula: '10101', pontos: 2, status: 'aprovado', data_hora: agora });
+  return pool;
+}
+
+test('teto por motorista soma externos e internos da matrícula gravada', async () => {
+  const pool = cenario();
+  const avaliador = { coluna: 'token_avaliador', valor: 't1' };
+
+  const externo = await verificarEnvio(pool, campanha, { fonte: 'externo', avaliador, alvo: 'ABC1D23', matricula: '10101' });
+  assert.equal(externo.pontosNoPeriodo, 3);
+
+  const interno = await verificarEnvio(pool, campanha, { fonte: 'interno', avaliador, alvo: '10101', matricula: '10101' });
+  assert.equal(interno.pontosNoPeriodo, 3);
+});
+
+test('sem motorista no KMM, o teto conta só a carreta', async () => {
+  const pool = cenario();
+  pool.tabelas.elogios_motoristas.push({ id: 5, carreta: 'XYZ9K87', matricula: null, pontos: 1, status: 'aprovado', data_hora: getDataAtual() });
+
+  const r = await verificarEnvio(pool, campanha, { fonte: 'externo', avaliador: { coluna: 'token_avaliador', valor: 't1' }, alvo: 'XYZ9K87', matricula: null });
+  assert.equal(r.pontosNoPeriodo, 1);
+});
+
+test('envio prende as travas do avaliador e do motorista antes de contar e gravar', async () => {
+  const pool = cenario();
+  const comCarencia = { ...campanha, regras: { ...campanha.regras, fontes: { ...campanha.regras.fontes, externo: { pontos: 1, carencia_dias: 7 } } } };
+  const dados = { fonte: 'externo', avaliador: { coluna: 'token_avaliador', valor: 't1' }, alvo: 'ABC1D23', matricula: '10101' };
+
+  const r = await registrarEnvio(pool, comCarencia, dados, async (conn, { pontosNoPeriodo }) => {
+    await conn.query('INSERT INTO elogios_motoristas (carreta, matricula, token_avaliador, pontos) VALUES (?, ?, ?, ?)', ['ABC1D23', '10101', 't1', 1]);
+    return { pontosNoPeriodo };
+  });
+  assert.deepEqual(r, { pontosNoPeriodo: 3 });
+  assert.deepEqual(pool.tabelas.campanha_travas.map(t => t.chave), ['avaliador:token_avaliador:t1', 'motorista:10101']);
+
+  const ordem = ['INSERT IGNORE INTO campanha_travas', 'FOR UPDATE', 'SELECT 1 FROM elogios_motoristas', 'SUM(pontos)', 'INSERT INTO elogios_motoristas']
+    .map(trecho => pool.consultas.findIndex(c => c.sql.includes(trecho)));
+  assert.ok(ordem.every((i, n) => i >= 0 && (n === 0 || i > ordem[n - 1])), `ordem: ${ordem}`);
+
+  // segundo envio do mesmo avaliador: a carência recusa sem chamar o INSERT
+  let gravou = false;
+  const bloqueado = await registrarEnvio(pool, comCarencia, dados, async () => { gravou = true; });
+  assert.equal(bloqueado.codigo, 'carencia');
+  assert.equal(gravou, false);
+});
@@ -0,0 +1,222 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { subirApp } = require('./apoio/app-teste');
+
+// Corpo que passa no anti-abuso sem desafio (GPS, user agent, texto e telefone válidos) e com o aviso aceito
+function elogioValido(extra = {}) {
+  return {
+    nome: 'Roberto Alves',
+    carreta: 'ABC-1D23',
+    telefone: '11987654321',
+    elogio: 'Motorista muito educado, deu passagem na serra.',
+    latitude: '-22.9',
+    longitude: '-47.06',
+    user_agent: 'teste',
+    consentimento: '1',
+    consentimento_versao: '2026-10',
+    ...extra
+  };
+}
+
+function ocorrenciaValida(extra = {}) {
+  return {
+    nome: 'Paulo Nunes',
+    carreta: 'BRA2E19',
+    telefone: '19988776655',
+    tipo_ocorrencia: 'excesso_velocidade',
+    descricao: 'Acima da velocidade na descida da serra.',
+    latitude: '-23.1',
+    longitude: '-46.9',
+    user_agent: 'teste',
+    consentimento: '1',
+    consentimento_versao: '2026-10',
+    ...extra
+  };
+}
+
+describe('POST /elogio', () => {
+  let api;
+  before(async () => { api = await subirApp(); });
+  after(() => api.fechar());
+
+  test('400 sem os campos obrigatórios', async () => {
+    const token = await api.tokenAvaliador();
+    const r = await api.post('/elogio', elogioValido({ elogio: '' }), { 'x-avaliador-token': token });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.status, 'erro');
+  });
+
+  test('400 sem o aceite do aviso de privacidade', async () => {
+    const token = await api.tokenAvaliador();
+    const r = await api.post('/elogio', elogioValido({ consentimento: null }), { 'x-avaliador-token': token });
+    assert.equal(r.status, 400);
+    assert.deepEqual(r.body.campos.map(c => c.campo), ['consentimento']);
+  });
+
+  test('400 sem token do avaliador', async () => {
+    const r = await api.post('/elogio', elogioValido());
+    assert.equal(r.status, 400);
+  });
+
+  test('404 com sugestão quando a placa não é da frota', async () => {
+    const token = await api.tokenAvaliador();
+    const r = await api.post('/elogio', elogioValido({ carreta: 'ABC1D28' }), { 'x-avaliador-token': token });
+    assert.equal(r.status, 404);
+    assert.deepEqual(r.body.sugestoes.map(s => s.carreta), ['ABC1D23']);
+    assert.match(r.body.mensagem, /Você quis dizer ABC1D23\?/);
+    assert.equal(api.pool.tabelas.elogios_motoristas.length, 0);
+  });
+
+  test('grava, pontua pelas regras padrão e publica elogio.created', async () => {
+    const token = await api.tokenAvaliador();
+    const r = await api.post('/elogio', elogioValido(), { 'x-avaliador-token': token });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.status, 'sucesso');
+    assert.match(r.body.protocolo, /^EL-[2-9A-Z]{10}$/);
+    assert.equal(r.body.validacao, 'validada');
+
+    const [gravado] = api.pool.tabelas.elogios_motoristas;
+    assert.equal(gravado.carreta, 'ABC1D23');
+    assert.equal(gravado.nome_motorista, 'JOAO DA SILVA');
+    assert.equal(gravado.matricula, '10101');
+    assert.equal(gravado.tipo, 'Externo');
+    assert.equal(gravado.pontos, 1);
+    assert.equal(gravado.cidade, 'Campinas');
+    assert.equal(gravado.consentimento_versao, '2026-10');
+    assert.ok(gravado.consentimento_em);
+    assert.ok(api.publicados.some(e => e.tipo === 'elogio.created' && e.dados.protocolo === r.body.protocolo));
+  });
+
+  test('409 para o mesmo avaliador e carreta dentro de 7 dias', async () => {
+    const token = await api.tokenAvaliador();
+    const primeiro = await api.post('/elogio', elogioValido({ carreta: 'BRA2E19', telefone: '11911112222' }), { 'x-avaliador-token': token });
+    assert.equal(primeiro.status, 200);
+
+    const repetido = await api.post('/elogio', elogioValido({ carreta: 'BRA2E19', telefone: '11911112222' }), { 'x-avaliador-token': token });
+    assert.equal(repetido.status, 409);
+    assert.equal(repetido.body.status, 'bloqueado');
+    assert.match(repetido.body.mensagem, /7 dias/);
+
+    // outro avaliador pode
+    const outro = await api.post('/elogio', elogioValido({ carreta: 'BRA2E19', telefone: '11933334444' }), { 'x-avaliador-token': await api.tokenAvaliador() });
+    assert.equal(outro.status, 200);
+  });
+
+  test('KMM fora: aceita como pendente de validação', async () => {
+    api.poolKMM.fora = true;
+    try {
+      const token = await api.tokenAvaliador();
+      const r = await api.post('/elogio', elogioValido({ carreta: 'XYZ9K87', telefone: '11955556666' }), { 'x-avaliador-token': token });
+      assert.equal(r.status, 200);
+      assert.equal(r.body.validacao, 'pendente');
+    } finally {
+      api.poolKMM.fora = false;
+    }
+  });
+});
+
+describe('POST /ocorrencia', () => {
+  let api;
+  before(async () => { api = await subirApp(); });
+  after(() => api.fechar());
+
+  test('400 sem os campos obrigatórios', async () => {
+    const r = await api.post('/ocorrencia', ocorrenciaValida({ descricao: '' }));
+    assert.equal(r.status, 400);
+  });
+
+  test('400 com tipo fora do catálogo', async () => {
+    const r = await api.post('/ocorrencia', ocorrenciaValida({ tipo_ocorrencia: 'nao_existe' }));
+    assert.equal(r.status, 400);
+    assert.match(r.body.mensagem, /Tipo de ocorrência inválido/);
+  });
+
+  test('404 quando a placa não está no KMM', async () => {
+    const r = await api.post('/ocorrencia', ocorrenciaValida({ carreta: 'QQQ1Q11' }));
+    assert.equal(r.status, 404);
+    assert.equal(api.pool.tabelas.ocorrencias_motoristas.length, 0);
+  });
+
+  test('grava com tipo e severidade do catálogo (token do avaliador é opcional)', async () => {
+    const r = await api.post('/ocorrencia', ocorrenciaValida());
+    assert.equal(r.status, 200);
+    assert.match(r.body.protocolo, /^OC-[2-9A-Z]{10}$/);
+
+    const [gravada] = api.pool.tabelas.ocorrencias_motoristas;
+    assert.equal(gravada.carreta, 'BRA2E19');
+    assert.equal(gravada.tipo_ocorrencia, 'Excesso de velocidade');
+    assert.equal(gravada.severidade, 'alta');
+    assert.equal(gravada.token_avaliador, null);
+  });
+
+  test('409 quando a página manda outra versão do aviso; grava sempre a do servidor', async () => {
+    const antes = api.pool.consultas.length;
+    const r = await api.post('/ocorrencia', ocorrenciaValida({ consentimento_versao: '2020-01' }), { 'Idempotency-Key': 'f3b0c1a2-7d4e-4c1b-9a5e-2b6d8c0e1f34' });
+    assert.equal(r.status, 409);
+    assert.equal(r.body.codigo, 'aviso_desatualizado');
+    assert.equal(r.body.versao_atual, '2026-10');
+    assert.equal(api.pool.tabelas.ocorrencias_motoristas.length, 1);
+    // recusado antes do idempotencia(): nada guardado na chave, o reenvio com o aceite atual é processado
+    assert.deepEqual(api.pool.consultas.slice(antes), []);
+  });
+
+  test('sem ffmpeg, vídeo anexado é recusado já no recebimento', async () => {
+    const form = new FormData();
+    for (const [campo, valor] of Object.entries(ocorrenciaValida())) form.append(campo, valor);
+    form.append('anexos', new Blob([Buffer.alloc(1024)], { type: 'video/mp4' }), 'video.mp4');
+
+    const r = await fetch(`${api.url}/ocorrencia`, { method: 'POST', body: form });
+    assert.equal(r.status, 415);
+    assert.equal((await r.json()).mensagem, 'Vídeo não é aceito no momento. Envie uma foto.');
+  });
+});
+
+describe('POST /elogio-interno', () => {
+  let api;
+  before(async () => { api = await subirApp(); });
+  after(() => api.fechar());
+
+  const corpo = (extra = {}) => ({ matricula: '10101', elogio: 'Checklist sempre completo.', telefone: '11912345678', ...extra });
+
+  test('401 sem sessão da equipe', async () => {
+    const r = await api.post('/elogio-interno', corpo(), { 'x-avaliador-token': await api.tokenAvaliador() });
+    assert.equal(r.status, 401);
+  });
+
+  test('400 com telefone inválido', async () => {
+    const r = await api.post('/elogio-interno', corpo({ telefone: '123' }), {
+      Authorization: `Bearer ${api.sessaoAutor()}`,
+      'x-avaliador-token': await api.tokenAvaliador()
+    });
+    assert.equal(r.status, 400);
+    assert.match(r.body.mensagem, /Telefone inválido/);
+  });
+
+  test('grava em nome do usuário logado e bloqueia o 2º elogio em 7 dias', async () => {
+    const headers = { Authorization: `Bearer ${api.sessaoAutor()}`, 'x-avaliador-token': await api.tokenAvaliador() };
+
+    const r = await api.post('/elogio-interno', corpo(), headers);
+    assert.equal(r.status, 200);
+    assert.equal(r.body.pontos, 2);
+
+    const [gravado] = api.pool.tabelas.elogios_internos;
+    assert.equal(gravado.autor_id, 7);
+    assert.equal(gravado.autor, 'ana.autora');
+    assert.equal(gravado.motorista, 'JOAO DA SILVA');
+    assert.equal(gravado.tipo, 'Interno');
+
+    // mesmo autor, outro aparelho (token novo): continua bloqueado
+    const repetido = await api.post('/elogio-interno', corpo(), { ...headers, 'x-avaliador-token': await api.tokenAvaliador() });
+    assert.equal(repetido.status, 409);
+    assert.equal(repetido.body.status, 'bloqueado');
+  });
+
+  test('matrícula que não existe no KMM grava como "Desconhecido"', async () => {
+    const r = await api.post('/elogio-interno', corpo({ matricula: '99999' }), {
+      Authorization: 'Bearer token-servico-teste',
+      'x-avaliador-token': await api.tokenAvaliador()
+    });
+    assert.equal(r.status, 200);
+    assert.equal(api.pool.tabelas.elogios_internos.at(-1).motorista, 'Desconhecido');
+  });
+});
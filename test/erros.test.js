@@ -0,0 +1,110 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { subirApp } = require('./apoio/app-teste');
+
+describe('validação dos envios', () => {
+  let api;
+  before(async () => { api = await subirApp(); });
+  after(() => api.fechar());
+
+  const elogio = (extra = {}) => ({
+    nome: 'Roberto Alves', carreta: 'ABC1D23', telefone: '(11) 98765-4321',
+    elogio: 'Motorista muito educado, deu passagem na serra.', latitude: '-22.9', longitude: '-47.06', user_agent: 'teste',
+    consentimento: '1',
+    ...extra
+  });
+
+  test('400 com a lista de campos: telefone, latitude fora da faixa', async () => {
+    const r = await api.post('/elogio', elogio({ telefone: '1234', latitude: '-122.9' }), { 'x-avaliador-token': await api.tokenAvaliador() });
+    assert.equal(r.status, 400);
+    assert.equal(r.body.status, 'erro');
+    assert.equal(r.body.codigo, 'validacao');
+    assert.deepEqual(r.body.campos.map(c => [c.campo, c.codigo]), [['telefone', 'formato'], ['latitude', 'fora_do_intervalo']]);
+    assert.match(r.body.mensagem, /Telefone inválido/);
+    assert.equal(api.pool.tabelas.elogios_motoristas.length, 0);
+  });
+
+  test('latitude sem longitude é recusada', async () => {
+    const r = await api.post('/elogio', elogio({ longitude: '' }), { 'x-avaliador-token': await api.tokenAvaliador() });
+    assert.equal(r.status, 400);
+    assert.deepEqual(r.body.campos.map(c => [c.campo, c.codigo]), [['longitude', 'incompleto']]);
+  });
+
+  test('descrição da ocorrência acima do limite', async () => {
+    const r = await api.post('/ocorrencia', {
+      nome: 'Paulo Nunes', carreta: 'BRA2E19', telefone: '19988776655', tipo_ocorrencia: 'acidente',
+      descricao: 'x'.repeat(2001), consentimento: 'on'
+    });
+    assert.equal(r.status, 400);
+    assert.deepEqual(r.body.campos, [{ campo: 'descricao', codigo: 'muito_longo', mensagem: 'Descrição aceita no máximo 2000 caracteres.' }]);
+  });
+
+  test('grava o corpo limpo: telefone só dígitos, sem controles e sem campos extras', async () => {
+    const r = await api.post('/elogio', elogio({ nome: '  Roberto\u0000  Alves ', extra: 'ignorado' }), { 'x-avaliador-token': await api.tokenAvaliador() });
+    assert.equal(r.status, 200);
+
+    const [gravado] = api.pool.tabelas.elogios_motoristas;
+    assert.equal(gravado.nome, 'Roberto Alves');
+    assert.equal(gravado.telefone, '11987654321');
+    assert.equal(gravado.latitude, -22.9);
+  });
+});
+
+describe('contrato de erro', () => {
+  let api;
+  before(async () => { api = await subirApp(); });
+  after(() => api.fechar());
+
+  test('todo erro leva codigo e o correlacao_id do header', async () => {
+    const r = await api.get('/motoristas-ativos');
+    assert.equal(r.status, 401);
+    assert.equal(r.body.codigo, 'nao_autenticado');
+    assert.equal(r.body.correlacao_id, r.headers.get('x-correlation-id'));
+  });
+
+  test('ranking e extrato dos motoristas exigem login', async () => {
+    for (const caminho of ['/pontos/ranking', '/pontos/motoristas/10101']) {
+      const r = await api.get(caminho);
+      assert.equal(r.status, 401, caminho);
+    }
+  });
+
+  test('aproveita o X-Correlation-Id recebido', async () => {
+    const r = await api.get('/motoristas-ativos', { headers: { 'X-Correlation-Id': 'proxy-req-12345' } });
+    assert.equal(r.headers.get('x-correlation-id'), 'proxy-req-12345');
+    assert.equal(r.body.correlacao_id, 'proxy-req-12345');
+  });
+
+  test('JSON malformado: 400 json_invalido', async () => {
+    const resp = await fetch(`${api.url}/ocorrencia`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"nome":' });
+    const body = await resp.json();
+    assert.equal(resp.status, 400);
+    assert.equal(body.codigo, 'json_invalido');
+  });
+
+  test('500 não devolve o erro do banco', async () => {
+    const query = api.pool.query;
+    const erroOriginal = console.error;
+    const logs = [];
+    console.error = (...args) => logs.push(args.join(' '));
+    api.pool.query = async (sql, params) => {
+      if (sql.includes('INSERT INTO ocorrencias_motoristas')) {
+        throw Object.assign(new Error('ER_BAD_FIELD'), { sqlMessage: "Unknown column 'severidade' in 'field list'" });
+      }
+      return query(sql, params);
+    };
+    try {
+      const r = await api.post('/ocorrencia', {
+        nome: 'Paulo Nunes', carreta: 'BRA2E19', telefone: '19988776655', tipo_ocorrencia: 'acidente',
+        descricao: 'Bateu no guard-rail na saída do posto.', user_agent: 'teste', consentimento: '1'
+      });
+      assert.equal(r.status, 500);
+      assert.equal(r.body.codigo, 'erro_interno');
+      assert.doesNotMatch(JSON.stringify(r.body), /Unknown column|ER_BAD_FIELD/);
+      assert.ok(logs.some(l => l.includes(r.body.correlacao_id) && l.includes('ER_BAD_FIELD')));
+    } finally {
+      api.pool.query = query;
+      console.error = erroOriginal;
+    }
+  });
+});
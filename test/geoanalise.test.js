@@ -0,0 +1,127 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { subirApp } = require('./apoio/app-teste');
+const { distanciaM, prepararOcorrencia, agruparOcorrencias, detectarReincidencia } = require('../src/geoanalise');
+
+const SERVICO = { Authorization: 'Bearer token-servico-teste' };
+
+// Trecho da Anhanguera perto de Campinas: uma denúncia a cada ~300 m
+const TRECHO = [0, 1, 2, 3].map(i => ({ lat: -22.9 - i * 0.0027, lng: -47.1 }));
+
+let proximoId = 1000;
+function ocorrencia(dados) {
+  return {
+    id: proximoId++,
+    carreta: 'XYZ9A99',
+    tipo_ocorrencia: 'Excesso de velocidade',
+    tipo_id: 1,
+    severidade: 'alta',
+    status: 'aprovado',
+    caso_status: 'aberto',
+    cidade: 'Campinas',
+    estado: 'São Paulo',
+    ...dados
+  };
+}
+
+describe('agrupamento por local e tempo', () => {
+  const pontos = [
+    ...TRECHO.map((p, i) => ocorrencia({ latitude: String(p.lat), longitude: String(p.lng), data_hora: `2026-09-0${i + 1} 10:00:00` })),
+    // mesmo lugar, mas dois meses depois
+    ocorrencia({ latitude: '-22.9', longitude: '-47.1', data_hora: '2026-11-20 10:00:00' }),
+    // outra cidade
+    ocorrencia({ latitude: '-23.55', longitude: '-46.63', data_hora: '2026-09-02 10:00:00' }),
+    // sem GPS (anonimizado) e GPS zerado
+    ocorrencia({ latitude: null, longitude: null, data_hora: '2026-09-02 11:00:00' }),
+    ocorrencia({ latitude: '0', longitude: '0', data_hora: '2026-09-02 12:00:00' })
+  ].map(prepararOcorrencia);
+
+  test('sequência ao longo do trecho vira um grupo; ponto distante no espaço ou no tempo fica fora', () => {
+    assert.ok(Math.abs(distanciaM(TRECHO[0], TRECHO[1]) - 300) < 5);
+
+    const grupos = agruparOcorrencias(pontos, { raioM: 500, janelaDias: 30 });
+    assert.equal(grupos.length, 1);
+    assert.deepEqual(grupos[0].map(p => p.id).sort(), pontos.slice(0, 4).map(p => p.id).sort());
+
+    // raio menor que o espaçamento: ninguém tem vizinha
+    assert.deepEqual(agruparOcorrencias(pontos, { raioM: 200, janelaDias: 30 }), []);
+  });
+
+  test('reincidência: mesma carreta várias vezes dentro da janela, com ou sem GPS', () => {
+    const lista = [
+      ...['2026-09-01', '2026-09-10', '2026-09-25', '2026-12-01'].map(d => ocorrencia({ carreta: 'AAA1B11', latitude: null, data_hora: `${d} 08:00:00` })),
+      ...['2026-09-01', '2026-10-15'].map(d => ocorrencia({ carreta: 'BBB2C22', latitude: null, data_hora: `${d} 08:00:00` }))
+    ].map(prepararOcorrencia);
+
+    const achadas = detectarReincidencia(lista, { janelaDias: 30, minimo: 3 });
+    assert.equal(achadas.length, 1);
+    assert.equal(achadas[0].carreta, 'AAA1B11');
+    assert.equal(achadas[0].total, 3);
+    assert.equal(achadas[0].total_periodo, 4);
+    assert.equal(achadas[0].inicio, '2026-09-01 08:00:00');
+    assert.equal(achadas[0].fim, '2026-09-25 08:00:00');
+  });
+});
+
+describe('rotas /analise', () => {
+  let api;
+  before(async () => {
+    api = await subirApp();
+    api.pool.tabelas.ocorrencias_motoristas.push(
+      ...TRECHO.map((p, i) => ocorrencia({
+        carreta: 'ABC1D23', latitude: String(p.lat), longitude: String(p.lng), data_hora: `2026-09-0${i + 1} 10:00:00`
+      })),
+      ocorrencia({ latitude: '-23.55', longitude: '-46.63', data_hora: '2026-09-02 10:00:00' }),
+      ocorrencia({ latitude: '-22.9', longitude: '-47.1', data_hora: '2026-09-03 10:00:00', status: 'rejeitado' })
+    );
+  });
+  after(() => api.fechar());
+
+  const periodo = 'de=2026-09-01&ate=2026-09-30';
+
+  test('exige login', async () => {
+    const r = await api.get(`/analise/hotspots?${periodo}`);
+    assert.equal(r.status, 401);
+  });
+
+  test('hotspots em JSON e em GeoJSON ([lng, lat])', async () => {
+    const r = await api.get(`/analise/hotspots?${periodo}&tipo_ocorrencia=excesso_velocidade`, { headers: SERVICO });
+    assert.equal(r.status, 200);
+    assert.equal(r.body.total_ocorrencias, 5);
+    assert.equal(r.body.hotspots.length, 1);
+    const [h] = r.body.hotspots;
+    assert.equal(h.total, 4);
+    assert.equal(h.tipo_principal, 'Excesso de velocidade');
+    assert.equal(h.cidade, 'Campinas');
+
+    const geo = await api.get(`/analise/hotspots.geojson?${periodo}`, { headers: SERVICO });
+    assert.match(geo.headers.get('content-type'), /^application\/geo\+json/);
+    assert.equal(geo.body.type, 'FeatureCollection');
+    assert.deepEqual(geo.body.features[0].geometry, { type: 'Point', coordinates: [h.centro.lng, h.centro.lat] });
+
+    const pontos = await api.get(`/analise/ocorrencias.geojson?${periodo}`, { headers: SERVICO });
+    assert.equal(pontos.body.features.length, 5);
+    assert.equal(pontos.body.features.filter(f => f.properties.hotspot === 'h1').length, 4);
+    assert.ok(pontos.body.features.every(f => !('telefone' in f.properties) && !('nome' in f.properties)));
+  });
+
+  test('reincidência traz o motorista do KMM', async () => {
+    const r = await api.get(`/analise/reincidencia?${periodo}`, { headers: SERVICO });
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body.carretas.map(c => [c.carreta, c.total]), [['ABC1D23', 4]]);
+    assert.equal(r.body.carretas[0].motorista.motorista, 'JOAO DA SILVA');
+
+    const geo = await api.get(`/analise/reincidencia.geojson?${periodo}`, { headers: SERVICO });
+    assert.equal(geo.body.features[0].geometry.type, 'MultiPoint');
+    assert.deepEqual(geo.body.features[0].geometry.coordinates[0], [TRECHO[0].lng, TRECHO[0].lat]);
+  });
+
+  test('parâmetro fora da faixa e tipo desconhecido: 400', async () => {
+    const raio = await api.get(`/analise/hotspots?${periodo}&raio_m=10`, { headers: SERVICO });
+    assert.equal(raio.status, 400);
+    assert.equal(raio.body.mensagem, 'raio_m inválido: use um número inteiro de 50 a 5000.');
+
+    const tipo = await api.get(`/analise/hotspots?${periodo}&tipo_ocorrencia=nao_existe`, { headers: SERVICO });
+    assert.equal(tipo.status, 400);
+  });
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { criarGeocoder } = require('../src/geocoding');
+
+// Só o que o backfill manda: SELECT dos pendentes, UPDATE de sucesso/falha e o geocoding_cache
+function poolBackfill(linhas) {
+  const consultas = [];
+  async function query(sql, params) {
+    const texto = sql.replace(/\s+/g, ' ').trim();
+    consultas.push(texto);
+    if (texto.includes('geocoding_cache')) return [[]];
+    if (texto.startsWith('SELECT id, latitude, longitude FROM ocorrencias_motoristas')) {
+      const [antes, limite] = params;
+      const pendentes = linhas.filter(l => l.cidade == null && (!l.geocoding_falhou_em || l.geocoding_falhou_em < antes));
+      return [pendentes.slice(0, limite)];
+    }
+    if (texto.startsWith('SELECT')) return [[]];
+    const linha = linhas.find(l => l.id === params[params.length - 1]);
+    if (texto.includes('SET geocoding_falhou_em = ?')) linha.geocoding_falhou_em = params[0];
+    else Object.assign(linha, { cidade: params[0], estado: params[1] });
+    return [{ affectedRows: 1 }];
+  }
+  return { query, consultas };
+}
+
+test('backfill: coordenada que não resolve fica de lado e não trava as demais', async () => {
+  const linhas = [
+    { id: 2, latitude: '-10', longitude: '-20', cidade: null }, // no mar
+    { id: 1, latitude: '-22.9', longitude: '-47.06', cidade: null }
+  ];
+  const provedor = {
+    nome: 'teste',
+    reverso: async lat => {
+      if (lat === -10) throw new Error('sem resultado');
+      return { cidade: 'Campinas', estado: 'São Paulo' };
+    }
+  };
+  const geocoder = criarGeocoder({ pool: poolBackfill(linhas), provedores: [provedor] });
+
+  const primeira = await geocoder.backfill({ limite: 1 });
+  assert.deepEqual(primeira.ocorrencias_motoristas, { pendentes: 1, atualizados: 0, falhas: 1 });
+  assert.ok(linhas[0].geocoding_falhou_em);
+
+  const segunda = await geocoder.backfill({ limite: 1 });
+  assert.deepEqual(segunda.ocorrencias_motoristas, { pendentes: 1, atualizados: 1, falhas: 0 });
+  assert.equal(linhas[1].cidade, 'Campinas');
+});
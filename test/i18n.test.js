@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { subirApp } = require('./apoio/app-teste');
+const { traduzir } = require('../src/i18n');
+
+// frases de resposta escritas no código (literal ou template) -> "{rotulo} é obrigatório." vira "{} é obrigatório."
+function frasesDoServidor() {
+  const LIT = String.raw`('(?:[^'\\]|\\.)*'|\x60(?:[^\x60\\]|\\.)*\x60)`;
+  const padroes = [
+    String.raw`\b(?:mensagem|erro): `,
+    String.raw`bloqueio: \w+ => `,
+    String.raw`respostaPlacaNaoEncontrada\(`,
+    String.raw`const MSG_\w+ = `,
+    String.raw`falha\('\w+', `,
+    String.raw`(?:texto|telefone|placa|matricula|codigo|numero|url|aceite)\(`,
+    String.raw`rota\('[^']*', `
+  ].map(p => new RegExp(p + LIT, 'g'));
+
+  const frases = new Set();
+  const dir = path.join(__dirname, '..', 'src');
+  for (const arquivo of fs.readdirSync(dir).filter(f => f.endsWith('.js'))) {
+    const fonte = fs.readFileSync(path.join(dir, arquivo), 'utf8');
+    for (const re of padroes) {
+      for (const m of fonte.matchAll(re)) {
+        const frase = m[1].slice(1, -1).replace(/\$\{[^}]*\}/g, '{}');
+        // minúsculas: motivos internos do log de notificações, não vão para quem usa
+        if (!/^[a-z]/.test(frase)) frases.add(frase);
+      }
+    }
+  }
+  return [...frases];
+}
+
+describe('catálogos de idioma', () => {
+  for (const idioma of ['es', 'en']) {
+    test(`${idioma}: toda frase de resposta do servidor tem tradução`, () => {
+      const catalogo = require(`../src/idiomas/${idioma}.json`);
+      const chaves = new Set(Object.keys(catalogo).map(k => k.replace(/\{\w+\}/g, '{}')));
+      assert.deepEqual(frasesDoServidor().filter(f => !chaves.has(f)), []);
+
+      // mesmos {nomes} dos dois lados
+      for (const [chave, valor] of Object.entries(catalogo)) {
+        const nomes = s => [...s.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+        assert.deepEqual(nomes(valor), nomes(chave), chave);
+      }
+    });
+  }
+
+  test('páginas: todo texto marcado com data-i18n tem tradução', () => {
+    const dir = path.join(__dirname, '..', 'public');
+    const marcados = new Set();
+    for (const arquivo of fs.readdirSync(dir).filter(f => f.endsWith('.html'))) {
+      const html = fs.readFileSync(path.join(dir, arquivo), 'utf8');
+      for (const m of html.matchAll(/<\w[^>]*\sdata-i18n(?:\s[^>]*)?>([^<]*)</g)) {
+        const texto = m[1].replace(/\s+/g, ' ').trim();
+        if (texto) marcados.add(texto);
+      }
+    }
+
+    for (const idioma of ['es', 'en']) {
+      const catalogo = require(`../public/idiomas/${idioma}.json`);
+      assert.deepEqual([...marcados].filter(t => !(t in catalogo)), [], idioma);
+    }
+  });
+
+  test('frase montada traduz também o rótulo do campo', () => {
+    assert.equal(traduzir('Placa da carreta inválida.', 'es'), 'Patente del remolque no válida.');
+    assert.equal(traduzir('Telefone é obrigatório. (+1 campo(s) com problema)', 'en'), 'Phone is required. (+1 more field(s) with problems)');
+    assert.equal(traduzir('Frase sem tradução.', 'en'), 'Frase sem tradução.');
+  });
+});
+
+describe('idioma das respostas', () => {
+  let api;
+  before(async () => { api = await subirApp(); });
+  after(() => api.fechar());
+
+  const invalido = { nome: 'Diego', carreta: 'ABC1D23', telefone: '1234', elogio: 'Muito atencioso.', consentimento: '1' };
+
+  test('Accept-Language escolhe o idioma da mensagem e dos campos', async () => {
+    const r = await api.post('/elogio', invalido, { 'x-avaliador-token': await api.tokenAvaliador(), 'Accept-Language': 'es-AR,es;q=0.9' });
+    assert.equal(r.status, 400);
+    assert.equal(r.headers.get('content-language'), 'es');
+    assert.equal(r.body.codigo, 'validacao');
+    assert.deepEqual(r.body.campos, [{
+      campo: 'telefone', codigo: 'formato', mensagem: 'Teléfono no válido. Use solo números con el código de área (10 u 11 dígitos).'
+    }]);
+  });
+
+  test('?lang vence o Accept-Language; cookie idioma vale sem ?lang', async () => {
+    const token = await api.tokenAvaliador();
+    const porQuery = await api.post('/elogio?lang=en', invalido, { 'x-avaliador-token': token, 'Accept-Language': 'es' });
+    assert.match(porQuery.body.mensagem, /^Invalid phone\./);
+
+    const porCookie = await api.get('/motorista/eu', { headers: { Cookie: 'idioma=en' } });
+    assert.equal(porCookie.status, 401);
+    assert.equal(porCookie.body.mensagem, 'Session expired. Sign in again with your employee ID.');
+  });
+
+  test('idioma fora da lista fica em português', async () => {
+    const r = await api.get('/motorista/eu', { headers: { 'Accept-Language': 'fr-FR,de;q=0.8' } });
+    assert.equal(r.headers.get('content-language'), 'pt-BR');
+    assert.equal(r.body.mensagem, 'Sessão expirada. Entre de novo com sua matrícula.');
+  });
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { provedorOidc } = require('../src/identidade');
+const { emitirSessao } = require('../src/auth');
+const { subirApp } = require('./apoio/app-teste');
+
+const USUARIO_OIDC = { id: 8, login: 'bia.oidc', nome: 'Bia', email: null, papel: 'autor', provedor: 'oidc', ativo: 1, sessao_versao: 1 };
+const ADMIN = { id: 9, login: 'caio.admin', nome: 'Caio', email: null, papel: 'admin', ativo: 1, sessao_versao: 1 };
+
+// Emissor OIDC mínimo: descoberta, token e userinfo
+let emissor;
+let api;
+
+before(async () => {
+  emissor = await new Promise(resolve => {
+    const s = http.createServer((req, res) => {
+      const base = `http://127.0.0.1:${s.address().port}`;
+      const corpo = {
+        '/.well-known/openid-configuration': {
+          authorization_endpoint: `${base}/autorizar`, token_endpoint: `${base}/token`, userinfo_endpoint: `${base}/userinfo`
+        },
+        '/token': { access_token: 'acesso' },
+        '/userinfo': { preferred_username: 'bia.oidc', name: 'Bia' }
+      }[req.url.split('?')[0]];
+      res.writeHead(corpo ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(corpo || {}));
+    }).listen(0, '127.0.0.1', () => resolve(s));
+  });
+
+  const oidc = provedorOidc({
+    emissor: `http://127.0.0.1:${emissor.address().port}`,
+    clientId: 'elogios',
+    redirectUri: 'http://localhost/auth/oidc/retorno'
+  });
+  api = await subirApp({ provedores: { oidc }, usuarios: [USUARIO_OIDC, ADMIN] });
+});
+
+after(() => {
+  api.fechar();
+  emissor.close();
+});
+
+async function iniciarLogin() {
+  const r = await fetch(`${api.url}/auth/oidc`, { redirect: 'manual' });
+  assert.equal(r.status, 302);
+  const state = new URL(r.headers.get('location')).searchParams.get('state');
+  const cookie = r.headers.get('set-cookie').split(';')[0];
+  return { state, cookie };
+}
+
+async function retorno(state, headers = {}) {
+  const r = await fetch(`${api.url}/auth/oidc/retorno?code=abc&state=${encodeURIComponent(state)}`, { redirect: 'manual', headers });
+  return r.headers.get('location');
+}
+
+test('OIDC conclui no navegador que iniciou o login', async () => {
+  const { state, cookie } = await iniciarLogin();
+  assert.match(cookie, /^oidc_state=/);
+  assert.match(await retorno(state, { Cookie: cookie }), /#sessao=/);
+});
+
+test('OIDC recusa o retorno sem o cookie do state (link de outra pessoa)', async () => {
+  const { state } = await iniciarLogin();
+  assert.match(await retorno(state), /#sessao_erro=1$/);
+});
+
+test('OIDC recusa cookie de outro login ou com assinatura adulterada', async () => {
+  const { cookie: cookieVitima } = await iniciarLogin();
+  const { state } = await iniciarLogin();
+  assert.match(await retorno(state, { Cookie: cookieVitima }), /#sessao_erro=1$/);
+
+  const { state: outro } = await iniciarLogin();
+  assert.match(await retorno(outro, { Cookie: `oidc_state=${outro}.assinatura-falsa` }), /#sessao_erro=1$/);
+});
+
+test('admin não desativa a própria conta com ativo 0, "" ou null', async () => {
+  const headers = { Authorization: `Bearer ${emitirSessao(ADMIN).token}` };
+  const antes = api.pool.consultas.length;
+  for (const ativo of [false, 0, '', null]) {
+    const r = await api.post(`/auth/usuarios/${ADMIN.id}`, { ativo }, headers);
+    assert.equal(r.status, 400, `ativo: ${JSON.stringify(ativo)}`);
+  }
+  assert.equal(api.pool.consultas.slice(antes).some(c => c.sql.startsWith('UPDATE usuarios')), false);
+});
@@ -0,0 +1,59 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { subirApp } = require('./apoio/app-teste');
+
+describe('GET /carretas-ativas', () => {
+  let api;
+  before(async () => { api = await subirApp(); });
+  after(() => api.fechar());
+
+  test('filtra pelo prefixo normalizado e respeita o limit', async () => {
+    const r = await api.get('/carretas-ativas?q=abc-1&limit=5');
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body, [{ carreta: 'ABC1D23' }]);
+
+    const todas = await api.get('/carretas-ativas?limit=2');
+    assert.deepEqual(todas.body, [{ carreta: 'ABC1D23' }, { carreta: 'BRA2E19' }]);
+  });
+
+  test('usa o snapshot: a 2ª busca não vai ao KMM', async () => {
+    await api.get('/carretas-ativas?q=GHI');
+    const antes = api.poolKMM.consultas;
+    const r = await api.get('/carretas-ativas?q=GHI');
+    assert.deepEqual(r.body, [{ carreta: 'GHI7890' }]);
+    assert.equal(api.poolKMM.consultas, antes);
+  });
+});
+
+describe('GET /carretas-ativas com o KMM fora e sem snapshot', () => {
+  let api;
+  before(async () => { api = await subirApp(); });
+  after(() => api.fechar());
+
+  test('503', async () => {
+    api.poolKMM.fora = true;
+    const r = await api.get('/carretas-ativas?q=ABC');
+    assert.equal(r.status, 503);
+    assert.equal(r.body.status, 'erro');
+  });
+});
+
+describe('GET /motoristas-ativos', () => {
+  let api;
+  before(async () => { api = await subirApp(); });
+  after(() => api.fechar());
+
+  test('401 sem sessão da equipe', async () => {
+    const r = await api.get('/motoristas-ativos');
+    assert.equal(r.status, 401);
+  });
+
+  test('lista matrícula e nome para o autocomplete', async () => {
+    const r = await api.get('/motoristas-ativos', { headers: { Authorization: `Bearer ${api.sessaoAutor()}` } });
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body, [
+      { matricula: '10101', nome_motorista: 'JOAO DA SILVA' },
+      { matricula: '10202', nome_motorista: 'MARIA APARECIDA SOUZA' }
+    ]);
+  });
+});
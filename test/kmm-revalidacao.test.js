@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { criarRepositorioKMM, revalidarPendentes } = require('../src/kmm');
+const { criarPoolKMMFalso } = require('./apoio/bancos-falsos');
+
+// Só os pendentes de elogios_motoristas; guarda os UPDATEs da revalidação
+function poolPendentes(elogios) {
+  const updates = [];
+  return {
+    updates,
+    async query(sql, params) {
+      const texto = sql.replace(/\s+/g, ' ').trim();
+      if (texto.startsWith('SELECT') && texto.includes('FROM elogios_motoristas')) {
+        return [elogios.map(e => ({ id: e.id, chave: e.carreta, status: e.status, nome: null }))];
+      }
+      if (texto.startsWith('SELECT')) return [[]];
+      updates.push({ sql: texto, params });
+      return [{ affectedRows: 1 }];
+    }
+  };
+}
+
+test('revalidação aceita a placa antiga do veículo ativo com placa Mercosul e grava a ativa e o motorista', async () => {
+  const kmm = criarRepositorioKMM({
+    poolKMM: criarPoolKMMFalso({
+      carretas: ['ABC1D23'],
+      vinculos: [{ carreta: 'ABC1D23', matricula: '10101', motorista: 'JOAO DA SILVA' }]
+    })
+  });
+  const pool = poolPendentes([
+    { id: 1, carreta: 'ABC1323', status: 'aprovado' }, // digitada no formato antigo com o KMM fora
+    { id: 2, carreta: 'ZZZ9999', status: 'aprovado' }
+  ]);
+
+  const resumo = await revalidarPendentes({ pool, kmm });
+  assert.deepEqual(resumo.elogios, { validadas: 1, invalidas: 1, sem_resposta: 0 });
+  assert.deepEqual(pool.updates[0], {
+    sql: "UPDATE elogios_motoristas SET validacao_kmm = 'validada', carreta = ?, nome_motorista = ?, matricula = ? WHERE id = ?",
+    params: ['ABC1D23', 'JOAO DA SILVA', '10101', 1]
+  });
+  assert.deepEqual(pool.updates[1].params, [2]);
+});
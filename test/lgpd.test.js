@@ -0,0 +1,133 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment-timezone');
+const { rodarRetencao } = require('../src/lgpd');
+const { TZ } = require('../src/utils');
+const { criarPoolFalso } = require('./apoio/bancos-falsos');
+const { subirApp } = require('./apoio/app-teste');
+
+const atras = (qtd, unidade) => moment().tz(TZ).subtract(qtd, unidade).format('YYYY-MM-DD HH:mm:ss');
+
+const TOKEN = '0f8fad5b-d9cb-469f-a165-70867728950e';
+
+// entrega de webhook como o src/webhooks.js grava (payload do evento inteiro)
+function entrega(id, ocorrenciaId, criadoEm) {
+  const dados = { id: ocorrenciaId, protocolo: `OC-${ocorrenciaId}`, latitude: '-23.1', longitude: '-46.9', maps_link: 'https://maps.google.com/?q=-23.1,-46.9', descricao: 'x' };
+  return { id, evento: 'ocorrencia.created', payload: JSON.stringify({ id: `ev-${id}`, evento: 'ocorrencia.created', dados }), criado_em: criadoEm };
+}
+
+test('retenção anonimiza só o que passou do prazo e audita a rodada', async () => {
+  const pool = criarPoolFalso();
+  const t = pool.tabelas;
+  t.elogios_motoristas.push(
+    { id: 1, telefone: '11987654321', latitude: '-22.9', longitude: '-47.06', maps_link: 'x', user_agent: 'ua', ip_hash: 'h', data_hora: atras(13, 'months'), anonimizado_em: null },
+    { id: 2, telefone: '11987654321', latitude: '-22.9', longitude: '-47.06', maps_link: 'x', user_agent: 'ua', ip_hash: 'h', data_hora: atras(11, 'months'), anonimizado_em: null }
+  );
+  t.ocorrencias_motoristas.push({ id: 3, telefone: '19988776655', latitude: '-23.1', data_hora: atras(13, 'months'), anonimizado_em: null });
+  t.anexos.push({ id: 1, recurso: 'ocorrencias', registro_id: 3, exif_latitude: '-23.1', exif_longitude: '-46.9' });
+  t.webhook_entregas.push(entrega(1, 3, atras(13, 'months')), entrega(2, 9, atras(1, 'months')));
+  t.telefone_verificacoes.push({ id: 1, telefone: '11987654321', criado_em: atras(31, 'days') }, { id: 2, telefone: '11987654321', criado_em: atras(1, 'days') });
+
+  const { resumo } = await rodarRetencao(pool);
+  assert.deepEqual(resumo.anonimizados, { elogios: 1, 'elogios-internos': 0, ocorrencias: 1 });
+  assert.equal(resumo.anexos, 1);
+  assert.equal(resumo.entregas_webhook, 1);
+  assert.equal(resumo.verificacoes_telefone, 1);
+
+  const [antigo, recente] = t.elogios_motoristas;
+  assert.equal(antigo.telefone, null);
+  assert.equal(antigo.latitude, null);
+  assert.ok(antigo.anonimizado_em);
+  assert.equal(recente.telefone, '11987654321');
+  assert.equal(recente.anonimizado_em, null);
+  assert.equal(t.anexos[0].exif_latitude, null);
+  assert.deepEqual(t.webhook_entregas.map(e => e.id), [2]);
+  assert.deepEqual(t.telefone_verificacoes.map(v => v.id), [2]);
+
+  assert.equal(t.lgpd_auditoria.length, 1);
+  assert.equal(t.lgpd_auditoria[0].acao, 'retencao');
+
+  // nada novo a anonimizar: não audita de novo
+  await rodarRetencao(pool);
+  assert.equal(t.lgpd_auditoria.length, 1);
+});
+
+describe('POST /lgpd/titular/apagar', () => {
+  let api;
+  before(async () => { api = await subirApp(); });
+  after(() => api.fechar());
+
+  const admin = { Authorization: 'Bearer token-servico-teste' };
+
+  test('anonimizar por telefone tira os dados do envio e o GPS do log de webhooks', async () => {
+    const t = api.pool.tabelas;
+    t.ocorrencias_motoristas.push({ id: 50, nome: 'Paulo', telefone: '(19) 98877-6655', latitude: '-23.1', longitude: '-46.9', maps_link: 'x', token_avaliador: TOKEN, descricao: 'Serra', data_hora: atras(1, 'days') });
+    t.elogios_motoristas.push({ id: 51, nome: 'Outro', telefone: '11900001111', data_hora: atras(1, 'days') });
+    t.webhook_entregas.push(entrega(50, 50, atras(1, 'days')));
+
+    const r = await api.post('/lgpd/titular/apagar', { telefone: '19988776655', modo: 'anonimizar', motivo: 'Solicitação 123' }, admin);
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body.registros, { elogios: 0, 'elogios-internos': 0, ocorrencias: 1 });
+    assert.equal(r.body.entregas_webhook, 1);
+
+    const ocorrencia = t.ocorrencias_motoristas.find(o => o.id === 50);
+    assert.equal(ocorrencia.telefone, null);
+    assert.equal(ocorrencia.latitude, null);
+    assert.equal(ocorrencia.nome, 'Anônimo');
+    assert.equal(ocorrencia.descricao, 'Serra');
+    assert.equal(t.elogios_motoristas.find(e => e.id === 51).telefone, '11900001111');
+
+    const { dados } = JSON.parse(t.webhook_entregas.find(e => e.id === 50).payload);
+    assert.deepEqual([dados.latitude, dados.longitude, dados.maps_link], [null, null, null]);
+    assert.equal(dados.protocolo, 'OC-50');
+
+    const auditoria = t.lgpd_auditoria.at(-1);
+    assert.equal(auditoria.acao, 'apagar');
+    assert.equal(auditoria.criterio, 'telefone');
+    assert.equal(auditoria.titular_mascara, '19*****6655');
+    assert.doesNotMatch(JSON.stringify(auditoria), /19988776655/);
+    assert.equal(JSON.parse(auditoria.detalhe).motivo, 'Solicitação 123');
+  });
+
+  test('a auditoria do apagar entra na transação, antes do COMMIT', async () => {
+    const t = api.pool.tabelas;
+    t.elogios_motoristas.push({ id: 70, telefone: '11944443333', data_hora: atras(1, 'days') });
+
+    // conexão que anota o que passou por ela
+    const passos = [];
+    const getConnection = api.pool.getConnection;
+    api.pool.getConnection = async () => {
+      const conn = await getConnection();
+      return {
+        ...conn,
+        query: (sql, params) => { passos.push(sql.trim().split(/\s+/).slice(0, 3).join(' ')); return conn.query(sql, params); },
+        commit: async () => { passos.push('COMMIT'); }
+      };
+    };
+    try {
+      const r = await api.post('/lgpd/titular/apagar', { telefone: '11944443333', modo: 'anonimizar', motivo: 'Solicitação 125' }, admin);
+      assert.equal(r.status, 200);
+    } finally {
+      api.pool.getConnection = getConnection;
+    }
+
+    assert.deepEqual(passos.slice(-2), ['INSERT INTO lgpd_auditoria', 'COMMIT']);
+  });
+
+  test('excluir por token apaga o envio e as entregas de webhook dele', async () => {
+    const t = api.pool.tabelas;
+    t.ocorrencias_motoristas.push({ id: 60, telefone: '11955554444', token_avaliador: TOKEN, data_hora: atras(1, 'days') });
+    t.webhook_entregas.push(entrega(60, 60, atras(1, 'days')));
+
+    const r = await api.post('/lgpd/titular/apagar', { token: `v1.${TOKEN}.123.assinatura`, modo: 'excluir', motivo: 'Solicitação 124' }, admin);
+    assert.equal(r.status, 200);
+    assert.equal(r.body.entregas_webhook, 1);
+    assert.equal(t.ocorrencias_motoristas.some(o => o.id === 60), false);
+    assert.equal(t.webhook_entregas.some(e => e.id === 60), false);
+
+    const auditoria = t.lgpd_auditoria.at(-1);
+    assert.equal(auditoria.criterio, 'token');
+    assert.equal(auditoria.titular_mascara, '0f8fad5b…');
+    assert.doesNotMatch(String(auditoria.titular_hash), new RegExp(TOKEN));
+  });
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { criarNotificacoes } = require('../src/notificacoes');
+const { criarEventos } = require('../src/eventos');
+const { criarPoolFalso } = require('./apoio/bancos-falsos');
+
+// guarda só o log de envios (notificacoes_enviadas)
+function poolLog() {
+  const log = [];
+  return {
+    log,
+    async query(sql, params) {
+      const [, , , canal, para, status, erro] = params;
+      log.push({ canal, para, status, erro });
+      return [{ insertId: log.length }];
+    }
+  };
+}
+
+function notificacoes(env) {
+  const pool = poolLog();
+  const n = criarNotificacoes({ pool, eventos: criarEventos(), getMotoristaKMMPorCarreta: async () => null, env });
+  return { n, log: pool.log };
+}
+
+const destino = [{ canal: 'whatsapp', para: '11999999999' }];
+
+test('transporte console não conta como enviado', async () => {
+  const { n, log } = notificacoes({ NOTIF_DIGEST_HORA: '' });
+  await n.enviar('alerta_seguranca', destino, { protocolo: 'OC-1' });
+  assert.deepEqual(log.map(l => l.status), ['ignorado']);
+});
+
+test('em produção, canal sem transporte configurado fica desligado', async () => {
+  const { n, log } = notificacoes({ NODE_ENV: 'production', NOTIF_DIGEST_HORA: '' });
+  await n.enviar('alerta_seguranca', destino, { protocolo: 'OC-1' });
+  assert.deepEqual(log.map(l => [l.status, l.erro]), [['erro', 'transporte desligado']]);
+});
+
+test('elogio aprovado, reprovado e aprovado de novo avisa o motorista uma vez só', async () => {
+  const pool = criarPoolFalso();
+  pool.tabelas.elogios_motoristas.push({ id: 1, carreta: 'ABC1D23', matricula: '10101', nome_motorista: 'JOAO DA SILVA', elogio: 'Educado', notificado_em: null });
+  pool.tabelas.motorista_contatos.push({ matricula: '10101', whatsapp: '11999999999', notificar: 1 });
+
+  // chama o assinante direto (o criarEventos não espera o assinante terminar)
+  const assinantes = {};
+  criarNotificacoes({ pool, eventos: { assinar: (tipo, fn) => { assinantes[tipo] = fn; } }, env: { NOTIF_DIGEST_HORA: '' } });
+  const moderar = status => assinantes['elogio.moderated']({ tipo: 'elogio.moderated', dados: { id: 1, status } });
+
+  await moderar('aprovado');
+  await moderar('reprovado');
+  await moderar('aprovado');
+
+  assert.deepEqual(pool.tabelas.notificacoes_enviadas.map(n => [n.modelo, n.destino]), [['elogio_motorista', '11999999999']]);
+  assert.ok(pool.tabelas.elogios_motoristas[0].notificado_em);
+});
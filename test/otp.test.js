@@ -0,0 +1,71 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { subirApp } = require('./apoio/app-teste');
+const { criarTransporte } = require('../src/transportes');
+
+describe('verificação de telefone', () => {
+  let api;
+  before(async () => { api = await subirApp(); });
+  after(() => api.fechar());
+
+  test('chutes em paralelo não passam das 5 tentativas do código', async () => {
+    const telefone = '11987654321';
+    assert.equal((await api.post('/otp/solicitar', { telefone, canal: 'sms' })).status, 200);
+    const codigo = api.mensagens.at(-1).texto.match(/\d{6}/)[0];
+    const errado = codigo === '000000' ? '111111' : '000000';
+
+    const respostas = await Promise.all(Array.from({ length: 8 }, () => api.post('/otp/verificar', { telefone, codigo: errado })));
+    assert.equal(respostas.filter(r => r.status === 400).length, 5);
+    assert.ok(respostas.filter(r => r.status !== 400).every(r => r.status === 429));
+
+    // nem o código certo vale depois de esgotar
+    const certo = await api.post('/otp/verificar', { telefone, codigo });
+    assert.equal(certo.status, 429);
+  });
+
+  test('código certo devolve o comprovante uma vez só', async () => {
+    const telefone = '11912345678';
+    await api.post('/otp/solicitar', { telefone, canal: 'whatsapp' });
+    const codigo = api.mensagens.at(-1).texto.match(/\d{6}/)[0];
+
+    const ok = await api.post('/otp/verificar', { telefone, codigo });
+    assert.equal(ok.status, 200);
+    assert.match(ok.body.comprovante, /^tel\.11912345678\./);
+    assert.equal((await api.post('/otp/verificar', { telefone, codigo })).status, 404);
+  });
+});
+
+test('transporte console não sobe em produção', () => {
+  assert.throws(() => criarTransporte(undefined, { NODE_ENV: 'production' }), /não configurado/);
+  assert.throws(() => criarTransporte('console', { NODE_ENV: 'production' }), /console/);
+  assert.equal(criarTransporte(undefined, {}).nome, 'console');
+});
+
+test('sem transporte em produção a API sobe e o envio de código responde 503', async () => {
+  const ambiente = { NODE_ENV: process.env.NODE_ENV, OTP_TRANSPORTE: process.env.OTP_TRANSPORTE };
+  process.env.NODE_ENV = 'production';
+  delete process.env.OTP_TRANSPORTE;
+  let api;
+  try {
+    api = await subirApp({ otp: false });
+  } finally {
+    for (const [nome, valor] of Object.entries(ambiente)) {
+      if (valor === undefined) delete process.env[nome];
+      else process.env[nome] = valor;
+    }
+  }
+
+  try {
+    const otp = await api.post('/otp/solicitar', { telefone: '11912345678', canal: 'sms' });
+    assert.equal(otp.status, 503);
+    assert.equal(otp.body.status, 'erro');
+    assert.equal((await api.post('/otp/verificar', { telefone: '11912345678', codigo: '123456' })).status, 503);
+
+    const portal = await api.post('/motorista/codigo', { matricula: '10101' });
+    assert.equal(portal.status, 503);
+    assert.match(portal.body.mensagem, /link/);
+    assert.equal(api.mensagens.length, 0);
+  } finally {
+    api.fechar();
+  }
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { placaEquivalente, corrigePosicoes, distancia, sugerirPlacas } = require('../src/placas');
+
+test('placa antiga e Mercosul do mesmo veículo são equivalentes', () => {
+  assert.equal(placaEquivalente('ABC1234'), 'ABC1C34');
+  assert.equal(placaEquivalente('abc-1c34'), 'ABC1234');
+  assert.equal(placaEquivalente('BRA2E19'), 'BRA2419');
+  // 5º caractere fora de A-J não tem equivalente antiga
+  assert.equal(placaEquivalente('ABC1K34'), null);
+  assert.equal(placaEquivalente('AB12'), null);
+});
+
+test('corrige letra/número trocado pela posição', () => {
+  assert.equal(corrigePosicoes('0BC1234'), 'OBC1234');
+  assert.equal(corrigePosicoes('A8C1234'), 'ABC1234');
+  assert.equal(corrigePosicoes('ABCI2O4'), 'ABC1204');
+  // 5º caractere aceita letra ou número: fica como veio
+  assert.equal(corrigePosicoes('ABC1O34'), 'ABC1O34');
+  assert.equal(corrigePosicoes('ab1'), 'AB1');
+});
+
+test('distância conta vizinhos invertidos como um erro e parecidos como meio', () => {
+  assert.equal(distancia('ABC1234', 'ABC1234'), 0);
+  assert.equal(distancia('ABC1234', 'ABC1243'), 1);
+  assert.equal(distancia('ABC1234', 'ABD1234'), 1);
+  assert.equal(distancia('ABC1234', 'ABC12345'), 1);
+  assert.equal(distancia('ABC1034', 'ABC1O34'), 0.5);
+  assert.equal(distancia('ABC1834', 'ABC1B34'), 0.5);
+  assert.equal(distancia('ABC1234', 'ABC1O34'), 1);
+});
+
+test('sugere equivalente, caractere parecido e erro de digitação, melhores primeiro', () => {
+  const frota = ['ABC1C34', 'ABC1243', 'BRA2E19'];
+  assert.deepEqual(sugerirPlacas('ABC1234', frota), [
+    { carreta: 'ABC1C34', distancia: 0, motivo: 'formato' },
+    { carreta: 'ABC1243', distancia: 1, motivo: 'digitacao' }
+  ]);
+
+  assert.deepEqual(sugerirPlacas('A8C1234', ['ABC1234']), [{ carreta: 'ABC1234', distancia: 0, motivo: 'caractere' }]);
+  assert.deepEqual(sugerirPlacas('ABC1O34', ['ABC1034']), [{ carreta: 'ABC1034', distancia: 0.5, motivo: 'caractere' }]);
+});
+
+test('sugestão respeita distância máxima, limite e ignora a própria placa', () => {
+  assert.deepEqual(sugerirPlacas('ABC1234', ['ABC1299']).map(s => s.distancia), [2]);
+  assert.deepEqual(sugerirPlacas('ABC1234', ['ABC1999']), []);
+  assert.deepEqual(sugerirPlacas('ABC1234', ['ABC1999'], { distanciaMax: 3 }).map(s => s.carreta), ['ABC1999']);
+  assert.deepEqual(sugerirPlacas('ABC1234', ['ABC1235', 'ABC1236', 'ABC1237'], { limite: 2 }).map(s => s.carreta), ['ABC1235', 'ABC1236']);
+  assert.deepEqual(sugerirPlacas('ABC1234', ['ABC1234']), []);
+  assert.deepEqual(sugerirPlacas('AB1', ['ABC1234']), []);
+});
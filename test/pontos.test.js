@@ -0,0 +1,37 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { subirApp } = require('./apoio/app-teste');
+const { getDataAtual } = require('../src/utils');
+
+const SERVICO = { Authorization: 'Bearer token-servico-teste' };
+
+let api;
+before(async () => {
+  api = await subirApp();
+  const agora = getDataAtual();
+  // ABC1D23 hoje é do 10101 no KMM; o elogio 801 foi para quem dirigia antes
+  api.pool.tabelas.elogios_motoristas.push(
+    { id: 801, status: 'aprovado', carreta: 'ABC1D23', matricula: '10999', nome_motorista: 'PEDRO ANTIGO', pontos: 1, data_hora: agora },
+    { id: 802, status: 'aprovado', carreta: 'ABC1D23', matricula: '10101', nome_motorista: 'JOAO DA SILVA', pontos: 1, data_hora: agora }
+  );
+  api.pool.tabelas.elogios_internos.push(
+    { id: 803, status: 'aprovado', matricula: '10101', motorista: 'JOAO DA SILVA', pontos: 2, data_hora: agora }
+  );
+});
+after(() => api.fechar());
+
+test('ranking soma pela matrícula gravada no envio, não pelo motorista atual da carreta', async () => {
+  const r = await api.get('/pontos/ranking', { headers: SERVICO });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.ranking.map(m => [m.matricula, m.pontos]), [['10101', 3], ['10999', 1]]);
+});
+
+test('extrato de um motorista filtra a matrícula no SQL', async () => {
+  const r = await api.get('/pontos/motoristas/10999?periodo=tudo', { headers: SERVICO });
+  assert.equal(r.status, 200);
+  assert.deepEqual(r.body.historico.map(l => l.id), [801]);
+  assert.equal(r.body.motorista, 'PEDRO ANTIGO');
+
+  const consultas = api.pool.consultas.filter(c => /FROM elogios_(motoristas|internos)/.test(c.sql)).slice(-2);
+  assert.ok(consultas.every(c => c.sql.includes('matricula = ?') && c.params.includes('10999')));
+});
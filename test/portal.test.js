@@ -0,0 +1,112 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { subirApp } = require('./apoio/app-teste');
+const { getDataAtual } = require('../src/utils');
+
+const SERVICO = { Authorization: 'Bearer token-servico-teste' };
+
+describe('Portal do motorista', () => {
+  let api;
+  before(async () => {
+    api = await subirApp();
+    const { tabelas } = api.pool;
+    const agora = getDataAtual();
+
+    tabelas.motorista_contatos.push({ matricula: '10101', whatsapp: '11999990000' });
+    tabelas.elogios_motoristas.push(
+      { id: 901, status: 'aprovado', carreta: 'ABC1D23', matricula: '10101', nome: 'CARLOS EDUARDO PEREIRA', telefone: '11987654321', elogio: 'Dirigiu com cuidado', pontos: 1, data_hora: agora },
+      { id: 902, status: 'pendente', carreta: 'ABC1D23', matricula: '10101', nome: 'Fulano', telefone: '11911112222', elogio: 'Ainda na moderação', pontos: 1, data_hora: agora },
+      { id: 903, status: 'aprovado', carreta: 'BRA2E19', matricula: '10202', nome: 'Beltrano', telefone: '11933334444', elogio: 'Carreta de outra pessoa', pontos: 1, data_hora: agora },
+      // mesma carreta, enviado quando outro motorista a dirigia
+      { id: 905, status: 'aprovado', carreta: 'ABC1D23', matricula: '10303', nome: 'Sicrano', telefone: '11977778888', elogio: 'Para o motorista anterior', pontos: 1, data_hora: agora }
+    );
+    tabelas.elogios_internos.push(
+      { id: 904, status: 'aprovado', matricula: '10101', elogio: 'Ajudou no pátio', pontos: 2, telefone: '11955556666', data_hora: agora }
+    );
+  });
+  after(() => api.fechar());
+
+  async function entrarComCodigo(matricula) {
+    const r = await api.post('/motorista/codigo', { matricula });
+    assert.equal(r.status, 200);
+    const codigo = api.mensagens.at(-1).texto.match(/\d{6}/)[0];
+    return api.post('/motorista/entrar', { matricula, codigo });
+  }
+
+  test('código vai para o WhatsApp cadastrado e abre a sessão', async () => {
+    const r = await entrarComCodigo('10101');
+    assert.equal(r.status, 200);
+    assert.match(r.body.token, /^mot\.10101\./);
+    assert.equal(api.mensagens.at(-1).para, '11999990000');
+
+    // uso único
+    const codigo = api.mensagens.at(-1).texto.match(/\d{6}/)[0];
+    const denovo = await api.post('/motorista/entrar', { matricula: '10101', codigo });
+    assert.equal(denovo.status, 404);
+  });
+
+  test('matrícula sem contato recebe a mesma resposta e nenhum código', async () => {
+    const antes = api.mensagens.length;
+    const r = await api.post('/motorista/codigo', { matricula: '10202' });
+    assert.equal(r.status, 200);
+    assert.equal(api.mensagens.length, antes);
+  });
+
+  test('/eu traz só os elogios aprovados dele, com quem elogiou mascarado', async () => {
+    const { body: sessao } = await entrarComCodigo('10101');
+    const r = await api.get('/motorista/eu', { headers: { Authorization: `Bearer ${sessao.token}` } });
+
+    assert.equal(r.status, 200);
+    assert.deepEqual(r.body.motorista, { matricula: '10101', nome: 'Joao S.', carretas: ['ABC1D23'] });
+    assert.deepEqual(r.body.elogios.map(e => e.elogio).sort(), ['Ajudou no pátio', 'Dirigiu com cuidado']);
+
+    const externo = r.body.elogios.find(e => e.origem === 'externo');
+    assert.equal(externo.autor, 'Carlos P.');
+    assert.equal(externo.telefone, '11*****4321');
+    const interno = r.body.elogios.find(e => e.origem === 'interno');
+    assert.equal(interno.autor, 'Equipe');
+    assert.equal(interno.telefone, null);
+
+    assert.equal(r.body.pontos.total, 3);
+    assert.equal(r.body.pontos.posicao, 1);
+    assert.equal(r.body.pontos.total_motoristas, 3);
+  });
+
+  test('código no WhatsApp sai no idioma de quem pediu', async () => {
+    const r = await api.post('/motorista/codigo', { matricula: '10101' }, { 'Accept-Language': 'es' });
+    assert.equal(r.status, 200);
+    assert.match(api.mensagens.at(-1).texto, /^Rota de Oportunidade: su código para ver sus elogios es \d{6}\. Válido por 10 minutos\.$/);
+  });
+
+  test('link assinado da equipe entra sem código; sem sessão é 401', async () => {
+    const semAuth = await api.post('/motorista/links', { matricula: '10202' });
+    assert.equal(semAuth.status, 401);
+
+    const gerado = await api.post('/motorista/links', { matricula: '10202', dias: 3 }, SERVICO);
+    assert.equal(gerado.status, 200);
+    const link = gerado.body.link.split('#acesso=')[1];
+
+    const r = await api.post('/motorista/entrar', { link });
+    assert.equal(r.status, 200);
+    assert.match(r.body.token, /^mot\.10202\./);
+
+    const adulterado = await api.post('/motorista/entrar', { link: link.replace('10202', '10101') });
+    assert.equal(adulterado.status, 401);
+
+    const eu = await api.get('/motorista/eu', { headers: { Authorization: `Bearer ${link}` } });
+    assert.equal(eu.status, 401);
+  });
+
+  test('palpites em paralelo não passam de 5 tentativas por código', async () => {
+    api.pool.tabelas.motorista_contatos.push({ matricula: '10202', whatsapp: '11999992222' });
+    await api.post('/motorista/codigo', { matricula: '10202' });
+    const codigo = api.mensagens.at(-1).texto.match(/\d{6}/)[0];
+    const errado = codigo === '000000' ? '111111' : '000000';
+
+    const respostas = await Promise.all(Array.from({ length: 6 }, () => api.post('/motorista/entrar', { matricula: '10202', codigo: errado })));
+    assert.deepEqual(respostas.map(r => r.status).sort(), [400, 400, 400, 400, 400, 429]);
+
+    const certo = await api.post('/motorista/entrar', { matricula: '10202', codigo });
+    assert.equal(certo.status, 429);
+  });
+});
@@ -0,0 +1,63 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { subirApp } = require('./apoio/app-teste');
+const { assinatura } = require('../src/qrcodes');
+
+const SERVICO = { Authorization: 'Bearer token-servico-teste' };
+
+describe('QR code dos adesivos', () => {
+  let api;
+  before(async () => { api = await subirApp(); });
+  after(() => api.fechar());
+
+  const ler = caminho => fetch(api.url + caminho, { redirect: 'manual', headers: { 'User-Agent': 'leitor-teste' } });
+
+  test('link assinado registra a leitura e abre o formulário com a placa', async () => {
+    const resp = await ler(`/q/e/ABC1D23/${assinatura('ABC1D23', 'elogio')}`);
+    assert.equal(resp.status, 302);
+
+    const [leitura] = api.pool.tabelas.qr_leituras;
+    assert.equal(leitura.carreta, 'ABC1D23');
+    assert.equal(leitura.destino, 'elogio');
+    assert.equal(leitura.user_agent, 'leitor-teste');
+    assert.equal(resp.headers.get('location'), `/elogio.html?carreta=ABC1D23&qr=${leitura.id}`);
+  });
+
+  test('assinatura de outra placa ou destino não vale', async () => {
+    const antes = api.pool.tabelas.qr_leituras.length;
+    for (const caminho of [`/q/e/BRA2E19/${assinatura('ABC1D23', 'elogio')}`, `/q/o/ABC1D23/${assinatura('ABC1D23', 'elogio')}`]) {
+      const resp = await ler(caminho);
+      assert.equal(resp.status, 302);
+      assert.equal(resp.headers.get('location'), '/elogionaestrada.html');
+    }
+    assert.equal(api.pool.tabelas.qr_leituras.length, antes);
+  });
+
+  test('o elogio enviado pela página do adesivo guarda a leitura', async () => {
+    await ler(`/q/e/BRA2E19/${assinatura('BRA2E19', 'elogio')}`);
+    const leitura = api.pool.tabelas.qr_leituras.at(-1);
+
+    const r = await api.post('/elogio', {
+      nome: 'Roberto Alves', carreta: 'BRA2E19', telefone: '11987654321',
+      elogio: 'Motorista muito educado, deu passagem na serra.', latitude: '-22.9', longitude: '-47.06', user_agent: 'teste',
+      qr_leitura: String(leitura.id), consentimento: '1'
+    }, { 'x-avaliador-token': await api.tokenAvaliador() });
+    assert.equal(r.status, 200);
+    assert.equal(api.pool.tabelas.elogios_motoristas.at(-1).qr_leitura_id, leitura.id);
+  });
+
+  test('PNG, SVG e folha em PDF só para admin', async () => {
+    assert.equal((await api.get('/qr/carretas/ABC1D23')).status, 401);
+
+    const png = await fetch(`${api.url}/qr/carretas/abc-1d23?formato=png`, { headers: SERVICO });
+    assert.equal(png.headers.get('content-type'), 'image/png');
+    assert.match(png.headers.get('x-qr-link'), new RegExp(`/q/e/ABC1D23/${assinatura('ABC1D23', 'elogio')}$`));
+
+    const svg = await fetch(`${api.url}/qr/carretas/ABC1D23?formato=svg&destino=ocorrencia`, { headers: SERVICO });
+    assert.match(await svg.text(), /^<svg/);
+
+    const pdf = await fetch(`${api.url}/qr/folha.pdf?destino=elogio`, { headers: SERVICO });
+    assert.equal(pdf.status, 200);
+    assert.equal(Buffer.from(await pdf.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+  });
+});